@@ -0,0 +1,208 @@
+const http = require("http");
+const { isAddress, ZeroAddress } = require("ethers");
+const { ESCROW_STATUS, statusName, assetTypeName } = require("../sdk/constants");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(toJson(body));
+}
+
+function parseAddress(query, name) {
+  const value = query.get(name);
+  if (value === null || value === "") return undefined;
+  if (!isAddress(value)) throw new HttpError(400, `Invalid ${name} address`);
+  return value;
+}
+
+function parseTimestamp(query, name) {
+  const value = query.get(name);
+  if (value === null || value === "") return undefined;
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `${name} must be a unix timestamp`);
+  return Number(value);
+}
+
+function parseStatus(query) {
+  const value = query.get("status");
+  if (value === null || value === "") return undefined;
+  if (!ESCROW_STATUS.some((status) => status.toLowerCase() === value.toLowerCase())) {
+    throw new HttpError(400, `Unknown status "${value}"`);
+  }
+  return value;
+}
+
+function summarize(escrow) {
+  const { timeline, ...summary } = escrow;
+  return summary;
+}
+
+function serializeStruct(e) {
+  return {
+    buyer: e.buyer,
+    seller: e.seller,
+    status: statusName(e.status),
+    createdAt: e.createdAt,
+    disputeExpiry: e.disputeExpiry,
+    arbitrator: e.arbitrator,
+    assetType: assetTypeName(e.assetType),
+    tokenAddress: e.tokenAddress,
+    amount: e.amount,
+    platformFee: e.platformFee,
+    disputeFee: e.disputeFee,
+    disputeFeeInToken: e.disputeFeeInToken,
+    disputeRaisedBy: e.disputeRaisedBy,
+    disputeReason: e.disputeReason,
+    paymentDetails: e.paymentDetails,
+    deliveryDeadline: e.deliveryDeadline,
+    shipped: e.shipped,
+    acknowledged: e.acknowledged,
+    cancellationRequested: e.cancellationRequested,
+    releasedAmount: e.releasedAmount,
+    milestones: e.milestones.map((m) => ({
+      amount: m.amount,
+      description: m.description,
+      released: m.released,
+    })),
+  };
+}
+
+/**
+ * Aggregates indexed escrows per token. `platformFeesCollected` is what the
+ * escrow kept back when paying out: the platform fee on releases (including
+ * milestones released before a cancellation or dispute) and, for resolved
+ * disputes, everything that was not awarded to either party. Dispute fees are
+ * not included: their amount is not in the events, and they are often paid in
+ * another token than the escrow's.
+ */
+function computeStats(escrows) {
+  const tokens = {};
+
+  for (const escrow of escrows) {
+    const stats = (tokens[escrow.tokenAddress] = tokens[escrow.tokenAddress] || {
+      escrows: 0,
+      byStatus: {},
+      fundedVolume: 0n,
+      releasedVolume: 0n,
+      refundedVolume: 0n,
+      platformFeesCollected: 0n,
+    });
+    const amount = BigInt(escrow.amount);
+    const released = BigInt(escrow.releasedAmount || 0);
+
+    stats.escrows += 1;
+    stats.byStatus[escrow.status] = (stats.byStatus[escrow.status] || 0) + 1;
+    if (escrow.status !== "Pending") stats.fundedVolume += amount;
+
+    if (escrow.status === "Released" || escrow.status === "AutoReleased") {
+      stats.releasedVolume += released;
+      stats.platformFeesCollected += amount - released;
+    } else if (escrow.status === "Cancelled" || escrow.status === "Refunded") {
+      const refunded = BigInt(escrow.refundedAmount ?? escrow.amount);
+      stats.releasedVolume += released;
+      stats.refundedVolume += refunded;
+      stats.platformFeesCollected += amount - refunded - released;
+    } else if (escrow.status === "Resolved") {
+      const buyerAmount = BigInt(escrow.dispute.buyerAmount);
+      const sellerAmount = BigInt(escrow.dispute.sellerAmount);
+      stats.releasedVolume += sellerAmount + released;
+      stats.refundedVolume += buyerAmount;
+      stats.platformFeesCollected += amount - buyerAmount - sellerAmount - released;
+    }
+  }
+
+  return { escrows: escrows.length, tokens };
+}
+
+/**
+ * Read-only HTTP API over an indexer store.
+ * `escrow` (an ethers Contract) is optional: when given, GET /escrows/:id also
+ * returns the live on-chain struct next to the indexed timeline.
+ *
+ * @param {{ store: import("../indexer").JsonStore, escrow?: import("ethers").Contract }} params
+ * @returns {http.Server}
+ */
+function createApiServer({ store, escrow }) {
+  const routes = [
+    {
+      pattern: /^\/escrows$/,
+      handler: async (match, query) =>
+        store
+          .findEscrows({
+            buyer: parseAddress(query, "buyer"),
+            seller: parseAddress(query, "seller"),
+            party: parseAddress(query, "party"),
+            token: parseAddress(query, "token"),
+            status: parseStatus(query),
+            from: parseTimestamp(query, "from"),
+            to: parseTimestamp(query, "to"),
+          })
+          .map(summarize),
+    },
+    {
+      pattern: /^\/escrows\/(\d+)$/,
+      handler: async (match) => {
+        const indexed = store.getEscrow(match[1]);
+        if (!indexed) throw new HttpError(404, `Escrow ${match[1]} not found`);
+
+        const onChain = escrow ? serializeStruct(await escrow.getEscrowDetails(match[1])) : null;
+        return {
+          ...summarize(indexed),
+          escrow: onChain,
+          evidenceURLs: indexed.evidence.map((item) => item.evidenceURL),
+          keyShares: indexed.keyShares,
+          timeline: indexed.timeline,
+        };
+      },
+    },
+    {
+      pattern: /^\/tokens$/,
+      handler: async () => {
+        const platform = store.getPlatform();
+        if (!platform) return [];
+        return platform.supportedTokens.map((token) => ({
+          address: token,
+          native: token === ZeroAddress,
+          wrappedToken: platform.wrappedTokens[token] || ZeroAddress,
+          paused: platform.pausedTokens.includes(token),
+          limits: platform.tokenLimits[token] || null,
+          panelThreshold: platform.panelThresholds[token] || null,
+        }));
+      },
+    },
+    {
+      pattern: /^\/stats$/,
+      handler: async () => computeStats(store.findEscrows()),
+    },
+  ];
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+
+      const url = new URL(req.url, "http://localhost");
+      for (const route of routes) {
+        const match = url.pathname.match(route.pattern);
+        if (match) {
+          send(res, 200, await route.handler(match, url.searchParams));
+          return;
+        }
+      }
+      throw new HttpError(404, "Not found");
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      send(res, status, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createApiServer, computeStats };
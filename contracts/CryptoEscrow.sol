@@ -1,293 +1,46 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.20;
-
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-
-// Custom Errors
-error UnauthorizedAccess();
-error InvalidSellerAddress();
-error TokenNotSupported();
-error AmountTooSmall();
-error IncorrectNativeTokenAmount();
-error NativeTokensNotRequiredForERC20();
-error EscrowNotInDisputedState();
-error DisputeTimeframeExpired();
-error AmountsExceedEscrowBalance();
-error InvalidDisputeResolution();
-error EscrowNotFunded();
-error InvalidTokenOperation();
-error TokenAlreadySupported();
-error TokenNotWrappable();
-error WrappedTokenExists();
-error InvalidFeeConfiguration();
-error InvalidAddress();
-error DisputeNotRaised();
-error EscrowAlreadyCompleted();
-error InvalidTokenAmount();
-
-// Interfaces
-interface IERC20 {
-    event Transfer(address indexed from, address indexed to, uint256 value);
-    event Approval(
-        address indexed owner,
-        address indexed spender,
-        uint256 value
-    );
-
-    function totalSupply() external view returns (uint256);
-    function balanceOf(address account) external view returns (uint256);
-    function transfer(
-        address recipient,
-        uint256 amount
-    ) external returns (bool);
-    function allowance(
-        address owner,
-        address spender
-    ) external view returns (uint256);
-    function approve(address spender, uint256 amount) external returns (bool);
-    function transferFrom(
-        address sender,
-        address recipient,
-        uint256 amount
-    ) external returns (bool);
-}
-
-interface IERC20Metadata is IERC20 {
-    function name() external view returns (string memory);
-    function symbol() external view returns (string memory);
-    function decimals() external view returns (uint8);
-}
-
-interface IWrappedToken {
-    function mint(address account, uint256 amount) external;
-    function burn(address account, uint256 amount) external;
-}
-
-// Libraries
-library SafeERC20 {
-    function safeTransfer(IERC20 token, address to, uint256 value) internal {
-        (bool success, bytes memory data) = address(token).call(
-            abi.encodeWithSelector(token.transfer.selector, to, value)
-        );
-        require(
-            success && (data.length == 0 || abi.decode(data, (bool))),
-            "SafeERC20: transfer failed"
-        );
-    }
+pragma solidity ^0.8.22;
 
-    function safeTransferFrom(
-        IERC20 token,
-        address from,
-        address to,
-        uint256 value
-    ) internal {
-        (bool success, bytes memory data) = address(token).call(
-            abi.encodeWithSelector(token.transferFrom.selector, from, to, value)
-        );
-        require(
-            success && (data.length == 0 || abi.decode(data, (bool))),
-            "SafeERC20: transferFrom failed"
-        );
-    }
-
-    function safeApprove(
-        IERC20 token,
-        address spender,
-        uint256 value
-    ) internal {
-        require(
-            (value == 0) || (token.allowance(address(this), spender) == 0),
-            "SafeERC20: approve from non-zero to non-zero allowance"
-        );
-        (bool success, bytes memory data) = address(token).call(
-            abi.encodeWithSelector(token.approve.selector, spender, value)
-        );
-        require(
-            success && (data.length == 0 || abi.decode(data, (bool))),
-            "SafeERC20: approve failed"
-        );
-    }
-}
-
-library Address {
-    function isContract(address account) internal view returns (bool) {
-        uint256 size;
-        assembly {
-            size := extcodesize(account)
-        }
-        return size > 0;
-    }
-}
-
-library SafeMath {
-    function add(uint256 a, uint256 b) internal pure returns (uint256) {
-        uint256 c = a + b;
-        require(c >= a, "SafeMath: addition overflow");
-        return c;
-    }
-
-    function sub(uint256 a, uint256 b) internal pure returns (uint256) {
-        require(b <= a, "SafeMath: subtraction overflow");
-        uint256 c = a - b;
-        return c;
-    }
-
-    function mul(uint256 a, uint256 b) internal pure returns (uint256) {
-        if (a == 0) return 0;
-        uint256 c = a * b;
-        require(c / a == b, "SafeMath: multiplication overflow");
-        return c;
-    }
-
-    function div(uint256 a, uint256 b) internal pure returns (uint256) {
-        require(b > 0, "SafeMath: division by zero");
-        uint256 c = a / b;
-        return c;
-    }
-}
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "./CryptoEscrowAdmin.sol";
 
 // Main Contract
-contract CryptoEscrow is ReentrancyGuard {
+/**
+ * @dev UUPS implementation deployed behind an ERC1967Proxy, upgradeable by
+ * the admin through the timelock. Admin, configuration, dispute resolution
+ * and bulky view calls live in CryptoEscrowAdmin to stay under the code size
+ * limit: any call this contract does not implement is delegated to
+ * `adminModule`.
+ */
+contract CryptoEscrow is CryptoEscrowBase, UUPSUpgradeable {
     using SafeERC20 for IERC20;
-    using SafeMath for uint256;
     using Address for address;
 
-    enum EscrowStatus {
-        Pending,
-        Funded,
-        Released,
-        Cancelled,
-        Disputed,
-        Resolved
-    }
-    enum AssetType {
-        Native,
-        ERC20,
-        Wrapped
-    }
-
-    struct Escrow {
-        address buyer;
-        address seller;
-        EscrowStatus status;
-        uint256 createdAt;
-        uint256 disputeExpiry;
-        address arbitrator;
-        AssetType assetType;
-        address tokenAddress;
-        uint256 amount;
-        uint256 platformFee;
-        uint256 disputeFee;
-        address disputeRaisedBy;
-        string disputeReason;
-        string paymentDetails;
-    }
-
-    // Constants
-    uint256 public constant DISPUTE_TIMEFRAME = 7 days;
-    uint256 public constant MAX_PLATFORM_FEE = 500; // 5%
-    uint256 public constant MIN_DISPUTE_FEE = 0.01 ether;
-    uint256 public constant MIN_ESCROW_AMOUNT = 0.001 ether;
-
-    // Platform settings
-    uint256 public platformFeePercentage;
-    uint256 public disputeFeeFixed;
-    address public feeCollector;
-    address public admin;
-
-    // Escrow data
-    uint256 public escrowCount;
-    mapping(uint256 => Escrow) public escrows;
-    mapping(address => uint256[]) public userEscrows;
-    mapping(address => bool) public arbitrators;
-
-    // Token support
-    mapping(address => bool) public allowedTokens;
-    mapping(address => address) public tokenToWrapper;
-    mapping(address => bool) public isWrappedToken;
-    address[] public supportedTokens;
-
-    // Events
-    event EscrowCreated(
-        uint256 indexed escrowId,
-        address indexed buyer,
-        address indexed seller,
-        address token,
-        uint256 amount,
-        string paymentDetails
-    );
-    event FundsDeposited(
-        uint256 indexed escrowId,
-        address indexed buyer,
-        uint256 amount
-    );
-    event FundsReleased(
-        uint256 indexed escrowId,
-        address indexed seller,
-        uint256 amount
-    );
-    event EscrowCancelled(
-        uint256 indexed escrowId,
-        address indexed buyer,
-        uint256 amount
-    );
-    event DisputeRaised(
-        uint256 indexed escrowId,
-        address indexed raisedBy,
-        string reason
-    );
-    event DisputeResolved(
-        uint256 indexed escrowId,
-        address indexed arbitrator,
-        bool buyerWon,
-        uint256 buyerAmount,
-        uint256 sellerAmount
-    );
-    event TokenWrapped(
-        address indexed originalToken,
-        address indexed wrappedToken,
-        uint256 amount
-    );
-    event TokenUnwrapped(
-        address indexed wrappedToken,
-        address indexed originalToken,
-        uint256 amount
-    );
-    event TokenSupported(address indexed token);
-    event TokenSupportRemoved(address indexed token);
-    event ArbitratorAdded(address indexed arbitrator);
-    event ArbitratorRemoved(address indexed arbitrator);
-    event FeeCollectorUpdated(address indexed newCollector);
-    event AdminUpdated(address indexed newAdmin);
-    event PlatformFeeUpdated(uint256 newFee);
-    event DisputeFeeUpdated(uint256 newFee);
-    event DisputeEvidenceSubmitted(
-        uint256 indexed escrowId,
-        address indexed submittedBy,
-        string evidenceURL
-    );
-    event DisputeArbitratorAssigned(
-        uint256 indexed escrowId,
-        address indexed arbitrator
-    );
-
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin");
-        _;
-    }
-
-    modifier onlyArbitrator() {
-        require(arbitrators[msg.sender], "Only arbitrator");
-        _;
+    WrappedTokenDeployer public immutable wrappedTokenDeployer;
+    address public immutable adminModule;
+
+    /// @param adminModule_ The CryptoEscrowAdmin deployment calls are forwarded to
+    constructor(address adminModule_) {
+        _disableInitializers();
+        adminModule = adminModule_;
+        // Deployed from here so WrappedToken's bytecode only counts towards
+        // this contract's initcode, not its runtime size
+        wrappedTokenDeployer = new WrappedTokenDeployer();
     }
 
-    constructor(
+    /**
+     * @dev Takes the place of a constructor, run once through the proxy when
+     * it is deployed. The caller becomes admin and holds every role.
+     */
+    function initialize(
         uint256 _feePercentage,
         uint256 _disputeFee,
         address _feeCollector,
         address[] memory _initialTokens,
         address _chxTokenAddress
-    ) {
+    ) external initializer {
         require(_feePercentage <= MAX_PLATFORM_FEE, "Fee too high");
         require(_disputeFee >= MIN_DISPUTE_FEE, "Dispute fee too low");
         require(_feeCollector != address(0), "Invalid fee collector");
@@ -296,15 +49,37 @@ contract CryptoEscrow is ReentrancyGuard {
         disputeFeeFixed = _disputeFee;
         feeCollector = _feeCollector;
         admin = msg.sender;
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(TOKEN_MANAGER_ROLE, msg.sender);
+        _grantRole(ARBITRATOR_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        expiredDisputeBuyerShare = 5000;
 
         // Add native token support (address(0))
         allowedTokens[address(0)] = true;
         supportedTokens.push(address(0));
 
-        // Add initial supported tokens
+        // Add initial supported tokens, and CHX if it is not among them
         for (uint256 i = 0; i < _initialTokens.length; i++) {
             _addSupportedToken(_initialTokens[i]);
+        }
+        chxToken = _chxTokenAddress;
+        if (!allowedTokens[_chxTokenAddress])
             _addSupportedToken(_chxTokenAddress);
+    }
+
+    /// @dev Runs every call this contract does not implement in adminModule
+    fallback() external {
+        address module = adminModule;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
         }
     }
 
@@ -316,17 +91,93 @@ contract CryptoEscrow is ReentrancyGuard {
      * @param tokenAddress The token address (address(0) for native currency)
      * @param amount The amount to escrow
      * @param paymentDetails Additional payment details
+     * @param deliveryDeadline Timestamp after which the seller (if shipment was
+     * confirmed) or the buyer (if not) may claim the funds; 0 for no deadline
      */
     function createEscrow(
         address seller,
         address tokenAddress,
         uint256 amount,
-        string calldata paymentDetails
+        string calldata paymentDetails,
+        uint256 deliveryDeadline
+    ) external payable {
+        _createEscrow(
+            seller,
+            tokenAddress,
+            amount,
+            paymentDetails,
+            deliveryDeadline
+        );
+    }
+
+    /**
+     * @dev Creates an escrow paid out in ordered milestones. The escrowed
+     * amount is the sum of the milestone amounts.
+     * @param seller The seller's address
+     * @param tokenAddress The token address (address(0) for native currency)
+     * @param amounts Milestone amounts, in release order
+     * @param descriptions Milestone descriptions, one per amount
+     * @param paymentDetails Additional payment details
+     * @param deliveryDeadline See createEscrow
+     */
+    function createMilestoneEscrow(
+        address seller,
+        address tokenAddress,
+        uint256[] calldata amounts,
+        string[] calldata descriptions,
+        string calldata paymentDetails,
+        uint256 deliveryDeadline
     ) external payable {
+        if (
+            amounts.length == 0 ||
+            amounts.length > MAX_MILESTONES ||
+            amounts.length != descriptions.length
+        ) revert InvalidMilestones();
+
+        uint256 total;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (amounts[i] == 0) revert InvalidMilestones();
+            total += amounts[i];
+        }
+
+        uint256 escrowId = _createEscrow(
+            seller,
+            tokenAddress,
+            total,
+            paymentDetails,
+            deliveryDeadline
+        );
+
+        Escrow storage e = escrows[escrowId];
+        for (uint256 i = 0; i < amounts.length; i++) {
+            e.milestones.push(Milestone(amounts[i], descriptions[i], false));
+            emit MilestoneAdded(escrowId, i, amounts[i], descriptions[i]);
+        }
+    }
+
+    function _createEscrow(
+        address seller,
+        address tokenAddress,
+        uint256 amount,
+        string calldata paymentDetails,
+        uint256 deliveryDeadline
+    ) internal returns (uint256 currentEscrowId) {
+        _requireNotPaused(PAUSE_CREATE);
+        _requireTokenNotPaused(tokenAddress);
         if (seller == address(0) || seller == msg.sender)
             revert InvalidSellerAddress();
-        if (amount < MIN_ESCROW_AMOUNT) revert AmountTooSmall();
-        if (!allowedTokens[tokenAddress]) revert TokenNotSupported();
+        if (reputations[msg.sender].completedPurchases < minBuyerTrades[seller])
+            revert BuyerReputationTooLow();
+        // Wrapped tokens can be escrowed while the token they wrap is supported
+        address underlying = wrapperToToken[tokenAddress];
+        if (!allowedTokens[underlying == address(0) ? tokenAddress : underlying])
+            revert TokenNotSupported();
+        TokenLimits memory limits = _tokenLimits(tokenAddress);
+        if (amount < limits.minAmount) revert AmountTooSmall();
+        if (limits.maxAmount != 0 && amount > limits.maxAmount)
+            revert AmountTooLarge();
+        if (deliveryDeadline != 0 && deliveryDeadline <= block.timestamp)
+            revert InvalidDeliveryDeadline();
 
         // Handle native token validation
         if (tokenAddress == address(0)) {
@@ -336,7 +187,7 @@ contract CryptoEscrow is ReentrancyGuard {
         }
 
         escrowCount++;
-        uint256 currentEscrowId = escrowCount;
+        currentEscrowId = escrowCount;
 
         Escrow storage e = escrows[currentEscrowId];
         e.buyer = msg.sender;
@@ -348,9 +199,12 @@ contract CryptoEscrow is ReentrancyGuard {
         e.tokenAddress = tokenAddress;
         e.amount = amount;
         e.paymentDetails = paymentDetails;
+        e.deliveryDeadline = deliveryDeadline;
         e.assetType = tokenAddress == address(0)
             ? AssetType.Native
-            : AssetType.ERC20;
+            : underlying == address(0)
+            ? AssetType.ERC20
+            : AssetType.Wrapped;
 
         userEscrows[msg.sender].push(currentEscrowId);
         userEscrows[seller].push(currentEscrowId);
@@ -363,8 +217,12 @@ contract CryptoEscrow is ReentrancyGuard {
             amount,
             paymentDetails
         );
+        if (deliveryDeadline != 0) {
+            emit DeliveryDeadlineSet(currentEscrowId, deliveryDeadline);
+        }
 
         if (tokenAddress == address(0)) {
+            _lockFunds(e, amount);
             emit FundsDeposited(currentEscrowId, msg.sender, amount);
         }
     }
@@ -373,19 +231,65 @@ contract CryptoEscrow is ReentrancyGuard {
      * @dev Funds an ERC20 token escrow
      * @param escrowId The ID of the escrow to fund
      */
-    function fundEscrow(uint256 escrowId) external {
-        Escrow storage e = escrows[escrowId];
-        if (e.status != EscrowStatus.Pending) revert EscrowNotFunded();
-        if (e.buyer != msg.sender) revert UnauthorizedAccess();
-        if (e.tokenAddress == address(0)) revert InvalidTokenOperation();
+    function fundEscrow(uint256 escrowId) external nonReentrant {
+        _fundEscrow(escrowId, _fundableEscrow(escrowId));
+    }
 
-        IERC20 token = IERC20(e.tokenAddress);
-        uint256 allowance = token.allowance(msg.sender, address(this));
-        require(allowance >= e.amount, "Insufficient allowance");
+    /**
+     * @dev Funds an ERC20 escrow using an EIP-2612 permit instead of a
+     * prior approve transaction
+     * @param escrowId The ID of the escrow to fund
+     * @param permit The buyer's permit for at least the escrow amount
+     */
+    function fundEscrowWithPermit(
+        uint256 escrowId,
+        PermitSignature calldata permit
+    ) external nonReentrant {
+        Escrow storage e = _fundableEscrow(escrowId);
+        _permit(e.tokenAddress, e.amount, permit);
+        _fundEscrow(escrowId, e);
+    }
 
-        token.safeTransferFrom(msg.sender, address(this), e.amount);
-        e.status = EscrowStatus.Funded;
-        emit FundsDeposited(escrowId, msg.sender, e.amount);
+    // Signed Offers
+
+    /**
+     * @dev Creates and funds an escrow from an offer signed by the seller.
+     * Native offers must send the amount; ERC20 offers need an allowance.
+     * The seller committed to the terms by signing, so the escrow starts
+     * acknowledged and cancelling it needs the seller's consent.
+     * @param offer The signed offer terms
+     * @param signature The seller's EIP-712 signature over the offer
+     * @return escrowId The ID of the new escrow
+     */
+    function acceptOffer(
+        Offer calldata offer,
+        bytes calldata signature
+    ) external payable nonReentrant returns (uint256) {
+        return _acceptOffer(offer, signature);
+    }
+
+    /**
+     * @dev acceptOffer for ERC20 offers, approving the tokens with an
+     * EIP-2612 permit in the same transaction
+     */
+    function acceptOfferWithPermit(
+        Offer calldata offer,
+        bytes calldata signature,
+        PermitSignature calldata permit
+    ) external nonReentrant returns (uint256) {
+        if (offer.token == address(0)) revert InvalidTokenOperation();
+        _permit(offer.token, offer.amount, permit);
+        return _acceptOffer(offer, signature);
+    }
+
+    /**
+     * @dev Invalidates an offer the caller signed but nobody accepted yet
+     * @param nonce The nonce of the offer
+     */
+    function cancelOffer(uint256 nonce) external {
+        if (usedOfferNonces[msg.sender][nonce]) revert OfferNonceUsed();
+        usedOfferNonces[msg.sender][nonce] = true;
+        emit OfferCancelled(msg.sender, nonce);
     }
 
     /**
@@ -397,44 +301,194 @@ contract CryptoEscrow is ReentrancyGuard {
         if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
         if (msg.sender != e.buyer) revert UnauthorizedAccess();
 
-        uint256 platformFee = calculatePlatformFee(e.amount);
-        uint256 sellerAmount = e.amount.sub(platformFee);
+        e.status = EscrowStatus.Released;
+        _recordTrade(e, true);
+        uint256 sellerAmount = _releaseRemaining(e);
+        emit FundsReleased(escrowId, e.seller, sellerAmount);
+    }
 
-        if (e.assetType == AssetType.Native) {
-            payable(e.seller).transfer(sellerAmount);
-            payable(feeCollector).transfer(platformFee);
-        } else {
-            IERC20(e.tokenAddress).safeTransfer(e.seller, sellerAmount);
-            IERC20(e.tokenAddress).safeTransfer(feeCollector, platformFee);
+    /**
+     * @dev Releases the next milestone of a milestone escrow to the seller,
+     * minus the platform fee on that milestone. Releasing the last one
+     * completes the escrow.
+     * @param escrowId The ID of the escrow
+     */
+    function releaseMilestone(uint256 escrowId) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.buyer) revert UnauthorizedAccess();
+
+        uint256 count = e.milestones.length;
+        uint256 index;
+        while (index < count && e.milestones[index].released) index++;
+        if (index == count) revert NoPendingMilestone();
+
+        Milestone storage m = e.milestones[index];
+        m.released = true;
+        e.releasedAmount += m.amount;
+        if (index == count - 1) {
+            e.status = EscrowStatus.Released;
+            _recordTrade(e, true);
         }
 
-        e.status = EscrowStatus.Released;
-        emit FundsReleased(escrowId, e.seller, sellerAmount);
+        uint256 sellerAmount = _payoutToSeller(e, m.amount);
+        emit MilestoneReleased(escrowId, index, sellerAmount);
     }
 
     /**
-     * @dev Cancels an escrow and returns funds to buyer
+     * @dev Cancels an escrow and returns funds to buyer. Only possible while
+     * the seller has not acknowledged the escrow; afterwards the seller has to
+     * approve the cancellation (see requestCancellation / cancelWithSellerConsent)
      * @param escrowId The ID of the escrow to cancel
      */
     function cancelEscrow(uint256 escrowId) external nonReentrant {
         Escrow storage e = escrows[escrowId];
         if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
         if (msg.sender != e.buyer) revert UnauthorizedAccess();
+        if (e.acknowledged) revert SellerConsentRequired();
 
-        if (e.assetType == AssetType.Native) {
-            payable(e.buyer).transfer(e.amount);
-        } else {
-            IERC20(e.tokenAddress).safeTransfer(e.buyer, e.amount);
+        _cancel(escrowId, e);
+    }
+
+    // Cancellation Functions
+
+    /**
+     * @dev Acknowledges the escrow as the seller. From then on the buyer can
+     * no longer cancel without the seller's consent
+     * @param escrowId The ID of the escrow to acknowledge
+     */
+    function acknowledgeEscrow(uint256 escrowId) external {
+        Escrow storage e = escrows[escrowId];
+        if (
+            e.status != EscrowStatus.Pending && e.status != EscrowStatus.Funded
+        ) revert EscrowNotFunded();
+        if (msg.sender != e.seller) revert UnauthorizedAccess();
+        if (e.acknowledged) revert EscrowAlreadyAcknowledged();
+
+        e.acknowledged = true;
+        emit EscrowAcknowledged(escrowId, msg.sender);
+    }
+
+    /**
+     * @dev Asks the seller to approve cancelling a funded escrow
+     * @param escrowId The ID of the escrow to cancel
+     */
+    function requestCancellation(uint256 escrowId) external {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.buyer) revert UnauthorizedAccess();
+
+        e.cancellationRequested = true;
+        emit CancellationRequested(escrowId, msg.sender);
+    }
+
+    /**
+     * @dev Approves a pending cancellation request and refunds the buyer
+     * @param escrowId The ID of the escrow to cancel
+     */
+    function approveCancellation(uint256 escrowId) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.seller) revert UnauthorizedAccess();
+        if (!e.cancellationRequested) revert CancellationNotRequested();
+
+        emit CancellationApproved(escrowId, msg.sender);
+        _cancel(escrowId, e);
+    }
+
+    /**
+     * @dev Cancels an escrow with a consent the seller signed off-chain
+     * @param escrowId The ID of the escrow to cancel
+     * @param deadline Timestamp until which the consent is valid
+     * @param signature The seller's EIP-712 CancellationConsent signature
+     */
+    function cancelWithSellerConsent(
+        uint256 escrowId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.buyer) revert UnauthorizedAccess();
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        _requireSignature(
+            keccak256(
+                abi.encode(CANCELLATION_CONSENT_TYPEHASH, escrowId, deadline)
+            ),
+            signature,
+            e.seller
+        );
+
+        emit CancellationApproved(escrowId, e.seller);
+        _cancel(escrowId, e);
+    }
+
+    // Delivery Deadline Functions
+
+    /**
+     * @dev Confirms shipment, enabling the seller to claim the funds once the
+     * delivery deadline passes without the buyer releasing, cancelling or disputing
+     * @param escrowId The ID of the escrow
+     */
+    function confirmShipment(uint256 escrowId) external {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.seller) revert UnauthorizedAccess();
+        if (e.shipped) revert ShipmentAlreadyConfirmed();
+        if (e.deliveryDeadline != 0 && block.timestamp > e.deliveryDeadline)
+            revert InvalidDeliveryDeadline();
+
+        e.shipped = true;
+        if (!e.acknowledged) {
+            e.acknowledged = true;
+            emit EscrowAcknowledged(escrowId, msg.sender);
         }
+        emit ShipmentConfirmed(escrowId, msg.sender);
+    }
 
-        e.status = EscrowStatus.Cancelled;
-        emit EscrowCancelled(escrowId, e.buyer, e.amount);
+    /**
+     * @dev Lets the seller claim the funds after the delivery deadline when
+     * shipment was confirmed and the buyer never acted
+     * @param escrowId The ID of the escrow to claim
+     */
+    function claimFunds(uint256 escrowId) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.seller) revert UnauthorizedAccess();
+        _requireDeadlinePassed(e);
+        if (!e.shipped) revert ShipmentNotConfirmed();
+
+        e.status = EscrowStatus.AutoReleased;
+        _recordTrade(e, true);
+        uint256 sellerAmount = _releaseRemaining(e);
+        emit FundsClaimed(escrowId, e.seller, sellerAmount);
+    }
+
+    /**
+     * @dev Lets the buyer reclaim the funds after the delivery deadline when
+     * the seller never confirmed shipment
+     * @param escrowId The ID of the escrow to refund
+     */
+    function claimRefund(uint256 escrowId) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
+        if (msg.sender != e.buyer) revert UnauthorizedAccess();
+        _requireDeadlinePassed(e);
+        if (e.shipped) revert ShipmentAlreadyConfirmed();
+
+        e.status = EscrowStatus.Refunded;
+        _recordTrade(e, false);
+        emit RefundClaimed(escrowId, e.buyer, _refundToBuyer(e));
     }
 
     // Dispute Resolution Functions
 
     /**
-     * @dev Raises a dispute on an escrow
+     * @dev Raises a dispute on an escrow. The fee is taken in the escrow's
+     * token when the admin configured one for it (the caller must have
+     * approved it), otherwise in native coin, with any excess credited to
+     * the caller to withdraw.
      * @param escrowId The ID of the escrow to dispute
      * @param reason The reason for the dispute
      */
@@ -442,68 +496,38 @@ contract CryptoEscrow is ReentrancyGuard {
         uint256 escrowId,
         string memory reason
     ) external payable nonReentrant {
+        _requireNotPaused(PAUSE_DISPUTES);
         Escrow storage e = escrows[escrowId];
         if (e.status != EscrowStatus.Funded) revert EscrowNotFunded();
         if (msg.sender != e.buyer && msg.sender != e.seller)
             revert UnauthorizedAccess();
-        if (msg.value < disputeFeeFixed) revert InvalidFeeConfiguration();
+
+        (address feeToken, uint256 fee) = getDisputeFee(escrowId);
 
         e.status = EscrowStatus.Disputed;
         e.disputeRaisedBy = msg.sender;
         e.disputeReason = reason;
-        e.disputeExpiry = block.timestamp.add(DISPUTE_TIMEFRAME);
-        e.disputeFee = msg.value;
-        e.arbitrator = assignArbitrator();
-
-        emit DisputeRaised(escrowId, msg.sender, reason);
-    }
-
-    /**
-     * @dev Resolves a dispute
-     * @param escrowId The ID of the escrow to resolve
-     * @param buyerAmount Amount to return to buyer
-     * @param sellerAmount Amount to send to seller
-     */
-    function resolveDispute(
-        uint256 escrowId,
-        uint256 buyerAmount,
-        uint256 sellerAmount
-    ) external nonReentrant {
-        Escrow storage e = escrows[escrowId];
-        if (e.status != EscrowStatus.Disputed)
-            revert EscrowNotInDisputedState();
-        if (block.timestamp > e.disputeExpiry) revert DisputeTimeframeExpired();
-        if (msg.sender != e.arbitrator && msg.sender != admin)
-            revert UnauthorizedAccess();
-
-        uint256 totalAmount = e.amount;
-        uint256 platformFee = calculatePlatformFee(totalAmount);
-        uint256 remainingAmount = totalAmount.sub(platformFee);
-
-        if (buyerAmount.add(sellerAmount) > remainingAmount)
-            revert AmountsExceedEscrowBalance();
-
-        if (e.assetType == AssetType.Native) {
-            if (buyerAmount > 0) payable(e.buyer).transfer(buyerAmount);
-            if (sellerAmount > 0) payable(e.seller).transfer(sellerAmount);
-            payable(feeCollector).transfer(platformFee.add(e.disputeFee));
+        e.disputeExpiry = block.timestamp + DISPUTE_TIMEFRAME;
+        // Fixed now, so the seller cannot move it while the dispute is open
+        uint256 unreleased = _unreleased(e);
+        e.platformFee = _platformFee(e.seller, e.tokenAddress, unreleased);
+        reputations[msg.sender].disputesRaised++;
+
+        if (feeToken != address(0)) {
+            if (msg.value > 0) revert NativeTokensNotRequiredForERC20();
+            e.disputeFeeInToken = true;
+            fee = _pullTokens(feeToken, fee);
         } else {
-            if (buyerAmount > 0)
-                IERC20(e.tokenAddress).safeTransfer(e.buyer, buyerAmount);
-            if (sellerAmount > 0)
-                IERC20(e.tokenAddress).safeTransfer(e.seller, sellerAmount);
-            IERC20(e.tokenAddress).safeTransfer(feeCollector, platformFee);
-            payable(feeCollector).transfer(e.disputeFee);
+            if (msg.value < fee) revert InvalidFeeConfiguration();
+            uint256 excess = msg.value - fee;
+            _credit(msg.sender, address(0), excess);
+            lockedBalances[address(0)] += excess;
         }
+        e.disputeFee = fee;
+        lockedBalances[feeToken] += fee;
 
-        e.status = EscrowStatus.Resolved;
-        emit DisputeResolved(
-            escrowId,
-            msg.sender,
-            buyerAmount > 0,
-            buyerAmount,
-            sellerAmount
-        );
+        emit DisputeRaised(escrowId, msg.sender, reason);
+        CryptoEscrowAdmin(address(this)).assignDisputeArbitrators(escrowId);
     }
 
     // Token Wrapping Functions
@@ -517,17 +541,20 @@ contract CryptoEscrow is ReentrancyGuard {
         address tokenAddress,
         uint256 amount
     ) external nonReentrant {
+        _requireNotPaused(PAUSE_WRAPPING);
+        _requireTokenNotPaused(tokenAddress);
         if (!allowedTokens[tokenAddress]) revert TokenNotSupported();
         if (tokenAddress == address(0)) revert TokenNotWrappable();
         if (amount == 0) revert InvalidTokenAmount();
 
-        IERC20 token = IERC20(tokenAddress);
-        token.safeTransferFrom(msg.sender, address(this), amount);
+        amount = _pullTokens(tokenAddress, amount);
+        lockedBalances[tokenAddress] += amount;
 
         address wrappedToken = tokenToWrapper[tokenAddress];
         if (wrappedToken == address(0)) {
             wrappedToken = createWrappedToken(tokenAddress);
             tokenToWrapper[tokenAddress] = wrappedToken;
+            wrapperToToken[wrappedToken] = tokenAddress;
             isWrappedToken[wrappedToken] = true;
         }
 
@@ -536,7 +563,8 @@ contract CryptoEscrow is ReentrancyGuard {
     }
 
     /**
-     * @dev Unwraps a token back to its original form
+     * @dev Unwraps a token back to its original form. Holders can still
+     * unwrap after the original token is no longer supported.
      * @param wrappedToken The wrapped token to unwrap
      * @param amount The amount to unwrap
      */
@@ -544,166 +572,331 @@ contract CryptoEscrow is ReentrancyGuard {
         address wrappedToken,
         uint256 amount
     ) external nonReentrant {
-        if (!isWrappedToken[wrappedToken]) revert TokenNotSupported();
+        _requireNotPaused(PAUSE_WRAPPING);
+        address originalToken = wrapperToToken[wrappedToken];
+        if (originalToken == address(0)) revert TokenNotSupported();
         if (amount == 0) revert InvalidTokenAmount();
 
-        address originalToken;
-        for (uint256 i = 0; i < supportedTokens.length; i++) {
-            if (tokenToWrapper[supportedTokens[i]] == wrappedToken) {
-                originalToken = supportedTokens[i];
-                break;
-            }
-        }
-        if (originalToken == address(0)) revert InvalidTokenOperation();
-
         IWrappedToken(wrappedToken).burn(msg.sender, amount);
-        IERC20(originalToken).safeTransfer(msg.sender, amount);
+        uint256 paid = _backedAmount(originalToken, amount);
+        lockedBalances[originalToken] -= amount;
+        IERC20(originalToken).safeTransfer(msg.sender, paid);
 
         emit TokenUnwrapped(wrappedToken, originalToken, amount);
     }
 
-    // Admin Functions
-
-    function addSupportedToken(address tokenAddress) external onlyAdmin {
-        if (tokenAddress == address(0)) revert InvalidAddress();
-        if (allowedTokens[tokenAddress]) revert TokenAlreadySupported();
-
-        _addSupportedToken(tokenAddress);
+    /**
+     * @dev Withdraws everything credited to the caller in one token
+     * (address(0) for native). Payouts from releases, refunds and dispute
+     * resolutions are credited rather than pushed, so a recipient that cannot
+     * receive never blocks them.
+     * @param token The token to withdraw
+     */
+    function withdraw(address token) external nonReentrant {
+        _withdraw(token);
     }
 
-    function removeSupportedToken(address tokenAddress) external onlyAdmin {
-        if (!allowedTokens[tokenAddress]) revert TokenNotSupported();
-
-        allowedTokens[tokenAddress] = false;
+    /**
+     * @dev Withdraws the caller's credited balance in every supported token
+     * and its wrapper
+     */
+    function withdrawAll() external nonReentrant {
         for (uint256 i = 0; i < supportedTokens.length; i++) {
-            if (supportedTokens[i] == tokenAddress) {
-                supportedTokens[i] = supportedTokens[
-                    supportedTokens.length - 1
-                ];
-                supportedTokens.pop();
-                break;
-            }
+            address token = supportedTokens[i];
+            if (pendingWithdrawals[msg.sender][token] > 0) _withdraw(token);
+
+            address wrapper = tokenToWrapper[token];
+            if (
+                wrapper != address(0) &&
+                pendingWithdrawals[msg.sender][wrapper] > 0
+            ) _withdraw(wrapper);
         }
-
-        emit TokenSupportRemoved(tokenAddress);
     }
 
-    function addArbitrator(address arbitrator) external onlyAdmin {
-        if (arbitrator == address(0)) revert InvalidAddress();
-        arbitrators[arbitrator] = true;
-        emit ArbitratorAdded(arbitrator);
-    }
+    // Internal Functions
 
-    function removeArbitrator(address arbitrator) external onlyAdmin {
-        arbitrators[arbitrator] = false;
-        emit ArbitratorRemoved(arbitrator);
+    /**
+     * @dev Upgrades go through the timelock like emergency withdrawals: the
+     * admin queues upgradeToAndCall, and executeOperation makes the call
+     */
+    function _authorizeUpgrade(address) internal view override {
+        _checkTimelock();
     }
 
-    function updatePlatformFee(uint256 newFee) external onlyAdmin {
-        if (newFee > MAX_PLATFORM_FEE) revert InvalidFeeConfiguration();
-        platformFeePercentage = newFee;
-        emit PlatformFeeUpdated(newFee);
+    function _requireNotPaused(uint256 flag) internal view {
+        if (pausedFunctions & flag != 0) revert FunctionPaused();
     }
 
-    function updateDisputeFee(uint256 newFee) external onlyAdmin {
-        if (newFee < MIN_DISPUTE_FEE) revert InvalidFeeConfiguration();
-        disputeFeeFixed = newFee;
-        emit DisputeFeeUpdated(newFee);
+    /// @dev Freezing a token also freezes its wrapper
+    function _requireTokenNotPaused(address token) internal view {
+        if (pausedTokens[token] || pausedTokens[_originalToken(token)])
+            revert TokenIsPaused();
     }
 
-    function updateFeeCollector(address newCollector) external onlyAdmin {
-        if (newCollector == address(0)) revert InvalidAddress();
-        feeCollector = newCollector;
-        emit FeeCollectorUpdated(newCollector);
+    /// @dev The caller's pending ERC20 escrow, which they may fund
+    function _fundableEscrow(
+        uint256 escrowId
+    ) internal view returns (Escrow storage e) {
+        e = escrows[escrowId];
+        // Native escrows are funded at creation and have no permit to apply
+        if (e.tokenAddress == address(0)) revert InvalidTokenOperation();
+        if (e.status != EscrowStatus.Pending) revert EscrowNotFunded();
+        if (e.buyer != msg.sender) revert UnauthorizedAccess();
     }
 
-    function transferAdmin(address newAdmin) external onlyAdmin {
-        if (newAdmin == address(0)) revert InvalidAddress();
-        admin = newAdmin;
-        emit AdminUpdated(newAdmin);
-    }
+    function _fundEscrow(uint256 escrowId, Escrow storage e) internal {
+        _requireNotPaused(PAUSE_FUNDING);
+        _requireTokenNotPaused(e.tokenAddress);
+        IERC20 token = IERC20(e.tokenAddress);
+        uint256 allowance = token.allowance(msg.sender, address(this));
+        require(allowance >= e.amount, "Insufficient allowance");
 
-    // Internal Functions
+        uint256 received = _pullTokens(e.tokenAddress, e.amount);
+        if (received != e.amount) {
+            // Fee-on-transfer token: the escrow holds what actually arrived.
+            // Milestone amounts were fixed at creation and cannot be rescaled.
+            if (e.milestones.length > 0) revert InvalidTokenAmount();
+            e.amount = received;
+        }
+        _lockFunds(e, received);
+        e.status = EscrowStatus.Funded;
+        emit FundsDeposited(escrowId, msg.sender, e.amount);
+    }
 
-    function _addSupportedToken(address tokenAddress) internal {
-        require(tokenAddress.isContract(), "Address is not a contract");
+    function _acceptOffer(
+        Offer calldata offer,
+        bytes calldata signature
+    ) internal returns (uint256 escrowId) {
+        if (block.timestamp > offer.expiry) revert SignatureExpired();
+        if (usedOfferNonces[offer.seller][offer.nonce]) revert OfferNonceUsed();
+        _requireSignature(
+            keccak256(
+                abi.encode(
+                    OFFER_TYPEHASH,
+                    offer.seller,
+                    offer.token,
+                    offer.amount,
+                    keccak256(bytes(offer.paymentDetails)),
+                    offer.expiry,
+                    offer.nonce
+                )
+            ),
+            signature,
+            offer.seller
+        );
+        usedOfferNonces[offer.seller][offer.nonce] = true;
+
+        escrowId = _createEscrow(
+            offer.seller,
+            offer.token,
+            offer.amount,
+            offer.paymentDetails,
+            0
+        );
+        Escrow storage e = escrows[escrowId];
+        if (offer.token != address(0)) _fundEscrow(escrowId, e);
 
-        allowedTokens[tokenAddress] = true;
-        supportedTokens.push(tokenAddress);
-        emit TokenSupported(tokenAddress);
+        e.acknowledged = true;
+        emit OfferAccepted(escrowId, offer.seller, offer.nonce);
+        emit EscrowAcknowledged(escrowId, offer.seller);
     }
 
-    function createWrappedToken(
-        address originalToken
-    ) internal returns (address) {
-        if (tokenToWrapper[originalToken] != address(0))
-            revert WrappedTokenExists();
+    /**
+     * @dev Applies a permit, ignoring failures: a front-runner may already
+     * have submitted it, in which case the allowance is in place anyway
+     */
+    function _permit(
+        address token,
+        uint256 amount,
+        PermitSignature calldata permit
+    ) internal {
+        try
+            IERC20Permit(token).permit(
+                msg.sender,
+                address(this),
+                amount,
+                permit.deadline,
+                permit.v,
+                permit.r,
+                permit.s
+            )
+        {} catch {}
+    }
 
-        IERC20Metadata token = IERC20Metadata(originalToken);
-        string memory name = string(abi.encodePacked("Wrapped ", token.name()));
-        string memory symbol = string(abi.encodePacked("W", token.symbol()));
+    function _requireSignature(
+        bytes32 structHash,
+        bytes calldata signature,
+        address expectedSigner
+    ) internal view {
+        (address signer, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+            _hashTypedDataV4(structHash),
+            signature
+        );
+        if (err != ECDSA.RecoverError.NoError || signer != expectedSigner)
+            revert InvalidSignature();
+    }
 
-        WrappedToken wrappedToken = new WrappedToken(name, symbol);
-        return address(wrappedToken);
+    /**
+     * @dev Adds funds arriving for an escrow to lockedBalances, and to the
+     * buyer's exposure and the day's volume within the token's limits
+     */
+    function _lockFunds(Escrow storage e, uint256 amount) internal {
+        address token = _originalToken(e.tokenAddress);
+        TokenLimits memory limits = _tokenLimits(token);
+        uint256 exposure = openExposure[e.buyer][token] + amount;
+        if (limits.maxExposure != 0 && exposure > limits.maxExposure)
+            revert ExposureLimitExceeded();
+        uint256 day = block.timestamp / 1 days;
+        uint256 volume = dailyVolume[token][day] + amount;
+        if (limits.dailyCap != 0 && volume > limits.dailyCap)
+            revert DailyLimitExceeded();
+
+        openExposure[e.buyer][token] = exposure;
+        dailyVolume[token][day] = volume;
+        lockedBalances[e.tokenAddress] += amount;
     }
 
-    function assignArbitrator() internal view returns (address) {
-        // Simplified arbitrator assignment - in production you'd want a more robust system
-        // This is just a placeholder implementation
-        for (uint256 i = 0; i < supportedTokens.length; i++) {
-            if (arbitrators[supportedTokens[i]]) {
-                return supportedTokens[i];
-            }
+    /// @dev Pays the seller everything not yet released, marking any open milestones released
+    function _releaseRemaining(
+        Escrow storage e
+    ) internal returns (uint256 sellerAmount) {
+        for (uint256 i = 0; i < e.milestones.length; i++) {
+            e.milestones[i].released = true;
         }
-        return admin;
+        uint256 amount = _unreleased(e);
+        e.releasedAmount = e.amount;
+        sellerAmount = _payoutToSeller(e, amount);
     }
 
-    // View Functions
-
-    function calculatePlatformFee(
+    /**
+     * @dev Credits `amount` less the seller's platform fee to the seller, or
+     * all of it when they pay the fee in CHX, and adds it to both parties'
+     * volume
+     */
+    function _payoutToSeller(
+        Escrow storage e,
         uint256 amount
-    ) public view returns (uint256) {
-        return amount.mul(platformFeePercentage).div(10000);
+    ) internal returns (uint256 sellerAmount) {
+        address token = _originalToken(e.tokenAddress);
+        uint256 platformFee = _platformFee(e.seller, token, amount);
+        if (_payFeeInChx(e.seller, token, platformFee)) platformFee = 0;
+        userVolume[e.buyer][token] += amount;
+        userVolume[e.seller][token] += amount;
+        _releaseExposure(e, amount);
+
+        sellerAmount = amount - platformFee;
+        _credit(e.seller, e.tokenAddress, sellerAmount);
+        _credit(feeCollector, e.tokenAddress, platformFee);
     }
 
-    function getSupportedTokens() public view returns (address[] memory) {
-        return supportedTokens;
+    function _cancel(uint256 escrowId, Escrow storage e) internal {
+        e.status = EscrowStatus.Cancelled;
+        _recordTrade(e, false);
+        emit EscrowCancelled(escrowId, e.buyer, _refundToBuyer(e));
     }
 
-    function getUserEscrows(
-        address user
-    ) public view returns (uint256[] memory) {
-        return userEscrows[user];
+    /// @dev Counts an escrow that ended, released or not, for both parties
+    function _recordTrade(Escrow storage e, bool completed) internal {
+        if (completed) {
+            reputations[e.buyer].completedTrades++;
+            reputations[e.buyer].completedPurchases++;
+            reputations[e.seller].completedTrades++;
+        } else {
+            reputations[e.buyer].cancelledTrades++;
+            reputations[e.seller].cancelledTrades++;
+        }
     }
 
-    function getEscrowDetails(
-        uint256 escrowId
-    ) public view returns (Escrow memory) {
-        return escrows[escrowId];
+    /// @dev Returns everything not yet released to the buyer
+    function _refundToBuyer(Escrow storage e) internal returns (uint256 amount) {
+        amount = _unreleased(e);
+        _releaseExposure(e, amount);
+        _credit(e.buyer, e.tokenAddress, amount);
     }
 
-    function isTokenSupported(address token) public view returns (bool) {
-        return allowedTokens[token];
+    function _withdraw(address token) internal {
+        uint256 amount = pendingWithdrawals[msg.sender][token];
+        if (amount == 0) revert NothingToWithdraw();
+
+        pendingWithdrawals[msg.sender][token] = 0;
+        uint256 paid = _backedAmount(token, amount);
+        lockedBalances[token] -= amount;
+        if (token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: paid}("");
+            if (!success) revert WithdrawalFailed();
+        } else {
+            IERC20(token).safeTransfer(msg.sender, paid);
+        }
+        emit Withdrawn(msg.sender, token, paid);
     }
 
-    function getWrappedToken(
+    /**
+     * @dev Takes a platform fee in `token` from `payer` in CHX instead, at
+     * the token's CHX rate, if they opted in. Returns false, and the fee comes
+     * out of the payout, when they did not, there is no rate or the transfer
+     * fails (e.g. no allowance), so a release never depends on it.
+     */
+    function _payFeeInChx(
+        address payer,
+        address token,
+        uint256 fee
+    ) internal returns (bool) {
+        uint256 chxAmount = _chxFee(token, fee);
+        if (!payFeesInChx[payer] || chxAmount == 0) return false;
+
+        (bool success, bytes memory data) = chxToken.call(
+            abi.encodeCall(
+                IERC20.transferFrom,
+                (payer, feeCollector, chxAmount)
+            )
+        );
+        if (!success || (data.length != 0 && !abi.decode(data, (bool))))
+            return false;
+        emit PlatformFeePaidInChx(payer, token, fee, chxAmount);
+        return true;
+    }
+
+    function _requireDeadlinePassed(Escrow storage e) internal view {
+        if (e.deliveryDeadline == 0 || block.timestamp <= e.deliveryDeadline)
+            revert DeliveryDeadlineNotPassed();
+    }
+
+    function createWrappedToken(
         address originalToken
-    ) public view returns (address) {
-        return tokenToWrapper[originalToken];
+    ) internal returns (address) {
+        if (tokenToWrapper[originalToken] != address(0))
+            revert WrappedTokenExists();
+
+        return wrappedTokenDeployer.deploy(originalToken);
     }
 
-    // Emergency Functions
+    // View Functions
 
-    function emergencyWithdrawToken(
-        address tokenAddress,
+    /**
+     * @dev Platform fee at the base rate, before CHX and volume discounts
+     * (see getEffectiveFee)
+     */
+    function calculatePlatformFee(
         uint256 amount
-    ) external onlyAdmin {
-        IERC20(tokenAddress).safeTransfer(feeCollector, amount);
+    ) public view returns (uint256) {
+        return (amount * platformFeePercentage) / BASIS_POINTS;
     }
 
-    function emergencyWithdrawNative(uint256 amount) external onlyAdmin {
-        payable(feeCollector).transfer(amount);
+    /**
+     * @dev Returns the fee for raising a dispute on an escrow and the token
+     * it is paid in (address(0) for native coin). Wrapped escrows pay the
+     * wrapped token's fee in the wrapper, which has the same decimals.
+     */
+    function getDisputeFee(
+        uint256 escrowId
+    ) public view returns (address feeToken, uint256 fee) {
+        address token = escrows[escrowId].tokenAddress;
+        fee = tokenDisputeFees[token];
+        if (fee == 0) fee = tokenDisputeFees[wrapperToToken[token]];
+        if (fee == 0) return (address(0), disputeFeeFixed);
+        feeToken = token;
     }
+
     function submitDisputeEvidence(
         uint256 escrowId,
         string memory evidenceURL
@@ -718,23 +911,33 @@ contract CryptoEscrow is ReentrancyGuard {
     }
 }
 
-// Wrapped Token Implementation
+/**
+ * @dev ERC20 issued 1:1 against a token locked in the escrow. Only the
+ * escrow (the minter) can mint and burn, and amounts use the decimals of the
+ * wrapped token.
+ */
 contract WrappedToken is IERC20, IERC20Metadata {
     using SafeMath for uint256;
 
     string private _name;
     string private _symbol;
-    uint8 public constant decimals = 18;
+    uint8 public immutable decimals;
     uint256 private _totalSupply;
-    address public minter;
+    address public immutable minter;
 
     mapping(address => uint256) private _balances;
     mapping(address => mapping(address => uint256)) private _allowances;
 
-    constructor(string memory name_, string memory symbol_) {
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        address minter_
+    ) {
         _name = name_;
         _symbol = symbol_;
-        minter = msg.sender;
+        decimals = decimals_;
+        minter = minter_;
     }
 
     function name() public view override returns (string memory) {
@@ -830,3 +1033,25 @@ contract WrappedToken is IERC20, IERC20Metadata {
         emit Approval(owner, spender, amount);
     }
 }
+
+/**
+ * @dev Deploys WrappedToken instances minted by the caller. Each CryptoEscrow
+ * implementation deploys one, but it is called through the proxy, so the
+ * minter is the proxy; CryptoEscrow only trusts wrappers it recorded itself.
+ */
+contract WrappedTokenDeployer {
+    /**
+     * @dev Deploys the wrapper of `originalToken`, named after it
+     * ("Wrapped <name>", "W<symbol>"), with its decimals and minted by the
+     * caller
+     */
+    function deploy(address originalToken) external returns (address) {
+        IERC20Metadata token = IERC20Metadata(originalToken);
+        string memory name = string(abi.encodePacked("Wrapped ", token.name()));
+        string memory symbol = string(abi.encodePacked("W", token.symbol()));
+        return
+            address(
+                new WrappedToken(name, symbol, token.decimals(), msg.sender)
+            );
+    }
+}
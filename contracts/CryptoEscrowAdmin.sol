@@ -0,0 +1,975 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./CryptoEscrowBase.sol";
+
+/**
+ * @dev Admin, timelock, CHX staking, dispute resolution, reputation and
+ * read-only functions of CryptoEscrow, split out to keep it under the code
+ * size limit. CryptoEscrow delegates every call it does not implement here,
+ * so these run against the proxy's storage; this contract is never used on
+ * its own and holds no state or funds.
+ */
+contract CryptoEscrowAdmin is CryptoEscrowBase {
+    using SafeERC20 for IERC20;
+
+    // UUPSUpgradeable.upgradeToAndCall, implemented by CryptoEscrow
+    bytes4 internal constant UPGRADE_SELECTOR =
+        bytes4(keccak256("upgradeToAndCall(address,bytes)"));
+
+    // Admin Functions
+
+    function addSupportedToken(
+        address tokenAddress
+    ) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (tokenAddress == address(0)) revert InvalidAddress();
+        _addSupportedToken(tokenAddress);
+    }
+
+    /**
+     * @dev Sets the escrow limits of a supported token (address(0) for
+     * native), in the token's smallest unit. addSupportedToken starts a token
+     * at MIN_ESCROW_AMOUNT scaled to its decimals, with no maximum or caps.
+     */
+    function setTokenLimits(
+        address token,
+        TokenLimits calldata limits
+    ) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (!allowedTokens[token]) revert TokenNotSupported();
+        _setTokenLimits(token, limits);
+    }
+
+    function removeSupportedToken(
+        address tokenAddress
+    ) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (!allowedTokens[tokenAddress]) revert TokenNotSupported();
+
+        allowedTokens[tokenAddress] = false;
+        for (uint256 i = 0; i < supportedTokens.length; i++) {
+            if (supportedTokens[i] == tokenAddress) {
+                supportedTokens[i] = supportedTokens[
+                    supportedTokens.length - 1
+                ];
+                supportedTokens.pop();
+                break;
+            }
+        }
+
+        emit TokenSupportRemoved(tokenAddress);
+    }
+
+    function addArbitrator(
+        address arbitrator
+    ) external onlyRole(ARBITRATOR_MANAGER_ROLE) {
+        if (arbitrator == address(0)) revert InvalidAddress();
+        if (arbitrators[arbitrator]) revert ArbitratorAlreadyAdded();
+
+        arbitrators[arbitrator] = true;
+        arbitratorList.push(arbitrator);
+        arbitratorIndex[arbitrator] = arbitratorList.length;
+        emit ArbitratorAdded(arbitrator);
+    }
+
+    /**
+     * @dev Removes an arbitrator from the pool. Disputes already assigned to
+     * them stay assigned until resolved or recused.
+     */
+    function removeArbitrator(
+        address arbitrator
+    ) external onlyRole(ARBITRATOR_MANAGER_ROLE) {
+        uint256 index = arbitratorIndex[arbitrator];
+        if (index == 0) revert ArbitratorNotFound();
+
+        address last = arbitratorList[arbitratorList.length - 1];
+        arbitratorList[index - 1] = last;
+        arbitratorIndex[last] = index;
+        arbitratorList.pop();
+        delete arbitratorIndex[arbitrator];
+        arbitrators[arbitrator] = false;
+        emit ArbitratorRemoved(arbitrator);
+    }
+
+    /**
+     * @dev Sets how many arbitrators sit on a dispute panel and how many of
+     * their votes resolve it, a majority of the panel. A size of 0 turns
+     * panels off; disputes already with a panel keep it.
+     */
+    function setPanelConfig(
+        uint256 size,
+        uint256 quorum
+    ) external onlyRole(ARBITRATOR_MANAGER_ROLE) {
+        if (
+            size == 0
+                ? quorum != 0
+                : size < 2 ||
+                    size > MAX_PANEL_SIZE ||
+                    quorum <= size / 2 ||
+                    quorum > size
+        ) revert InvalidPanelConfiguration();
+        panelSize = size;
+        panelQuorum = quorum;
+        emit PanelConfigUpdated(size, quorum);
+    }
+
+    /**
+     * @dev Sets the disputed amount, in the token's smallest unit (address(0)
+     * for native), from which disputes go to a panel; 0 for never
+     */
+    function setPanelThreshold(
+        address token,
+        uint256 threshold
+    ) external onlyRole(ARBITRATOR_MANAGER_ROLE) {
+        if (!allowedTokens[token]) revert TokenNotSupported();
+        panelThresholds[token] = threshold;
+        emit PanelThresholdUpdated(token, threshold);
+    }
+
+    function updatePlatformFee(uint256 newFee) external onlyTimelock {
+        if (newFee > MAX_PLATFORM_FEE) revert InvalidFeeConfiguration();
+        platformFeePercentage = newFee;
+        emit PlatformFeeUpdated(newFee);
+    }
+
+    function updateDisputeFee(uint256 newFee) external onlyTimelock {
+        if (newFee < MIN_DISPUTE_FEE) revert InvalidFeeConfiguration();
+        disputeFeeFixed = newFee;
+        emit DisputeFeeUpdated(newFee);
+    }
+
+    function updateExpiredDisputeSplit(
+        uint256 buyerShare
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        if (buyerShare > BASIS_POINTS) revert InvalidFeeConfiguration();
+        expiredDisputeBuyerShare = buyerShare;
+        emit ExpiredDisputeSplitUpdated(buyerShare);
+    }
+
+    /**
+     * @dev Sets the dispute fee for escrows in `token`, paid in that token;
+     * 0 falls back to the native `disputeFeeFixed`
+     */
+    function setTokenDisputeFee(
+        address token,
+        uint256 newFee
+    ) external onlyTimelock {
+        if (token == address(0) || !allowedTokens[token])
+            revert TokenNotSupported();
+        tokenDisputeFees[token] = newFee;
+        emit TokenDisputeFeeUpdated(token, newFee);
+    }
+
+    /**
+     * @dev Replaces the CHX fee tiers, which apply by the CHX a user staked.
+     * Thresholds must be ascending; discounts are basis points off the fee.
+     */
+    function setChxFeeTiers(FeeTier[] calldata tiers) external onlyTimelock {
+        _setFeeTiers(chxFeeTiers, tiers);
+        emit ChxFeeTiersUpdated(tiers);
+    }
+
+    /**
+     * @dev Replaces the volume fee tiers of `token`, which apply by a user's
+     * released volume in it. Thresholds are in the token's own units.
+     */
+    function setVolumeFeeTiers(
+        address token,
+        FeeTier[] calldata tiers
+    ) external onlyTimelock {
+        if (!allowedTokens[token]) revert TokenNotSupported();
+        _setFeeTiers(volumeFeeTiers[token], tiers);
+        emit VolumeFeeTiersUpdated(token, tiers);
+    }
+
+    /**
+     * @dev Sets what paying the platform fee on `token` in CHX costs: CHX
+     * base units per token base unit, scaled by 1e18. 0 disables it.
+     */
+    function setChxFeeRate(address token, uint256 rate) external onlyTimelock {
+        if (!allowedTokens[token]) revert TokenNotSupported();
+        chxFeeRates[token] = rate;
+        emit ChxFeeRateUpdated(token, rate);
+    }
+
+    /**
+     * @dev When enabled, the dispute fee goes back to whoever raised the
+     * dispute if the outcome favours them, instead of to the fee collector
+     */
+    function setDisputeFeeRefund(
+        bool enabled
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        refundDisputeFeeToWinner = enabled;
+        emit DisputeFeeRefundUpdated(enabled);
+    }
+
+    function updateFeeCollector(
+        address newCollector
+    ) external onlyTimelock {
+        if (newCollector == address(0)) revert InvalidAddress();
+        feeCollector = newCollector;
+        emit FeeCollectorUpdated(newCollector);
+    }
+
+    /**
+     * @dev Starts an admin handover; `newAdmin` has to call acceptAdmin to
+     * complete it, so a mistyped address never takes control
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        if (newAdmin == address(0)) revert InvalidAddress();
+        pendingAdmin = newAdmin;
+        emit AdminTransferStarted(newAdmin);
+    }
+
+    function acceptAdmin() external {
+        if (msg.sender != pendingAdmin) revert UnauthorizedAccess();
+        admin = msg.sender;
+        delete pendingAdmin;
+        emit AdminUpdated(msg.sender);
+    }
+
+    /**
+     * @dev Halts the given functions (a bitmask of the PAUSE_* flags).
+     * Releases, refunds and dispute resolution are never paused so users can
+     * always exit.
+     * @param functions The PAUSE_* flags to set
+     */
+    function pause(uint256 functions) external onlyRole(PAUSER_ROLE) {
+        pausedFunctions |= functions;
+        emit Paused(msg.sender, functions);
+    }
+
+    function unpause(uint256 functions) external onlyRole(PAUSER_ROLE) {
+        pausedFunctions &= ~functions;
+        emit Unpaused(msg.sender, functions);
+    }
+
+    /**
+     * @dev Freezes a single token: no new escrows, funding or wrapping in it
+     * or its wrapper. Existing escrows can still be released, refunded,
+     * disputed and unwrapped.
+     */
+    function setTokenPaused(
+        address token,
+        bool paused
+    ) external onlyRole(PAUSER_ROLE) {
+        pausedTokens[token] = paused;
+        emit TokenPauseUpdated(token, paused);
+    }
+
+    function grantRole(bytes32 role, address account) external onlyAdmin {
+        if (account == address(0)) revert InvalidAddress();
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyAdmin {
+        hasRole[role][account] = false;
+        emit RoleRevoked(role, account);
+    }
+
+    // Timelock
+
+    /**
+     * @dev Queues a call to one of the timelocked functions (fee changes for
+     * fee managers, emergency withdrawals and upgrades for the admin). It can
+     * be executed TIMELOCK_DELAY later with the same calldata.
+     * @param data ABI-encoded call, e.g. updatePlatformFee(150)
+     * @return id The operation ID, keccak256(data)
+     */
+    function queueOperation(bytes calldata data) external returns (bytes32 id) {
+        _checkOperationRole(data);
+        id = keccak256(data);
+        if (queuedOperations[id] != 0) revert OperationAlreadyQueued();
+
+        uint256 executableAt = block.timestamp + TIMELOCK_DELAY;
+        queuedOperations[id] = executableAt;
+        emit OperationQueued(id, data, executableAt);
+    }
+
+    function cancelOperation(bytes calldata data) external {
+        _checkOperationRole(data);
+        bytes32 id = keccak256(data);
+        if (queuedOperations[id] == 0) revert OperationNotQueued();
+
+        delete queuedOperations[id];
+        emit OperationCancelled(id);
+    }
+
+    function executeOperation(bytes calldata data) external nonReentrant {
+        _checkOperationRole(data);
+        bytes32 id = keccak256(data);
+        uint256 executableAt = queuedOperations[id];
+        if (executableAt == 0) revert OperationNotQueued();
+        if (block.timestamp < executableAt) revert OperationNotReady();
+
+        delete queuedOperations[id];
+        (bool success, bytes memory result) = address(this).call(data);
+        if (!success) {
+            assembly ("memory-safe") {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit OperationExecuted(id);
+    }
+
+    // CHX Staking
+
+    /**
+     * @dev Stakes CHX, which sets the caller's CHX fee tier. It can be
+     * unstaked CHX_STAKE_LOCK after the last stake.
+     * @param amount The amount of CHX to stake
+     */
+    function stakeChx(uint256 amount) external nonReentrant {
+        if (amount == 0) revert InvalidTokenAmount();
+        amount = _pullTokens(chxToken, amount);
+        stakedChx[msg.sender] += amount;
+        lockedBalances[chxToken] += amount;
+
+        uint256 unlockTime = block.timestamp + CHX_STAKE_LOCK;
+        chxStakeUnlockTime[msg.sender] = unlockTime;
+        emit ChxStaked(msg.sender, amount, unlockTime);
+    }
+
+    /// @dev Returns staked CHX to the caller once the stake lock has passed
+    function unstakeChx(uint256 amount) external nonReentrant {
+        if (block.timestamp < chxStakeUnlockTime[msg.sender])
+            revert StakeLocked();
+        if (amount == 0 || amount > stakedChx[msg.sender])
+            revert InvalidTokenAmount();
+
+        stakedChx[msg.sender] -= amount;
+        uint256 paid = _backedAmount(chxToken, amount);
+        lockedBalances[chxToken] -= amount;
+        IERC20(chxToken).safeTransfer(msg.sender, paid);
+        emit ChxUnstaked(msg.sender, amount);
+    }
+
+    /**
+     * @dev Opts in to paying platform fees on the caller's payouts in CHX,
+     * for tokens with a CHX rate. The escrow needs a CHX allowance; without
+     * one the fee is taken from the payout as usual.
+     */
+    function setPayFeesInChx(bool enabled) external {
+        payFeesInChx[msg.sender] = enabled;
+        emit FeePaymentInChxUpdated(msg.sender, enabled);
+    }
+
+    // Reputation
+
+    /**
+     * @dev Sets how many trades buyers need to have completed as the buyer
+     * before they can create escrows with the caller as the seller, directly
+     * or from their offers. 0 lets anyone trade with them. It is one setting
+     * per seller because buyers create escrows themselves: the seller sends
+     * nothing when an escrow is created, and its offers are held to it too.
+     */
+    function setMinBuyerTrades(uint256 minTrades) external {
+        minBuyerTrades[msg.sender] = minTrades;
+        emit MinBuyerTradesUpdated(msg.sender, minTrades);
+    }
+
+    // Dispute Resolution
+
+    /**
+     * @dev Assigns a freshly raised dispute an arbitrator, or a panel when
+     * the unreleased amount is at or above its token's panel threshold. Only
+     * called by raiseDispute, through the proxy.
+     */
+    function assignDisputeArbitrators(uint256 escrowId) external {
+        if (msg.sender != address(this)) revert UnauthorizedAccess();
+        Escrow storage e = escrows[escrowId];
+        uint256 threshold = panelThresholds[_originalToken(e.tokenAddress)];
+        if (panelSize == 0 || threshold == 0 || _unreleased(e) < threshold) {
+            _assignArbitrator(escrowId, e, address(0));
+            return;
+        }
+
+        address[] memory members = new address[](panelSize);
+        uint256 count;
+        while (count < members.length) {
+            address member = _selectArbitrator(e, address(0), members);
+            if (member == address(0)) break;
+            members[count++] = member;
+        }
+        // Without two eligible arbitrators it is an ordinary dispute
+        if (count < 2) {
+            _assignArbitrator(escrowId, e, address(0));
+            return;
+        }
+
+        DisputePanel storage panel = disputePanels[escrowId];
+        for (uint256 i = 0; i < count; i++) {
+            panel.members.push(members[i]);
+            openCases[members[i]]++;
+        }
+        panel.quorum = panelQuorum < count ? panelQuorum : count;
+        emit DisputePanelAssigned(escrowId, panel.members, panel.quorum);
+    }
+
+    /**
+     * @dev Lets the assigned arbitrator step down from a dispute, which is
+     * then handed to the next eligible arbitrator. Panel members who cannot
+     * decide simply do not vote.
+     * @param escrowId The ID of the disputed escrow
+     */
+    function recuse(uint256 escrowId) external {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (msg.sender != e.arbitrator) revert UnauthorizedAccess();
+
+        openCases[msg.sender]--;
+        emit ArbitratorRecused(escrowId, msg.sender);
+        _assignArbitrator(escrowId, e, msg.sender);
+    }
+
+    /**
+     * @dev Resolves a dispute
+     * @param escrowId The ID of the escrow to resolve
+     * @param buyerAmount Amount to return to buyer
+     * @param sellerAmount Amount to send to seller
+     */
+    function resolveDispute(
+        uint256 escrowId,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    ) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (block.timestamp > e.disputeExpiry) revert DisputeTimeframeExpired();
+        // Panels decide by vote only, see voteOnDispute
+        if (
+            disputePanels[escrowId].members.length > 0 ||
+            (msg.sender != e.arbitrator && msg.sender != admin)
+        ) revert UnauthorizedAccess();
+        if (buyerAmount + sellerAmount > _disputedAmount(e))
+            revert AmountsExceedEscrowBalance();
+
+        _settleDispute(escrowId, e, buyerAmount, sellerAmount);
+        _recordDisputeOutcome(e, buyerAmount, sellerAmount);
+        emit DisputeResolved(
+            escrowId,
+            msg.sender,
+            buyerAmount > 0,
+            buyerAmount,
+            sellerAmount
+        );
+    }
+
+    /**
+     * @dev Records a panel member's proposed split of a disputed escrow, at
+     * most the balance left after the platform fee. Once `quorum` members
+     * voted the dispute is resolved with the median vote by buyer amount, or
+     * the average of the two middle ones for an even quorum, so one outlier
+     * cannot move the result and a tied panel splits the difference.
+     * @param escrowId The ID of the disputed escrow
+     * @param buyerAmount Amount to return to buyer
+     * @param sellerAmount Amount to send to seller
+     */
+    function voteOnDispute(
+        uint256 escrowId,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    ) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (block.timestamp > e.disputeExpiry) revert DisputeTimeframeExpired();
+        DisputePanel storage panel = disputePanels[escrowId];
+        if (!_isPanelMember(panel, msg.sender)) revert NotPanelMember();
+        for (uint256 i = 0; i < panel.votes.length; i++) {
+            if (panel.votes[i].arbitrator == msg.sender) revert AlreadyVoted();
+        }
+        if (buyerAmount + sellerAmount > _disputedAmount(e))
+            revert AmountsExceedEscrowBalance();
+
+        panel.votes.push(PanelVote(msg.sender, buyerAmount, sellerAmount));
+        emit DisputeVoteCast(escrowId, msg.sender, buyerAmount, sellerAmount);
+        if (panel.votes.length < panel.quorum) return;
+
+        (buyerAmount, sellerAmount) = _medianVote(panel.votes);
+        _settleDispute(escrowId, e, buyerAmount, sellerAmount);
+        _recordDisputeOutcome(e, buyerAmount, sellerAmount);
+        // address(0): resolved by the panel
+        emit DisputeResolved(
+            escrowId,
+            address(0),
+            buyerAmount > 0,
+            buyerAmount,
+            sellerAmount
+        );
+    }
+
+    /**
+     * @dev Pushes a dispute's deadline back. The arbitrator or a panel member
+     * can do this while the dispute is open, MAX_DISPUTE_EXTENSIONS times in
+     * total; the admin any number of times, also after it expired, as an
+     * escalation.
+     * @param escrowId The ID of the disputed escrow
+     * @param newExpiry The new deadline, at most DISPUTE_TIMEFRAME past the
+     * current one (or past now, once expired)
+     */
+    function extendDisputeDeadline(
+        uint256 escrowId,
+        uint256 newExpiry
+    ) external {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (msg.sender != admin) {
+            if (
+                msg.sender != e.arbitrator &&
+                !_isPanelMember(disputePanels[escrowId], msg.sender)
+            ) revert UnauthorizedAccess();
+            if (block.timestamp > e.disputeExpiry)
+                revert DisputeTimeframeExpired();
+            if (disputeExtensions[escrowId] >= MAX_DISPUTE_EXTENSIONS)
+                revert DisputeExtensionLimitReached();
+            disputeExtensions[escrowId]++;
+        }
+        uint256 base = block.timestamp > e.disputeExpiry
+            ? block.timestamp
+            : e.disputeExpiry;
+        if (newExpiry <= base || newExpiry > base + DISPUTE_TIMEFRAME)
+            revert InvalidDisputeDeadline();
+
+        e.disputeExpiry = newExpiry;
+        emit DisputeDeadlineExtended(escrowId, newExpiry);
+    }
+
+    /**
+     * @dev Settles a dispute nobody resolved before its deadline, or whose
+     * panel did not reach its quorum, splitting the post-fee balance by
+     * `expiredDisputeBuyerShare`. Callable by anyone so disputed funds can
+     * never be stranded.
+     * @param escrowId The ID of the expired dispute
+     */
+    function settleExpiredDispute(uint256 escrowId) external nonReentrant {
+        Escrow storage e = escrows[escrowId];
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (block.timestamp <= e.disputeExpiry) revert DisputeNotExpired();
+
+        uint256 remainingAmount = _disputedAmount(e);
+        uint256 buyerAmount = (remainingAmount * expiredDisputeBuyerShare) /
+            BASIS_POINTS;
+        uint256 sellerAmount = remainingAmount - buyerAmount;
+
+        _settleDispute(escrowId, e, buyerAmount, sellerAmount);
+        emit ExpiredDisputeSettled(
+            escrowId,
+            msg.sender,
+            buyerAmount,
+            sellerAmount
+        );
+    }
+
+    // Encrypted Payment Details
+
+    /**
+     * @dev Registers the caller's X25519 public key, or clears it with 0.
+     * Escrow parties encrypt payment details and evidence to the keys of the
+     * buyer, the seller and, once assigned, the arbitrator.
+     */
+    function setEncryptionKey(bytes32 publicKey) external {
+        encryptionKeys[msg.sender] = publicKey;
+        emit EncryptionKeyRegistered(msg.sender, publicKey);
+    }
+
+    /**
+     * @dev Relays the escrow's content key, wrapped by the buyer or seller
+     * for the key the assigned arbitrator registered, so the arbitrator can
+     * read the payment details and evidence. Repeat after a reassignment.
+     */
+    function shareEscrowKey(
+        uint256 escrowId,
+        bytes calldata wrappedKey
+    ) external {
+        _shareEscrowKey(escrowId, escrows[escrowId].arbitrator, wrappedKey);
+    }
+
+    /// @dev shareEscrowKey for one member of the dispute's panel
+    function shareEscrowKeyWithPanel(
+        uint256 escrowId,
+        address member,
+        bytes calldata wrappedKey
+    ) external {
+        if (!_isPanelMember(disputePanels[escrowId], member))
+            revert NotPanelMember();
+        _shareEscrowKey(escrowId, member, wrappedKey);
+    }
+
+    // Internal Functions
+
+    function _checkOperationRole(bytes calldata data) internal view {
+        bytes4 selector = bytes4(data);
+        if (
+            selector == this.emergencyWithdrawToken.selector ||
+            selector == this.emergencyWithdrawNative.selector ||
+            selector == UPGRADE_SELECTOR
+        ) {
+            if (msg.sender != admin) revert UnauthorizedAccess();
+        } else if (
+            selector == this.updatePlatformFee.selector ||
+            selector == this.updateDisputeFee.selector ||
+            selector == this.updateFeeCollector.selector ||
+            selector == this.setTokenDisputeFee.selector ||
+            selector == this.setChxFeeTiers.selector ||
+            selector == this.setVolumeFeeTiers.selector ||
+            selector == this.setChxFeeRate.selector
+        ) {
+            if (!hasRole[FEE_MANAGER_ROLE][msg.sender])
+                revert UnauthorizedAccess();
+        } else {
+            revert InvalidOperation();
+        }
+    }
+
+    function _setFeeTiers(
+        FeeTier[] storage stored,
+        FeeTier[] calldata tiers
+    ) internal {
+        if (tiers.length > MAX_FEE_TIERS) revert InvalidFeeTiers();
+        while (stored.length > 0) stored.pop();
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (
+                tiers[i].discount > BASIS_POINTS ||
+                (i > 0 && tiers[i].threshold <= tiers[i - 1].threshold)
+            ) revert InvalidFeeTiers();
+            stored.push(tiers[i]);
+        }
+    }
+
+    function _shareEscrowKey(
+        uint256 escrowId,
+        address to,
+        bytes calldata wrappedKey
+    ) internal {
+        Escrow storage e = escrows[escrowId];
+        if (msg.sender != e.buyer && msg.sender != e.seller)
+            revert UnauthorizedAccess();
+        if (e.status != EscrowStatus.Disputed)
+            revert EscrowNotInDisputedState();
+        if (encryptionKeys[to] == 0) revert EncryptionKeyNotRegistered();
+        emit EscrowKeyShared(escrowId, msg.sender, to, wrappedKey);
+    }
+
+    /// @dev Balance of a disputed escrow left to award after the platform fee
+    function _disputedAmount(
+        Escrow storage e
+    ) internal view returns (uint256) {
+        return _unreleased(e) - e.platformFee;
+    }
+
+    function _settleDispute(
+        uint256 escrowId,
+        Escrow storage e,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    ) internal {
+        uint256 unreleased = _unreleased(e);
+        uint256 platformFee = e.platformFee;
+        DisputePanel storage panel = disputePanels[escrowId];
+        e.status = EscrowStatus.Resolved;
+        if (e.arbitrator != address(0)) openCases[e.arbitrator]--;
+        for (uint256 i = 0; i < panel.members.length; i++) {
+            openCases[panel.members[i]]--;
+        }
+        _releaseExposure(e, unreleased);
+        // Whatever was awarded to nobody is no longer owed
+        lockedBalances[e.tokenAddress] -=
+            unreleased -
+            buyerAmount -
+            sellerAmount -
+            platformFee;
+
+        _credit(e.buyer, e.tokenAddress, buyerAmount);
+        _credit(e.seller, e.tokenAddress, sellerAmount);
+        _credit(feeCollector, e.tokenAddress, platformFee);
+
+        address feeToken = e.disputeFeeInToken ? e.tokenAddress : address(0);
+        if (refundDisputeFeeToWinner) {
+            bool raisedByBuyer = e.disputeRaisedBy == e.buyer;
+            if (
+                raisedByBuyer
+                    ? buyerAmount > sellerAmount
+                    : sellerAmount > buyerAmount
+            ) {
+                emit DisputeFeeRefunded(
+                    escrowId,
+                    e.disputeRaisedBy,
+                    e.disputeFee
+                );
+                _credit(e.disputeRaisedBy, feeToken, e.disputeFee);
+                return;
+            }
+        }
+
+        // Panel members who voted share the fee; the fee collector gets the
+        // rest, which is all of it without votes
+        uint256 voters = panel.votes.length;
+        uint256 share = voters > 0 ? e.disputeFee / voters : 0;
+        for (uint256 i = 0; i < voters; i++) {
+            _credit(panel.votes[i].arbitrator, feeToken, share);
+        }
+        _credit(feeCollector, feeToken, e.disputeFee - share * voters);
+    }
+
+    /// @dev Counts a decided dispute as won by the party awarded more
+    function _recordDisputeOutcome(
+        Escrow storage e,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    ) internal {
+        if (buyerAmount > sellerAmount) {
+            reputations[e.buyer].disputesWon++;
+            reputations[e.seller].disputesLost++;
+        } else if (sellerAmount > buyerAmount) {
+            reputations[e.seller].disputesWon++;
+            reputations[e.buyer].disputesLost++;
+        }
+    }
+
+    /**
+     * @dev Assigns the least-loaded eligible arbitrator, with the admin as
+     * the fallback when nobody is eligible
+     */
+    function _assignArbitrator(
+        uint256 escrowId,
+        Escrow storage e,
+        address excluded
+    ) internal {
+        address selected = _selectArbitrator(e, excluded, new address[](0));
+        if (selected == address(0)) {
+            if (admin == excluded) revert NoEligibleArbitrator();
+            selected = admin;
+        }
+
+        e.arbitrator = selected;
+        openCases[selected]++;
+        emit DisputeArbitratorAssigned(escrowId, selected);
+    }
+
+    /**
+     * @dev Returns the least-loaded eligible arbitrator, breaking ties
+     * round-robin from the rotation cursor, or address(0) when there is none.
+     * The escrow's buyer and seller, `excluded` and anyone in `taken` are
+     * never eligible.
+     */
+    function _selectArbitrator(
+        Escrow storage e,
+        address excluded,
+        address[] memory taken
+    ) internal returns (address selected) {
+        uint256 count = arbitratorList.length;
+        uint256 selectedSlot;
+        uint256 lowest = type(uint256).max;
+
+        for (uint256 i = 0; i < count; i++) {
+            uint256 slot = (nextArbitrator + i) % count;
+            address candidate = arbitratorList[slot];
+            if (
+                candidate == e.buyer ||
+                candidate == e.seller ||
+                candidate == excluded ||
+                _contains(taken, candidate)
+            ) continue;
+            if (openCases[candidate] < lowest) {
+                lowest = openCases[candidate];
+                selected = candidate;
+                selectedSlot = slot;
+            }
+        }
+
+        if (selected != address(0)) nextArbitrator = selectedSlot + 1;
+    }
+
+    function _contains(
+        address[] memory accounts,
+        address account
+    ) internal pure returns (bool) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (accounts[i] == account) return true;
+        }
+        return false;
+    }
+
+    function _isPanelMember(
+        DisputePanel storage panel,
+        address account
+    ) internal view returns (bool) {
+        for (uint256 i = 0; i < panel.members.length; i++) {
+            if (panel.members[i] == account) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev The middle vote by buyer amount (ties by seller amount, highest
+     * first), or the average of the two middle votes. Each vote is within the
+     * disputed balance, so their average is too.
+     */
+    function _medianVote(
+        PanelVote[] storage votes
+    ) internal view returns (uint256 buyerAmount, uint256 sellerAmount) {
+        uint256 count = votes.length;
+        PanelVote[] memory sorted = new PanelVote[](count);
+        for (uint256 i = 0; i < count; i++) {
+            PanelVote memory vote = votes[i];
+            uint256 j = i;
+            for (; j > 0; j--) {
+                PanelVote memory previous = sorted[j - 1];
+                if (
+                    previous.buyerAmount < vote.buyerAmount ||
+                    (previous.buyerAmount == vote.buyerAmount &&
+                        previous.sellerAmount >= vote.sellerAmount)
+                ) break;
+                sorted[j] = previous;
+            }
+            sorted[j] = vote;
+        }
+
+        PanelVote memory low = sorted[(count - 1) / 2];
+        PanelVote memory high = sorted[count / 2];
+        buyerAmount = (low.buyerAmount + high.buyerAmount) / 2;
+        sellerAmount = (low.sellerAmount + high.sellerAmount) / 2;
+    }
+
+    // View Functions
+
+    function getChxFeeTiers() external view returns (FeeTier[] memory) {
+        return chxFeeTiers;
+    }
+
+    function getVolumeFeeTiers(
+        address token
+    ) external view returns (FeeTier[] memory) {
+        return volumeFeeTiers[token];
+    }
+
+    /**
+     * @dev Platform fee `user` pays on `amount` of `token` after their CHX
+     * and volume discounts, and what it costs in CHX instead (0 when the
+     * token has no CHX rate)
+     */
+    function getEffectiveFee(
+        address user,
+        address token,
+        uint256 amount
+    ) external view returns (uint256 fee, uint256 chxFee) {
+        fee = _platformFee(user, token, amount);
+        chxFee = _chxFee(token, fee);
+    }
+
+    function getArbitrators() external view returns (address[] memory) {
+        return arbitratorList;
+    }
+
+    function getSupportedTokens() public view returns (address[] memory) {
+        return supportedTokens;
+    }
+
+    function getUserEscrows(
+        address user
+    ) public view returns (uint256[] memory) {
+        return userEscrows[user];
+    }
+
+    function getUserEscrowCount(address user) external view returns (uint256) {
+        return userEscrows[user].length;
+    }
+
+    /**
+     * @dev A page of `user`'s escrows, oldest first: the IDs among entries
+     * [offset, offset + limit) of their list whose status is in `statusMask`,
+     * a bitmask of 1 << EscrowStatus (0 = any). Filtered pages can hold fewer
+     * than `limit` IDs, so page on until offset reaches getUserEscrowCount.
+     */
+    function getUserEscrowsPage(
+        address user,
+        uint256 offset,
+        uint256 limit,
+        uint256 statusMask
+    ) external view returns (uint256[] memory ids) {
+        uint256[] storage all = userEscrows[user];
+        uint256 end = all.length;
+        if (offset > end) offset = end;
+        if (limit < end - offset) end = offset + limit;
+
+        ids = new uint256[](end - offset);
+        uint256 count;
+        for (uint256 i = offset; i < end; i++) {
+            uint256 status = uint256(escrows[all[i]].status);
+            if (statusMask == 0 || (statusMask >> status) & 1 == 1)
+                ids[count++] = all[i];
+        }
+        // Drop the slots the filter left empty
+        assembly ("memory-safe") {
+            mstore(ids, count)
+        }
+    }
+
+    function getReputation(
+        address user
+    ) external view returns (Reputation memory) {
+        return reputations[user];
+    }
+
+    function getEscrowDetails(
+        uint256 escrowId
+    ) public view returns (Escrow memory) {
+        return escrows[escrowId];
+    }
+
+    /// @dev The panel deciding a dispute, empty when one arbitrator does
+    function getDisputePanel(
+        uint256 escrowId
+    ) external view returns (DisputePanel memory) {
+        return disputePanels[escrowId];
+    }
+
+    function isTokenSupported(address token) public view returns (bool) {
+        return allowedTokens[token];
+    }
+
+    /// @dev Limits applied to escrows in `token`, or in the token it wraps
+    function getTokenLimits(
+        address token
+    ) external view returns (TokenLimits memory) {
+        return _tokenLimits(token);
+    }
+
+    function getWrappedToken(
+        address originalToken
+    ) public view returns (address) {
+        return tokenToWrapper[originalToken];
+    }
+
+    // Emergency Functions
+
+    /**
+     * @dev Balance of a token (address(0) for native) that is not owed to
+     * open escrows, disputes or wrapped token holders
+     */
+    function availableBalance(address token) public view returns (uint256) {
+        uint256 balance = _balanceOf(token);
+        uint256 locked = lockedBalances[token];
+        return balance > locked ? balance - locked : 0;
+    }
+
+    function emergencyWithdrawToken(
+        address tokenAddress,
+        uint256 amount
+    ) external onlyTimelock {
+        if (amount > availableBalance(tokenAddress))
+            revert AmountsExceedEscrowBalance();
+        IERC20(tokenAddress).safeTransfer(feeCollector, amount);
+    }
+
+    function emergencyWithdrawNative(uint256 amount) external onlyTimelock {
+        if (amount > availableBalance(address(0)))
+            revert AmountsExceedEscrowBalance();
+        // Credited like fees, so a fee collector contract can withdraw it
+        _credit(feeCollector, address(0), amount);
+        lockedBalances[address(0)] += amount;
+    }
+}
@@ -0,0 +1,784 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// Custom Errors
+error UnauthorizedAccess();
+error InvalidSellerAddress();
+error TokenNotSupported();
+error AmountTooSmall();
+error IncorrectNativeTokenAmount();
+error NativeTokensNotRequiredForERC20();
+error EscrowNotInDisputedState();
+error DisputeTimeframeExpired();
+error AmountsExceedEscrowBalance();
+error InvalidDisputeResolution();
+error EscrowNotFunded();
+error InvalidTokenOperation();
+error TokenAlreadySupported();
+error TokenNotWrappable();
+error WrappedTokenExists();
+error InvalidFeeConfiguration();
+error InvalidAddress();
+error DisputeNotRaised();
+error EscrowAlreadyCompleted();
+error InvalidTokenAmount();
+error InvalidDeliveryDeadline();
+error DeliveryDeadlineNotPassed();
+error ShipmentAlreadyConfirmed();
+error ShipmentNotConfirmed();
+error SellerConsentRequired();
+error CancellationNotRequested();
+error EscrowAlreadyAcknowledged();
+error InvalidSignature();
+error SignatureExpired();
+error ArbitratorAlreadyAdded();
+error ArbitratorNotFound();
+error NoEligibleArbitrator();
+error DisputeNotExpired();
+error InvalidDisputeDeadline();
+error InvalidMilestones();
+error NoPendingMilestone();
+error OfferNonceUsed();
+error OperationNotQueued();
+error OperationNotReady();
+error OperationAlreadyQueued();
+error InvalidOperation();
+error FunctionPaused();
+error TokenIsPaused();
+error NothingToWithdraw();
+error WithdrawalFailed();
+error InvalidFeeTiers();
+error StakeLocked();
+error InvalidTokenLimits();
+error AmountTooLarge();
+error ExposureLimitExceeded();
+error DailyLimitExceeded();
+error EncryptionKeyNotRegistered();
+error InvalidPanelConfiguration();
+error NotPanelMember();
+error AlreadyVoted();
+error BuyerReputationTooLow();
+error DisputeExtensionLimitReached();
+
+// Interfaces
+interface IERC20 {
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(
+        address indexed owner,
+        address indexed spender,
+        uint256 value
+    );
+
+    function totalSupply() external view returns (uint256);
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(
+        address recipient,
+        uint256 amount
+    ) external returns (bool);
+    function allowance(
+        address owner,
+        address spender
+    ) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+    function transferFrom(
+        address sender,
+        address recipient,
+        uint256 amount
+    ) external returns (bool);
+}
+
+interface IERC20Metadata is IERC20 {
+    function name() external view returns (string memory);
+    function symbol() external view returns (string memory);
+    function decimals() external view returns (uint8);
+}
+
+interface IWrappedToken {
+    function mint(address account, uint256 amount) external;
+    function burn(address account, uint256 amount) external;
+}
+
+// Libraries
+library SafeERC20 {
+    function safeTransfer(IERC20 token, address to, uint256 value) internal {
+        (bool success, bytes memory data) = address(token).call(
+            abi.encodeWithSelector(token.transfer.selector, to, value)
+        );
+        require(
+            success && (data.length == 0 || abi.decode(data, (bool))),
+            "SafeERC20: transfer failed"
+        );
+    }
+
+    function safeTransferFrom(
+        IERC20 token,
+        address from,
+        address to,
+        uint256 value
+    ) internal {
+        (bool success, bytes memory data) = address(token).call(
+            abi.encodeWithSelector(token.transferFrom.selector, from, to, value)
+        );
+        require(
+            success && (data.length == 0 || abi.decode(data, (bool))),
+            "SafeERC20: transferFrom failed"
+        );
+    }
+
+    function safeApprove(
+        IERC20 token,
+        address spender,
+        uint256 value
+    ) internal {
+        require(
+            (value == 0) || (token.allowance(address(this), spender) == 0),
+            "SafeERC20: approve from non-zero to non-zero allowance"
+        );
+        (bool success, bytes memory data) = address(token).call(
+            abi.encodeWithSelector(token.approve.selector, spender, value)
+        );
+        require(
+            success && (data.length == 0 || abi.decode(data, (bool))),
+            "SafeERC20: approve failed"
+        );
+    }
+}
+
+library Address {
+    function isContract(address account) internal view returns (bool) {
+        uint256 size;
+        assembly {
+            size := extcodesize(account)
+        }
+        return size > 0;
+    }
+}
+
+library SafeMath {
+    function add(uint256 a, uint256 b) internal pure returns (uint256) {
+        uint256 c = a + b;
+        require(c >= a, "SafeMath: addition overflow");
+        return c;
+    }
+
+    function sub(uint256 a, uint256 b) internal pure returns (uint256) {
+        require(b <= a, "SafeMath: subtraction overflow");
+        uint256 c = a - b;
+        return c;
+    }
+
+    function mul(uint256 a, uint256 b) internal pure returns (uint256) {
+        if (a == 0) return 0;
+        uint256 c = a * b;
+        require(c / a == b, "SafeMath: multiplication overflow");
+        return c;
+    }
+
+    function div(uint256 a, uint256 b) internal pure returns (uint256) {
+        require(b > 0, "SafeMath: division by zero");
+        uint256 c = a / b;
+        return c;
+    }
+}
+
+/**
+ * @dev Storage, events and helpers shared by CryptoEscrow and CryptoEscrowAdmin.
+ * Both run against the proxy's storage, so this is the only place that
+ * declares state; new variables go at the end, never in between.
+ */
+abstract contract CryptoEscrowBase is Initializable, ReentrancyGuard, EIP712 {
+    using Address for address;
+    using SafeERC20 for IERC20;
+
+    enum EscrowStatus {
+        Pending,
+        Funded,
+        Released,
+        Cancelled,
+        Disputed,
+        Resolved,
+        AutoReleased,
+        Refunded
+    }
+    enum AssetType {
+        Native,
+        ERC20,
+        Wrapped
+    }
+
+    struct Milestone {
+        uint256 amount;
+        string description;
+        bool released;
+    }
+
+    /// @dev Escrow terms signed off-chain by a seller, see acceptOffer
+    struct Offer {
+        address seller;
+        address token;
+        uint256 amount;
+        string paymentDetails;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    /// @dev An EIP-2612 permit signed by the buyer for the escrowed token
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /// @dev A fee discount, in basis points off the platform fee, from `threshold` up
+    struct FeeTier {
+        uint256 threshold;
+        uint256 discount;
+    }
+
+    /**
+     * @dev Escrow limits for a token, in its smallest unit. A zero maximum or
+     * cap means no limit; exposure is what a buyer has funded and not yet
+     * released in open escrows, the daily cap what all escrows fund per UTC day.
+     */
+    struct TokenLimits {
+        uint256 minAmount;
+        uint256 maxAmount;
+        uint256 maxExposure;
+        uint256 dailyCap;
+    }
+
+    struct Escrow {
+        address buyer;
+        address seller;
+        EscrowStatus status;
+        uint256 createdAt;
+        uint256 disputeExpiry;
+        address arbitrator;
+        AssetType assetType;
+        address tokenAddress;
+        uint256 amount;
+        uint256 platformFee; // on the disputed balance, set by raiseDispute
+        uint256 disputeFee;
+        address disputeRaisedBy;
+        string disputeReason;
+        string paymentDetails;
+        uint256 deliveryDeadline;
+        bool shipped;
+        bool acknowledged;
+        bool cancellationRequested;
+        bool disputeFeeInToken;
+        uint256 releasedAmount; // gross amount already paid out through milestones
+        Milestone[] milestones;
+    }
+
+    /// @dev A panel member's proposed split of a disputed escrow
+    struct PanelVote {
+        address arbitrator;
+        uint256 buyerAmount;
+        uint256 sellerAmount;
+    }
+
+    /// @dev Arbitrators deciding a dispute together, see voteOnDispute
+    struct DisputePanel {
+        address[] members;
+        uint256 quorum; // votes that resolve the dispute
+        PanelVote[] votes;
+    }
+
+    /**
+     * @dev A user's trade record, counted for both parties of every escrow.
+     * A dispute is won by the party awarded more than the other; disputes
+     * settled on expiry are neither won nor lost.
+     */
+    struct Reputation {
+        uint256 completedTrades; // released to the seller
+        uint256 cancelledTrades; // cancelled or refunded to the buyer
+        uint256 disputesRaised;
+        uint256 disputesWon;
+        uint256 disputesLost;
+        uint256 completedPurchases; // the completed trades made as the buyer
+    }
+
+    // Constants
+    uint256 public constant DISPUTE_TIMEFRAME = 7 days;
+    uint256 public constant MAX_PLATFORM_FEE = 500; // 5%
+    uint256 public constant MIN_DISPUTE_FEE = 0.01 ether;
+    uint256 public constant MIN_ESCROW_AMOUNT = 0.001 ether; // default, scaled to token decimals
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_MILESTONES = 20;
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+    uint256 public constant MAX_FEE_TIERS = 10;
+    uint256 public constant CHX_STAKE_LOCK = 7 days;
+    uint256 public constant MAX_PANEL_SIZE = 9;
+    uint256 public constant MAX_DISPUTE_EXTENSIONS = 2;
+
+    // Roles
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant TOKEN_MANAGER_ROLE =
+        keccak256("TOKEN_MANAGER_ROLE");
+    bytes32 public constant ARBITRATOR_MANAGER_ROLE =
+        keccak256("ARBITRATOR_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Pausable functions, combined as a bitmask in pausedFunctions
+    uint256 public constant PAUSE_CREATE = 1;
+    uint256 public constant PAUSE_FUNDING = 2;
+    uint256 public constant PAUSE_WRAPPING = 4;
+    uint256 public constant PAUSE_DISPUTES = 8;
+    bytes32 public constant CANCELLATION_CONSENT_TYPEHASH =
+        keccak256("CancellationConsent(uint256 escrowId,uint256 deadline)");
+    bytes32 public constant OFFER_TYPEHASH =
+        keccak256(
+            "Offer(address seller,address token,uint256 amount,string paymentDetails,uint256 expiry,uint256 nonce)"
+        );
+
+    // Platform settings
+    uint256 public platformFeePercentage;
+    uint256 public disputeFeeFixed;
+    uint256 public expiredDisputeBuyerShare; // basis points of the post-fee balance
+    bool public refundDisputeFeeToWinner;
+    mapping(address => uint256) public tokenDisputeFees; // 0 = fee is paid in native coin
+    address public feeCollector;
+    address public admin;
+    address public pendingAdmin;
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+
+    // Timelocked operations: keccak256(calldata) => earliest execution time
+    mapping(bytes32 => uint256) public queuedOperations;
+
+    // Funds owed to open escrows, disputes and wrapped token holders, per token
+    mapping(address => uint256) public lockedBalances;
+
+    // Credited payouts: account => token => amount
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+
+    uint256 public pausedFunctions;
+    mapping(address => bool) public pausedTokens;
+
+    // Escrow data
+    uint256 public escrowCount;
+    mapping(uint256 => Escrow) internal escrows;
+    mapping(address => uint256[]) public userEscrows;
+    mapping(address => mapping(uint256 => bool)) public usedOfferNonces;
+    mapping(address => bool) public arbitrators;
+
+    // Arbitrator pool
+    address[] public arbitratorList;
+    mapping(address => uint256) internal arbitratorIndex; // 1-based, 0 = not listed
+    mapping(address => uint256) public openCases;
+    uint256 internal nextArbitrator;
+
+    // Token support
+    mapping(address => bool) public allowedTokens;
+    mapping(address => address) public tokenToWrapper;
+    mapping(address => bool) public isWrappedToken;
+    address[] public supportedTokens;
+    mapping(address => address) public wrapperToToken; // wrapper => the token it wraps
+
+    // CHX and volume fee discounts. Wrappers use the tiers, volume and CHX
+    // rate of the token they wrap.
+    address public chxToken;
+    FeeTier[] internal chxFeeTiers; // by CHX staked
+    mapping(address => FeeTier[]) internal volumeFeeTiers; // token => tiers in its own units
+    mapping(address => mapping(address => uint256)) public userVolume; // user => token => released
+    mapping(address => uint256) public stakedChx;
+    mapping(address => uint256) public chxStakeUnlockTime;
+    mapping(address => uint256) public chxFeeRates; // token => CHX per token unit, scaled by 1e18
+    mapping(address => bool) public payFeesInChx;
+
+    // Per-token limits. Wrappers share the limits, exposure and daily volume
+    // of the token they wrap. Exposure funded before limits existed is not
+    // counted, so releasing it only brings the buyer's exposure down to 0.
+    mapping(address => TokenLimits) internal tokenLimits;
+    mapping(address => mapping(address => uint256)) public openExposure; // buyer => token => open
+    mapping(address => mapping(uint256 => uint256)) public dailyVolume; // token => day => funded
+
+    // X25519 public keys that payment details and dispute evidence are
+    // encrypted to (see sdk/encryption.js); the contract only relays ciphertext
+    mapping(address => bytes32) public encryptionKeys;
+
+    // Arbitrator panels: disputes over at least the threshold of their token
+    // (0 = none; wrappers use the wrapped token's) go to panelSize
+    // arbitrators instead of one, see voteOnDispute
+    mapping(address => uint256) public panelThresholds;
+    uint256 public panelSize; // 0 = panels disabled
+    uint256 public panelQuorum;
+    mapping(uint256 => DisputePanel) internal disputePanels;
+
+    // Reputation, from the escrows settled since it was added; released
+    // volume per token is userVolume. Sellers can require buyers to have
+    // completed minBuyerTrades purchases before creating escrows with them.
+    mapping(address => Reputation) internal reputations;
+    mapping(address => uint256) public minBuyerTrades;
+
+    // Deadline extensions made by a dispute's arbitrator or panel, capped at
+    // MAX_DISPUTE_EXTENSIONS; the admin's escalations are not counted
+    mapping(uint256 => uint256) public disputeExtensions;
+
+    // Events
+    event EscrowCreated(
+        uint256 indexed escrowId,
+        address indexed buyer,
+        address indexed seller,
+        address token,
+        uint256 amount,
+        string paymentDetails
+    );
+    event FundsDeposited(
+        uint256 indexed escrowId,
+        address indexed buyer,
+        uint256 amount
+    );
+    event FundsReleased(
+        uint256 indexed escrowId,
+        address indexed seller,
+        uint256 amount
+    );
+    event EscrowCancelled(
+        uint256 indexed escrowId,
+        address indexed buyer,
+        uint256 amount
+    );
+    event DisputeRaised(
+        uint256 indexed escrowId,
+        address indexed raisedBy,
+        string reason
+    );
+    event DisputeResolved(
+        uint256 indexed escrowId,
+        address indexed arbitrator,
+        bool buyerWon,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    );
+    event TokenWrapped(
+        address indexed originalToken,
+        address indexed wrappedToken,
+        uint256 amount
+    );
+    event TokenUnwrapped(
+        address indexed wrappedToken,
+        address indexed originalToken,
+        uint256 amount
+    );
+    event TokenSupported(address indexed token);
+    event TokenSupportRemoved(address indexed token);
+    event ArbitratorAdded(address indexed arbitrator);
+    event ArbitratorRemoved(address indexed arbitrator);
+    event FeeCollectorUpdated(address indexed newCollector);
+    event AdminUpdated(address indexed newAdmin);
+    event AdminTransferStarted(address indexed pendingAdmin);
+    event RoleGranted(bytes32 indexed role, address indexed account);
+    event RoleRevoked(bytes32 indexed role, address indexed account);
+    event OperationQueued(bytes32 indexed id, bytes data, uint256 executableAt);
+    event OperationCancelled(bytes32 indexed id);
+    event OperationExecuted(bytes32 indexed id);
+    event Withdrawable(address indexed account, address indexed token, uint256 amount);
+    event Withdrawn(address indexed account, address indexed token, uint256 amount);
+    event Paused(address indexed account, uint256 functions);
+    event Unpaused(address indexed account, uint256 functions);
+    event TokenPauseUpdated(address indexed token, bool paused);
+    event PlatformFeeUpdated(uint256 newFee);
+    event DisputeFeeUpdated(uint256 newFee);
+    event DisputeEvidenceSubmitted(
+        uint256 indexed escrowId,
+        address indexed submittedBy,
+        string evidenceURL
+    );
+    event DisputeArbitratorAssigned(
+        uint256 indexed escrowId,
+        address indexed arbitrator
+    );
+    event DeliveryDeadlineSet(uint256 indexed escrowId, uint256 deadline);
+    event ShipmentConfirmed(uint256 indexed escrowId, address indexed seller);
+    event FundsClaimed(
+        uint256 indexed escrowId,
+        address indexed seller,
+        uint256 amount
+    );
+    event RefundClaimed(
+        uint256 indexed escrowId,
+        address indexed buyer,
+        uint256 amount
+    );
+    event EscrowAcknowledged(uint256 indexed escrowId, address indexed seller);
+    event CancellationRequested(
+        uint256 indexed escrowId,
+        address indexed buyer
+    );
+    event CancellationApproved(
+        uint256 indexed escrowId,
+        address indexed seller
+    );
+    event ArbitratorRecused(
+        uint256 indexed escrowId,
+        address indexed arbitrator
+    );
+    event MilestoneAdded(
+        uint256 indexed escrowId,
+        uint256 index,
+        uint256 amount,
+        string description
+    );
+    event MilestoneReleased(
+        uint256 indexed escrowId,
+        uint256 index,
+        uint256 sellerAmount
+    );
+    event OfferAccepted(
+        uint256 indexed escrowId,
+        address indexed seller,
+        uint256 nonce
+    );
+    event OfferCancelled(address indexed seller, uint256 nonce);
+    event DisputeDeadlineExtended(uint256 indexed escrowId, uint256 newExpiry);
+    event ExpiredDisputeSettled(
+        uint256 indexed escrowId,
+        address indexed settledBy,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    );
+    event ExpiredDisputeSplitUpdated(uint256 buyerShare);
+    event TokenDisputeFeeUpdated(address indexed token, uint256 newFee);
+    event DisputeFeeRefundUpdated(bool enabled);
+    event DisputeFeeRefunded(
+        uint256 indexed escrowId,
+        address indexed to,
+        uint256 amount
+    );
+    event ChxFeeTiersUpdated(FeeTier[] tiers);
+    event VolumeFeeTiersUpdated(address indexed token, FeeTier[] tiers);
+    event ChxFeeRateUpdated(address indexed token, uint256 rate);
+    event ChxStaked(address indexed account, uint256 amount, uint256 unlockTime);
+    event ChxUnstaked(address indexed account, uint256 amount);
+    event FeePaymentInChxUpdated(address indexed account, bool enabled);
+    event TokenLimitsUpdated(address indexed token, TokenLimits limits);
+    event EncryptionKeyRegistered(address indexed account, bytes32 publicKey);
+    event EscrowKeyShared(
+        uint256 indexed escrowId,
+        address indexed from,
+        address indexed to,
+        bytes wrappedKey
+    );
+    event PanelConfigUpdated(uint256 size, uint256 quorum);
+    event PanelThresholdUpdated(address indexed token, uint256 threshold);
+    event DisputePanelAssigned(
+        uint256 indexed escrowId,
+        address[] members,
+        uint256 quorum
+    );
+    event DisputeVoteCast(
+        uint256 indexed escrowId,
+        address indexed arbitrator,
+        uint256 buyerAmount,
+        uint256 sellerAmount
+    );
+    event MinBuyerTradesUpdated(address indexed seller, uint256 minTrades);
+    event PlatformFeePaidInChx(
+        address indexed payer,
+        address indexed token,
+        uint256 fee,
+        uint256 chxAmount
+    );
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Only admin");
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    /// @dev Only reachable through executeOperation once the delay passed
+    modifier onlyTimelock() {
+        _checkTimelock();
+        _;
+    }
+
+    modifier onlyArbitrator() {
+        require(arbitrators[msg.sender], "Only arbitrator");
+        _;
+    }
+
+    constructor() EIP712("CryptoEscrow", "1") {}
+
+    // Internal Functions
+
+    function _grantRole(bytes32 role, address account) internal {
+        hasRole[role][account] = true;
+        emit RoleGranted(role, account);
+    }
+
+    function _checkRole(bytes32 role) internal view {
+        if (!hasRole[role][msg.sender]) revert UnauthorizedAccess();
+    }
+
+    function _checkTimelock() internal view {
+        if (msg.sender != address(this)) revert UnauthorizedAccess();
+    }
+
+    function _balanceOf(address token) internal view returns (uint256) {
+        return
+            token == address(0)
+                ? address(this).balance
+                : IERC20(token).balanceOf(address(this));
+    }
+
+    function _addSupportedToken(address tokenAddress) internal {
+        require(tokenAddress.isContract(), "Address is not a contract");
+        if (allowedTokens[tokenAddress]) revert TokenAlreadySupported();
+
+        allowedTokens[tokenAddress] = true;
+        supportedTokens.push(tokenAddress);
+        emit TokenSupported(tokenAddress);
+        _setTokenLimits(
+            tokenAddress,
+            TokenLimits(_defaultMinAmount(tokenAddress), 0, 0, 0)
+        );
+    }
+
+    /**
+     * @dev MIN_ESCROW_AMOUNT, which is sized for 18 decimals, in `token`'s
+     * decimals and at least one unit. Tokens without decimals() count as 18.
+     */
+    function _defaultMinAmount(
+        address token
+    ) internal view returns (uint256) {
+        uint8 decimals = 18;
+        try IERC20Metadata(token).decimals() returns (uint8 value) {
+            decimals = value;
+        } catch {}
+        if (decimals >= 18) return MIN_ESCROW_AMOUNT * 10 ** (decimals - 18);
+        uint256 minAmount = MIN_ESCROW_AMOUNT / 10 ** (18 - decimals);
+        return minAmount == 0 ? 1 : minAmount;
+    }
+
+    function _setTokenLimits(
+        address token,
+        TokenLimits memory limits
+    ) internal {
+        uint256 min = limits.minAmount;
+        if (
+            min == 0 ||
+            (limits.maxAmount != 0 && limits.maxAmount < min) ||
+            (limits.maxExposure != 0 && limits.maxExposure < min) ||
+            (limits.dailyCap != 0 && limits.dailyCap < min)
+        ) revert InvalidTokenLimits();
+
+        tokenLimits[token] = limits;
+        emit TokenLimitsUpdated(token, limits);
+    }
+
+    /// @dev Limits of `token` or the token it wraps
+    function _tokenLimits(
+        address token
+    ) internal view returns (TokenLimits memory limits) {
+        limits = tokenLimits[_originalToken(token)];
+        // Tokens supported before limits existed keep the old minimum
+        if (limits.minAmount == 0) limits.minAmount = MIN_ESCROW_AMOUNT;
+    }
+
+    /**
+     * @dev Transfers `amount` in from the caller and returns what actually
+     * arrived, which is less for fee-on-transfer tokens
+     */
+    function _pullTokens(
+        address token,
+        uint256 amount
+    ) internal returns (uint256) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        return IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /**
+     * @dev Scales a payout down when the contract holds less of the token than
+     * it owes (e.g. after a negative rebase), so every claim takes its pro-rata
+     * share of the loss instead of being paid from other escrows. Has to run
+     * before the claim is removed from lockedBalances.
+     */
+    function _backedAmount(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        uint256 balance = _balanceOf(token);
+        uint256 locked = lockedBalances[token];
+        return balance < locked ? (amount * balance) / locked : amount;
+    }
+
+    function _originalToken(address token) internal view returns (address) {
+        address original = wrapperToToken[token];
+        return original == address(0) ? token : original;
+    }
+
+    /// @dev Discount of the highest tier `value` reaches; tiers are ascending
+    function _tierDiscount(
+        FeeTier[] storage tiers,
+        uint256 value
+    ) internal view returns (uint256 discount) {
+        for (uint256 i = 0; i < tiers.length && value >= tiers[i].threshold; i++) {
+            discount = tiers[i].discount;
+        }
+    }
+
+    /**
+     * @dev Platform fee `user` pays on `amount` of `token`: the base rate less
+     * their CHX tier discount, then less their volume tier discount. The CHX
+     * tier counts only staked CHX: a balance could be borrowed or moved in for
+     * a single transaction.
+     */
+    function _platformFee(
+        address user,
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        token = _originalToken(token);
+        uint256 chxDiscount = _tierDiscount(chxFeeTiers, stakedChx[user]);
+        uint256 volumeDiscount = _tierDiscount(
+            volumeFeeTiers[token],
+            userVolume[user][token]
+        );
+        return
+            (amount *
+                platformFeePercentage *
+                (BASIS_POINTS - chxDiscount) *
+                (BASIS_POINTS - volumeDiscount)) /
+            (BASIS_POINTS * BASIS_POINTS * BASIS_POINTS);
+    }
+
+    /// @dev Takes `amount` leaving an escrow off the buyer's exposure
+    function _releaseExposure(Escrow storage e, uint256 amount) internal {
+        address token = _originalToken(e.tokenAddress);
+        uint256 exposure = openExposure[e.buyer][token];
+        openExposure[e.buyer][token] = exposure > amount ? exposure - amount : 0;
+    }
+
+    function _unreleased(Escrow storage e) internal view returns (uint256) {
+        return e.amount - e.releasedAmount;
+    }
+
+    /**
+     * @dev Credits a payout for the account to withdraw. Funds stay in
+     * lockedBalances until they are withdrawn.
+     */
+    function _credit(address account, address token, uint256 amount) internal {
+        if (amount == 0) return;
+        pendingWithdrawals[account][token] += amount;
+        emit Withdrawable(account, token, amount);
+    }
+
+    /// @dev Price in CHX of a platform fee in `token`; 0 when it has no CHX rate
+    function _chxFee(
+        address token,
+        uint256 fee
+    ) internal view returns (uint256) {
+        return (fee * chxFeeRates[_originalToken(token)]) / 1e18;
+    }
+}
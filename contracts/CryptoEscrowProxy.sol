@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+// Compiled so deploy/escrow.js has an artifact to put CryptoEscrow behind
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
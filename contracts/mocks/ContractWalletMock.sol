@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Multisig-like wallet: receiving costs more than the 2300 gas `transfer` forwards
+contract ContractWalletMock {
+    uint256 public deposits;
+
+    event Received(address indexed from, uint256 amount);
+
+    receive() external payable {
+        deposits += msg.value;
+        emit Received(msg.sender, msg.value);
+    }
+
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
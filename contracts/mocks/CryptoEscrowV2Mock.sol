@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../CryptoEscrow.sol";
+
+// Upgrade target for tests: appends a state variable after everything CryptoEscrow stores
+contract CryptoEscrowV2Mock is CryptoEscrow {
+    uint256 public upgradeCounter;
+
+    constructor(address adminModule_) CryptoEscrow(adminModule_) {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function incrementUpgradeCounter() external {
+        upgradeCounter++;
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Burns `feeBasisPoints` of every transfer, so recipients get less than was sent
+contract ERC20FeeOnTransferMock is ERC20 {
+    uint256 public feeBasisPoints;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 feeBasisPoints_
+    ) ERC20(name, symbol) {
+        feeBasisPoints = feeBasisPoints_;
+    }
+
+    function mint(address account, uint256 amount) public {
+        _mint(account, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = (value * feeBasisPoints) / 10000;
+        super._update(from, to, value - fee);
+        super._update(from, address(0), fee);
+    }
+}
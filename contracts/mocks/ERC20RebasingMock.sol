@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Stores shares; balances are shares scaled by a multiplier that `rebase` changes
+contract ERC20RebasingMock is ERC20 {
+    uint256 private constant ONE = 1e18;
+    uint256 public multiplier = ONE;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    function mint(address account, uint256 amount) public {
+        _mint(account, amount);
+    }
+
+    function rebase(uint256 newMultiplier) public {
+        multiplier = newMultiplier;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (super.balanceOf(account) * multiplier) / ONE;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (super.totalSupply() * multiplier) / ONE;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, (value * ONE) / multiplier);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Calls the sender with `hookData` before its next transfer, like an ERC777
+// tokensToSend hook, so a sender contract can re-enter whoever pulls its
+// tokens. The transfer goes ahead either way; hookSucceeded tells how it went.
+contract ERC20ReentrantMock is ERC20 {
+    bytes public hookData;
+    bool public hookSucceeded;
+
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) {}
+
+    function mint(address account, uint256 amount) public {
+        _mint(account, amount);
+    }
+
+    function setHook(bytes calldata data) external {
+        hookData = data;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        bytes memory data = hookData;
+        if (data.length > 0 && from != address(0) && to != address(0)) {
+            delete hookData;
+            (hookSucceeded, ) = from.call(data);
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { isAddress, parseEther, parseUnits, formatUnits } = require("ethers");
+
+const NETWORKS_DIR = path.join(__dirname, "networks");
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Mirrors CryptoEscrow.MAX_PLATFORM_FEE, MIN_DISPUTE_FEE, MIN_ESCROW_AMOUNT and
+// MAX_PANEL_SIZE, so bad configs fail before deploying
+const MAX_PLATFORM_FEE = 500;
+const MIN_DISPUTE_FEE = parseEther("0.01");
+const MIN_ESCROW_AMOUNT = parseEther("0.001");
+const MAX_PANEL_SIZE = 9;
+
+const CONFIG_KEYS = [
+  "platformFeePercentage",
+  "disputeFee",
+  "feeCollector",
+  "admin",
+  "chxToken",
+  "tokens",
+  "nativeLimits",
+  "nativePanelThreshold",
+  "arbitrators",
+  "disputePanel",
+  "refundDisputeFeeToWinner",
+  "mockSupply",
+  "gasLimit",
+  "verify",
+];
+const TOKEN_KEYS = [
+  "symbol",
+  "name",
+  "address",
+  "mock",
+  "decimals",
+  "disputeFee",
+  "limits",
+  "panelThreshold",
+];
+// Token limits in whole tokens; TokenLimits field names on chain
+const LIMIT_KEYS = {
+  min: "minAmount",
+  max: "maxAmount",
+  maxExposure: "maxExposure",
+  dailyCap: "dailyCap",
+};
+
+function isLocalNetwork(network) {
+  return LOCAL_NETWORKS.includes(network);
+}
+
+// Replaces "$NAME" strings with the environment variable NAME, anywhere in the config
+function expandEnv(value, errors, env) {
+  if (typeof value === "string" && value.startsWith("$")) {
+    const name = value.slice(1);
+    if (!env[name]) errors.push(`Environment variable ${name} is not set`);
+    return env[name] || "";
+  }
+  if (Array.isArray(value)) return value.map((item) => expandEnv(item, errors, env));
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, expandEnv(item, errors, env)])
+    );
+  }
+  return value;
+}
+
+function isDecimal(value) {
+  return typeof value === "string" && /^\d+(\.\d+)?$/.test(value);
+}
+
+function checkUnknownKeys(object, allowed, where, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) errors.push(`${where}: unknown key "${key}"`);
+  }
+}
+
+// "deployer" stands for whichever account runs the deployment
+function checkAccount(value, where, errors) {
+  if (value !== "deployer" && !isAddress(value)) {
+    errors.push(`${where} must be an address or "deployer", got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkLimits(limits, where, errors) {
+  if (limits === null || typeof limits !== "object" || Array.isArray(limits)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  checkUnknownKeys(limits, Object.keys(LIMIT_KEYS), where, errors);
+  for (const [key, value] of Object.entries(limits)) {
+    if (LIMIT_KEYS[key] && !isDecimal(value)) {
+      errors.push(`${where}.${key} must be a decimal string in whole tokens, e.g. "1000"`);
+    }
+  }
+}
+
+function checkToken(token, where, local, errors) {
+  if (token === null || typeof token !== "object") {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  checkUnknownKeys(token, TOKEN_KEYS, where, errors);
+  if (typeof token.symbol !== "string" || token.symbol === "") {
+    errors.push(`${where}.symbol is required`);
+  }
+  if (token.mock) {
+    if (!local) errors.push(`${where}: mock tokens can only be deployed on local networks`);
+    if (token.address !== undefined) errors.push(`${where}: a mock token cannot have an address`);
+  } else if (!isAddress(token.address)) {
+    errors.push(`${where}.address must be an address, got ${JSON.stringify(token.address)}`);
+  }
+  if (token.decimals !== undefined) {
+    if (!token.mock) errors.push(`${where}.decimals can only be set for mock tokens`);
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+      errors.push(`${where}.decimals must be an integer between 0 and 36`);
+    }
+  }
+  // Token decimals are only known on chain, so only the format is checked here;
+  // parseTokenLimits checks limits against them before deploying
+  if (token.disputeFee !== undefined && !isDecimal(token.disputeFee)) {
+    errors.push(`${where}.disputeFee must be a decimal string, e.g. "10"`);
+  }
+  if (token.limits !== undefined) checkLimits(token.limits, `${where}.limits`, errors);
+  if (token.panelThreshold !== undefined && !isDecimal(token.panelThreshold)) {
+    errors.push(`${where}.panelThreshold must be a decimal string in whole tokens, e.g. "10000"`);
+  }
+}
+
+// Panels of `size` arbitrators resolving disputes with `quorum` votes, a majority
+function checkDisputePanel(panel, errors) {
+  if (panel === null || typeof panel !== "object" || Array.isArray(panel)) {
+    errors.push("disputePanel must be an object");
+    return;
+  }
+  checkUnknownKeys(panel, ["size", "quorum"], "disputePanel", errors);
+  const { size, quorum } = panel;
+  if (!Number.isInteger(size) || size < 2 || size > MAX_PANEL_SIZE) {
+    errors.push(`disputePanel.size must be an integer between 2 and ${MAX_PANEL_SIZE}`);
+  } else if (!Number.isInteger(quorum) || quorum <= size / 2 || quorum > size) {
+    errors.push(`disputePanel.quorum must be a majority of the ${size} members`);
+  }
+}
+
+/**
+ * The minimum escrow amount a token starts with on chain: MIN_ESCROW_AMOUNT
+ * (0.001 of an 18-decimal token) in its decimals, at least one unit.
+ */
+function defaultMinAmount(decimals) {
+  if (decimals >= 18) return MIN_ESCROW_AMOUNT * 10n ** BigInt(decimals - 18);
+  const minAmount = MIN_ESCROW_AMOUNT / 10n ** BigInt(18 - decimals);
+  return minAmount === 0n ? 1n : minAmount;
+}
+
+/**
+ * Converts limits configured in whole tokens to the contract's TokenLimits,
+ * in the token's smallest unit. Problems the contract would reject, or
+ * amounts finer than the token's decimals, are pushed to `errors`. Missing
+ * maximums and caps are 0 (none); a missing min is the contract default.
+ *
+ * @returns {{ minAmount: bigint, maxAmount: bigint, maxExposure: bigint, dailyCap: bigint }}
+ */
+function parseTokenLimits(limits, decimals, where, errors) {
+  const parsed = {
+    minAmount: defaultMinAmount(decimals),
+    maxAmount: 0n,
+    maxExposure: 0n,
+    dailyCap: 0n,
+  };
+  for (const [key, field] of Object.entries(LIMIT_KEYS)) {
+    if (limits[key] === undefined) continue;
+    try {
+      parsed[field] = parseUnits(limits[key], decimals);
+    } catch {
+      errors.push(`${where}.${key} ${limits[key]} has more than the token's ${decimals} decimals`);
+    }
+  }
+
+  if (parsed.minAmount === 0n) {
+    errors.push(`${where}.min must be at least ${formatUnits(1n, decimals)}`);
+  }
+  for (const key of ["max", "maxExposure", "dailyCap"]) {
+    const value = parsed[LIMIT_KEYS[key]];
+    if (value !== 0n && value < parsed.minAmount) {
+      errors.push(`${where}.${key} is below the minimum escrow amount`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Checks a network config and collects every problem, so a bad file is fixed
+ * in one go. Throws an Error listing them all; returns the config otherwise.
+ *
+ * @param {object} config parsed deploy/networks/<network>.json, $ENV already expanded
+ * @param {{ network: string }} options
+ */
+function validateDeployConfig(config, { network }) {
+  const errors = [];
+  const local = isLocalNetwork(network);
+
+  checkUnknownKeys(config, CONFIG_KEYS, network, errors);
+
+  const fee = config.platformFeePercentage;
+  if (!Number.isInteger(fee) || fee < 0 || fee > MAX_PLATFORM_FEE) {
+    errors.push(`platformFeePercentage must be an integer between 0 and ${MAX_PLATFORM_FEE}`);
+  }
+  if (!isDecimal(config.disputeFee)) {
+    errors.push(`disputeFee must be a decimal string in ether, e.g. "0.1"`);
+  } else if (parseEther(config.disputeFee) < MIN_DISPUTE_FEE) {
+    errors.push("disputeFee must be at least 0.01");
+  }
+  checkAccount(config.feeCollector, "feeCollector", errors);
+  checkAccount(config.admin, "admin", errors);
+
+  checkToken(config.chxToken, "chxToken", local, errors);
+  if (config.nativeLimits !== undefined) checkLimits(config.nativeLimits, "nativeLimits", errors);
+
+  if (!Array.isArray(config.tokens)) {
+    errors.push("tokens must be an array");
+  } else {
+    config.tokens.forEach((token, i) => checkToken(token, `tokens[${i}]`, local, errors));
+    const all = [config.chxToken, ...config.tokens].filter((token) => token && token.symbol);
+    const symbols = all.map((token) => token.symbol);
+    const addresses = all.filter((token) => token.address).map((t) => t.address.toLowerCase());
+    for (const symbol of new Set(symbols.filter((s, i) => symbols.indexOf(s) !== i))) {
+      errors.push(`Token symbol ${symbol} is listed more than once`);
+    }
+    for (const address of new Set(addresses.filter((a, i) => addresses.indexOf(a) !== i))) {
+      errors.push(`Token address ${address} is listed more than once`);
+    }
+  }
+
+  if (!Array.isArray(config.arbitrators)) {
+    errors.push("arbitrators must be an array");
+  } else {
+    const seen = new Set();
+    config.arbitrators.forEach((arbitrator, i) => {
+      checkAccount(arbitrator, `arbitrators[${i}]`, errors);
+      const key = String(arbitrator).toLowerCase();
+      if (seen.has(key)) errors.push(`Arbitrator ${arbitrator} is listed more than once`);
+      seen.add(key);
+    });
+  }
+
+  if (config.disputePanel !== undefined) checkDisputePanel(config.disputePanel, errors);
+  if (config.nativePanelThreshold !== undefined && !isDecimal(config.nativePanelThreshold)) {
+    errors.push(`nativePanelThreshold must be a decimal string in ether, e.g. "10"`);
+  }
+  const thresholds = [config.chxToken, ...(Array.isArray(config.tokens) ? config.tokens : [])]
+    .filter((token) => token && token.panelThreshold !== undefined)
+    .map((token) => `${token.symbol}.panelThreshold`);
+  if (config.nativePanelThreshold !== undefined) thresholds.unshift("nativePanelThreshold");
+  if (config.disputePanel === undefined && thresholds.length > 0) {
+    errors.push(`${thresholds.join(", ")} need disputePanel to be set`);
+  }
+
+  if (typeof config.refundDisputeFeeToWinner !== "boolean") {
+    errors.push("refundDisputeFeeToWinner must be true or false");
+  }
+  if (config.mockSupply !== undefined && !isDecimal(config.mockSupply)) {
+    errors.push(`mockSupply must be a decimal string, e.g. "1000000"`);
+  }
+  if (
+    config.gasLimit !== undefined &&
+    !(Number.isInteger(config.gasLimit) && config.gasLimit > 0)
+  ) {
+    errors.push("gasLimit must be a positive integer");
+  }
+  if (config.verify !== undefined && typeof config.verify !== "boolean") {
+    errors.push("verify must be true or false");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid deploy config for ${network}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return config;
+}
+
+/**
+ * Reads deploy/networks/<network>.json (or an explicit file), expands $ENV
+ * references and validates it.
+ */
+function loadDeployConfig(network, { file, env = process.env } = {}) {
+  const configFile = file || path.join(NETWORKS_DIR, `${network}.json`);
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`No deploy config for ${network}; create ${configFile}`);
+  }
+
+  const errors = [];
+  const config = expandEnv(JSON.parse(fs.readFileSync(configFile, "utf8")), errors, env);
+  if (errors.length > 0) {
+    throw new Error(`Invalid deploy config for ${network}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return validateDeployConfig(config, { network });
+}
+
+module.exports = {
+  NETWORKS_DIR,
+  LOCAL_NETWORKS,
+  isLocalNetwork,
+  expandEnv,
+  loadDeployConfig,
+  validateDeployConfig,
+  defaultMinAmount,
+  parseTokenLimits,
+};
@@ -0,0 +1,69 @@
+const { mergeAbis } = require("../sdk/deployments");
+
+/**
+ * ABI of the deployed proxy: `contractName` (CryptoEscrow or a subclass)
+ * plus the CryptoEscrowAdmin functions it forwards.
+ */
+async function escrowAbi(hre, contractName = "CryptoEscrow") {
+  const [escrow, admin] = await Promise.all([
+    hre.artifacts.readArtifact(contractName),
+    hre.artifacts.readArtifact("CryptoEscrowAdmin"),
+  ]);
+  return mergeAbis(escrow.abi, admin.abi);
+}
+
+/**
+ * Deploys a CryptoEscrowAdmin module and a `contractName` implementation
+ * that forwards to it. Nothing points at them until a proxy is deployed
+ * with, or upgraded to, the implementation.
+ */
+async function deployImplementation(hre, { signer, contractName = "CryptoEscrow", overrides = {} }) {
+  const CryptoEscrowAdmin = await hre.ethers.getContractFactory("CryptoEscrowAdmin", signer);
+  const adminModule = await CryptoEscrowAdmin.deploy(overrides);
+  await adminModule.waitForDeployment();
+
+  const Implementation = await hre.ethers.getContractFactory(contractName, signer);
+  const implementation = await Implementation.deploy(await adminModule.getAddress(), overrides);
+  await implementation.waitForDeployment();
+  const receipt = await implementation.deploymentTransaction().wait();
+
+  return {
+    implementation: await implementation.getAddress(),
+    adminModule: await adminModule.getAddress(),
+    transactionHash: receipt.hash,
+  };
+}
+
+/**
+ * Deploys CryptoEscrow behind an ERC1967Proxy. `initArgs` are the initialize
+ * arguments (the former constructor arguments); the proxy runs initialize in
+ * its own constructor, so the signer becomes admin with no window for anyone
+ * else to initialize it first.
+ *
+ * @returns {Promise<{ escrow: import("ethers").Contract, address: string,
+ *   implementation: string, adminModule: string, initData: string, abi: object[],
+ *   receipt: import("ethers").TransactionReceipt }>}
+ */
+async function deployEscrowProxy(hre, { signer, initArgs, overrides = {} }) {
+  const { implementation, adminModule } = await deployImplementation(hre, { signer, overrides });
+  const CryptoEscrow = await hre.ethers.getContractFactory("CryptoEscrow");
+  const initData = CryptoEscrow.interface.encodeFunctionData("initialize", initArgs);
+
+  const ERC1967Proxy = await hre.ethers.getContractFactory("ERC1967Proxy", signer);
+  const proxy = await ERC1967Proxy.deploy(implementation, initData, overrides);
+  await proxy.waitForDeployment();
+  const address = await proxy.getAddress();
+  const abi = await escrowAbi(hre);
+
+  return {
+    escrow: new hre.ethers.Contract(address, abi, signer),
+    address,
+    implementation,
+    adminModule,
+    initData,
+    abi,
+    receipt: await proxy.deploymentTransaction().wait(),
+  };
+}
+
+module.exports = { escrowAbi, deployImplementation, deployEscrowProxy };
@@ -0,0 +1,593 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, ZeroAddress } = require("ethers");
+const { DEPLOYMENTS_DIR } = require("../sdk/deployments");
+const { ERC20_ABI } = require("../sdk/constants");
+const { isLocalNetwork, parseTokenLimits } = require("./config");
+const { escrowAbi, deployImplementation, deployEscrowProxy } = require("./escrow");
+const { readStorageLayout, assertStorageCompatible } = require("./storageLayout");
+
+const CONTRACT_NAME = "CryptoEscrow";
+const ROLES = ["FEE_MANAGER_ROLE", "TOKEN_MANAGER_ROLE", "ARBITRATOR_MANAGER_ROLE", "PAUSER_ROLE"];
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : fallback;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function deploymentFiles(deploymentsDir, network) {
+  return {
+    record: path.join(deploymentsDir, `${network}.json`),
+    history: path.join(deploymentsDir, "history", `${network}.json`),
+  };
+}
+
+function configHash(hre, config) {
+  return hre.ethers.id(JSON.stringify(config));
+}
+
+function resolveAccount(value, deployer) {
+  return value === "deployer" ? deployer.address : getAddress(value);
+}
+
+async function send(txPromise) {
+  const receipt = await (await txPromise).wait();
+  return receipt.hash;
+}
+
+async function chainIdOf(hre) {
+  return Number((await hre.ethers.provider.getNetwork()).chainId);
+}
+
+/**
+ * Returns the existing deployment when it can be reused: same chain and the
+ * proxy is still there. Records in the old { contracts: { CryptoEscrow } }
+ * layout carry no setup state and older records point at a contract that
+ * cannot be upgraded, so both are replaced.
+ */
+async function findReusable(hre, record, chainId, log) {
+  if (!record || !record.contract || !record.contract.address) {
+    if (record) log("⚠️ Existing deployment record uses the old layout; deploying a fresh copy");
+    return null;
+  }
+  if (!record.contract.implementation) {
+    log("⚠️ Existing deployment is not upgradeable; deploying a proxy");
+    return null;
+  }
+  if (record.chainId !== chainId) {
+    log(`⚠️ Existing deployment is for chain ${record.chainId}, not ${chainId}; redeploying`);
+    return null;
+  }
+  if ((await hre.ethers.provider.getCode(record.contract.address)) === "0x") {
+    log(`⚠️ No code at ${record.contract.address}; redeploying`);
+    return null;
+  }
+  return record;
+}
+
+// Fills in the configured tokens missing from `tokens`, deploying ERC20Mock (or
+// ERC20DecimalsMock when decimals are set) for mock tokens and minting the
+// deployer a supply to test with
+async function resolveTokens(hre, { config, deployer, log }, tokens = {}) {
+  for (const token of [config.chxToken, ...config.tokens]) {
+    if (tokens[token.symbol]) continue;
+    if (!token.mock) {
+      tokens[token.symbol] = token.address;
+      continue;
+    }
+    const name = token.name || token.symbol;
+    const mock =
+      token.decimals === undefined
+        ? await hre.ethers.deployContract("ERC20Mock", [name, token.symbol])
+        : await hre.ethers.deployContract("ERC20DecimalsMock", [
+            name,
+            token.symbol,
+            token.decimals,
+          ]);
+    await mock.waitForDeployment();
+    tokens[token.symbol] = await mock.getAddress();
+    if (config.mockSupply) {
+      const supply = hre.ethers.parseUnits(config.mockSupply, token.decimals ?? 18);
+      await send(mock.mint(deployer.address, supply));
+    }
+    log(`   🪙 Mock ${token.symbol} deployed to ${tokens[token.symbol]}`);
+  }
+  return tokens;
+}
+
+// Decimals of a token, 18 for native
+async function tokenDecimals(hre, address) {
+  if (address === ZeroAddress) return 18;
+  return Number(await new hre.ethers.Contract(address, ERC20_ABI, hre.ethers.provider).decimals());
+}
+
+/**
+ * The configured limits of every token that has them, by address, in the
+ * token's smallest unit. Reads each token's decimals and throws listing every
+ * limit that does not fit them, so nothing is sent for a bad config.
+ */
+async function resolveTokenLimits(hre, config, tokens) {
+  const configured = [config.chxToken, ...config.tokens]
+    .filter((token) => token.limits !== undefined)
+    .map((token) => [tokens[token.symbol], token.limits, `${token.symbol}.limits`]);
+  if (config.nativeLimits !== undefined) {
+    configured.unshift([ZeroAddress, config.nativeLimits, "nativeLimits"]);
+  }
+
+  const errors = [];
+  const resolved = {};
+  for (const [address, limits, where] of configured) {
+    const decimals = await tokenDecimals(hre, address);
+    resolved[address] = parseTokenLimits(limits, decimals, where, errors);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid token limits for ${hre.network.name}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return resolved;
+}
+
+// Panel thresholds configured in whole tokens, by token address, in its smallest unit
+async function resolvePanelThresholds(hre, config, tokens) {
+  const configured = [config.chxToken, ...config.tokens]
+    .filter((token) => token.panelThreshold !== undefined)
+    .map((token) => [tokens[token.symbol], token.panelThreshold, `${token.symbol}.panelThreshold`]);
+  if (config.nativePanelThreshold !== undefined) {
+    configured.unshift([ZeroAddress, config.nativePanelThreshold, "nativePanelThreshold"]);
+  }
+
+  const errors = [];
+  const resolved = {};
+  for (const [address, threshold, where] of configured) {
+    const decimals = await tokenDecimals(hre, address);
+    try {
+      resolved[address] = hre.ethers.parseUnits(threshold, decimals);
+    } catch {
+      errors.push(`${where} ${threshold} has more than the token's ${decimals} decimals`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid panel thresholds for ${hre.network.name}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+  return resolved;
+}
+
+// Hardhat-verify arguments for the proxy, its first implementation and the admin module
+function verificationTargets(record, implementation = record.implementations[0]) {
+  const { contract } = record;
+  return [
+    { address: implementation.adminModule, constructorArguments: [] },
+    { address: implementation.address, constructorArguments: [implementation.adminModule] },
+    {
+      address: contract.address,
+      constructorArguments: [record.implementations[0].address, contract.initData],
+    },
+  ];
+}
+
+async function verifyContracts(hre, targets, log) {
+  let verified = true;
+  for (const target of targets) {
+    try {
+      await hre.run("verify:verify", target);
+    } catch (error) {
+      if (!/already verified/i.test(error.message)) {
+        log(`   ⚠️ Verification of ${target.address} failed: ${error.message}`);
+        verified = false;
+      }
+    }
+  }
+  return verified;
+}
+
+async function deployEscrow(hre, { config, deployer, version, hash, log }) {
+  const tokens = await resolveTokens(hre, { config, deployer, log });
+  // Fail before the escrow is deployed
+  await resolveTokenLimits(hre, config, tokens);
+  await resolvePanelThresholds(hre, config, tokens);
+  const initializerArgs = {
+    platformFeePercentage: config.platformFeePercentage,
+    disputeFee: hre.ethers.parseEther(config.disputeFee).toString(),
+    feeCollector: resolveAccount(config.feeCollector, deployer),
+    initialTokens: config.tokens.map((token) => tokens[token.symbol]),
+    chxTokenAddress: tokens[config.chxToken.symbol],
+  };
+
+  const { address, implementation, adminModule, initData, abi, receipt } = await deployEscrowProxy(
+    hre,
+    {
+      signer: deployer,
+      initArgs: Object.values(initializerArgs),
+      overrides: config.gasLimit ? { gasLimit: config.gasLimit } : {},
+    }
+  );
+
+  return {
+    network: hre.network.name,
+    chainId: await chainIdOf(hre),
+    version,
+    contract: {
+      name: CONTRACT_NAME,
+      address,
+      implementation,
+      adminModule,
+      abi,
+      initializerArgs,
+      initData,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      storageLayout: await readStorageLayout(hre, CONTRACT_NAME),
+    },
+    implementations: [
+      {
+        contractName: CONTRACT_NAME,
+        address: implementation,
+        adminModule,
+        transactionHash: receipt.hash,
+        deployedAt: new Date().toISOString(),
+      },
+    ],
+    tokens,
+    deployer: deployer.address,
+    feeCollector: initializerArgs.feeCollector,
+    configHash: hash,
+    deployedAt: new Date().toISOString(),
+    steps: {},
+  };
+}
+
+/**
+ * Post-deploy setup, run in order after every deployment or reuse. Each step
+ * reads the chain before sending anything, so a step that failed half way is
+ * simply run again. `run` resolves to the transactions it sent (or false when
+ * it could not finish and should be retried on the next run).
+ */
+const SETUP_STEPS = [
+  {
+    name: "supportedTokens",
+    description: "Supporting configured tokens",
+    async run({ escrow, record }) {
+      const txHashes = [];
+      for (const address of Object.values(record.tokens)) {
+        if (!(await escrow.isTokenSupported(address))) {
+          txHashes.push(await send(escrow.addSupportedToken(address)));
+        }
+      }
+      return txHashes;
+    },
+  },
+  {
+    name: "tokenLimits",
+    description: "Setting token limits",
+    async run({ hre, escrow, config, record }) {
+      const txHashes = [];
+      const limits = await resolveTokenLimits(hre, config, record.tokens);
+      for (const [address, wanted] of Object.entries(limits)) {
+        const current = (await escrow.getTokenLimits(address)).toObject();
+        if (Object.keys(wanted).every((field) => current[field] === wanted[field])) continue;
+        txHashes.push(await send(escrow.setTokenLimits(address, wanted)));
+      }
+      return txHashes;
+    },
+  },
+  {
+    name: "disputeFeeRefund",
+    description: "Configuring dispute fee refunds",
+    async run({ escrow, config }) {
+      if ((await escrow.refundDisputeFeeToWinner()) === config.refundDisputeFeeToWinner) return [];
+      return [await send(escrow.setDisputeFeeRefund(config.refundDisputeFeeToWinner))];
+    },
+  },
+  {
+    name: "tokenDisputeFees",
+    description: "Queueing token dispute fees",
+    async run({ hre, escrow, config, record, log }) {
+      const txHashes = [];
+      for (const token of config.tokens.filter((t) => t.disputeFee !== undefined)) {
+        const address = record.tokens[token.symbol];
+        const erc20 = new hre.ethers.Contract(address, ERC20_ABI, hre.ethers.provider);
+        const amount = hre.ethers.parseUnits(token.disputeFee, await erc20.decimals());
+        if ((await escrow.tokenDisputeFees(address)) === amount) continue;
+
+        // Fee changes are timelocked, so they are only queued here
+        const data = escrow.interface.encodeFunctionData("setTokenDisputeFee", [address, amount]);
+        const id = hre.ethers.keccak256(data);
+        if ((await escrow.queuedOperations(id)) === 0n) {
+          txHashes.push(await send(escrow.queueOperation(data)));
+        }
+        log(`   🕒 ${token.symbol} dispute fee ${token.disputeFee} is queued as ${id}`);
+      }
+      if (txHashes.length > 0) {
+        const delayHours = Number(await escrow.TIMELOCK_DELAY()) / 3600;
+        log(`   Run timelock:execute for each operation in ${delayHours} hours`);
+      }
+      return txHashes;
+    },
+  },
+  {
+    name: "arbitrators",
+    description: "Adding arbitrators",
+    async run({ escrow, config, deployer }) {
+      const txHashes = [];
+      for (const arbitrator of config.arbitrators.map((a) => resolveAccount(a, deployer))) {
+        if (!(await escrow.arbitrators(arbitrator))) {
+          txHashes.push(await send(escrow.addArbitrator(arbitrator)));
+        }
+      }
+      return txHashes;
+    },
+  },
+  {
+    name: "disputePanel",
+    description: "Configuring dispute panels",
+    async run({ hre, escrow, config, record }) {
+      const txHashes = [];
+      const { size = 0, quorum = 0 } = config.disputePanel || {};
+      if (
+        (await escrow.panelSize()) !== BigInt(size) ||
+        (await escrow.panelQuorum()) !== BigInt(quorum)
+      ) {
+        txHashes.push(await send(escrow.setPanelConfig(size, quorum)));
+      }
+      const thresholds = await resolvePanelThresholds(hre, config, record.tokens);
+      for (const [address, threshold] of Object.entries(thresholds)) {
+        if ((await escrow.panelThresholds(address)) === threshold) continue;
+        txHashes.push(await send(escrow.setPanelThreshold(address, threshold)));
+      }
+      return txHashes;
+    },
+  },
+  {
+    name: "verify",
+    description: "Verifying source code",
+    async run({ hre, config, record, log }) {
+      if (isLocalNetwork(hre.network.name) || config.verify === false) return [];
+      return (await verifyContracts(hre, verificationTargets(record), log)) ? [] : false;
+    },
+  },
+  {
+    name: "roleHandoff",
+    description: "Handing roles over to the admin",
+    async run({ escrow, record, deployer, log }) {
+      const { admin } = record;
+      if (admin === deployer.address) return [];
+
+      // Once the new admin has accepted, the deployer can no longer change roles
+      if ((await escrow.admin()) === admin) return [];
+
+      const txHashes = [];
+      for (const name of ROLES) {
+        const role = await escrow[name]();
+        if (!(await escrow.hasRole(role, admin))) {
+          txHashes.push(await send(escrow.grantRole(role, admin)));
+        }
+      }
+      for (const name of ROLES) {
+        const role = await escrow[name]();
+        if (await escrow.hasRole(role, deployer.address)) {
+          txHashes.push(await send(escrow.revokeRole(role, deployer.address)));
+        }
+      }
+      if ((await escrow.pendingAdmin()) !== admin) {
+        txHashes.push(await send(escrow.transferAdmin(admin)));
+      }
+      log(`   👉 ${admin} has to run admin:accept to take over as admin`);
+      return txHashes;
+    },
+  },
+];
+
+/**
+ * Deploys CryptoEscrow for the current network from a validated config, or
+ * reuses the deployment recorded in deployments/<network>.json unless `force`
+ * is set, then runs the pending setup steps. Every run is appended to
+ * deployments/history/<network>.json; the version goes up with each new
+ * deployment.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ config: object, force?: boolean, deploymentsDir?: string, log?: Function }} options
+ * @returns {Promise<{ action: "deploy" | "reuse", record: object }>}
+ */
+async function runDeployment(
+  hre,
+  { config, force = false, deploymentsDir = DEPLOYMENTS_DIR, log = console.log }
+) {
+  const network = hre.network.name;
+  const files = deploymentFiles(deploymentsDir, network);
+  const [deployer] = await hre.ethers.getSigners();
+  const chainId = await chainIdOf(hre);
+  const hash = configHash(hre, config);
+  const history = readJson(files.history, []);
+
+  let record = force ? null : await findReusable(hre, readJson(files.record), chainId, log);
+  const action = record ? "reuse" : "deploy";
+
+  if (record) {
+    log(`♻️ Reusing ${CONTRACT_NAME} v${record.version} at ${record.contract.address}`);
+    if (record.configHash !== hash) {
+      log("⚠️ Config changed since this deployment. Initializer settings (fees, fee collector,");
+      log("   initial tokens) are not re-applied; set FORCE_DEPLOY=true to redeploy.");
+    }
+    await resolveTokens(hre, { config, deployer, log }, record.tokens);
+  } else {
+    const version = history.reduce((latest, entry) => Math.max(latest, entry.version), 0) + 1;
+    log(`🔨 Deploying ${CONTRACT_NAME} v${version} to ${network}...`);
+    record = await deployEscrow(hre, { config, deployer, version, hash, log });
+    log(`✅ ${CONTRACT_NAME} deployed to: ${record.contract.address}`);
+  }
+  record.admin = resolveAccount(config.admin, deployer);
+  writeJson(files.record, record);
+
+  const escrow = new hre.ethers.Contract(record.contract.address, record.contract.abi, deployer);
+  const context = { hre, escrow, config, record, deployer, log };
+  const completed = [];
+  for (const step of SETUP_STEPS) {
+    const done = record.steps[step.name];
+    if (done && done.configHash === hash) continue;
+
+    log(`⚙️ ${step.description}...`);
+    const txHashes = await step.run(context);
+    if (txHashes === false) continue;
+    record.steps[step.name] = { completedAt: new Date().toISOString(), configHash: hash, txHashes };
+    completed.push(step.name);
+    writeJson(files.record, record); // progress survives a failure in a later step
+  }
+
+  history.push({
+    version: record.version,
+    action,
+    address: record.contract.address,
+    chainId,
+    transactionHash: action === "deploy" ? record.contract.transactionHash : null,
+    deployer: deployer.address,
+    configHash: hash,
+    steps: completed,
+    timestamp: new Date().toISOString(),
+  });
+  writeJson(files.history, history);
+
+  return { action, record };
+}
+
+/**
+ * Upgrades the proxy in deployments/<network>.json to a new `contractName`
+ * implementation (CryptoEscrow, or a subclass). Upgrades are timelocked, so
+ * this takes two runs by the escrow admin. The first checks the new storage
+ * layout against the one recorded for the running implementation, deploys
+ * the implementation and queues the upgrade as the record's `pendingUpgrade`.
+ * Running it again once TIMELOCK_DELAY has passed executes the upgrade, adds
+ * the implementation to the record's `implementations` and the upgrade to
+ * the history.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {{ contractName?: string, deploymentsDir?: string, log?: Function }} options
+ * @returns {Promise<{ record: object, pending: object|null }>} `pending` is the
+ *   queued upgrade while it waits for the timelock, null once it ran
+ */
+async function runUpgrade(
+  hre,
+  { contractName = CONTRACT_NAME, deploymentsDir = DEPLOYMENTS_DIR, log = console.log } = {}
+) {
+  const network = hre.network.name;
+  const files = deploymentFiles(deploymentsDir, network);
+  const [signer] = await hre.ethers.getSigners();
+  const chainId = await chainIdOf(hre);
+  const record = readJson(files.record);
+
+  if (!record || !record.contract || !record.contract.implementation) {
+    throw new Error(`No upgradeable deployment in ${files.record}; run scripts/deploy.js first`);
+  }
+  if (record.chainId !== chainId) {
+    throw new Error(`${files.record} is for chain ${record.chainId}, not ${chainId}`);
+  }
+
+  const abi = await escrowAbi(hre, contractName);
+  const escrow = new hre.ethers.Contract(record.contract.address, abi, signer);
+  const admin = await escrow.admin();
+  if (admin !== signer.address) {
+    throw new Error(`Only the escrow admin ${admin} can upgrade it, not ${signer.address}`);
+  }
+
+  let pending = record.pendingUpgrade || null;
+  let transactionHash = null;
+  if (pending && pending.contractName !== contractName) {
+    throw new Error(
+      `An upgrade to ${pending.contractName} is queued as ${pending.operationId}; ` +
+        "finish it or cancel it with timelock:cancel first"
+    );
+  }
+  if (pending && (await escrow.queuedOperations(pending.operationId)) === 0n) {
+    // Executed with timelock:execute, or cancelled with timelock:cancel
+    if ((await escrow.adminModule()) !== pending.adminModule) {
+      log(`⚠️ The queued upgrade to ${pending.implementation} was cancelled; queueing a new one`);
+      pending = null;
+    }
+  } else if (pending) {
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (timestamp < pending.executableAt) {
+      const at = new Date(pending.executableAt * 1000).toISOString();
+      log(`🕒 The upgrade to ${pending.implementation} is queued as ${pending.operationId}`);
+      log(`   Run the upgrade again after ${at}`);
+      return { record, pending };
+    }
+    log(`🚀 Executing the upgrade to ${pending.implementation}...`);
+    transactionHash = await send(escrow.executeOperation(pending.data));
+  }
+
+  if (!pending) {
+    const storageLayout = await readStorageLayout(hre, contractName);
+    assertStorageCompatible(record.contract.storageLayout, storageLayout, contractName);
+
+    log(`🔨 Deploying ${contractName} implementation...`);
+    const deployed = await deployImplementation(hre, { signer, contractName });
+    const data = escrow.interface.encodeFunctionData("upgradeToAndCall", [
+      deployed.implementation,
+      "0x",
+    ]);
+    const operationId = hre.ethers.keccak256(data);
+    const queueTransactionHash = await send(escrow.queueOperation(data));
+    record.pendingUpgrade = {
+      contractName,
+      implementation: deployed.implementation,
+      adminModule: deployed.adminModule,
+      storageLayout,
+      operationId,
+      data,
+      executableAt: Number(await escrow.queuedOperations(operationId)),
+      queueTransactionHash,
+      deployedAt: new Date().toISOString(),
+    };
+    writeJson(files.record, record);
+
+    const at = new Date(record.pendingUpgrade.executableAt * 1000).toISOString();
+    log(`🕒 Upgrade queued as ${operationId}; run the upgrade again after ${at}`);
+    return { record, pending: record.pendingUpgrade };
+  }
+  log(`✅ ${record.contract.address} now runs ${pending.implementation}`);
+
+  const implementation = {
+    contractName,
+    address: pending.implementation,
+    adminModule: pending.adminModule,
+    transactionHash,
+    deployedAt: pending.deployedAt,
+  };
+  Object.assign(record.contract, {
+    name: contractName,
+    implementation: implementation.address,
+    adminModule: implementation.adminModule,
+    abi,
+    storageLayout: pending.storageLayout,
+  });
+  record.implementations.push(implementation);
+  delete record.pendingUpgrade;
+  writeJson(files.record, record);
+
+  if (!isLocalNetwork(network)) {
+    await verifyContracts(hre, verificationTargets(record, implementation).slice(0, 2), log);
+  }
+
+  const history = readJson(files.history, []);
+  history.push({
+    version: record.version,
+    action: "upgrade",
+    address: record.contract.address,
+    implementation: implementation.address,
+    chainId,
+    transactionHash,
+    deployer: signer.address,
+    configHash: record.configHash,
+    steps: [],
+    timestamp: new Date().toISOString(),
+  });
+  writeJson(files.history, history);
+
+  return { record, pending: null };
+}
+
+module.exports = { SETUP_STEPS, runDeployment, runUpgrade, deploymentFiles };
@@ -0,0 +1,124 @@
+// Storage layout checks for CryptoEscrow upgrades. Layouts come from the solc
+// `storageLayout` output (enabled in hardhat.config.js) and are recorded in the
+// deployment file, so an upgrade is compared against what the proxy actually runs.
+
+// solc type IDs embed AST IDs ("t_struct(Escrow)1234_storage") that change on
+// every compile; labels are qualified with the declaring contract
+function typeId(id) {
+  return id.replace(/\)\d+/g, ")");
+}
+
+function typeLabel(label) {
+  return label.replace(/\b[A-Za-z_]\w*\./g, "");
+}
+
+function variable(item) {
+  return { label: item.label, slot: item.slot, offset: item.offset, type: typeId(item.type) };
+}
+
+/**
+ * Reduces a solc storage layout to what decides compatibility, free of
+ * compilation-specific IDs so it can be stored and compared later.
+ */
+function normalizeLayout({ storage, types }) {
+  const normalized = {};
+  for (const [id, type] of Object.entries(types || {})) {
+    normalized[typeId(id)] = {
+      label: typeLabel(type.label),
+      encoding: type.encoding,
+      numberOfBytes: type.numberOfBytes,
+      ...(type.members && { members: type.members.map(variable) }),
+      ...(type.key && { key: typeId(type.key), value: typeId(type.value) }),
+      ...(type.base && { base: typeId(type.base) }),
+    };
+  }
+  return { storage: storage.map(variable), types: normalized };
+}
+
+/**
+ * Reads the normalized storage layout of a compiled contract.
+ */
+async function readStorageLayout(hre, contractName = "CryptoEscrow") {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+  if (!storageLayout) {
+    throw new Error(`No storage layout for ${contractName}; recompile with hardhat compile --force`);
+  }
+  return normalizeLayout(storageLayout);
+}
+
+function sameSlot(a, b) {
+  return b !== undefined && a.label === b.label && a.slot === b.slot && a.offset === b.offset;
+}
+
+// `growable` is set for mapping values: a struct stored there may gain
+// members at the end because nothing is laid out after it
+function compareTypes(previous, next, ids, path, growable, problems) {
+  const before = previous.types[ids[0]];
+  const after = next.types[ids[1]];
+
+  if (before.encoding !== after.encoding || (!before.members && before.label !== after.label)) {
+    problems.push(`${path} changed type from ${before.label} to ${after.label}`);
+    return;
+  }
+
+  if (before.members) {
+    before.members.forEach((member, i) => {
+      const where = `${path}.${member.label}`;
+      if (!sameSlot(member, after.members[i])) {
+        problems.push(`${where} was moved, renamed or removed in ${before.label}`);
+      } else {
+        compareTypes(previous, next, [member.type, after.members[i].type], where, false, problems);
+      }
+    });
+  } else if (before.key) {
+    compareTypes(previous, next, [before.key, after.key], `${path} key`, false, problems);
+    compareTypes(previous, next, [before.value, after.value], `${path}[]`, true, problems);
+  } else if (before.base) {
+    compareTypes(previous, next, [before.base, after.base], `${path}[]`, false, problems);
+  }
+
+  if (!growable && before.numberOfBytes !== after.numberOfBytes) {
+    problems.push(`${path} changed size from ${before.numberOfBytes} to ${after.numberOfBytes} bytes`);
+  }
+}
+
+/**
+ * Lists what would corrupt existing state if `next` replaced `previous`:
+ * variables or struct members that moved, were renamed or removed, or
+ * changed type or size. Appending variables, and members to structs only
+ * stored in mappings, is allowed. Returns an empty array when compatible.
+ */
+function compareStorageLayouts(previous, next) {
+  const problems = [];
+  for (const item of previous.storage) {
+    const current = next.storage.find((v) => v.slot === item.slot && v.offset === item.offset);
+    if (!sameSlot(item, current)) {
+      const now = current ? `, slot ${item.slot} now holds ${current.label}` : "";
+      problems.push(`${item.label} was moved, renamed or removed${now}`);
+    } else {
+      compareTypes(previous, next, [item.type, current.type], item.label, false, problems);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Throws when `next` cannot safely replace `previous`, listing every problem.
+ */
+function assertStorageCompatible(previous, next, contractName) {
+  const problems = compareStorageLayouts(previous, next);
+  if (problems.length > 0) {
+    throw new Error(
+      `${contractName} is not storage compatible with the deployed implementation:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+}
+
+module.exports = {
+  normalizeLayout,
+  readStorageLayout,
+  compareStorageLayouts,
+  assertStorageCompatible,
+};
@@ -4,21 +4,27 @@ require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
 require("solidity-coverage");
 require("./tasks/accounts");
+require("./tasks/escrow");
+require("./tasks/admin");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   defaultNetwork: "hardhat",
   solidity: {
-    version: "0.8.20",
+    version: "0.8.24",
     settings: {
       optimizer: {
         enabled: true,
-        runs: 1000,
+        runs: 200,
       },
       viaIR: true,
       metadata: {
         bytecodeHash: "none",
       },
+      // Read by deploy/storageLayout.js to check upgrades
+      outputSelection: {
+        "*": { "*": ["storageLayout"] },
+      },
     },
   },
   networks: {
@@ -0,0 +1,148 @@
+const { Contract } = require("ethers");
+const { buildProjection } = require("./projection");
+
+const DEFAULT_OPTIONS = {
+  startBlock: 0,
+  reorgDepth: 12, // blocks re-scanned on every pass
+  batchSize: 2000, // max block range per eth_getLogs call
+  pollInterval: 5000,
+};
+
+function serializeValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  return value;
+}
+
+/**
+ * Follows CryptoEscrow logs and keeps a projection of every escrow in a store.
+ *
+ * Each pass re-reads the last `reorgDepth` blocks below the checkpoint: stored
+ * events from those blocks are dropped and fetched again, so events from
+ * orphaned blocks disappear and the canonical ones take their place. When the
+ * checkpoint block itself was re-organised, a deeper reorg than that, the pass
+ * rewinds to the newest stored event whose block is still canonical.
+ */
+class EscrowIndexer {
+  /**
+   * @param {{ address: string, abi: Array, provider: import("ethers").Provider,
+   *           store: import("./JsonStore").JsonStore }} params
+   * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+   */
+  constructor({ address, abi, provider, store }, options = {}) {
+    this.provider = provider;
+    this.store = store;
+    this.contract = new Contract(address, abi, provider);
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Indexes everything up to the current head once.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number }>}
+   */
+  async sync() {
+    const head = await this.provider.getBlockNumber();
+    const checkpoint = this.store.checkpoint;
+    let fromBlock = this.options.startBlock;
+    if (checkpoint && (await this._isCanonical(checkpoint.blockNumber, checkpoint.blockHash))) {
+      fromBlock = Math.max(fromBlock, checkpoint.blockNumber + 1 - this.options.reorgDepth);
+    } else if (checkpoint) {
+      fromBlock = Math.max(fromBlock, await this._lastCanonicalEventBlock());
+    }
+
+    const events = [];
+    for (let start = fromBlock; start <= head; start += this.options.batchSize) {
+      const end = Math.min(start + this.options.batchSize - 1, head);
+      events.push(...(await this._fetchEvents(start, end)));
+    }
+
+    const headBlock = await this.provider.getBlock(head);
+    this.store.truncateFrom(fromBlock);
+    this.store.appendEvents(events);
+    this.store.setProjection(buildProjection(this.store.events));
+    this.store.setCheckpoint({ blockNumber: head, blockHash: headBlock.hash });
+    this.store.save();
+
+    return { fromBlock, toBlock: head, events: events.length };
+  }
+
+  /**
+   * Syncs now and then every `pollInterval` ms until stop() is called.
+   */
+  async start(onSync) {
+    this.running = true;
+    const tick = async () => {
+      if (!this.running) return;
+      try {
+        const result = await this.sync();
+        if (onSync) onSync(null, result);
+      } catch (error) {
+        if (onSync) onSync(error);
+      }
+      if (this.running) this.timer = setTimeout(tick, this.options.pollInterval);
+    };
+    await tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async _isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block !== null && block.hash === blockHash;
+  }
+
+  /**
+   * The block after the newest stored event still on chain (a block hash
+   * commits to every block before it), or 0 when none is.
+   */
+  async _lastCanonicalEventBlock() {
+    const events = this.store.events;
+    for (let i = events.length - 1; i >= 0; i--) {
+      const { blockNumber, blockHash } = events[i];
+      if (i < events.length - 1 && events[i + 1].blockNumber === blockNumber) continue;
+      if (await this._isCanonical(blockNumber, blockHash)) return blockNumber + 1;
+    }
+    return 0;
+  }
+
+  async _fetchEvents(fromBlock, toBlock) {
+    const logs = await this.contract.queryFilter("*", fromBlock, toBlock);
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (!parsed) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = serializeValue(parsed.args[i]);
+      });
+
+      events.push({
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args,
+      });
+    }
+
+    return events;
+  }
+}
+
+module.exports = { EscrowIndexer, DEFAULT_OPTIONS };
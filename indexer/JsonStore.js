@@ -0,0 +1,93 @@
+const fs = require("fs-extra");
+
+function emptyState() {
+  return {
+    checkpoint: null, // { blockNumber, blockHash }
+    events: [],
+    escrows: {},
+    platform: null,
+  };
+}
+
+/**
+ * JSON-file persistence for the indexer. The whole state is kept in memory and
+ * flushed atomically (write to a temp file, then rename) after every sync, so a
+ * crash can never leave a half-written projection behind.
+ * Pass no file path to keep everything in memory (useful for tests).
+ */
+class JsonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = emptyState();
+    if (filePath && fs.existsSync(filePath)) {
+      this.state = { ...emptyState(), ...fs.readJsonSync(filePath) };
+    }
+  }
+
+  get checkpoint() {
+    return this.state.checkpoint;
+  }
+
+  get events() {
+    return this.state.events;
+  }
+
+  /**
+   * Drops every stored event at or above `blockNumber` (used before re-scanning).
+   */
+  truncateFrom(blockNumber) {
+    this.state.events = this.state.events.filter((event) => event.blockNumber < blockNumber);
+  }
+
+  appendEvents(events) {
+    this.state.events.push(...events);
+  }
+
+  setProjection({ escrows, platform }) {
+    this.state.escrows = escrows;
+    this.state.platform = platform;
+  }
+
+  setCheckpoint(checkpoint) {
+    this.state.checkpoint = checkpoint;
+  }
+
+  save() {
+    if (!this.filePath) return;
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.outputJsonSync(tmpPath, this.state, { spaces: 2 });
+    fs.moveSync(tmpPath, this.filePath, { overwrite: true });
+  }
+
+  // Queries
+
+  getEscrow(escrowId) {
+    return this.state.escrows[String(escrowId)] || null;
+  }
+
+  getPlatform() {
+    return this.state.platform;
+  }
+
+  /**
+   * Filters indexed escrows. Every criterion is optional; addresses are compared
+   * case-insensitively and `from`/`to` are unix timestamps matched against creation time.
+   * @param {{ buyer?: string, seller?: string, party?: string, status?: string,
+   *           token?: string, from?: number, to?: number }} filter
+   */
+  findEscrows(filter = {}) {
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    return Object.values(this.state.escrows)
+      .filter((e) => !filter.buyer || same(e.buyer, filter.buyer))
+      .filter((e) => !filter.seller || same(e.seller, filter.seller))
+      .filter((e) => !filter.party || same(e.buyer, filter.party) || same(e.seller, filter.party))
+      .filter((e) => !filter.status || e.status.toLowerCase() === filter.status.toLowerCase())
+      .filter((e) => !filter.token || same(e.tokenAddress, filter.token))
+      .filter((e) => filter.from === undefined || e.createdAt >= filter.from)
+      .filter((e) => filter.to === undefined || e.createdAt <= filter.to)
+      .sort((a, b) => Number(a.id) - Number(b.id));
+  }
+}
+
+module.exports = { JsonStore };
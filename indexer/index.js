@@ -0,0 +1,10 @@
+const { EscrowIndexer, DEFAULT_OPTIONS } = require("./EscrowIndexer");
+const { JsonStore } = require("./JsonStore");
+const { buildProjection } = require("./projection");
+
+module.exports = {
+  EscrowIndexer,
+  DEFAULT_OPTIONS,
+  JsonStore,
+  buildProjection,
+};
@@ -0,0 +1,384 @@
+const NATIVE_TOKEN = "0x0000000000000000000000000000000000000000";
+
+function emptyPlatform() {
+  return {
+    supportedTokens: [NATIVE_TOKEN], // native support is set in initialize without an event
+    wrappedTokens: {},
+    arbitrators: [],
+    implementation: null, // latest proxy implementation
+    admin: null,
+    pendingAdmin: null,
+    roles: {}, // role hash => accounts holding it
+    pendingOperations: {}, // operation ID => { data, executableAt }
+    pausedFunctions: 0, // CryptoEscrow.PAUSE_* bitmask
+    pausedTokens: [],
+    withdrawable: {}, // account => token => credited amount not yet withdrawn
+    feeCollector: null,
+    platformFeePercentage: null,
+    disputeFee: null,
+    tokenDisputeFees: {},
+    refundDisputeFeeToWinner: false,
+    expiredDisputeBuyerShare: 5000, // contract default, only changes through an event
+    chxFeeTiers: [], // [{ threshold, discount }] by CHX staked
+    volumeFeeTiers: {}, // token => [{ threshold, discount }] by released volume
+    chxFeeRates: {}, // token => CHX per token unit, scaled by 1e18
+    stakedChx: {}, // account => { amount, unlockTime }
+    payFeesInChx: [], // accounts paying the platform fee in CHX
+    tokenLimits: {}, // token => { minAmount, maxAmount, maxExposure, dailyCap }
+    encryptionKeys: {}, // account => registered X25519 public key
+    panelSize: 0, // 0 = disputes always go to a single arbitrator
+    panelQuorum: 0,
+    panelThresholds: {}, // token => disputed amount from which disputes go to a panel
+    minBuyerTrades: {}, // seller => completed purchases buyers need to trade with them
+  };
+}
+
+function addUnique(list, value) {
+  if (!list.includes(value)) list.push(value);
+}
+
+function remove(list, value) {
+  const index = list.indexOf(value);
+  if (index !== -1) list.splice(index, 1);
+}
+
+// Event amounts are stored as decimal strings
+function addAmount(total, amount) {
+  return total === null ? amount : (BigInt(total) + BigInt(amount)).toString();
+}
+
+function feeTiers(tiers) {
+  return tiers.map(([threshold, discount]) => ({ threshold, discount: Number(discount) }));
+}
+
+function applyEscrowEvent(escrows, event) {
+  const { args } = event;
+  const id = args.escrowId;
+
+  if (event.name === "EscrowCreated") {
+    escrows[id] = {
+      id,
+      buyer: args.buyer,
+      seller: args.seller,
+      tokenAddress: args.token,
+      amount: args.amount,
+      paymentDetails: args.paymentDetails,
+      status: "Pending",
+      createdAt: event.timestamp,
+      createdBlock: event.blockNumber,
+      updatedAt: event.timestamp,
+      releasedAmount: null,
+      refundedAmount: null,
+      milestones: [],
+      deliveryDeadline: null,
+      shipped: false,
+      acknowledged: false,
+      cancellationRequested: false,
+      arbitrator: null,
+      panel: null, // { members, quorum, votes } when a panel decides the dispute
+      dispute: null,
+      evidence: [],
+      keyShares: [], // escrow keys wrapped for arbitrators, see sdk/encryption.js
+      timeline: [],
+    };
+  }
+
+  const escrow = escrows[id];
+  if (!escrow) return;
+
+  escrow.updatedAt = event.timestamp;
+  escrow.timeline.push({
+    event: event.name,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    timestamp: event.timestamp,
+    args,
+  });
+
+  switch (event.name) {
+    case "FundsDeposited":
+      escrow.status = "Funded";
+      escrow.amount = args.amount; // less than created for fee-on-transfer tokens
+      break;
+    case "FundsReleased":
+      escrow.status = "Released";
+      escrow.releasedAmount = addAmount(escrow.releasedAmount, args.amount);
+      break;
+    case "MilestoneAdded":
+      escrow.milestones.push({ amount: args.amount, description: args.description, released: false });
+      break;
+    case "MilestoneReleased":
+      escrow.milestones[Number(args.index)].released = true;
+      escrow.releasedAmount = addAmount(escrow.releasedAmount, args.sellerAmount);
+      if (escrow.milestones.every((milestone) => milestone.released)) escrow.status = "Released";
+      break;
+    case "EscrowCancelled":
+      escrow.status = "Cancelled";
+      escrow.refundedAmount = args.amount;
+      break;
+    case "DeliveryDeadlineSet":
+      escrow.deliveryDeadline = Number(args.deadline);
+      break;
+    case "ShipmentConfirmed":
+      escrow.shipped = true;
+      break;
+    case "OfferAccepted":
+      escrow.offerNonce = args.nonce;
+      break;
+    case "EscrowAcknowledged":
+      escrow.acknowledged = true;
+      break;
+    case "CancellationRequested":
+      escrow.cancellationRequested = true;
+      break;
+    case "FundsClaimed":
+      escrow.status = "AutoReleased";
+      escrow.releasedAmount = addAmount(escrow.releasedAmount, args.amount);
+      break;
+    case "RefundClaimed":
+      escrow.status = "Refunded";
+      escrow.refundedAmount = args.amount;
+      break;
+    case "DisputeRaised":
+      escrow.status = "Disputed";
+      escrow.dispute = { raisedBy: args.raisedBy, reason: args.reason, raisedAt: event.timestamp };
+      break;
+    case "DisputeArbitratorAssigned":
+      escrow.arbitrator = args.arbitrator;
+      break;
+    case "DisputePanelAssigned":
+      escrow.panel = { members: [...args.members], quorum: Number(args.quorum), votes: [] };
+      break;
+    case "DisputeVoteCast":
+      escrow.panel.votes.push({
+        arbitrator: args.arbitrator,
+        buyerAmount: args.buyerAmount,
+        sellerAmount: args.sellerAmount,
+        timestamp: event.timestamp,
+      });
+      break;
+    case "DisputeResolved":
+      escrow.status = "Resolved";
+      // Panel decisions carry no single arbitrator
+      if (!escrow.panel) escrow.arbitrator = args.arbitrator;
+      escrow.dispute = {
+        ...escrow.dispute,
+        resolvedAt: event.timestamp,
+        buyerWon: args.buyerWon,
+        buyerAmount: args.buyerAmount,
+        sellerAmount: args.sellerAmount,
+      };
+      break;
+    case "DisputeFeeRefunded":
+      escrow.dispute = { ...escrow.dispute, feeRefundedTo: args.to };
+      break;
+    case "DisputeDeadlineExtended":
+      escrow.dispute = { ...escrow.dispute, expiresAt: Number(args.newExpiry) };
+      break;
+    case "ExpiredDisputeSettled":
+      escrow.status = "Resolved";
+      escrow.dispute = {
+        ...escrow.dispute,
+        resolvedAt: event.timestamp,
+        expired: true,
+        buyerAmount: args.buyerAmount,
+        sellerAmount: args.sellerAmount,
+      };
+      break;
+    case "DisputeEvidenceSubmitted":
+      escrow.evidence.push({
+        submittedBy: args.submittedBy,
+        evidenceURL: args.evidenceURL,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+      });
+      break;
+    case "EscrowKeyShared":
+      escrow.keyShares.push({ from: args.from, to: args.to, wrappedKey: args.wrappedKey });
+      break;
+    default:
+      break;
+  }
+}
+
+function applyPlatformEvent(platform, event) {
+  const { args } = event;
+
+  switch (event.name) {
+    case "TokenSupported":
+      addUnique(platform.supportedTokens, args.token);
+      break;
+    case "TokenSupportRemoved":
+      remove(platform.supportedTokens, args.token);
+      break;
+    case "TokenWrapped":
+      platform.wrappedTokens[args.originalToken] = args.wrappedToken;
+      break;
+    case "ArbitratorAdded":
+      addUnique(platform.arbitrators, args.arbitrator);
+      break;
+    case "ArbitratorRemoved":
+      remove(platform.arbitrators, args.arbitrator);
+      break;
+    case "AdminTransferStarted":
+      platform.pendingAdmin = args.pendingAdmin;
+      break;
+    case "AdminUpdated":
+      platform.admin = args.newAdmin;
+      platform.pendingAdmin = null;
+      break;
+    case "RoleGranted":
+      platform.roles[args.role] = platform.roles[args.role] || [];
+      addUnique(platform.roles[args.role], args.account);
+      break;
+    case "RoleRevoked":
+      if (platform.roles[args.role]) remove(platform.roles[args.role], args.account);
+      break;
+    case "OperationQueued":
+      platform.pendingOperations[args.id] = {
+        data: args.data,
+        executableAt: Number(args.executableAt),
+      };
+      break;
+    case "Paused":
+      platform.pausedFunctions |= Number(args.functions);
+      break;
+    case "Unpaused":
+      platform.pausedFunctions &= ~Number(args.functions);
+      break;
+    case "TokenPauseUpdated":
+      if (args.paused) {
+        addUnique(platform.pausedTokens, args.token);
+      } else {
+        remove(platform.pausedTokens, args.token);
+      }
+      break;
+    case "Withdrawable": {
+      const balances = (platform.withdrawable[args.account] =
+        platform.withdrawable[args.account] || {});
+      balances[args.token] = addAmount(balances[args.token] || null, args.amount);
+      break;
+    }
+    case "Withdrawn":
+      // The payout may be scaled down for rebasing tokens; the whole credit is cleared
+      if (platform.withdrawable[args.account]) {
+        delete platform.withdrawable[args.account][args.token];
+      }
+      break;
+    case "OperationCancelled":
+    case "OperationExecuted":
+      delete platform.pendingOperations[args.id];
+      break;
+    case "FeeCollectorUpdated":
+      platform.feeCollector = args.newCollector;
+      break;
+    case "PlatformFeeUpdated":
+      platform.platformFeePercentage = args.newFee;
+      break;
+    case "DisputeFeeUpdated":
+      platform.disputeFee = args.newFee;
+      break;
+    case "TokenDisputeFeeUpdated":
+      platform.tokenDisputeFees[args.token] = args.newFee;
+      break;
+    case "DisputeFeeRefundUpdated":
+      platform.refundDisputeFeeToWinner = args.enabled;
+      break;
+    case "ExpiredDisputeSplitUpdated":
+      platform.expiredDisputeBuyerShare = args.buyerShare;
+      break;
+    case "Upgraded":
+      platform.implementation = args.implementation;
+      break;
+    case "ChxFeeTiersUpdated":
+      platform.chxFeeTiers = feeTiers(args.tiers);
+      break;
+    case "VolumeFeeTiersUpdated":
+      platform.volumeFeeTiers[args.token] = feeTiers(args.tiers);
+      break;
+    case "ChxFeeRateUpdated":
+      platform.chxFeeRates[args.token] = args.rate;
+      break;
+    case "ChxStaked": {
+      const stake = platform.stakedChx[args.account];
+      platform.stakedChx[args.account] = {
+        amount: addAmount(stake ? stake.amount : null, args.amount),
+        unlockTime: Number(args.unlockTime),
+      };
+      break;
+    }
+    case "ChxUnstaked": {
+      // Stakes made before the indexer's start block are not known
+      const stake = platform.stakedChx[args.account];
+      if (!stake) break;
+      const remaining = BigInt(stake.amount) - BigInt(args.amount);
+      if (remaining > 0n) {
+        stake.amount = remaining.toString();
+      } else {
+        delete platform.stakedChx[args.account];
+      }
+      break;
+    }
+    case "TokenLimitsUpdated": {
+      const [minAmount, maxAmount, maxExposure, dailyCap] = args.limits;
+      platform.tokenLimits[args.token] = { minAmount, maxAmount, maxExposure, dailyCap };
+      break;
+    }
+    case "EncryptionKeyRegistered":
+      if (BigInt(args.publicKey) === 0n) {
+        delete platform.encryptionKeys[args.account];
+      } else {
+        platform.encryptionKeys[args.account] = args.publicKey;
+      }
+      break;
+    case "PanelConfigUpdated":
+      platform.panelSize = Number(args.size);
+      platform.panelQuorum = Number(args.quorum);
+      break;
+    case "PanelThresholdUpdated":
+      if (BigInt(args.threshold) === 0n) {
+        delete platform.panelThresholds[args.token];
+      } else {
+        platform.panelThresholds[args.token] = args.threshold;
+      }
+      break;
+    case "MinBuyerTradesUpdated":
+      if (BigInt(args.minTrades) === 0n) {
+        delete platform.minBuyerTrades[args.seller];
+      } else {
+        platform.minBuyerTrades[args.seller] = Number(args.minTrades);
+      }
+      break;
+    case "FeePaymentInChxUpdated":
+      if (args.enabled) {
+        addUnique(platform.payFeesInChx, args.account);
+      } else {
+        remove(platform.payFeesInChx, args.account);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Replays the ordered event log into per-escrow and platform-wide projections.
+ * The projection is a pure function of the events, which is what lets the
+ * indexer drop and re-scan blocks after a reorg.
+ */
+function buildProjection(events) {
+  const escrows = {};
+  const platform = emptyPlatform();
+
+  for (const event of events) {
+    if (event.args.escrowId !== undefined) {
+      applyEscrowEvent(escrows, event);
+    } else {
+      applyPlatformEvent(platform, event);
+    }
+  }
+
+  return { escrows, platform };
+}
+
+module.exports = { buildProjection, NATIVE_TOKEN };
@@ -0,0 +1,281 @@
+const crypto = require("crypto");
+const { ALERT_TYPES, validateKeeperConfig } = require("./config");
+
+const REQUEST_TIMEOUT = 10000;
+const HOUR = 3600;
+
+/**
+ * Watches CryptoEscrow through an EscrowIndexer and posts webhooks for every
+ * escrow event and for upcoming or passed deadlines. With a keeper signer it
+ * also settles expired disputes, the contract's one permissionless
+ * housekeeping call; delivery deadline claims need the buyer or seller.
+ *
+ * Each pass syncs the indexer, queues new notifications in the persisted
+ * outbox, then posts them. Deliveries are retried with exponential backoff and
+ * are at-least-once: receivers should dedupe on the X-Escrow-Delivery header.
+ */
+class EscrowKeeper {
+  /**
+   * @param {{ indexer: import("../indexer").EscrowIndexer,
+   *           state: import("./KeeperState").KeeperState,
+   *           signer?: import("ethers").Signer }} params
+   * @param {Partial<typeof import("./config").DEFAULT_CONFIG>} [config]
+   */
+  constructor({ indexer, state, signer }, config = {}) {
+    this.indexer = indexer;
+    this.state = state;
+    this.signer = signer || null;
+    this.config = validateKeeperConfig(config);
+    this.timer = null;
+    this.running = false;
+
+    const known = new Set(ALERT_TYPES);
+    indexer.contract.interface.forEachEvent((event) => {
+      if (event.inputs.some((input) => input.name === "escrowId")) known.add(event.name);
+    });
+    for (const webhook of this.config.webhooks) {
+      const unknown = (webhook.events || []).filter((type) => !known.has(type));
+      if (unknown.length > 0) {
+        throw new Error(`Webhook ${webhook.url} subscribes to unknown events: ${unknown}`);
+      }
+    }
+  }
+
+  /**
+   * Runs one pass: sync, queue notifications, settle expired disputes, deliver.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number,
+   *   notifications: number, settled: Array<{ escrowId: string, hash: string }>,
+   *   delivered: number, failed: Array<{ id: string, url: string, error: string }> }>}
+   */
+  async tick() {
+    const sync = await this.indexer.sync();
+    const { timestamp } = await this.indexer.provider.getBlock(sync.toBlock);
+    const disputeExpiries = await this._disputeExpiries();
+
+    const notifications = [
+      ...this._eventNotifications(sync.toBlock - this.config.confirmations),
+      ...this._alertNotifications(timestamp, disputeExpiries),
+    ];
+    this._enqueue(notifications);
+    this.state.save();
+
+    const settled = await this._settleExpiredDisputes(timestamp, disputeExpiries);
+    const { delivered, failed } = await this._deliver();
+    return { ...sync, notifications: notifications.length, settled, delivered, failed };
+  }
+
+  /**
+   * Ticks now and then every indexer pollInterval ms until stop() is called.
+   */
+  async start(onTick) {
+    this.running = true;
+    const tick = async () => {
+      if (!this.running) return;
+      try {
+        const result = await this.tick();
+        if (onTick) onTick(null, result);
+      } catch (error) {
+        if (onTick) onTick(error);
+      }
+      if (this.running) this.timer = setTimeout(tick, this.indexer.options.pollInterval);
+    };
+    await tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Escrow events up to `finalBlock` that no earlier pass has queued
+  _eventNotifications(finalBlock) {
+    const cursor = this.state.cursor;
+    const events = this.indexer.store.events.filter(
+      (event) =>
+        event.blockNumber <= finalBlock &&
+        (!cursor ||
+          event.blockNumber > cursor.blockNumber ||
+          (event.blockNumber === cursor.blockNumber && event.logIndex > cursor.logIndex))
+    );
+    if (events.length === 0) return [];
+
+    const last = events[events.length - 1];
+    this.state.setCursor({ blockNumber: last.blockNumber, logIndex: last.logIndex });
+    return events
+      .filter((event) => event.args.escrowId !== undefined)
+      .map((event) => ({
+        id: `${event.transactionHash}:${event.logIndex}`,
+        type: event.name,
+        ...this._escrowFields(event.args.escrowId),
+        timestamp: event.timestamp,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        args: event.args,
+      }));
+  }
+
+  // Deadline alerts, each raised once per escrow and deadline
+  _alertNotifications(now, disputeExpiries) {
+    const { unfundedAfterHours, deliveryDeadlineWarningHours, disputeExpiryWarningHours } =
+      this.config;
+    const alerts = [];
+    const alert = (type, escrow, deadline, details) => {
+      const id = `${type}:${escrow.id}:${deadline}`;
+      if (this.state.hasAlerted(id)) return;
+      this.state.markAlerted(id, now);
+      alerts.push({ id, type, ...this._escrowFields(escrow.id), timestamp: now, ...details });
+    };
+
+    for (const escrow of this.indexer.store.findEscrows()) {
+      if (escrow.status === "Pending") {
+        const deadline = escrow.createdAt + unfundedAfterHours * HOUR;
+        if (now >= deadline) alert("UnfundedEscrow", escrow, deadline, {});
+      } else if (escrow.status === "Funded" && escrow.deliveryDeadline) {
+        const deadline = escrow.deliveryDeadline;
+        // claimFunds for the seller once shipped, claimRefund for the buyer otherwise
+        const details = { deadline, claimableBy: escrow.shipped ? "seller" : "buyer" };
+        if (now > deadline) {
+          alert("DeliveryDeadlinePassed", escrow, deadline, details);
+        } else if (now >= deadline - deliveryDeadlineWarningHours * HOUR) {
+          alert("DeliveryDeadlineApproaching", escrow, deadline, details);
+        }
+      } else if (disputeExpiries.has(escrow.id)) {
+        const expiry = disputeExpiries.get(escrow.id);
+        if (now > expiry) {
+          alert("DisputeExpired", escrow, expiry, { expiresAt: expiry });
+        } else if (now >= expiry - disputeExpiryWarningHours * HOUR) {
+          alert("DisputeExpiring", escrow, expiry, { expiresAt: expiry });
+        }
+      }
+    }
+    return alerts;
+  }
+
+  _escrowFields(escrowId) {
+    const escrow = this.indexer.store.getEscrow(escrowId);
+    return {
+      contract: this.indexer.contract.target,
+      escrowId: String(escrowId),
+      buyer: escrow ? escrow.buyer : null,
+      seller: escrow ? escrow.seller : null,
+      arbitrator: escrow ? escrow.arbitrator : null,
+      panel: escrow && escrow.panel ? escrow.panel.members : null,
+    };
+  }
+
+  // The contract's deadline, which DisputeRaised does not carry, for every disputed escrow
+  async _disputeExpiries() {
+    const expiries = new Map();
+    for (const escrow of this.indexer.store.findEscrows({ status: "Disputed" })) {
+      const { disputeExpiry } = await this.indexer.contract.getEscrowDetails(escrow.id);
+      expiries.set(escrow.id, Number(disputeExpiry));
+    }
+    return expiries;
+  }
+
+  _enqueue(notifications) {
+    const deliveries = [];
+    for (const notification of notifications) {
+      for (const webhook of this.config.webhooks) {
+        if (webhook.events && !webhook.events.includes(notification.type)) continue;
+        deliveries.push({
+          id: `${notification.id}@${webhook.url}`,
+          url: webhook.url,
+          notification,
+          attempts: 0,
+          nextAttemptAt: 0,
+        });
+      }
+    }
+    this.state.enqueue(deliveries);
+  }
+
+  async _deliver() {
+    const { maxAttempts, retryDelaySeconds } = this.config;
+    let delivered = 0;
+    const failed = [];
+
+    for (const delivery of [...this.state.outbox]) {
+      if (delivery.nextAttemptAt > Date.now()) continue;
+      // Secrets are not persisted; deliveries to webhooks removed from the config are dropped
+      const webhook = this.config.webhooks.find((candidate) => candidate.url === delivery.url);
+      if (!webhook) {
+        this.state.removeDelivery(delivery.id);
+        continue;
+      }
+
+      try {
+        await this._post(webhook, delivery);
+        this.state.removeDelivery(delivery.id);
+        delivered++;
+      } catch (error) {
+        delivery.attempts++;
+        delivery.lastError = error.message;
+        delivery.nextAttemptAt =
+          Date.now() + retryDelaySeconds * 1000 * 2 ** (delivery.attempts - 1);
+        if (delivery.attempts >= maxAttempts) {
+          this.state.removeDelivery(delivery.id);
+          failed.push({ id: delivery.id, url: delivery.url, error: error.message });
+        }
+      }
+      this.state.save();
+    }
+    return { delivered, failed };
+  }
+
+  async _post(webhook, delivery) {
+    const body = JSON.stringify(delivery.notification);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Escrow-Event": delivery.notification.type,
+      "X-Escrow-Delivery": delivery.id,
+    };
+    if (webhook.secret) {
+      const signature = crypto.createHmac("sha256", webhook.secret).update(body).digest("hex");
+      headers["X-Escrow-Signature"] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  }
+
+  async _settleExpiredDisputes(now, disputeExpiries) {
+    if (!this.config.settleExpiredDisputes || !this.signer) return [];
+
+    const { provider } = this.indexer;
+    const escrow = this.indexer.contract.connect(this.signer);
+    const settled = [];
+    for (const [escrowId, expiry] of disputeExpiries) {
+      if (now <= expiry) continue;
+
+      // A transaction sent before a restart is still pending or already mined
+      const pending = this.state.getSettlement(escrowId);
+      if (pending) {
+        const receipt = await provider.getTransactionReceipt(pending);
+        if (!receipt && (await provider.getTransaction(pending)) !== null) continue;
+        this.state.setSettlement(escrowId, null);
+      }
+
+      try {
+        await escrow.settleExpiredDispute.staticCall(escrowId);
+      } catch (error) {
+        continue; // settled or extended since the last sync
+      }
+      const tx = await escrow.settleExpiredDispute(escrowId);
+      this.state.setSettlement(escrowId, tx.hash);
+      this.state.save();
+      await tx.wait();
+      this.state.setSettlement(escrowId, null);
+      settled.push({ escrowId, hash: tx.hash });
+    }
+    return settled;
+  }
+}
+
+module.exports = { EscrowKeeper };
@@ -0,0 +1,78 @@
+const fs = require("fs-extra");
+
+function emptyState() {
+  return {
+    cursor: null, // { blockNumber, logIndex } of the last event turned into notifications
+    alerted: {}, // alert ID => unix time it was queued, so deadline alerts go out once
+    outbox: [], // webhook deliveries not yet acknowledged, see EscrowKeeper._deliver
+    settlements: {}, // escrow ID => hash of the keeper's settleExpiredDispute transaction
+  };
+}
+
+/**
+ * JSON-file persistence for the keeper, written atomically like the indexer's
+ * JsonStore. Notifications are queued in the outbox and saved before they are
+ * sent, so a restart resumes pending deliveries instead of resending delivered
+ * ones. Pass no file path to keep everything in memory (useful for tests).
+ */
+class KeeperState {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = emptyState();
+    if (filePath && fs.existsSync(filePath)) {
+      this.state = { ...emptyState(), ...fs.readJsonSync(filePath) };
+    }
+  }
+
+  get cursor() {
+    return this.state.cursor;
+  }
+
+  get outbox() {
+    return this.state.outbox;
+  }
+
+  setCursor(cursor) {
+    this.state.cursor = cursor;
+  }
+
+  hasAlerted(alertId) {
+    return this.state.alerted[alertId] !== undefined;
+  }
+
+  markAlerted(alertId, timestamp) {
+    this.state.alerted[alertId] = timestamp;
+  }
+
+  enqueue(deliveries) {
+    this.state.outbox.push(...deliveries);
+  }
+
+  /**
+   * Drops a delivery from the outbox once it was acknowledged or gave up.
+   */
+  removeDelivery(deliveryId) {
+    this.state.outbox = this.state.outbox.filter((delivery) => delivery.id !== deliveryId);
+  }
+
+  getSettlement(escrowId) {
+    return this.state.settlements[String(escrowId)] || null;
+  }
+
+  setSettlement(escrowId, hash) {
+    if (hash === null) {
+      delete this.state.settlements[String(escrowId)];
+    } else {
+      this.state.settlements[String(escrowId)] = hash;
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.outputJsonSync(tmpPath, this.state, { spaces: 2 });
+    fs.moveSync(tmpPath, this.filePath, { overwrite: true });
+  }
+}
+
+module.exports = { KeeperState };
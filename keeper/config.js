@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { expandEnv } = require("../deploy/config");
+
+const NETWORKS_DIR = path.join(__dirname, "networks");
+
+// Notifications the keeper raises from deadlines rather than from contract events
+const ALERT_TYPES = [
+  "UnfundedEscrow", // still Pending unfundedAfterHours after creation
+  "DeliveryDeadlineApproaching",
+  "DeliveryDeadlinePassed",
+  "DisputeExpiring",
+  "DisputeExpired",
+];
+
+const DEFAULT_CONFIG = {
+  webhooks: [],
+  confirmations: 2, // events this many blocks below the head are final enough to notify
+  unfundedAfterHours: 24,
+  deliveryDeadlineWarningHours: 24,
+  disputeExpiryWarningHours: 24,
+  settleExpiredDisputes: false, // needs KEEPER_PRIVATE_KEY
+  maxAttempts: 8, // per webhook delivery, then it is dropped
+  retryDelaySeconds: 30, // doubled after every failed attempt
+};
+
+const CONFIG_KEYS = Object.keys(DEFAULT_CONFIG);
+const WEBHOOK_KEYS = ["url", "events", "secret"];
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function checkWebhook(webhook, where, errors) {
+  if (webhook === null || typeof webhook !== "object" || Array.isArray(webhook)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(webhook)) {
+    if (!WEBHOOK_KEYS.includes(key)) errors.push(`${where}: unknown key "${key}"`);
+  }
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    errors.push(`${where}.url must be an http(s) URL, got ${JSON.stringify(webhook.url)}`);
+  }
+  if (
+    webhook.events !== undefined &&
+    !(
+      Array.isArray(webhook.events) &&
+      webhook.events.length > 0 &&
+      webhook.events.every((type) => typeof type === "string" && type !== "")
+    )
+  ) {
+    errors.push(`${where}.events must be a non-empty array of event or alert names`);
+  }
+  if (webhook.secret !== undefined && (typeof webhook.secret !== "string" || !webhook.secret)) {
+    errors.push(`${where}.secret must be a non-empty string`);
+  }
+}
+
+/**
+ * Checks a keeper config and fills in the defaults. Every problem is reported
+ * at once.
+ */
+function validateKeeperConfig(config, { source = "keeper config" } = {}) {
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  const merged = { ...DEFAULT_CONFIG, ...config };
+
+  if (!Array.isArray(merged.webhooks)) {
+    errors.push("webhooks must be an array");
+  } else {
+    merged.webhooks.forEach((webhook, i) => checkWebhook(webhook, `webhooks[${i}]`, errors));
+  }
+  if (!Number.isInteger(merged.confirmations) || merged.confirmations < 0) {
+    errors.push("confirmations must be a non-negative integer");
+  }
+  for (const key of [
+    "unfundedAfterHours",
+    "deliveryDeadlineWarningHours",
+    "disputeExpiryWarningHours",
+    "retryDelaySeconds",
+  ]) {
+    if (!isNonNegativeNumber(merged[key])) errors.push(`${key} must be a non-negative number`);
+  }
+  if (!Number.isInteger(merged.maxAttempts) || merged.maxAttempts < 1) {
+    errors.push("maxAttempts must be a positive integer");
+  }
+  if (typeof merged.settleExpiredDisputes !== "boolean") {
+    errors.push("settleExpiredDisputes must be true or false");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return merged;
+}
+
+/**
+ * Reads keeper/networks/<network>.json (or an explicit file), expands $ENV
+ * references (e.g. webhook secrets) and validates it.
+ */
+function loadKeeperConfig(network, { file, env = process.env } = {}) {
+  const configFile = file || path.join(NETWORKS_DIR, `${network}.json`);
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`No keeper config for ${network}; create ${configFile}`);
+  }
+
+  const errors = [];
+  const config = expandEnv(JSON.parse(fs.readFileSync(configFile, "utf8")), errors, env);
+  if (errors.length > 0) {
+    throw new Error(`Invalid keeper config for ${network}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return validateKeeperConfig(config, { source: `keeper config for ${network}` });
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DEFAULT_CONFIG,
+  loadKeeperConfig,
+  validateKeeperConfig,
+};
@@ -0,0 +1,12 @@
+const { EscrowKeeper } = require("./EscrowKeeper");
+const { KeeperState } = require("./KeeperState");
+const { ALERT_TYPES, DEFAULT_CONFIG, loadKeeperConfig, validateKeeperConfig } = require("./config");
+
+module.exports = {
+  EscrowKeeper,
+  KeeperState,
+  ALERT_TYPES,
+  DEFAULT_CONFIG,
+  loadKeeperConfig,
+  validateKeeperConfig,
+};
@@ -0,0 +1,44 @@
+const path = require("path");
+const hre = require("hardhat");
+const { loadDeployment } = require("../sdk/deployments");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+const { createApiServer } = require("../api/server");
+
+async function main() {
+  const { address, abi } = loadDeployment(hre.network.name);
+  const port = Number(process.env.API_PORT || 3000);
+  const storePath =
+    process.env.INDEXER_DB || path.join(__dirname, "../indexer-data", `${hre.network.name}.json`);
+
+  const store = new JsonStore(storePath);
+  const indexer = new EscrowIndexer(
+    { address, abi, provider: hre.ethers.provider, store },
+    {
+      startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+      reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 12),
+      pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 5000),
+    }
+  );
+  const escrow = new hre.ethers.Contract(address, abi, hre.ethers.provider);
+  const server = createApiServer({ store, escrow });
+
+  await indexer.start((error) => {
+    if (error) console.error("⚠️ Sync failed:", error.message);
+  });
+  server.listen(port, () => {
+    console.log(`🌐 Escrow API for ${address} listening on http://localhost:${port}`);
+  });
+
+  const shutdown = () => {
+    console.log("\n👋 Stopping API");
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error("💥 API failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+
+// Minimum coverage in percent; override with e.g. COVERAGE_BRANCHES=85
+const THRESHOLDS = {
+  statements: Number(process.env.COVERAGE_STATEMENTS || 90),
+  branches: Number(process.env.COVERAGE_BRANCHES || 80),
+  functions: Number(process.env.COVERAGE_FUNCTIONS || 90),
+  lines: Number(process.env.COVERAGE_LINES || 90),
+};
+
+function main() {
+  const summaryPath = path.join(__dirname, "../coverage/coverage-summary.json");
+  if (!fs.existsSync(summaryPath)) {
+    throw new Error(`${summaryPath} not found; run "npx hardhat coverage" first`);
+  }
+
+  const { total } = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+  let failed = false;
+  for (const [metric, minimum] of Object.entries(THRESHOLDS)) {
+    const { pct } = total[metric];
+    const ok = pct >= minimum;
+    failed = failed || !ok;
+    console.log(`${ok ? "✅" : "❌"} ${metric.padEnd(10)} ${pct.toFixed(2)}% (minimum ${minimum}%)`);
+  }
+
+  if (failed) {
+    throw new Error("Coverage is below the threshold");
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("💥 Coverage check failed:", error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,42 @@
+const path = require("path");
+const hre = require("hardhat");
+const { loadDeployment } = require("../sdk/deployments");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+
+async function main() {
+  const { address, abi } = loadDeployment(hre.network.name);
+  const storePath =
+    process.env.INDEXER_DB || path.join(__dirname, "../indexer-data", `${hre.network.name}.json`);
+
+  const indexer = new EscrowIndexer(
+    { address, abi, provider: hre.ethers.provider, store: new JsonStore(storePath) },
+    {
+      startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+      reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 12),
+      pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 5000),
+    }
+  );
+
+  console.log(`🔎 Indexing CryptoEscrow ${address} on ${hre.network.name}`);
+  console.log(`📦 Store: ${storePath}`);
+
+  const shutdown = () => {
+    console.log("\n👋 Stopping indexer");
+    indexer.stop();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.start((error, result) => {
+    if (error) {
+      console.error("⚠️ Sync failed:", error.message);
+    } else if (result.events > 0) {
+      console.log(`✅ Blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events`);
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error("💥 Indexer failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,83 @@
+const path = require("path");
+const hre = require("hardhat");
+const { loadDeployment } = require("../sdk/deployments");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+const { EscrowKeeper, KeeperState, loadKeeperConfig } = require("../keeper");
+
+// Runs the keeper with keeper/networks/<network>.json (or KEEPER_CONFIG).
+// KEEPER_PRIVATE_KEY is the dedicated key that settles expired disputes; keep
+// it funded for gas and separate from the admin and arbitrator keys.
+async function main() {
+  const network = hre.network.name;
+  const { address, abi } = loadDeployment(network);
+  const config = loadKeeperConfig(network, { file: process.env.KEEPER_CONFIG });
+  const dataDir = process.env.KEEPER_DATA_DIR || path.join(__dirname, "../keeper-data");
+
+  // The keeper keeps its own event store; the indexer script owns indexer-data
+  const indexer = new EscrowIndexer(
+    {
+      address,
+      abi,
+      provider: hre.ethers.provider,
+      store: new JsonStore(path.join(dataDir, `${network}-events.json`)),
+    },
+    {
+      startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+      reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 12),
+      pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || 15000),
+    }
+  );
+  const signer = process.env.KEEPER_PRIVATE_KEY
+    ? new hre.ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, hre.ethers.provider)
+    : null;
+  const keeper = new EscrowKeeper(
+    { indexer, state: new KeeperState(path.join(dataDir, `${network}.json`)), signer },
+    config
+  );
+
+  console.log(`⏰ Keeping CryptoEscrow ${address} on ${network}`);
+  if (config.webhooks.length === 0) console.log("📭 No webhooks configured; nothing is delivered");
+  for (const webhook of config.webhooks) {
+    console.log(
+      `📮 Webhook: ${webhook.url} (${webhook.events ? webhook.events.join(", ") : "all"})`
+    );
+  }
+  if (config.settleExpiredDisputes) {
+    console.log(
+      signer
+        ? `🔑 Settling expired disputes as ${signer.address}`
+        : "⚠️ settleExpiredDisputes is on but KEEPER_PRIVATE_KEY is not set; only notifying"
+    );
+  }
+
+  const shutdown = () => {
+    console.log("\n👋 Stopping keeper");
+    keeper.stop();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await keeper.start((error, result) => {
+    if (error) {
+      console.error("⚠️ Keeper pass failed:", error.message);
+      return;
+    }
+    if (result.notifications > 0 || result.delivered > 0) {
+      console.log(
+        `✅ Blocks ${result.fromBlock}-${result.toBlock}: ` +
+          `${result.notifications} notifications queued, ${result.delivered} delivered`
+      );
+    }
+    for (const { escrowId, hash } of result.settled) {
+      console.log(`⚖️ Settled expired dispute on escrow ${escrowId}: ${hash}`);
+    }
+    for (const { id, error: reason } of result.failed) {
+      console.error(`❌ Gave up on ${id}: ${reason}`);
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error("💥 Keeper failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { runUpgrade } = require("../deploy/pipeline");
+
+// Upgrades the proxy in deployments/<network>.json. ESCROW_CONTRACT picks the
+// implementation contract (CryptoEscrow by default); the signer must be the admin.
+// Upgrades are timelocked: the first run queues the upgrade, and running again
+// once the timelock delay has passed executes it.
+async function main() {
+  const network = hre.network.name;
+  const contractName = process.env.ESCROW_CONTRACT || "CryptoEscrow";
+  const [signer] = await ethers.getSigners();
+
+  console.log(`🚀 Upgrading the ${network} escrow to ${contractName}`);
+  console.log(`📌 Admin: ${signer.address}`);
+
+  const { record, pending } = await runUpgrade(hre, { contractName });
+  if (pending) {
+    console.log("\n⏳ Upgrade queued; run this script again once the timelock delay has passed");
+    return;
+  }
+
+  console.log(`\n📦 Deployment record: deployments/${network}.json (v${record.version})`);
+  console.log(`   Proxy: ${record.contract.address}`);
+  for (const implementation of record.implementations) {
+    console.log(`   ${implementation.deployedAt}  ${implementation.address}`);
+  }
+  console.log("\n🎉 Upgrade completed successfully!");
+}
+
+main().catch((error) => {
+  console.error("💥 Upgrade failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,851 @@
+const { Contract, ZeroAddress, ZeroHash } = require("ethers");
+const {
+  ERC20_ABI,
+  ESCROW_STATUS,
+  NATIVE_TOKEN,
+  statusName,
+  assetTypeName,
+} = require("./constants");
+const { decodeEscrowError } = require("./errors");
+const { loadDeployment, parseDeployment, loadArtifactAbi } = require("./deployments");
+const { signCancellationConsent, signOffer, signPermit } = require("./signing");
+const {
+  decryptEvidence,
+  decryptPaymentDetails,
+  encryptEvidence,
+  encryptPaymentDetails,
+  isEncrypted,
+  openEscrowKey,
+  unwrapEscrowKey,
+  wrapEscrowKey,
+} = require("./encryption");
+
+/**
+ * @typedef {Object} EscrowView
+ * @property {bigint} id
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {string} status          EscrowStatus name, e.g. "Funded"
+ * @property {number} statusCode      Raw EscrowStatus value
+ * @property {string} assetType       AssetType name, e.g. "ERC20"
+ * @property {string} tokenAddress    address(0) for the native coin
+ * @property {bigint} amount
+ * @property {bigint} platformFee     Fee on the disputed balance, fixed by raiseDispute; 0 before
+ * @property {bigint} disputeFee
+ * @property {boolean} disputeFeeInToken  true when the dispute fee was paid in the escrow's token
+ * @property {Date|null} createdAt
+ * @property {Date|null} disputeExpiry
+ * @property {string} arbitrator      address(0) while a panel decides, see getDisputePanel
+ * @property {string} disputeRaisedBy
+ * @property {string} disputeReason
+ * @property {string} paymentDetails
+ * @property {Date|null} deliveryDeadline
+ * @property {boolean} shipped
+ * @property {boolean} acknowledged
+ * @property {boolean} cancellationRequested
+ * @property {bigint} releasedAmount  Gross amount already paid out through milestones
+ * @property {Array<{ amount: bigint, description: string, released: boolean }>} milestones
+ *           Empty for single-payment escrows
+ */
+
+/**
+ * @typedef {Object} CreateEscrowParams
+ * @property {string} seller
+ * @property {bigint} amount          Amount in the token's smallest unit
+ * @property {string} [token]         ERC20 address, omit for the native coin
+ * @property {string} [paymentDetails]
+ * @property {number|bigint} [deliveryDeadline]  Unix timestamp, 0 (default) for none
+ * @property {boolean} [fund=true]    For ERC20 escrows, approve and fund right away
+ * @property {boolean} [encrypt=false] Encrypt paymentDetails to the buyer's and seller's
+ *           registered keys (see registerEncryptionKey)
+ */
+
+/**
+ * @typedef {Object} CreateMilestoneEscrowParams
+ * @property {string} seller
+ * @property {Array<{ amount: bigint, description: string }>} milestones  In release order
+ * @property {string} [token]
+ * @property {string} [paymentDetails]
+ * @property {number|bigint} [deliveryDeadline]
+ * @property {boolean} [fund=true]
+ * @property {boolean} [encrypt=false]
+ */
+
+/**
+ * @typedef {Object} DisputePanel
+ * @property {string[]} members
+ * @property {number} quorum  Votes that resolve the dispute with their median
+ * @property {Array<{ arbitrator: string, buyerAmount: bigint, sellerAmount: bigint }>} votes
+ */
+
+/**
+ * @typedef {Object} Reputation
+ * @property {number} completedTrades  Escrows released to the seller
+ * @property {number} cancelledTrades  Escrows cancelled or refunded to the buyer
+ * @property {number} disputesRaised
+ * @property {number} disputesWon      Decided disputes awarding the user more than the other party
+ * @property {number} disputesLost
+ * @property {number} completedPurchases  Completed trades made as the buyer
+ * @property {Array<{ token: string, amount: bigint }>} volume  Released volume, nonzero only
+ */
+
+/**
+ * @typedef {Object} FeeTier
+ * @property {bigint} threshold  CHX staked or released volume, in token units
+ * @property {number} discount   Basis points off the platform fee
+ */
+
+function toDate(timestamp) {
+  return timestamp === 0n ? null : new Date(Number(timestamp) * 1000);
+}
+
+/**
+ * Thin wrapper around the CryptoEscrow contract for ethers v6 runners.
+ * Every write waits for its receipt and rethrows contract reverts as typed
+ * errors from ./errors.
+ */
+class EscrowClient {
+  /**
+   * @param {string} address   CryptoEscrow address
+   * @param {import("ethers").ContractRunner} runner  Signer for writes, provider for reads
+   * @param {Array|import("ethers").Interface} [abi]  Defaults to the compiled artifact
+   */
+  constructor(address, runner, abi) {
+    this.address = address;
+    this.runner = runner;
+    this.contract = new Contract(address, abi || loadArtifactAbi(), runner);
+  }
+
+  /**
+   * Builds a client from a deployment record (object) or deployments/<network>.json.
+   */
+  static fromDeployment(deployment, runner) {
+    const { address, abi } =
+      typeof deployment === "string" ? loadDeployment(deployment) : parseDeployment(deployment);
+    return new EscrowClient(address, runner, abi);
+  }
+
+  /**
+   * Returns a client bound to another runner (e.g. a different signer).
+   */
+  connect(runner) {
+    return new EscrowClient(this.address, runner, this.contract.interface);
+  }
+
+  // Escrow lifecycle
+
+  /**
+   * Creates an escrow. Native escrows are funded in the same transaction;
+   * ERC20 escrows are approved and funded afterwards unless `fund` is false.
+   * With `encrypt`, the result also holds the escrow key the details were encrypted with.
+   * @param {CreateEscrowParams} params
+   * @returns {Promise<{ escrowId: bigint, receipts: Array, escrowKey?: string }>}
+   */
+  async createEscrow({
+    seller,
+    amount,
+    token = NATIVE_TOKEN,
+    paymentDetails = "",
+    deliveryDeadline = 0,
+    fund = true,
+    encrypt = false,
+  }) {
+    const isNative = token === ZeroAddress;
+    let escrowKey;
+    if (encrypt) {
+      ({ envelope: paymentDetails, escrowKey } = await this._encryptFor(seller, paymentDetails));
+    }
+    const receipt = await this._send(() =>
+      this.contract.createEscrow(seller, token, amount, paymentDetails, deliveryDeadline, {
+        value: isNative ? amount : 0n,
+      })
+    );
+
+    return this._afterCreate(receipt, isNative, fund, escrowKey);
+  }
+
+  /**
+   * Creates an escrow released milestone by milestone; the escrowed amount is
+   * the sum of the milestones. Funding and `encrypt` work as in createEscrow.
+   * @param {CreateMilestoneEscrowParams} params
+   * @returns {Promise<{ escrowId: bigint, receipts: Array, escrowKey?: string }>}
+   */
+  async createMilestoneEscrow({
+    seller,
+    milestones,
+    token = NATIVE_TOKEN,
+    paymentDetails = "",
+    deliveryDeadline = 0,
+    fund = true,
+    encrypt = false,
+  }) {
+    const isNative = token === ZeroAddress;
+    let escrowKey;
+    if (encrypt) {
+      ({ envelope: paymentDetails, escrowKey } = await this._encryptFor(seller, paymentDetails));
+    }
+    const amounts = milestones.map((milestone) => milestone.amount);
+    const descriptions = milestones.map((milestone) => milestone.description);
+    const total = amounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
+
+    const receipt = await this._send(() =>
+      this.contract.createMilestoneEscrow(
+        seller,
+        token,
+        amounts,
+        descriptions,
+        paymentDetails,
+        deliveryDeadline,
+        { value: isNative ? total : 0n }
+      )
+    );
+    return this._afterCreate(receipt, isNative, fund, escrowKey);
+  }
+
+  /**
+   * Approves the escrow contract for the missing allowance (if any) and funds an ERC20 escrow.
+   * With `permit`, the approval is an EIP-2612 signature sent along with the funding instead.
+   * @param {{ permit?: boolean, permitDeadline?: number|bigint }} [options]
+   * @returns {Promise<Array>} the approval receipt (when one was needed) and the funding receipt
+   */
+  async fundEscrow(escrowId, { permit = false, permitDeadline } = {}) {
+    const escrow = await this.contract.getEscrowDetails(escrowId);
+
+    if (permit) {
+      const signature = await this._signPermit(escrow.tokenAddress, escrow.amount, permitDeadline);
+      return [await this._send(() => this.contract.fundEscrowWithPermit(escrowId, signature))];
+    }
+
+    const receipts = [];
+    const approval = await this._ensureAllowance(escrow.tokenAddress, escrow.amount);
+    if (approval) receipts.push(approval);
+    receipts.push(await this._send(() => this.contract.fundEscrow(escrowId)));
+    return receipts;
+  }
+
+  // Signed offers
+
+  /**
+   * Signs an offer with the client's signer (the seller); `offer.seller` defaults to it.
+   * @param {Omit<import("./signing").Offer, "seller"> & { seller?: string }} offer
+   * @returns {Promise<{ offer: import("./signing").Offer, signature: string }>}
+   */
+  async signOffer(offer) {
+    const { chainId } = await this.runner.provider.getNetwork();
+    const signed = { seller: await this.runner.getAddress(), ...offer };
+    const signature = await signOffer(this.runner, { escrowAddress: this.address, chainId }, signed);
+    return { offer: signed, signature };
+  }
+
+  /**
+   * Accepts a signed offer as the buyer, creating a funded escrow in one transaction.
+   * ERC20 offers are approved beforehand, or with `permit` through an EIP-2612 signature.
+   * @param {import("./signing").Offer} offer
+   * @param {string} signature
+   * @param {{ permit?: boolean, permitDeadline?: number|bigint }} [options]
+   * @returns {Promise<{ escrowId: bigint, receipt: Object }>}
+   */
+  async acceptOffer(offer, signature, { permit = false, permitDeadline } = {}) {
+    let receipt;
+    if (offer.token === ZeroAddress) {
+      receipt = await this._send(() =>
+        this.contract.acceptOffer(offer, signature, { value: offer.amount })
+      );
+    } else if (permit) {
+      const permitSignature = await this._signPermit(offer.token, offer.amount, permitDeadline);
+      receipt = await this._send(() =>
+        this.contract.acceptOfferWithPermit(offer, signature, permitSignature)
+      );
+    } else {
+      await this._ensureAllowance(offer.token, offer.amount);
+      receipt = await this._send(() => this.contract.acceptOffer(offer, signature));
+    }
+
+    const accepted = this._findEvent(receipt, "OfferAccepted");
+    return { escrowId: accepted.args.escrowId, receipt };
+  }
+
+  async cancelOffer(nonce) {
+    return this._send(() => this.contract.cancelOffer(nonce));
+  }
+
+  async isOfferNonceUsed(seller, nonce) {
+    return this.contract.usedOfferNonces(seller, nonce);
+  }
+
+  /**
+   * Releases everything not yet released, including any open milestones.
+   */
+  async release(escrowId) {
+    return this._send(() => this.contract.releaseFunds(escrowId));
+  }
+
+  /**
+   * Releases the next milestone of a milestone escrow.
+   */
+  async releaseMilestone(escrowId) {
+    return this._send(() => this.contract.releaseMilestone(escrowId));
+  }
+
+  /**
+   * Unilateral buyer cancellation; only allowed before the seller acknowledged the escrow.
+   */
+  async cancel(escrowId) {
+    return this._send(() => this.contract.cancelEscrow(escrowId));
+  }
+
+  // Cancellation with seller consent
+
+  async acknowledge(escrowId) {
+    return this._send(() => this.contract.acknowledgeEscrow(escrowId));
+  }
+
+  async requestCancellation(escrowId) {
+    return this._send(() => this.contract.requestCancellation(escrowId));
+  }
+
+  async approveCancellation(escrowId) {
+    return this._send(() => this.contract.approveCancellation(escrowId));
+  }
+
+  /**
+   * Signs an off-chain cancellation consent with the client's signer (the seller).
+   * @returns {Promise<string>} signature for cancelWithSellerConsent
+   */
+  async signCancellationConsent(escrowId, deadline) {
+    const { chainId } = await this.runner.provider.getNetwork();
+    return signCancellationConsent(this.runner, {
+      escrowAddress: this.address,
+      chainId,
+      escrowId,
+      deadline,
+    });
+  }
+
+  async cancelWithSellerConsent(escrowId, deadline, signature) {
+    return this._send(() => this.contract.cancelWithSellerConsent(escrowId, deadline, signature));
+  }
+
+  // Delivery deadlines
+
+  async confirmShipment(escrowId) {
+    return this._send(() => this.contract.confirmShipment(escrowId));
+  }
+
+  /**
+   * Seller-side claim once the delivery deadline has passed after a confirmed shipment.
+   */
+  async claimFunds(escrowId) {
+    return this._send(() => this.contract.claimFunds(escrowId));
+  }
+
+  /**
+   * Buyer-side refund once the delivery deadline has passed without a shipment.
+   */
+  async claimRefund(escrowId) {
+    return this._send(() => this.contract.claimRefund(escrowId));
+  }
+
+  // Disputes
+
+  /**
+   * Raises a dispute, paying the current dispute fee: in the escrow's token
+   * (approving it if needed) when one is configured for it, otherwise in native coin.
+   */
+  async raiseDispute(escrowId, reason) {
+    const [feeToken, fee] = await this.contract.getDisputeFee(escrowId);
+    if (feeToken !== ZeroAddress) {
+      await this._ensureAllowance(feeToken, fee);
+      return this._send(() => this.contract.raiseDispute(escrowId, reason));
+    }
+    return this._send(() => this.contract.raiseDispute(escrowId, reason, { value: fee }));
+  }
+
+  async resolveDispute(escrowId, buyerAmount, sellerAmount) {
+    return this._send(() => this.contract.resolveDispute(escrowId, buyerAmount, sellerAmount));
+  }
+
+  /**
+   * Casts the signer's vote as a member of the dispute's panel. The vote that
+   * reaches the quorum resolves the dispute with the median split.
+   */
+  async voteOnDispute(escrowId, buyerAmount, sellerAmount) {
+    return this._send(() => this.contract.voteOnDispute(escrowId, buyerAmount, sellerAmount));
+  }
+
+  /**
+   * @param {bigint|number} newExpiry unix timestamp, at most DISPUTE_TIMEFRAME past the current deadline
+   */
+  async extendDisputeDeadline(escrowId, newExpiry) {
+    return this._send(() => this.contract.extendDisputeDeadline(escrowId, newExpiry));
+  }
+
+  /**
+   * Settles a dispute past its deadline with the contract's default split. Anyone can call it.
+   */
+  async settleExpiredDispute(escrowId) {
+    return this._send(() => this.contract.settleExpiredDispute(escrowId));
+  }
+
+  /**
+   * With `keyPair`, the evidence is encrypted with the escrow key so only the
+   * parties and the arbitrator it was shared with can read it.
+   * @param {{ keyPair?: import("./encryption").EncryptionKeyPair }} [options]
+   */
+  async submitEvidence(escrowId, evidenceURL, { keyPair } = {}) {
+    if (keyPair) {
+      evidenceURL = encryptEvidence(evidenceURL, await this._requireEscrowKey(escrowId, keyPair));
+    }
+    return this._send(() => this.contract.submitDisputeEvidence(escrowId, evidenceURL));
+  }
+
+  /**
+   * Steps down as the arbitrator of a dispute; the contract reassigns it.
+   */
+  async recuse(escrowId) {
+    return this._send(() => this.contract.recuse(escrowId));
+  }
+
+  // Token wrapping
+
+  /**
+   * Approves (if needed) and wraps `amount` of a supported ERC20 token.
+   * @returns {Promise<{ wrappedToken: string, receipt: Object }>}
+   */
+  async wrap(token, amount) {
+    await this._ensureAllowance(token, amount);
+    const receipt = await this._send(() => this.contract.wrapToken(token, amount));
+    const wrapped = this._findEvent(receipt, "TokenWrapped");
+    return { wrappedToken: wrapped.args.wrappedToken, receipt };
+  }
+
+  async unwrap(wrappedToken, amount) {
+    return this._send(() => this.contract.unwrapToken(wrappedToken, amount));
+  }
+
+  // Fee discounts
+
+  /**
+   * Approves (if needed) and stakes CHX towards the fee discount tiers. Every
+   * stake locks the signer's whole stake for CHX_STAKE_LOCK.
+   */
+  async stakeChx(amount) {
+    await this._ensureAllowance(await this.contract.chxToken(), amount);
+    return this._send(() => this.contract.stakeChx(amount));
+  }
+
+  async unstakeChx(amount) {
+    return this._send(() => this.contract.unstakeChx(amount));
+  }
+
+  /**
+   * Opts the signer in or out of paying platform fees on its payouts in CHX.
+   * `allowance` additionally approves that much CHX for the fees; without an
+   * allowance the fee keeps being taken from the escrowed token.
+   */
+  async setPayFeesInChx(enabled, { allowance } = {}) {
+    if (allowance !== undefined) {
+      await this._ensureAllowance(await this.contract.chxToken(), allowance);
+    }
+    return this._send(() => this.contract.setPayFeesInChx(enabled));
+  }
+
+  /**
+   * Platform fee `user` would pay as seller on a payout of `amount`, after its
+   * CHX and volume discounts, and the same fee converted to CHX (0 when the
+   * token has no CHX rate).
+   * @returns {Promise<{ fee: bigint, chxFee: bigint }>}
+   */
+  async getEffectiveFee(user, token, amount) {
+    const [fee, chxFee] = await this.contract.getEffectiveFee(user, token, amount);
+    return { fee, chxFee };
+  }
+
+  /**
+   * Discount tiers by CHX staked, and by released volume in `token` when given.
+   * @returns {Promise<{ chx: FeeTier[], volume: FeeTier[] }>}
+   */
+  async getFeeTiers(token) {
+    const toTier = ([threshold, discount]) => ({ threshold, discount: Number(discount) });
+    const [chx, volume] = await Promise.all([
+      this.contract.getChxFeeTiers(),
+      token === undefined ? [] : this.contract.getVolumeFeeTiers(token),
+    ]);
+    return { chx: chx.map(toTier), volume: volume.map(toTier) };
+  }
+
+  // Reputation
+
+  /**
+   * Trade record of `user` as buyer or seller, with its released volume per
+   * supported token (wrappers count towards the token they wrap).
+   * @returns {Promise<Reputation>}
+   */
+  async getReputation(user) {
+    const [reputation, tokens] = await Promise.all([
+      this.contract.getReputation(user),
+      this.getSupportedTokens(),
+    ]);
+    const amounts = await Promise.all(tokens.map((token) => this.contract.userVolume(user, token)));
+    return {
+      completedTrades: Number(reputation.completedTrades),
+      cancelledTrades: Number(reputation.cancelledTrades),
+      disputesRaised: Number(reputation.disputesRaised),
+      disputesWon: Number(reputation.disputesWon),
+      disputesLost: Number(reputation.disputesLost),
+      completedPurchases: Number(reputation.completedPurchases),
+      volume: tokens
+        .map((token, i) => ({ token, amount: amounts[i] }))
+        .filter(({ amount }) => amount > 0n),
+    };
+  }
+
+  /**
+   * Requires buyers to have completed `minTrades` trades as the buyer before they
+   * can create escrows with the signer as the seller, including from its offers.
+   */
+  async setMinBuyerTrades(minTrades) {
+    return this._send(() => this.contract.setMinBuyerTrades(minTrades));
+  }
+
+  async getMinBuyerTrades(seller) {
+    return Number(await this.contract.minBuyerTrades(seller));
+  }
+
+  // Encrypted payment details
+
+  /**
+   * Registers the public half of `keyPair` (see generateEncryptionKeyPair and
+   * deriveEncryptionKeyPair) so counterparties can encrypt to it.
+   * @param {import("./encryption").EncryptionKeyPair} keyPair
+   */
+  async registerEncryptionKey(keyPair) {
+    return this._send(() => this.contract.setEncryptionKey(keyPair.publicKey));
+  }
+
+  /**
+   * @returns {Promise<string|null>} the registered public key, null when there is none
+   */
+  async getEncryptionKey(account) {
+    const publicKey = await this.contract.encryptionKeys(account);
+    return publicKey === ZeroHash ? null : publicKey;
+  }
+
+  /**
+   * Recovers the escrow key for `keyPair`: from the payment details when it
+   * is the buyer's or seller's, otherwise from the keys shared with it as
+   * arbitrator.
+   * @returns {Promise<string|null>} null when the escrow is not encrypted for `keyPair`
+   */
+  async getEscrowKey(escrowId, keyPair, { fromBlock = 0 } = {}) {
+    const { paymentDetails } = await this.contract.getEscrowDetails(escrowId);
+    if (!isEncrypted(paymentDetails)) return null;
+
+    const escrowKey = openEscrowKey(paymentDetails, keyPair);
+    if (escrowKey !== null) return escrowKey;
+
+    const account = await this.runner.getAddress();
+    const filter = this.contract.filters.EscrowKeyShared(escrowId, null, account);
+    const shared = await this.contract.queryFilter(filter, fromBlock);
+    for (const event of shared.reverse()) {
+      const key = unwrapEscrowKey(event.args.wrappedKey, keyPair);
+      if (key !== null) return key;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Promise<string>} the payment details, decrypted when they are encrypted
+   */
+  async readPaymentDetails(escrowId, keyPair, options) {
+    const { paymentDetails } = await this.contract.getEscrowDetails(escrowId);
+    if (!isEncrypted(paymentDetails)) return paymentDetails;
+    const escrowKey = await this._requireEscrowKey(escrowId, keyPair, options);
+    return decryptPaymentDetails(paymentDetails, escrowKey);
+  }
+
+  /**
+   * Evidence submitted for an escrow, oldest first, decrypted with the escrow
+   * key when it is encrypted.
+   * @returns {Promise<Array<{ submittedBy: string, evidence: string, blockNumber: number }>>}
+   */
+  async readEvidence(escrowId, keyPair, { fromBlock = 0 } = {}) {
+    const filter = this.contract.filters.DisputeEvidenceSubmitted(escrowId);
+    const events = await this.contract.queryFilter(filter, fromBlock);
+    const encrypted = events.some((event) => isEncrypted(event.args.evidenceURL));
+    const escrowKey = encrypted
+      ? await this._requireEscrowKey(escrowId, keyPair, { fromBlock })
+      : null;
+
+    return events.map((event) => ({
+      submittedBy: event.args.submittedBy,
+      evidence: isEncrypted(event.args.evidenceURL)
+        ? decryptEvidence(event.args.evidenceURL, escrowKey)
+        : event.args.evidenceURL,
+      blockNumber: event.blockNumber,
+    }));
+  }
+
+  /**
+   * Wraps the escrow key for the disputed escrow's current arbitrator, who
+   * must have registered a key. Call again after a recusal reassigns the case.
+   * For a panel it is shared with every member who registered a key.
+   * @returns {Promise<import("ethers").TransactionReceipt|import("ethers").TransactionReceipt[]>}
+   *   one receipt per panel member shared with
+   */
+  async shareKeyWithArbitrator(escrowId, keyPair) {
+    const panel = await this.getDisputePanel(escrowId);
+    const { arbitrator } = await this.contract.getEscrowDetails(escrowId);
+    const recipients = panel ? panel.members : [arbitrator];
+    const publicKeys = await Promise.all(recipients.map((a) => this.getEncryptionKey(a)));
+    if (publicKeys.every((publicKey) => publicKey === null)) {
+      throw new Error(
+        panel
+          ? "No panel member has an encryption key"
+          : `Arbitrator ${arbitrator} has no encryption key`
+      );
+    }
+
+    const escrowKey = await this._requireEscrowKey(escrowId, keyPair);
+    if (!panel) {
+      const wrappedKey = wrapEscrowKey(escrowKey, publicKeys[0]);
+      return this._send(() => this.contract.shareEscrowKey(escrowId, wrappedKey));
+    }
+    const receipts = [];
+    for (let i = 0; i < recipients.length; i++) {
+      if (publicKeys[i] === null) continue;
+      const wrappedKey = wrapEscrowKey(escrowKey, publicKeys[i]);
+      receipts.push(
+        await this._send(() =>
+          this.contract.shareEscrowKeyWithPanel(escrowId, recipients[i], wrappedKey)
+        )
+      );
+    }
+    return receipts;
+  }
+
+  // Withdrawals
+
+  /**
+   * Withdraws what the signer has been credited in one token (ZeroAddress for native).
+   * Releases, refunds and dispute resolutions credit balances instead of sending funds.
+   */
+  async withdraw(token = ZeroAddress) {
+    return this._send(() => this.contract.withdraw(token));
+  }
+
+  /**
+   * Withdraws the signer's credited balance in every supported token and its wrapper.
+   */
+  async withdrawAll() {
+    return this._send(() => this.contract.withdrawAll());
+  }
+
+  // Reads
+
+  /**
+   * @returns {Promise<EscrowView|null>} null when the escrow does not exist
+   */
+  async getEscrow(escrowId) {
+    const e = await this.contract.getEscrowDetails(escrowId);
+    if (e.buyer === ZeroAddress) return null;
+
+    return {
+      id: BigInt(escrowId),
+      buyer: e.buyer,
+      seller: e.seller,
+      status: statusName(e.status),
+      statusCode: Number(e.status),
+      assetType: assetTypeName(e.assetType),
+      tokenAddress: e.tokenAddress,
+      amount: e.amount,
+      platformFee: e.platformFee,
+      disputeFee: e.disputeFee,
+      disputeFeeInToken: e.disputeFeeInToken,
+      createdAt: toDate(e.createdAt),
+      disputeExpiry: toDate(e.disputeExpiry),
+      arbitrator: e.arbitrator,
+      disputeRaisedBy: e.disputeRaisedBy,
+      disputeReason: e.disputeReason,
+      paymentDetails: e.paymentDetails,
+      deliveryDeadline: toDate(e.deliveryDeadline),
+      shipped: e.shipped,
+      acknowledged: e.acknowledged,
+      cancellationRequested: e.cancellationRequested,
+      releasedAmount: e.releasedAmount,
+      milestones: e.milestones.map((m) => ({
+        amount: m.amount,
+        description: m.description,
+        released: m.released,
+      })),
+    };
+  }
+
+  /**
+   * @returns {Promise<DisputePanel|null>} null when the dispute has a single arbitrator
+   */
+  async getDisputePanel(escrowId) {
+    const { members, quorum, votes } = await this.contract.getDisputePanel(escrowId);
+    if (members.length === 0) return null;
+    return {
+      members: [...members],
+      quorum: Number(quorum),
+      votes: votes.map((v) => ({
+        arbitrator: v.arbitrator,
+        buyerAmount: v.buyerAmount,
+        sellerAmount: v.sellerAmount,
+      })),
+    };
+  }
+
+  async getUserEscrows(user) {
+    return [...(await this.contract.getUserEscrows(user))];
+  }
+
+  /**
+   * One page of `user`'s escrow IDs, oldest first, for users with too many
+   * escrows to read at once. `statuses` (e.g. ["Funded", "Disputed"]) filters
+   * the `limit` entries scanned, so a page can come back short or empty
+   * before the end; keep paging until `nextOffset` is null.
+   * @returns {Promise<{ escrowIds: bigint[], nextOffset: number|null }>}
+   */
+  async getUserEscrowsPage(user, { offset = 0, limit = 100, statuses } = {}) {
+    let statusMask = 0n;
+    for (const status of statuses || []) {
+      const index = ESCROW_STATUS.indexOf(status);
+      if (index === -1) throw new Error(`Unknown escrow status "${status}"`);
+      statusMask |= 1n << BigInt(index);
+    }
+    const [escrowIds, count] = await Promise.all([
+      this.contract.getUserEscrowsPage(user, offset, limit, statusMask),
+      this.contract.getUserEscrowCount(user),
+    ]);
+    const next = offset + limit;
+    return { escrowIds: [...escrowIds], nextOffset: next < count ? next : null };
+  }
+
+  async getSupportedTokens() {
+    return [...(await this.contract.getSupportedTokens())];
+  }
+
+  /**
+   * Escrow limits of a token (or the token a wrapper wraps), in its smallest
+   * unit; 0 for a maximum or cap means none. `exposure` is what `account`, when
+   * given, has open in escrows as buyer against `maxExposure`.
+   * @returns {Promise<{ minAmount: bigint, maxAmount: bigint, maxExposure: bigint,
+   *   dailyCap: bigint, exposure?: bigint }>}
+   */
+  async getTokenLimits(token, account) {
+    const [minAmount, maxAmount, maxExposure, dailyCap] = await this.contract.getTokenLimits(token);
+    const limits = { minAmount, maxAmount, maxExposure, dailyCap };
+    if (account !== undefined) {
+      const original = await this.contract.wrapperToToken(token);
+      const key = original === ZeroAddress ? token : original;
+      limits.exposure = await this.contract.openExposure(account, key);
+    }
+    return limits;
+  }
+
+  /**
+   * Balances credited to `account` and not yet withdrawn.
+   * @returns {Promise<Array<{ token: string, amount: bigint }>>} nonzero balances only
+   */
+  async getWithdrawable(account) {
+    const supported = [...new Set(await this.getSupportedTokens())];
+    const wrappers = await Promise.all(
+      supported.map((token) => this.contract.getWrappedToken(token))
+    );
+    const tokens = supported.concat(wrappers.filter((wrapper) => wrapper !== ZeroAddress));
+    const amounts = await Promise.all(
+      tokens.map((token) => this.contract.pendingWithdrawals(account, token))
+    );
+    return tokens
+      .map((token, i) => ({ token, amount: amounts[i] }))
+      .filter(({ amount }) => amount > 0n);
+  }
+
+  /**
+   * @returns {Promise<Array<{ address: string, openCases: bigint }>>}
+   */
+  async getArbitrators() {
+    const arbitrators = await this.contract.getArbitrators();
+    return Promise.all(
+      arbitrators.map(async (address) => ({
+        address,
+        openCases: await this.contract.openCases(address),
+      }))
+    );
+  }
+
+  // Internals
+
+  async _afterCreate(receipt, isNative, fund, escrowKey) {
+    const created = this._findEvent(receipt, "EscrowCreated");
+    const escrowId = created.args.escrowId;
+    const receipts = [receipt];
+
+    if (!isNative && fund) {
+      receipts.push(...(await this.fundEscrow(escrowId)));
+    }
+    return escrowKey === undefined ? { escrowId, receipts } : { escrowId, receipts, escrowKey };
+  }
+
+  async _encryptFor(seller, paymentDetails) {
+    const buyer = await this.runner.getAddress();
+    const publicKeys = await Promise.all([buyer, seller].map((a) => this.getEncryptionKey(a)));
+    const missing = [buyer, seller].filter((account, i) => publicKeys[i] === null);
+    if (missing.length > 0) {
+      throw new Error(`No encryption key registered for ${missing.join(", ")}`);
+    }
+    return encryptPaymentDetails(paymentDetails, publicKeys);
+  }
+
+  async _requireEscrowKey(escrowId, keyPair, options) {
+    if (!keyPair) throw new Error(`Escrow ${escrowId} is encrypted, a key pair is required`);
+    const escrowKey = await this.getEscrowKey(escrowId, keyPair, options);
+    if (escrowKey === null) throw new Error(`Escrow ${escrowId} is not encrypted for this key`);
+    return escrowKey;
+  }
+
+  async _ensureAllowance(tokenAddress, amount) {
+    if (tokenAddress === ZeroAddress) return null;
+
+    const owner = await this.runner.getAddress();
+    const token = new Contract(tokenAddress, ERC20_ABI, this.runner);
+    const allowance = await token.allowance(owner, this.address);
+    if (allowance >= amount) return null;
+
+    const tx = await token.approve(this.address, amount);
+    return tx.wait();
+  }
+
+  async _signPermit(tokenAddress, value, deadline) {
+    const latest = await this.runner.provider.getBlock("latest");
+    return signPermit(this.runner, {
+      tokenAddress,
+      spender: this.address,
+      value,
+      deadline: deadline ?? latest.timestamp + 3600,
+    });
+  }
+
+  async _send(buildTx) {
+    try {
+      const tx = await buildTx();
+      return await tx.wait();
+    } catch (error) {
+      throw decodeEscrowError(error, this.contract.interface);
+    }
+  }
+
+  _findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed;
+    }
+    throw new Error(`${eventName} not found in transaction ${receipt.hash}`);
+  }
+}
+
+module.exports = { EscrowClient };
@@ -0,0 +1,58 @@
+// Mirrors CryptoEscrow.EscrowStatus / CryptoEscrow.AssetType
+const ESCROW_STATUS = [
+  "Pending",
+  "Funded",
+  "Released",
+  "Cancelled",
+  "Disputed",
+  "Resolved",
+  "AutoReleased",
+  "Refunded",
+];
+const ASSET_TYPE = ["Native", "ERC20", "Wrapped"];
+
+const NATIVE_TOKEN = "0x0000000000000000000000000000000000000000";
+
+// Mirrors the CryptoEscrow.PAUSE_* bit flags
+const PAUSE_FLAGS = {
+  create: 1,
+  funding: 2,
+  wrapping: 4,
+  disputes: 8,
+};
+
+// Minimal ERC20 surface the client needs for allowances and metadata
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+];
+
+function statusName(status) {
+  return ESCROW_STATUS[Number(status)] || `Unknown(${status})`;
+}
+
+function assetTypeName(assetType) {
+  return ASSET_TYPE[Number(assetType)] || `Unknown(${assetType})`;
+}
+
+/**
+ * Lists the names of the functions set in a pausedFunctions bitmask.
+ */
+function pausedFunctionNames(bitmask) {
+  return Object.keys(PAUSE_FLAGS).filter((name) => (Number(bitmask) & PAUSE_FLAGS[name]) !== 0);
+}
+
+module.exports = {
+  ESCROW_STATUS,
+  ASSET_TYPE,
+  NATIVE_TOKEN,
+  PAUSE_FLAGS,
+  ERC20_ABI,
+  statusName,
+  assetTypeName,
+  pausedFunctionNames,
+};
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const ARTIFACTS_DIR = path.join(__dirname, "../artifacts/contracts");
+const ARTIFACT_PATHS = [
+  path.join(ARTIFACTS_DIR, "CryptoEscrow.sol/CryptoEscrow.json"),
+  path.join(ARTIFACTS_DIR, "CryptoEscrowAdmin.sol/CryptoEscrowAdmin.json"),
+];
+
+/**
+ * Combines the CryptoEscrow and CryptoEscrowAdmin ABIs. The proxy answers to
+ * both, since CryptoEscrow forwards the calls it does not implement to the
+ * admin module; fragments declared in their shared base appear only once.
+ */
+function mergeAbis(escrowAbi, adminAbi) {
+  const seen = new Set(escrowAbi.map((fragment) => JSON.stringify(fragment)));
+  return [
+    ...escrowAbi,
+    ...adminAbi.filter(
+      (fragment) => fragment.type !== "constructor" && !seen.has(JSON.stringify(fragment))
+    ),
+  ];
+}
+
+/**
+ * Extracts the CryptoEscrow address and ABI from a deployment record.
+ * Understands both the layout written by scripts/deploy.js ({ contract: { address, abi } })
+ * and the older { contracts: { CryptoEscrow: { address } } } layout. When the record
+ * carries no ABI the compiled artifact is used instead.
+ */
+function parseDeployment(data, source = "deployment") {
+  let address;
+  let abi;
+
+  if (data.contract && data.contract.address) {
+    ({ address, abi } = data.contract);
+  } else if (data.contracts && data.contracts.CryptoEscrow) {
+    ({ address, abi } = data.contracts.CryptoEscrow);
+  } else {
+    throw new Error(`${source} does not contain a CryptoEscrow address`);
+  }
+
+  return { address, abi: abi || loadArtifactAbi() };
+}
+
+/**
+ * Reads deployments/<network>.json (or any explicit file path).
+ */
+function loadDeployment(networkOrFile) {
+  const file = networkOrFile.endsWith(".json")
+    ? networkOrFile
+    : path.join(DEPLOYMENTS_DIR, `${networkOrFile}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found at ${file}`);
+  }
+  return parseDeployment(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+function loadArtifactAbi() {
+  const [escrowAbi, adminAbi] = ARTIFACT_PATHS.map((file) => {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Artifact not found at ${file}; run hardhat compile`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+  });
+  return mergeAbis(escrowAbi, adminAbi);
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  parseDeployment,
+  loadDeployment,
+  loadArtifactAbi,
+  mergeAbis,
+};
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const {
+  concat,
+  decodeBase64,
+  encodeBase64,
+  getBytes,
+  hexlify,
+  sha256,
+  toUtf8Bytes,
+} = require("ethers");
+
+// Encrypted payment details and dispute evidence.
+//
+// Every party registers an X25519 public key with setEncryptionKey. The
+// creator of an escrow picks a random 32-byte escrow key, encrypts the payment
+// details with it (AES-256-GCM) and wraps the escrow key for the buyer and the
+// seller. Evidence is encrypted with the same escrow key, and once an
+// arbitrator is assigned either party wraps it for them with shareEscrowKey.
+//
+// Wrapped key: recipient public key (32) | ephemeral public key (32) | sealed escrow key (60)
+// Sealed data: IV (12) | ciphertext | GCM tag (16)
+// Envelopes are "enc1:" followed by base64 of
+//   payment details: 0x01 | recipient count (1) | wrapped keys | sealed details
+//   evidence:        0x02 | sealed evidence
+
+const ENVELOPE_PREFIX = "enc1:";
+const DETAILS_TYPE = 1;
+const EVIDENCE_TYPE = 2;
+const KEY_LENGTH = 32;
+const WRAPPED_KEY_LENGTH = 124;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_WRAP_INFO = "CryptoEscrow key wrap v1";
+
+// DER headers of raw X25519 keys, so node:crypto can import them
+const PKCS8_PREFIX = Buffer.from("302e020100300506032b656e04220420", "hex");
+const SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+
+/** Message signed by deriveEncryptionKeyPair; changing it changes every derived key. */
+const ENCRYPTION_KEY_MESSAGE =
+  "Sign to unlock your CryptoEscrow encryption key.\n\n" +
+  "Anyone holding this signature can read your escrow payment details, so only sign it " +
+  "in an app you trust.";
+
+/**
+ * @typedef {Object} EncryptionKeyPair
+ * @property {string} privateKey  32-byte hex X25519 private key, never leaves the client
+ * @property {string} publicKey   32-byte hex X25519 public key, registered with setEncryptionKey
+ */
+
+function privateKeyObject(privateKey) {
+  return crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIX, getBytes(privateKey)]),
+    format: "der",
+    type: "pkcs8",
+  });
+}
+
+function publicKeyObject(publicKey) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([SPKI_PREFIX, getBytes(publicKey)]),
+    format: "der",
+    type: "spki",
+  });
+}
+
+function keyPairFrom(privateKey) {
+  const spki = crypto.createPublicKey(privateKeyObject(privateKey)).export({
+    format: "der",
+    type: "spki",
+  });
+  return { privateKey: hexlify(privateKey), publicKey: hexlify(spki.subarray(-KEY_LENGTH)) };
+}
+
+/**
+ * Generates a random key pair. The caller has to store the private key.
+ * @returns {EncryptionKeyPair}
+ */
+function generateEncryptionKeyPair() {
+  return keyPairFrom(crypto.randomBytes(KEY_LENGTH));
+}
+
+/**
+ * Derives the account's key pair from its signature of ENCRYPTION_KEY_MESSAGE,
+ * so it can be recovered on any device holding the wallet. Relies on the
+ * wallet signing deterministically, which RFC 6979 wallets do.
+ * @param {import("ethers").Signer} signer
+ * @returns {Promise<EncryptionKeyPair>}
+ */
+async function deriveEncryptionKeyPair(signer) {
+  return keyPairFrom(sha256(await signer.signMessage(ENCRYPTION_KEY_MESSAGE)));
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getBytes(key), iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+}
+
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getBytes(key),
+    sealed.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH, sealed.length - TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+function keyEncryptionKey(privateKey, publicKey, salt) {
+  const shared = crypto.diffieHellman({
+    privateKey: privateKeyObject(privateKey),
+    publicKey: publicKeyObject(publicKey),
+  });
+  return Buffer.from(crypto.hkdfSync("sha256", shared, salt, KEY_WRAP_INFO, KEY_LENGTH));
+}
+
+/**
+ * Wraps an escrow key for one recipient's public key, e.g. for shareEscrowKey.
+ * @returns {string} hex bytes
+ */
+function wrapEscrowKey(escrowKey, publicKey) {
+  const ephemeral = generateEncryptionKeyPair();
+  const salt = getBytes(concat([publicKey, ephemeral.publicKey]));
+  const kek = keyEncryptionKey(ephemeral.privateKey, publicKey, salt);
+  return hexlify(concat([salt, seal(kek, getBytes(escrowKey), salt)]));
+}
+
+/**
+ * Unwraps an escrow key wrapped for `keyPair`.
+ * @returns {string|null} the hex escrow key, or null when it was wrapped for another key
+ */
+function unwrapEscrowKey(wrappedKey, keyPair) {
+  const bytes = Buffer.from(getBytes(wrappedKey));
+  if (bytes.length !== WRAPPED_KEY_LENGTH) throw new Error("Malformed wrapped escrow key");
+  if (hexlify(bytes.subarray(0, KEY_LENGTH)) !== hexlify(keyPair.publicKey).toLowerCase()) {
+    return null;
+  }
+
+  const salt = bytes.subarray(0, 2 * KEY_LENGTH);
+  const kek = keyEncryptionKey(
+    keyPair.privateKey,
+    bytes.subarray(KEY_LENGTH, 2 * KEY_LENGTH),
+    salt
+  );
+  return hexlify(open(kek, bytes.subarray(2 * KEY_LENGTH), salt));
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(ENVELOPE_PREFIX);
+}
+
+function decodeEnvelope(envelope, type) {
+  if (!isEncrypted(envelope)) throw new Error("Not an encrypted envelope");
+  const bytes = Buffer.from(decodeBase64(envelope.slice(ENVELOPE_PREFIX.length)));
+  if (bytes[0] !== type) throw new Error(`Expected envelope type ${type}, got ${bytes[0]}`);
+  return bytes;
+}
+
+function encodeEnvelope(bytes) {
+  return ENVELOPE_PREFIX + encodeBase64(bytes);
+}
+
+/**
+ * Encrypts payment details under a new escrow key wrapped for every
+ * recipient (the buyer's and the seller's registered keys). The envelope
+ * goes in the paymentDetails argument of createEscrow or an offer.
+ * @param {string} paymentDetails
+ * @param {string[]} publicKeys
+ * @returns {{ envelope: string, escrowKey: string }}
+ */
+function encryptPaymentDetails(paymentDetails, publicKeys) {
+  if (publicKeys.length === 0 || publicKeys.length > 255) {
+    throw new Error("Payment details need between 1 and 255 recipients");
+  }
+  const escrowKey = hexlify(crypto.randomBytes(KEY_LENGTH));
+  const header = Buffer.from([DETAILS_TYPE, publicKeys.length]);
+  const wrapped = getBytes(concat(publicKeys.map((key) => wrapEscrowKey(escrowKey, key))));
+  const sealed = seal(escrowKey, toUtf8Bytes(paymentDetails), header);
+  return { envelope: encodeEnvelope(concat([header, wrapped, sealed])), escrowKey };
+}
+
+/**
+ * Finds the escrow key wrapped for `keyPair` in an encrypted payment details envelope.
+ * @returns {string|null} null when the key pair is not among the recipients
+ */
+function openEscrowKey(envelope, keyPair) {
+  const bytes = decodeEnvelope(envelope, DETAILS_TYPE);
+  for (let i = 0; i < bytes[1]; i++) {
+    const start = 2 + i * WRAPPED_KEY_LENGTH;
+    const escrowKey = unwrapEscrowKey(bytes.subarray(start, start + WRAPPED_KEY_LENGTH), keyPair);
+    if (escrowKey !== null) return escrowKey;
+  }
+  return null;
+}
+
+/**
+ * Decrypts a payment details envelope with its escrow key.
+ * @returns {string}
+ */
+function decryptPaymentDetails(envelope, escrowKey) {
+  const bytes = decodeEnvelope(envelope, DETAILS_TYPE);
+  const sealedAt = 2 + bytes[1] * WRAPPED_KEY_LENGTH;
+  return open(escrowKey, bytes.subarray(sealedAt), bytes.subarray(0, 2)).toString("utf8");
+}
+
+/**
+ * Encrypts dispute evidence (a URL or the evidence itself) with the escrow key.
+ * @returns {string} envelope for submitDisputeEvidence
+ */
+function encryptEvidence(evidence, escrowKey) {
+  const header = Buffer.from([EVIDENCE_TYPE]);
+  return encodeEnvelope(concat([header, seal(escrowKey, toUtf8Bytes(evidence), header)]));
+}
+
+function decryptEvidence(envelope, escrowKey) {
+  const bytes = decodeEnvelope(envelope, EVIDENCE_TYPE);
+  return open(escrowKey, bytes.subarray(1), bytes.subarray(0, 1)).toString("utf8");
+}
+
+module.exports = {
+  ENCRYPTION_KEY_MESSAGE,
+  generateEncryptionKeyPair,
+  deriveEncryptionKeyPair,
+  wrapEscrowKey,
+  unwrapEscrowKey,
+  isEncrypted,
+  encryptPaymentDetails,
+  openEscrowKey,
+  decryptPaymentDetails,
+  encryptEvidence,
+  decryptEvidence,
+};
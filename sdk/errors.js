@@ -0,0 +1,132 @@
+// Custom errors declared in contracts/CryptoEscrowBase.sol
+const CONTRACT_ERRORS = [
+  "UnauthorizedAccess",
+  "InvalidSellerAddress",
+  "TokenNotSupported",
+  "AmountTooSmall",
+  "IncorrectNativeTokenAmount",
+  "NativeTokensNotRequiredForERC20",
+  "EscrowNotInDisputedState",
+  "DisputeTimeframeExpired",
+  "AmountsExceedEscrowBalance",
+  "InvalidDisputeResolution",
+  "EscrowNotFunded",
+  "InvalidTokenOperation",
+  "TokenAlreadySupported",
+  "TokenNotWrappable",
+  "WrappedTokenExists",
+  "InvalidFeeConfiguration",
+  "InvalidAddress",
+  "DisputeNotRaised",
+  "EscrowAlreadyCompleted",
+  "InvalidTokenAmount",
+  "InvalidDeliveryDeadline",
+  "DeliveryDeadlineNotPassed",
+  "ShipmentAlreadyConfirmed",
+  "ShipmentNotConfirmed",
+  "SellerConsentRequired",
+  "CancellationNotRequested",
+  "EscrowAlreadyAcknowledged",
+  "InvalidSignature",
+  "SignatureExpired",
+  "ArbitratorAlreadyAdded",
+  "ArbitratorNotFound",
+  "NoEligibleArbitrator",
+  "DisputeNotExpired",
+  "InvalidDisputeDeadline",
+  "InvalidMilestones",
+  "NoPendingMilestone",
+  "OfferNonceUsed",
+  "OperationNotQueued",
+  "OperationNotReady",
+  "OperationAlreadyQueued",
+  "InvalidOperation",
+  "FunctionPaused",
+  "TokenIsPaused",
+  "NothingToWithdraw",
+  "WithdrawalFailed",
+  "InvalidFeeTiers",
+  "StakeLocked",
+  "InvalidTokenLimits",
+  "AmountTooLarge",
+  "ExposureLimitExceeded",
+  "DailyLimitExceeded",
+  "EncryptionKeyNotRegistered",
+  "InvalidPanelConfiguration",
+  "NotPanelMember",
+  "AlreadyVoted",
+  "BuyerReputationTooLow",
+  "DisputeExtensionLimitReached",
+  "ReentrancyGuardReentrantCall",
+  // OpenZeppelin proxy errors
+  "InvalidInitialization",
+  "UUPSUnauthorizedCallContext",
+  "UUPSUnsupportedProxiableUUID",
+  "ERC1967InvalidImplementation",
+];
+
+/**
+ * Base class for every error raised by the escrow contract.
+ * `reason` holds the custom error name or the require() message,
+ * `args` the decoded custom error arguments and `cause` the original ethers error.
+ */
+class EscrowError extends Error {
+  constructor(reason, args = [], cause) {
+    super(`CryptoEscrow reverted: ${reason}`);
+    this.name = "EscrowError";
+    this.reason = reason;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+const errorClasses = {};
+for (const errorName of CONTRACT_ERRORS) {
+  const ErrorClass = class extends EscrowError {
+    constructor(args, cause) {
+      super(errorName, args, cause);
+      this.name = errorName;
+    }
+  };
+  Object.defineProperty(ErrorClass, "name", { value: errorName });
+  errorClasses[errorName] = ErrorClass;
+}
+
+/**
+ * Converts an ethers error into a typed EscrowError when it carries revert data
+ * from the escrow contract. Anything else (network errors, user rejections) is
+ * returned untouched.
+ */
+function decodeEscrowError(error, contractInterface) {
+  if (error instanceof EscrowError) return error;
+
+  let revert = error && error.revert;
+  // Hardhat nests the return data when it cannot attribute the revert to a contract
+  const data =
+    error && error.data && typeof error.data === "object" ? error.data.data : error && error.data;
+  if (!revert && typeof data === "string" && contractInterface) {
+    try {
+      revert = contractInterface.parseError(data);
+    } catch (parseError) {
+      revert = null;
+    }
+  }
+
+  if (revert && errorClasses[revert.name]) {
+    return new errorClasses[revert.name]([...revert.args], error);
+  }
+  if (revert && revert.name === "Error") {
+    return new EscrowError(revert.args[0], [], error);
+  }
+  if (error && error.reason && error.code === "CALL_EXCEPTION") {
+    return new EscrowError(error.reason, [], error);
+  }
+  return error;
+}
+
+module.exports = {
+  CONTRACT_ERRORS,
+  EscrowError,
+  decodeEscrowError,
+  ...errorClasses,
+};
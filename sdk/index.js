@@ -0,0 +1,15 @@
+const { EscrowClient } = require("./EscrowClient");
+const constants = require("./constants");
+const errors = require("./errors");
+const deployments = require("./deployments");
+const signing = require("./signing");
+const encryption = require("./encryption");
+
+module.exports = {
+  EscrowClient,
+  ...constants,
+  ...errors,
+  ...deployments,
+  ...signing,
+  ...encryption,
+};
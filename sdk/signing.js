@@ -0,0 +1,150 @@
+const { Contract, Signature, verifyTypedData } = require("ethers");
+
+// Must match the EIP712("CryptoEscrow", "1") constructor arguments
+const DOMAIN_NAME = "CryptoEscrow";
+const DOMAIN_VERSION = "1";
+
+const CANCELLATION_CONSENT_TYPES = {
+  CancellationConsent: [
+    { name: "escrowId", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const OFFER_TYPES = {
+  Offer: [
+    { name: "seller", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "paymentDetails", type: "string" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1, string, string, uint256, address, bytes32, uint256[])",
+];
+
+/**
+ * Builds the EIP-712 domain of a deployed CryptoEscrow.
+ * @param {string} escrowAddress
+ * @param {bigint|number} chainId
+ */
+function escrowDomain(escrowAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: escrowAddress,
+  };
+}
+
+/**
+ * Signs the seller's consent to cancel an escrow, for use with cancelWithSellerConsent.
+ * @param {import("ethers").Signer} seller
+ * @param {{ escrowAddress: string, chainId: bigint|number, escrowId: bigint|number,
+ *           deadline: bigint|number }} consent
+ * @returns {Promise<string>} the signature
+ */
+async function signCancellationConsent(seller, { escrowAddress, chainId, escrowId, deadline }) {
+  return seller.signTypedData(escrowDomain(escrowAddress, chainId), CANCELLATION_CONSENT_TYPES, {
+    escrowId,
+    deadline,
+  });
+}
+
+/**
+ * Returns the address that signed a cancellation consent.
+ */
+function recoverCancellationConsent({ escrowAddress, chainId, escrowId, deadline }, signature) {
+  return verifyTypedData(
+    escrowDomain(escrowAddress, chainId),
+    CANCELLATION_CONSENT_TYPES,
+    { escrowId, deadline },
+    signature
+  );
+}
+
+/**
+ * @typedef {Object} Offer
+ * @property {string} seller
+ * @property {string} token            address(0) for the native coin
+ * @property {bigint} amount
+ * @property {string} paymentDetails
+ * @property {bigint|number} expiry    Unix timestamp after which the offer can't be accepted
+ * @property {bigint|number} nonce     Any value the seller has not used yet
+ */
+
+/**
+ * Signs an escrow offer as the seller, for buyers to submit with acceptOffer.
+ * @param {import("ethers").Signer} seller
+ * @param {{ escrowAddress: string, chainId: bigint|number }} escrow
+ * @param {Offer} offer
+ * @returns {Promise<string>} the signature
+ */
+async function signOffer(seller, { escrowAddress, chainId }, offer) {
+  return seller.signTypedData(escrowDomain(escrowAddress, chainId), OFFER_TYPES, offer);
+}
+
+/**
+ * Returns the address that signed an offer; compare it with `offer.seller`.
+ */
+function recoverOffer({ escrowAddress, chainId }, offer, signature) {
+  return verifyTypedData(escrowDomain(escrowAddress, chainId), OFFER_TYPES, offer, signature);
+}
+
+/**
+ * Signs an EIP-2612 permit letting `spender` pull `value` of `tokenAddress`.
+ * The token's domain is read from ERC-5267 `eip712Domain()` when available,
+ * falling back to its name and version "1".
+ * @returns {Promise<{ deadline: bigint|number, v: number, r: string, s: string }>}
+ *          in the shape of the contract's PermitSignature
+ */
+async function signPermit(owner, { tokenAddress, spender, value, deadline }) {
+  const token = new Contract(tokenAddress, PERMIT_ABI, owner);
+  const ownerAddress = await owner.getAddress();
+  const { chainId } = await owner.provider.getNetwork();
+
+  let name;
+  let version = "1";
+  try {
+    [, name, version] = await token.eip712Domain();
+  } catch (error) {
+    name = await token.name();
+  }
+
+  const signature = await owner.signTypedData(
+    { name, version, chainId, verifyingContract: tokenAddress },
+    PERMIT_TYPES,
+    { owner: ownerAddress, spender, value, nonce: await token.nonces(ownerAddress), deadline }
+  );
+  const { v, r, s } = Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  CANCELLATION_CONSENT_TYPES,
+  OFFER_TYPES,
+  PERMIT_TYPES,
+  escrowDomain,
+  signCancellationConsent,
+  recoverCancellationConsent,
+  signOffer,
+  recoverOffer,
+  signPermit,
+};
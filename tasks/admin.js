@@ -0,0 +1,276 @@
+const { task, types } = require("hardhat/config");
+const { PAUSE_FLAGS, pausedFunctionNames } = require("../sdk/constants");
+const { parseTokenLimits } = require("../deploy/config");
+const { resolveSigner, getEscrow, getTokenInfo, sendAndWait } = require("./utils");
+
+const ROLES = ["FEE_MANAGER_ROLE", "TOKEN_MANAGER_ROLE", "ARBITRATOR_MANAGER_ROLE", "PAUSER_ROLE"];
+
+/**
+ * Returns the operations that were queued and are still pending, newest last.
+ */
+async function pendingOperations(escrow, fromBlock) {
+  const events = await escrow.queryFilter(escrow.filters.OperationQueued(), fromBlock);
+  const pending = [];
+  for (const event of events) {
+    const { id, data } = event.args;
+    const executableAt = await escrow.queuedOperations(id);
+    // Skip executed/cancelled operations and older queueings of a re-queued call
+    if (executableAt === 0n || executableAt !== event.args.executableAt) continue;
+    pending.push({
+      id,
+      data,
+      executableAt: Number(executableAt),
+      call: escrow.interface.parseTransaction({ data }),
+    });
+  }
+  return pending;
+}
+
+function describeCall(call) {
+  return `${call.name}(${call.args.map((arg) => arg.toString()).join(", ")})`;
+}
+
+async function findOperation(escrow, id, fromBlock) {
+  const operation = (await pendingOperations(escrow, fromBlock)).find((op) => op.id === id);
+  if (!operation) throw new Error(`No pending operation ${id}`);
+  return operation;
+}
+
+function parseRole(name) {
+  const upper = name.toUpperCase();
+  const role = upper.endsWith("_ROLE") ? upper : `${upper}_ROLE`;
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role ${name}, expected one of ${ROLES.join(", ")}`);
+  }
+  return role;
+}
+
+task("timelock:queue", "Queues a timelocked admin call (fee changes, withdrawals, upgrades)")
+  .addParam("method", "Contract function, e.g. updatePlatformFee")
+  .addOptionalParam("args", 'JSON array of raw arguments, e.g. \'["150"]\'', "[]")
+  .addOptionalParam("from", "Fee manager or admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const data = escrow.interface.encodeFunctionData(args.method, JSON.parse(args.args));
+    const call = escrow.interface.parseTransaction({ data });
+
+    console.log(`🕒 Queueing ${describeCall(call)}`);
+    await sendAndWait(escrow.queueOperation(data));
+    const id = hre.ethers.keccak256(data);
+    const executableAt = Number(await escrow.queuedOperations(id));
+    console.log(`📌 Operation ID: ${id}`);
+    console.log(`   Executable after ${new Date(executableAt * 1000).toISOString()}`);
+  });
+
+task("timelock:list", "Lists pending timelocked operations")
+  .addOptionalParam("fromBlock", "Block to start scanning for queued operations", 0, types.int)
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre);
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const pending = await pendingOperations(escrow, args.fromBlock);
+
+    if (pending.length === 0) {
+      console.log("📭 No pending operations");
+      return;
+    }
+    console.log(`🕒 ${pending.length} pending operation(s):`);
+    for (const op of pending) {
+      const ready = op.executableAt <= latest.timestamp;
+      const at = new Date(op.executableAt * 1000).toISOString();
+      console.log(`\n   ${op.id}`);
+      console.log(`   Call:  ${describeCall(op.call)}`);
+      console.log(`   ${ready ? "✅ Ready since" : "⏳ Executable at"} ${at}`);
+    }
+  });
+
+task("timelock:execute", "Executes a queued operation once its delay has passed")
+  .addParam("id", "Operation ID printed by timelock:queue or timelock:list")
+  .addOptionalParam("fromBlock", "Block to start scanning for queued operations", 0, types.int)
+  .addOptionalParam("from", "Fee manager or admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const op = await findOperation(escrow, args.id, args.fromBlock);
+
+    console.log(`🚀 Executing ${describeCall(op.call)}`);
+    await sendAndWait(escrow.executeOperation(op.data));
+  });
+
+task("timelock:cancel", "Cancels a queued operation")
+  .addParam("id", "Operation ID printed by timelock:queue or timelock:list")
+  .addOptionalParam("fromBlock", "Block to start scanning for queued operations", 0, types.int)
+  .addOptionalParam("from", "Fee manager or admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const op = await findOperation(escrow, args.id, args.fromBlock);
+
+    console.log(`🗑️ Cancelling ${describeCall(op.call)}`);
+    await sendAndWait(escrow.cancelOperation(op.data));
+  });
+
+function parsePauseFlags(list) {
+  if (!list) throw new Error("Pass --functions or --token");
+  return list.split(",").reduce((bitmask, name) => {
+    const flag = PAUSE_FLAGS[name.trim().toLowerCase()];
+    if (!flag) {
+      throw new Error(`Unknown function ${name}, expected ${Object.keys(PAUSE_FLAGS).join(", ")}`);
+    }
+    return bitmask | flag;
+  }, 0);
+}
+
+task("admin:pause", "Pauses escrow functions, or freezes a single token (pauser)")
+  .addOptionalParam("functions", `Comma-separated: ${Object.keys(PAUSE_FLAGS).join(", ")}`, "")
+  .addOptionalParam("token", "Token address to freeze instead", "")
+  .addOptionalParam("from", "Pauser account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    if (args.token) {
+      console.log(`🧊 Freezing token ${args.token}`);
+      await sendAndWait(escrow.setTokenPaused(args.token, true));
+      return;
+    }
+    const bitmask = parsePauseFlags(args.functions);
+    console.log(`⏸️ Pausing ${pausedFunctionNames(bitmask).join(", ")}`);
+    await sendAndWait(escrow.pause(bitmask));
+  });
+
+task("admin:unpause", "Unpauses escrow functions, or unfreezes a single token (pauser)")
+  .addOptionalParam("functions", `Comma-separated: ${Object.keys(PAUSE_FLAGS).join(", ")}`, "")
+  .addOptionalParam("token", "Token address to unfreeze instead", "")
+  .addOptionalParam("from", "Pauser account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    if (args.token) {
+      console.log(`🔥 Unfreezing token ${args.token}`);
+      await sendAndWait(escrow.setTokenPaused(args.token, false));
+      return;
+    }
+    const bitmask = parsePauseFlags(args.functions);
+    console.log(`▶️ Unpausing ${pausedFunctionNames(bitmask).join(", ")}`);
+    await sendAndWait(escrow.unpause(bitmask));
+  });
+
+task("admin:pause-status", "Shows paused functions and frozen tokens").setAction(
+  async (args, hre) => {
+    const escrow = await getEscrow(hre);
+    const paused = pausedFunctionNames(await escrow.pausedFunctions());
+    console.log(`⏸️ Paused functions: ${paused.length ? paused.join(", ") : "none"}`);
+
+    const frozen = [];
+    for (const token of await escrow.getSupportedTokens()) {
+      if (await escrow.pausedTokens(token)) frozen.push(token);
+    }
+    console.log(`🧊 Frozen tokens: ${frozen.length ? frozen.join(", ") : "none"}`);
+  }
+);
+
+task("admin:token-limits", "Sets a token's escrow limits in whole tokens (token manager)")
+  .addOptionalParam("token", "Supported token address (defaults to native)", "")
+  .addOptionalParam("min", "Minimum escrow amount", undefined)
+  .addOptionalParam("max", "Maximum escrow amount, 0 for none", undefined)
+  .addOptionalParam("maxExposure", "Cap on a buyer's open escrows, 0 for none", undefined)
+  .addOptionalParam("dailyCap", "Cap on what escrows fund per UTC day, 0 for none", undefined)
+  .addOptionalParam("from", "Token manager account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const token = args.token || hre.ethers.ZeroAddress;
+    const { symbol, decimals } = await getTokenInfo(hre, token);
+
+    // Limits that are not given keep their current value
+    const current = await escrow.getTokenLimits(token);
+    const unchanged = (value) => hre.ethers.formatUnits(value, decimals);
+    const limits = {
+      min: args.min ?? unchanged(current.minAmount),
+      max: args.max ?? unchanged(current.maxAmount),
+      maxExposure: args.maxExposure ?? unchanged(current.maxExposure),
+      dailyCap: args.dailyCap ?? unchanged(current.dailyCap),
+    };
+
+    const errors = [];
+    const parsed = parseTokenLimits(limits, decimals, symbol, errors);
+    if (errors.length > 0) throw new Error(errors.join("\n"));
+    console.log(`📏 Setting ${symbol} limits: ${JSON.stringify(limits)}`);
+    await sendAndWait(escrow.setTokenLimits(token, parsed));
+  });
+
+task("admin:dispute-panel", "Sets dispute panel size and quorum, or a token's panel threshold")
+  .addOptionalParam("size", "Arbitrators per panel, 0 to turn panels off", undefined, types.int)
+  .addOptionalParam("quorum", "Votes resolving a panel dispute, a majority", undefined, types.int)
+  .addOptionalParam("token", "Supported token address (defaults to native)", "")
+  .addOptionalParam("threshold", "Disputed amount (whole tokens) for a panel, 0 for never", undefined)
+  .addOptionalParam("from", "Arbitrator manager account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    if (args.size === undefined && args.threshold === undefined) {
+      throw new Error("Give --size and --quorum, or --threshold");
+    }
+
+    if (args.size !== undefined) {
+      const quorum = args.quorum ?? 0;
+      console.log(`⚖️ Setting dispute panels to ${args.size} members, quorum ${quorum}`);
+      await sendAndWait(escrow.setPanelConfig(args.size, quorum));
+    }
+    if (args.threshold !== undefined) {
+      const token = args.token || hre.ethers.ZeroAddress;
+      const { symbol, decimals } = await getTokenInfo(hre, token);
+      console.log(`⚖️ Setting the ${symbol} panel threshold to ${args.threshold}`);
+      await sendAndWait(
+        escrow.setPanelThreshold(token, hre.ethers.parseUnits(args.threshold, decimals))
+      );
+    }
+  });
+
+task("admin:roles", "Shows the admin and the roles held by an account")
+  .addOptionalParam("account", "Account address (defaults to the first signer)", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre);
+    const account = args.account || (await resolveSigner(hre)).address;
+
+    console.log(`👑 Admin: ${await escrow.admin()}`);
+    const pendingAdmin = await escrow.pendingAdmin();
+    if (pendingAdmin !== hre.ethers.ZeroAddress) console.log(`   Pending admin: ${pendingAdmin}`);
+    console.log(`\n🔑 Roles of ${account}:`);
+    for (const role of ROLES) {
+      const held = await escrow.hasRole(await escrow[role](), account);
+      console.log(`   ${held ? "✔" : "❌"} ${role}`);
+    }
+  });
+
+task("admin:grant-role", "Grants a role to an account (admin)")
+  .addParam("role", "fee_manager, token_manager, arbitrator_manager or pauser")
+  .addParam("account", "Account address")
+  .addOptionalParam("from", "Admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const role = parseRole(args.role);
+    console.log(`🔑 Granting ${role} to ${args.account}`);
+    await sendAndWait(escrow.grantRole(await escrow[role](), args.account));
+  });
+
+task("admin:revoke-role", "Revokes a role from an account (admin)")
+  .addParam("role", "fee_manager, token_manager, arbitrator_manager or pauser")
+  .addParam("account", "Account address")
+  .addOptionalParam("from", "Admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const role = parseRole(args.role);
+    console.log(`🔒 Revoking ${role} from ${args.account}`);
+    await sendAndWait(escrow.revokeRole(await escrow[role](), args.account));
+  });
+
+task("admin:transfer", "Starts an admin transfer; the new admin completes it with admin:accept")
+  .addParam("to", "New admin address")
+  .addOptionalParam("from", "Admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`👑 Proposing ${args.to} as the new admin`);
+    await sendAndWait(escrow.transferAdmin(args.to));
+  });
+
+task("admin:accept", "Accepts a pending admin transfer")
+  .addOptionalParam("from", "Pending admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log("👑 Accepting the admin role");
+    await sendAndWait(escrow.acceptAdmin());
+  });
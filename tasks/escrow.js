@@ -0,0 +1,898 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { signOffer, signPermit } = require("../sdk/signing");
+const { EscrowClient } = require("../sdk/EscrowClient");
+const {
+  deriveEncryptionKeyPair,
+  encryptEvidence,
+  encryptPaymentDetails,
+} = require("../sdk/encryption");
+const {
+  ESCROW_STATUS,
+  ASSET_TYPE,
+  ERC20_ABI,
+  resolveSigner,
+  getEscrow,
+  getTokenInfo,
+  formatTokenAmount,
+  parseTokenAmount,
+  sendAndWait,
+  parseEscrowLogs,
+} = require("./utils");
+
+// Encrypts payment details to the buyer's and seller's registered keys (escrow:register-key)
+async function encryptDetails(escrow, buyer, seller, details) {
+  const publicKeys = await Promise.all([buyer, seller].map((a) => escrow.encryptionKeys(a)));
+  const missing = [buyer, seller].filter((account, i) => BigInt(publicKeys[i]) === 0n);
+  if (missing.length > 0) {
+    throw new Error(`No encryption key registered for ${missing.join(", ")}`);
+  }
+  console.log("🔐 Payment details encrypted to the buyer and seller");
+  return encryptPaymentDetails(details, publicKeys).envelope;
+}
+
+task("escrow:create", "Creates a new escrow (native escrows are funded immediately)")
+  .addParam("seller", "Seller address")
+  .addParam("amount", "Amount in whole token units, e.g. 1.5")
+  .addOptionalParam("token", "ERC20 token address (omit for the native coin)", "")
+  .addOptionalParam("details", "Payment details", "", types.string)
+  .addOptionalParam("deliveryHours", "Delivery deadline in hours from now (0 for none)", 0, types.int)
+  .addFlag("encrypt", "Encrypt the payment details to the buyer's and seller's keys")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const buyer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, buyer);
+    const token = args.token || ethers.ZeroAddress;
+    const amount = await parseTokenAmount(hre, token, args.amount);
+    const details = args.encrypt
+      ? await encryptDetails(escrow, buyer.address, args.seller, args.details)
+      : args.details;
+
+    let deadline = 0;
+    if (args.deliveryHours > 0) {
+      const latest = await ethers.provider.getBlock("latest");
+      deadline = latest.timestamp + args.deliveryHours * 3600;
+    }
+
+    console.log(`🔨 Creating escrow: ${buyer.address} -> ${args.seller}`);
+    console.log(`   Amount: ${await formatTokenAmount(hre, token, amount)}`);
+    if (deadline) {
+      console.log(`   Delivery deadline: ${new Date(deadline * 1000).toISOString()}`);
+    }
+
+    const receipt = await sendAndWait(
+      escrow.createEscrow(args.seller, token, amount, details, deadline, {
+        value: token === ethers.ZeroAddress ? amount : 0n,
+      })
+    );
+
+    const created = parseEscrowLogs(escrow, receipt).find((log) => log.name === "EscrowCreated");
+    console.log(`📌 Escrow ID: ${created.args.escrowId}`);
+    if (token !== ethers.ZeroAddress) {
+      console.log(`   Run escrow:fund --id ${created.args.escrowId} to deposit the tokens`);
+    }
+  });
+
+task("escrow:create-milestones", "Creates an escrow released in milestones")
+  .addParam("seller", "Seller address")
+  .addParam(
+    "milestones",
+    'Comma-separated "amount:description" pairs in release order, e.g. "0.5:Design,1.5:Build"'
+  )
+  .addOptionalParam("token", "ERC20 token address (omit for the native coin)", "")
+  .addOptionalParam("details", "Payment details", "", types.string)
+  .addFlag("encrypt", "Encrypt the payment details to the buyer's and seller's keys")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const buyer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, buyer);
+    const token = args.token || ethers.ZeroAddress;
+    const details = args.encrypt
+      ? await encryptDetails(escrow, buyer.address, args.seller, args.details)
+      : args.details;
+
+    const amounts = [];
+    const descriptions = [];
+    for (const entry of args.milestones.split(",")) {
+      const [amount, ...description] = entry.split(":");
+      amounts.push(await parseTokenAmount(hre, token, amount.trim()));
+      descriptions.push(description.join(":").trim());
+    }
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+    console.log(`🔨 Creating milestone escrow: ${buyer.address} -> ${args.seller}`);
+    for (let i = 0; i < amounts.length; i++) {
+      console.log(`   ${i + 1}. ${await formatTokenAmount(hre, token, amounts[i])}  ${descriptions[i]}`);
+    }
+    console.log(`   Total: ${await formatTokenAmount(hre, token, total)}`);
+
+    const receipt = await sendAndWait(
+      escrow.createMilestoneEscrow(args.seller, token, amounts, descriptions, details, 0, {
+        value: token === ethers.ZeroAddress ? total : 0n,
+      })
+    );
+
+    const created = parseEscrowLogs(escrow, receipt).find((log) => log.name === "EscrowCreated");
+    console.log(`📌 Escrow ID: ${created.args.escrowId}`);
+    if (token !== ethers.ZeroAddress) {
+      console.log(`   Run escrow:fund --id ${created.args.escrowId} to deposit the tokens`);
+    }
+  });
+
+task("escrow:sign-offer", "Signs an escrow offer as the seller and writes it to a JSON file")
+  .addParam("amount", "Amount in whole token units, e.g. 1.5")
+  .addParam("out", "Where to write the signed offer")
+  .addOptionalParam("token", "ERC20 token address (omit for the native coin)", "")
+  .addOptionalParam("details", "Payment details", "", types.string)
+  .addOptionalParam("hours", "Hours until the offer expires", 24, types.int)
+  .addOptionalParam("nonce", "Offer nonce (defaults to the current time in ms)", "")
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const seller = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, seller);
+    const token = args.token || ethers.ZeroAddress;
+    const latest = await ethers.provider.getBlock("latest");
+
+    const offer = {
+      seller: seller.address,
+      token,
+      amount: await parseTokenAmount(hre, token, args.amount),
+      paymentDetails: args.details,
+      expiry: BigInt(latest.timestamp + args.hours * 3600),
+      nonce: BigInt(args.nonce || Date.now()),
+    };
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await signOffer(seller, { escrowAddress: await escrow.getAddress(), chainId }, offer);
+
+    const json = JSON.stringify(
+      { offer, signature },
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    );
+    fs.writeFileSync(args.out, json);
+    console.log(`✍️ Signed offer of ${await formatTokenAmount(hre, token, offer.amount)} (nonce ${offer.nonce})`);
+    console.log(`   Expires: ${new Date(Number(offer.expiry) * 1000).toISOString()}`);
+    console.log(`   Saved to ${args.out}`);
+  });
+
+task("escrow:accept-offer", "Accepts a signed offer, creating and funding the escrow")
+  .addParam("file", "Signed offer JSON written by escrow:sign-offer")
+  .addFlag("permit", "Approve ERC20 tokens with an EIP-2612 permit instead of approve()")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const buyer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, buyer);
+    const escrowAddress = await escrow.getAddress();
+    const { offer, signature } = JSON.parse(fs.readFileSync(args.file, "utf8"));
+    const native = offer.token === ethers.ZeroAddress;
+
+    console.log(`🤝 Accepting offer from ${offer.seller}`);
+    console.log(`   Amount: ${await formatTokenAmount(hre, offer.token, offer.amount)}`);
+
+    let tx;
+    if (native) {
+      tx = escrow.acceptOffer(offer, signature, { value: offer.amount });
+    } else if (args.permit) {
+      const latest = await ethers.provider.getBlock("latest");
+      const permit = await signPermit(buyer, {
+        tokenAddress: offer.token,
+        spender: escrowAddress,
+        value: offer.amount,
+        deadline: latest.timestamp + 3600,
+      });
+      tx = escrow.acceptOfferWithPermit(offer, signature, permit);
+    } else {
+      const token = new ethers.Contract(offer.token, ERC20_ABI, buyer);
+      if ((await token.allowance(buyer.address, escrowAddress)) < BigInt(offer.amount)) {
+        console.log("🔓 Approving tokens");
+        await sendAndWait(token.approve(escrowAddress, offer.amount));
+      }
+      tx = escrow.acceptOffer(offer, signature);
+    }
+
+    const receipt = await sendAndWait(tx);
+    const accepted = parseEscrowLogs(escrow, receipt).find((log) => log.name === "OfferAccepted");
+    console.log(`📌 Escrow ID: ${accepted.args.escrowId}`);
+  });
+
+task("escrow:cancel-offer", "Invalidates an offer you signed as the seller")
+  .addParam("nonce", "Offer nonce")
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🗑️ Cancelling offer nonce ${args.nonce}`);
+    await sendAndWait(escrow.cancelOffer(args.nonce));
+  });
+
+task("escrow:fund", "Approves the escrow contract if needed and funds an ERC20 escrow")
+  .addParam("id", "Escrow ID")
+  .addFlag("permit", "Approve with an EIP-2612 permit in the funding transaction")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const buyer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, buyer);
+    const details = await escrow.getEscrowDetails(args.id);
+
+    if (details.tokenAddress === hre.ethers.ZeroAddress) {
+      throw new Error("Native escrows are funded on creation");
+    }
+
+    const token = new hre.ethers.Contract(details.tokenAddress, ERC20_ABI, buyer);
+    const escrowAddress = await escrow.getAddress();
+
+    if (args.permit) {
+      const latest = await hre.ethers.provider.getBlock("latest");
+      const permit = await signPermit(buyer, {
+        tokenAddress: details.tokenAddress,
+        spender: escrowAddress,
+        value: details.amount,
+        deadline: latest.timestamp + 3600,
+      });
+      console.log(`💰 Funding escrow ${args.id} with a permit`);
+      await sendAndWait(escrow.fundEscrowWithPermit(args.id, permit));
+      return;
+    }
+    const allowance = await token.allowance(buyer.address, escrowAddress);
+
+    if (allowance < details.amount) {
+      console.log(`🔓 Approving ${await formatTokenAmount(hre, details.tokenAddress, details.amount)}`);
+      await sendAndWait(token.approve(escrowAddress, details.amount));
+    }
+
+    console.log(`💰 Funding escrow ${args.id}`);
+    await sendAndWait(escrow.fundEscrow(args.id));
+  });
+
+task("escrow:release", "Releases escrowed funds to the seller")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`📤 Releasing escrow ${args.id}`);
+    await sendAndWait(escrow.releaseFunds(args.id));
+    console.log("   The seller can collect the payout with escrow:withdraw");
+  });
+
+task("escrow:release-milestone", "Releases the next milestone of a milestone escrow")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const receipt = await sendAndWait(escrow.releaseMilestone(args.id));
+
+    const released = parseEscrowLogs(escrow, receipt).find((log) => log.name === "MilestoneReleased");
+    const details = await escrow.getEscrowDetails(args.id);
+    console.log(
+      `📤 Released milestone ${Number(released.args.index) + 1}/${details.milestones.length} ` +
+        `of escrow ${args.id}: ${await formatTokenAmount(hre, details.tokenAddress, released.args.sellerAmount)}`
+    );
+  });
+
+task("escrow:cancel", "Cancels a funded escrow, or asks the seller to approve if they acknowledged it")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const details = await escrow.getEscrowDetails(args.id);
+
+    if (details.acknowledged) {
+      console.log(`📨 Seller acknowledged escrow ${args.id}; requesting cancellation`);
+      await sendAndWait(escrow.requestCancellation(args.id));
+      console.log(`   The seller can approve with escrow:approve-cancel --id ${args.id}`);
+    } else {
+      console.log(`↩️ Cancelling escrow ${args.id}`);
+      await sendAndWait(escrow.cancelEscrow(args.id));
+    }
+  });
+
+task("escrow:ack", "Acknowledges an escrow as the seller")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🤝 Acknowledging escrow ${args.id}`);
+    await sendAndWait(escrow.acknowledgeEscrow(args.id));
+  });
+
+task("escrow:approve-cancel", "Approves the buyer's cancellation request as the seller")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`↩️ Approving cancellation of escrow ${args.id}`);
+    await sendAndWait(escrow.approveCancellation(args.id));
+  });
+
+task("escrow:ship", "Confirms shipment as the seller")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🚚 Confirming shipment for escrow ${args.id}`);
+    await sendAndWait(escrow.confirmShipment(args.id));
+  });
+
+task("escrow:claim", "Claims funds after the delivery deadline (seller) or a refund (buyer)")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Seller or buyer account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const details = await escrow.getEscrowDetails(args.id);
+
+    if (signer.address === details.seller) {
+      console.log(`📥 Claiming funds for escrow ${args.id}`);
+      await sendAndWait(escrow.claimFunds(args.id));
+    } else {
+      console.log(`↩️ Claiming refund for escrow ${args.id}`);
+      await sendAndWait(escrow.claimRefund(args.id));
+    }
+  });
+
+task("escrow:dispute", "Raises a dispute, paying the current dispute fee")
+  .addParam("id", "Escrow ID")
+  .addParam("reason", "Reason for the dispute")
+  .addOptionalParam("from", "Buyer or seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const [feeToken, fee] = await escrow.getDisputeFee(args.id);
+    const native = feeToken === hre.ethers.ZeroAddress;
+
+    if (!native) {
+      const token = new hre.ethers.Contract(feeToken, ERC20_ABI, signer);
+      const escrowAddress = await escrow.getAddress();
+      if ((await token.allowance(signer.address, escrowAddress)) < fee) {
+        console.log(`🔓 Approving dispute fee of ${await formatTokenAmount(hre, feeToken, fee)}`);
+        await sendAndWait(token.approve(escrowAddress, fee));
+      }
+    }
+
+    console.log(
+      `⚖️ Raising dispute on escrow ${args.id} (fee: ${await formatTokenAmount(hre, feeToken, fee)})`
+    );
+    await sendAndWait(escrow.raiseDispute(args.id, args.reason, { value: native ? fee : 0n }));
+  });
+
+task("escrow:dispute-fee", "Queues a dispute fee for a token, paid in that token (fee manager)")
+  .addParam("token", "Supported ERC20 token address")
+  .addParam("fee", "Fee in whole token units, 0 to fall back to the native fee")
+  .addOptionalParam("from", "Fee manager account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const fee = await parseTokenAmount(hre, args.token, args.fee);
+    const data = escrow.interface.encodeFunctionData("setTokenDisputeFee", [args.token, fee]);
+    console.log(`⚙️ Queueing dispute fee for ${args.token}: ${await formatTokenAmount(hre, args.token, fee)}`);
+    await sendAndWait(escrow.queueOperation(data));
+    console.log(`📌 Operation ID: ${hre.ethers.keccak256(data)}`);
+    console.log("   Run timelock:execute with this ID once the timelock delay has passed");
+  });
+
+task("escrow:resolve", "Resolves a dispute by splitting the escrow between buyer and seller")
+  .addParam("id", "Escrow ID")
+  .addParam("buyerAmount", "Amount returned to the buyer, in whole token units")
+  .addParam("sellerAmount", "Amount sent to the seller, in whole token units")
+  .addOptionalParam("from", "Arbitrator or admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const details = await escrow.getEscrowDetails(args.id);
+    const buyerAmount = await parseTokenAmount(hre, details.tokenAddress, args.buyerAmount);
+    const sellerAmount = await parseTokenAmount(hre, details.tokenAddress, args.sellerAmount);
+
+    console.log(`⚖️ Resolving escrow ${args.id}`);
+    console.log(`   Buyer:  ${await formatTokenAmount(hre, details.tokenAddress, buyerAmount)}`);
+    console.log(`   Seller: ${await formatTokenAmount(hre, details.tokenAddress, sellerAmount)}`);
+    await sendAndWait(escrow.resolveDispute(args.id, buyerAmount, sellerAmount));
+  });
+
+task("escrow:vote", "Votes on a panel dispute; the vote reaching the quorum resolves it")
+  .addParam("id", "Escrow ID")
+  .addParam("buyerAmount", "Amount returned to the buyer, in whole token units")
+  .addParam("sellerAmount", "Amount sent to the seller, in whole token units")
+  .addOptionalParam("from", "Panel member account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const { tokenAddress } = await escrow.getEscrowDetails(args.id);
+    const amount = (value) => formatTokenAmount(hre, tokenAddress, value);
+    const buyerAmount = await parseTokenAmount(hre, tokenAddress, args.buyerAmount);
+    const sellerAmount = await parseTokenAmount(hre, tokenAddress, args.sellerAmount);
+
+    console.log(`🗳️ Voting on the dispute of escrow ${args.id}`);
+    console.log(`   Buyer:  ${await amount(buyerAmount)}`);
+    console.log(`   Seller: ${await amount(sellerAmount)}`);
+    const receipt = await sendAndWait(escrow.voteOnDispute(args.id, buyerAmount, sellerAmount));
+
+    const resolved = parseEscrowLogs(escrow, receipt).find((log) => log.name === "DisputeResolved");
+    if (resolved) {
+      console.log("⚖️ Quorum reached, resolved with the median vote:");
+      console.log(`   Buyer:  ${await amount(resolved.args.buyerAmount)}`);
+      console.log(`   Seller: ${await amount(resolved.args.sellerAmount)}`);
+    } else {
+      const { quorum, votes } = await escrow.getDisputePanel(args.id);
+      console.log(`   ${votes.length} of ${quorum} votes needed`);
+    }
+  });
+
+task("escrow:extend-dispute", "Extends a dispute's deadline (arbitrator, panel member, or admin)")
+  .addParam("id", "Escrow ID")
+  .addParam("days", "Days to add to the current deadline (or to now, once expired)", undefined, types.float)
+  .addOptionalParam("from", "Arbitrator, panel member or admin account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const { disputeExpiry } = await escrow.getEscrowDetails(args.id);
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const base = Math.max(latest.timestamp, Number(disputeExpiry));
+    const newExpiry = base + Math.floor(args.days * 86400);
+
+    console.log(`⏳ Extending dispute on escrow ${args.id} to ${new Date(newExpiry * 1000).toISOString()}`);
+    await sendAndWait(escrow.extendDisputeDeadline(args.id, newExpiry));
+  });
+
+task("escrow:settle-expired", "Settles an expired dispute with the default split")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Any account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`⚖️ Settling expired dispute on escrow ${args.id}`);
+    const receipt = await sendAndWait(escrow.settleExpiredDispute(args.id));
+
+    const settled = parseEscrowLogs(escrow, receipt).find(
+      (log) => log.name === "ExpiredDisputeSettled"
+    );
+    const details = await escrow.getEscrowDetails(args.id);
+    console.log(`   Buyer:  ${await formatTokenAmount(hre, details.tokenAddress, settled.args.buyerAmount)}`);
+    console.log(`   Seller: ${await formatTokenAmount(hre, details.tokenAddress, settled.args.sellerAmount)}`);
+  });
+
+task("escrow:recuse", "Steps down as the arbitrator of a dispute and reassigns it")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Arbitrator account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🙅 Recusing from escrow ${args.id}`);
+    const receipt = await sendAndWait(escrow.recuse(args.id));
+
+    const assigned = parseEscrowLogs(escrow, receipt).find(
+      (log) => log.name === "DisputeArbitratorAssigned"
+    );
+    console.log(`   Reassigned to ${assigned.args.arbitrator}`);
+  });
+
+task("escrow:arbitrators", "Lists the arbitrator pool with open caseloads")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre);
+    const arbitrators = await escrow.getArbitrators();
+
+    if (arbitrators.length === 0) {
+      console.log(`⚖️ No arbitrators registered; disputes go to the admin (${await escrow.admin()})`);
+      return;
+    }
+
+    console.log(`⚖️ ${arbitrators.length} arbitrator(s)`);
+    for (const arbitrator of arbitrators) {
+      console.log(`   ${arbitrator}  open cases: ${await escrow.openCases(arbitrator)}`);
+    }
+    const panelSize = await escrow.panelSize();
+    if (panelSize > 0n) {
+      console.log(`   Panels: ${panelSize} members, quorum ${await escrow.panelQuorum()}`);
+    }
+  });
+
+task("escrow:evidence", "Submits dispute evidence for an escrow")
+  .addParam("id", "Escrow ID")
+  .addParam("url", "Evidence URL")
+  .addFlag("encrypt", "Encrypt the evidence with the escrow's key")
+  .addOptionalParam("from", "Buyer or seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    let evidence = args.url;
+    if (args.encrypt) {
+      const client = new EscrowClient(escrow.target, signer, escrow.interface);
+      const escrowKey = await client.getEscrowKey(args.id, await deriveEncryptionKeyPair(signer));
+      if (escrowKey === null) {
+        throw new Error(`Escrow ${args.id} is not encrypted for ${signer.address}`);
+      }
+      evidence = encryptEvidence(args.url, escrowKey);
+    }
+
+    console.log(`📎 Submitting ${args.encrypt ? "encrypted " : ""}evidence for escrow ${args.id}`);
+    await sendAndWait(escrow.submitDisputeEvidence(args.id, evidence));
+  });
+
+task("escrow:register-key", "Registers an encryption key derived from the account's signature")
+  .addOptionalParam("from", "Account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const { publicKey } = await deriveEncryptionKeyPair(signer);
+
+    console.log(`🔑 Registering the encryption key of ${signer.address}`);
+    console.log(`   Public key: ${publicKey}`);
+    await sendAndWait(escrow.setEncryptionKey(publicKey));
+  });
+
+task("escrow:decrypt", "Decrypts an escrow's payment details and evidence")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Buyer, seller or arbitrator account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const client = new EscrowClient(escrow.target, signer, escrow.interface);
+    const keyPair = await deriveEncryptionKeyPair(signer);
+
+    console.log(`🔓 Escrow ${args.id}`);
+    console.log(`   Payment details: ${await client.readPaymentDetails(args.id, keyPair)}`);
+    for (const item of await client.readEvidence(args.id, keyPair)) {
+      console.log(`   📎 ${item.submittedBy} (block ${item.blockNumber}): ${item.evidence}`);
+    }
+  });
+
+task("escrow:share-key", "Shares a disputed escrow's key with its arbitrator or panel")
+  .addParam("id", "Escrow ID")
+  .addOptionalParam("from", "Buyer or seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const client = new EscrowClient(escrow.target, signer, escrow.interface);
+    const panel = await client.getDisputePanel(args.id);
+    const { arbitrator } = await escrow.getEscrowDetails(args.id);
+    const recipient = panel ? `panel ${panel.members.join(", ")}` : `arbitrator ${arbitrator}`;
+
+    console.log(`🔑 Sharing the key of escrow ${args.id} with ${recipient}`);
+    const keyPair = await deriveEncryptionKeyPair(signer);
+    for (const receipt of [await client.shareKeyWithArbitrator(args.id, keyPair)].flat()) {
+      console.log(`✅ Mined in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+    }
+  });
+
+task("escrow:withdrawable", "Shows balances credited to an account and not yet withdrawn")
+  .addOptionalParam("account", "Account address (defaults to the first signer)", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre);
+    const account = hre.ethers.isAddress(args.account)
+      ? args.account
+      : (await resolveSigner(hre, args.account)).address;
+
+    // Wrapped escrows credit the wrapper
+    const supported = [...new Set(await escrow.getSupportedTokens())];
+    const wrappers = await Promise.all(supported.map((token) => escrow.getWrappedToken(token)));
+    const deployed = wrappers.filter((wrapper) => wrapper !== hre.ethers.ZeroAddress);
+    const tokens = supported.concat(deployed);
+
+    const claimable = [];
+    for (const token of tokens) {
+      const amount = await escrow.pendingWithdrawals(account, token);
+      if (amount > 0n) claimable.push(await formatTokenAmount(hre, token, amount));
+    }
+
+    if (claimable.length === 0) {
+      console.log(`💤 Nothing to withdraw for ${account}`);
+      return;
+    }
+    console.log(`💰 Withdrawable by ${account}`);
+    for (const line of claimable) {
+      console.log(`   ${line}`);
+    }
+  });
+
+task("escrow:withdraw", "Withdraws credited payouts (every token unless --token is given)")
+  .addOptionalParam("token", "Token address (ZeroAddress for native)", "")
+  .addOptionalParam("from", "Account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+
+    if (args.token) {
+      console.log(`💸 Withdrawing ${args.token}`);
+      await sendAndWait(escrow.withdraw(args.token));
+    } else {
+      console.log("💸 Withdrawing all credited tokens");
+      await sendAndWait(escrow.withdrawAll());
+    }
+  });
+
+task("escrow:wrapped", "Reports wrapped token supply against the reserves backing it")
+  .addOptionalParam("token", "Original token address (defaults to every supported token)", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const escrow = await getEscrow(hre);
+    const tokens = args.token ? [args.token] : [...new Set(await escrow.getSupportedTokens())];
+
+    let reported = 0;
+    for (const token of tokens) {
+      const wrapper = await escrow.getWrappedToken(token);
+      if (wrapper === ethers.ZeroAddress) continue;
+      reported++;
+
+      const wrapped = new ethers.Contract(wrapper, ERC20_ABI, ethers.provider);
+      const original = new ethers.Contract(token, ERC20_ABI, ethers.provider);
+      const [supply, held, owed] = await Promise.all([
+        wrapped.totalSupply(),
+        original.balanceOf(escrow.target),
+        escrow.lockedBalances(token), // wrapper supply plus what escrows and credits hold
+      ]);
+      // Every claim on the token takes the same share of a shortfall
+      const backing = held >= owed ? supply : (supply * held) / owed;
+      const amount = (value) => formatTokenAmount(hre, token, value);
+
+      console.log(`🎁 ${await amount(supply)} wrapped as ${wrapper}`);
+      console.log(`   Held by the escrow:   ${await amount(held)}`);
+      console.log(`   Owed in total:        ${await amount(owed)}`);
+      console.log(`   Backing the wrapper:  ${await amount(backing)}`);
+      if (backing < supply) {
+        console.log(`   ⚠️ Short by ${await amount(supply - backing)}; unwraps pay pro rata`);
+      } else {
+        console.log("   ✅ Fully backed");
+      }
+    }
+
+    if (reported === 0) console.log("💤 No wrapped tokens");
+  });
+
+task("escrow:fee-tiers", "Prints the platform fee discount tiers and an account's effective fee")
+  .addOptionalParam("account", "Account to price fees for (defaults to the first signer)", "")
+  .addOptionalParam("amount", "Payout in whole token units to price the fee on", "100")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const escrow = await getEscrow(hre);
+    const account = ethers.isAddress(args.account)
+      ? args.account
+      : (await resolveSigner(hre, args.account)).address;
+    const chx = await escrow.chxToken();
+    const percent = (bps) => `${Number(bps) / 100}%`;
+    const printTiers = async (tiers, token) => {
+      if (tiers.length === 0) console.log("     none");
+      for (const [threshold, discount] of tiers) {
+        const from = await formatTokenAmount(hre, token, threshold);
+        console.log(`     from ${from.padEnd(24)} ${percent(discount)} off`);
+      }
+    };
+
+    const baseFee = await escrow.platformFeePercentage();
+    const [staked, unlockTime] = await Promise.all([
+      escrow.stakedChx(account),
+      escrow.chxStakeUnlockTime(account),
+    ]);
+    console.log(`🏷️ Platform fee ${percent(baseFee)} before discounts; CHX is ${chx}`);
+    console.log("   CHX staked:");
+    await printTiers(await escrow.getChxFeeTiers(), chx);
+    console.log(`👤 ${account}`);
+    console.log(`   Staked ${await formatTokenAmount(hre, chx, staked)}`);
+    if (unlockTime > 0n) {
+      console.log(`   Stake unlocks ${new Date(Number(unlockTime) * 1000).toISOString()}`);
+    }
+    console.log(`   Pays fees in CHX: ${(await escrow.payFeesInChx(account)) ? "yes" : "no"}`);
+
+    for (const token of [...new Set(await escrow.getSupportedTokens())]) {
+      const { symbol } = await getTokenInfo(hre, token);
+      const amount = await parseTokenAmount(hre, token, args.amount);
+      const [tiers, volume, rate, [fee, chxFee]] = await Promise.all([
+        escrow.getVolumeFeeTiers(token),
+        escrow.userVolume(account, token),
+        escrow.chxFeeRates(token),
+        escrow.getEffectiveFee(account, token, amount),
+      ]);
+
+      console.log(`\n💱 ${symbol} (${token})`);
+      console.log("   Released volume:");
+      await printTiers(tiers, token);
+      if (rate > 0n) console.log(`   CHX per ${symbol}: ${ethers.formatEther(rate)}`);
+      console.log(`   Account volume: ${await formatTokenAmount(hre, token, volume)}`);
+      const rateBps = amount > 0n ? (fee * 10000n) / amount : baseFee;
+      const inChx = rate > 0n ? ` or ${await formatTokenAmount(hre, chx, chxFee)}` : "";
+      const effective = `${await formatTokenAmount(hre, token, fee)}${inChx}`;
+      console.log(`   Fee on ${args.amount} ${symbol}: ${effective} (${percent(rateBps)})`);
+    }
+  });
+
+task("escrow:token-limits", "Prints each token's escrow limits and what is left of them")
+  .addOptionalParam("token", "Token address (defaults to every supported token)", "")
+  .addOptionalParam("account", "Buyer to show open exposure for (defaults to the first signer)", "")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const escrow = await getEscrow(hre);
+    const account = ethers.isAddress(args.account)
+      ? args.account
+      : (await resolveSigner(hre, args.account)).address;
+    const tokens = args.token ? [args.token] : [...new Set(await escrow.getSupportedTokens())];
+    const day = BigInt((await ethers.provider.getBlock("latest")).timestamp) / 86400n;
+
+    console.log(`📏 Escrow limits (exposure for ${account})`);
+    for (const token of tokens) {
+      const { symbol } = await getTokenInfo(hre, token);
+      const amount = (value) => formatTokenAmount(hre, token, value);
+      const limit = async (value) => (value === 0n ? "none" : amount(value));
+      const original = await escrow.wrapperToToken(token);
+      const key = original === ethers.ZeroAddress ? token : original;
+      const [limits, exposure, volume] = await Promise.all([
+        escrow.getTokenLimits(token),
+        escrow.openExposure(account, key),
+        escrow.dailyVolume(key, day),
+      ]);
+
+      console.log(`\n💱 ${symbol} (${token})`);
+      console.log(`   Minimum:        ${await amount(limits.minAmount)}`);
+      console.log(`   Maximum:        ${await limit(limits.maxAmount)}`);
+      console.log(`   Exposure cap:   ${await limit(limits.maxExposure)}`);
+      console.log(`   Open exposure:  ${await amount(exposure)}`);
+      console.log(`   Daily cap:      ${await limit(limits.dailyCap)}`);
+      console.log(`   Funded today:   ${await amount(volume)}`);
+    }
+  });
+
+task("escrow:stake", "Approves if needed and stakes CHX towards the fee discount tiers")
+  .addParam("amount", "Amount in whole CHX units")
+  .addOptionalParam("from", "Account index or address", "")
+  .setAction(async (args, hre) => {
+    const signer = await resolveSigner(hre, args.from);
+    const escrow = await getEscrow(hre, signer);
+    const chx = await escrow.chxToken();
+    const amount = await parseTokenAmount(hre, chx, args.amount);
+
+    const token = new hre.ethers.Contract(chx, ERC20_ABI, signer);
+    if ((await token.allowance(signer.address, escrow.target)) < amount) {
+      console.log("🔓 Approving CHX");
+      await sendAndWait(token.approve(escrow.target, amount));
+    }
+    console.log(`🥩 Staking ${await formatTokenAmount(hre, chx, amount)}`);
+    await sendAndWait(escrow.stakeChx(amount));
+    const unlockTime = await escrow.chxStakeUnlockTime(signer.address);
+    console.log(`   Locked until ${new Date(Number(unlockTime) * 1000).toISOString()}`);
+  });
+
+task("escrow:unstake", "Unstakes CHX once the stake lock has passed")
+  .addParam("amount", "Amount in whole CHX units")
+  .addOptionalParam("from", "Account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    const chx = await escrow.chxToken();
+    const amount = await parseTokenAmount(hre, chx, args.amount);
+    console.log(`🥩 Unstaking ${await formatTokenAmount(hre, chx, amount)}`);
+    await sendAndWait(escrow.unstakeChx(amount));
+  });
+
+task("escrow:pay-fees-in-chx", "Opts in or out of paying platform fees on your payouts in CHX")
+  .addOptionalParam("enabled", "true or false", true, types.boolean)
+  .addOptionalParam("from", "Account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🪙 ${args.enabled ? "Paying" : "No longer paying"} platform fees in CHX`);
+    await sendAndWait(escrow.setPayFeesInChx(args.enabled));
+    if (args.enabled) {
+      console.log("   Approve the escrow for CHX; fees fall back to the escrowed token otherwise");
+    }
+  });
+
+task("escrow:min-buyer-trades", "Sets the completed purchases buyers need to trade with you")
+  .addParam("trades", "Trades completed as the buyer, 0 to accept any buyer", undefined, types.int)
+  .addOptionalParam("from", "Seller account index or address", "")
+  .setAction(async (args, hre) => {
+    const escrow = await getEscrow(hre, await resolveSigner(hre, args.from));
+    console.log(`🛡️  Requiring ${args.trades} completed purchases from buyers`);
+    await sendAndWait(escrow.setMinBuyerTrades(args.trades));
+  });
+
+task("escrow:reputation", "Prints a trader's reputation card and latest escrows")
+  .addOptionalParam("account", "Account index or address (defaults to the first signer)", "")
+  .addOptionalParam("latest", "Number of latest escrows to list", 5, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const escrow = await getEscrow(hre);
+    const account = ethers.isAddress(args.account)
+      ? ethers.getAddress(args.account)
+      : (await resolveSigner(hre, args.account)).address;
+    const [reputation, minBuyerTrades, count, tokens] = await Promise.all([
+      escrow.getReputation(account),
+      escrow.minBuyerTrades(account),
+      escrow.getUserEscrowCount(account),
+      escrow.getSupportedTokens(),
+    ]);
+    const {
+      completedTrades,
+      cancelledTrades,
+      disputesRaised,
+      disputesWon,
+      disputesLost,
+      completedPurchases,
+    } = reputation;
+    const trades = completedTrades + cancelledTrades;
+    const completionRate = trades === 0n ? "n/a" : `${(completedTrades * 100n) / trades}%`;
+
+    console.log(`🪪 Reputation of ${account}`);
+    console.log(`   Completed trades:  ${completedTrades} (${completedPurchases} as the buyer)`);
+    console.log(`   Cancelled trades:  ${cancelledTrades}`);
+    console.log(`   Completion rate:   ${completionRate}`);
+    console.log(`   Disputes raised:   ${disputesRaised}`);
+    console.log(`   Disputes won/lost: ${disputesWon}/${disputesLost}`);
+    if (minBuyerTrades > 0n) {
+      console.log(`   Buyers need:       ${minBuyerTrades} completed purchases`);
+    }
+
+    console.log("\n📊 Released volume");
+    let traded = false;
+    for (const token of [...new Set(tokens)]) {
+      const volume = await escrow.userVolume(account, token);
+      if (volume === 0n) continue;
+      console.log(`   ${await formatTokenAmount(hre, token, volume)}`);
+      traded = true;
+    }
+    if (!traded) console.log("   none");
+
+    if (count === 0n) return;
+    const latest = BigInt(args.latest);
+    const offset = count > latest ? count - latest : 0n;
+    const escrowIds = await escrow.getUserEscrowsPage(account, offset, latest, 0);
+    console.log(`\n🧾 Latest of ${count} escrows`);
+    for (const escrowId of [...escrowIds].reverse()) {
+      const e = await escrow.getEscrowDetails(escrowId);
+      const role = e.buyer === account ? "buyer" : "seller";
+      const amount = await formatTokenAmount(hre, e.tokenAddress, e.amount);
+      console.log(`   #${escrowId} ${ESCROW_STATUS[Number(e.status)]}, ${amount} as ${role}`);
+    }
+  });
+
+task("escrow:show", "Prints the details of an escrow")
+  .addParam("id", "Escrow ID")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const escrow = await getEscrow(hre);
+    const e = await escrow.getEscrowDetails(args.id);
+
+    if (e.buyer === ethers.ZeroAddress) {
+      throw new Error(`Escrow ${args.id} does not exist`);
+    }
+
+    const { symbol } = await getTokenInfo(hre, e.tokenAddress);
+    const amount = (value) => formatTokenAmount(hre, e.tokenAddress, value);
+    const date = (timestamp) =>
+      timestamp === 0n ? "-" : new Date(Number(timestamp) * 1000).toISOString();
+
+    console.log(`📄 Escrow ${args.id}`);
+    console.log(`   Status:          ${ESCROW_STATUS[Number(e.status)]}`);
+    console.log(`   Buyer:           ${e.buyer}`);
+    console.log(`   Seller:          ${e.seller}`);
+    console.log(`   Asset:           ${ASSET_TYPE[Number(e.assetType)]} (${symbol} ${e.tokenAddress})`);
+    console.log(`   Amount:          ${await amount(e.amount)}`);
+    console.log(`   Platform fee:    ${await amount(await escrow.calculatePlatformFee(e.amount))}`);
+    console.log(`   Created at:      ${date(e.createdAt)}`);
+    console.log(`   Payment details: ${e.paymentDetails || "-"}`);
+    console.log(`   Delivery by:     ${date(e.deliveryDeadline)}`);
+    console.log(`   Shipped:         ${e.shipped ? "yes" : "no"}`);
+    console.log(`   Acknowledged:    ${e.acknowledged ? "yes" : "no"}`);
+    if (e.milestones.length > 0) {
+      console.log(`   Released:        ${await amount(e.releasedAmount)}`);
+      console.log("   Milestones:");
+      for (const [i, milestone] of e.milestones.entries()) {
+        const mark = milestone.released ? "✔" : "·";
+        console.log(`     ${mark} ${i + 1}. ${await amount(milestone.amount)}  ${milestone.description}`);
+      }
+    }
+    if (e.cancellationRequested) {
+      console.log("   Cancellation requested by the buyer");
+    }
+
+    if (e.disputeRaisedBy !== ethers.ZeroAddress) {
+      console.log(`   Dispute raised by: ${e.disputeRaisedBy}`);
+      console.log(`   Dispute reason:    ${e.disputeReason}`);
+      const feeToken = e.disputeFeeInToken ? e.tokenAddress : ethers.ZeroAddress;
+      console.log(`   Dispute fee:       ${await formatTokenAmount(hre, feeToken, e.disputeFee)}`);
+      console.log(`   Dispute expiry:    ${date(e.disputeExpiry)}`);
+      const panel = await escrow.getDisputePanel(args.id);
+      if (panel.members.length === 0) {
+        console.log(`   Arbitrator:        ${e.arbitrator}`);
+      } else {
+        console.log(`   Panel (quorum ${panel.quorum}):`);
+        for (const member of panel.members) {
+          const vote = panel.votes.find((v) => v.arbitrator === member);
+          const cast = vote
+            ? `buyer ${await amount(vote.buyerAmount)}, seller ${await amount(vote.sellerAmount)}`
+            : "not voted";
+          console.log(`     ${member}  ${cast}`);
+        }
+      }
+    }
+  });
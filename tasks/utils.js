@@ -0,0 +1,97 @@
+const { ESCROW_STATUS, ASSET_TYPE, ERC20_ABI } = require("../sdk/constants");
+const deployments = require("../sdk/deployments");
+
+/**
+ * Reads deployments/<network>.json for the network the task runs against.
+ */
+function loadDeployment(hre) {
+  return deployments.loadDeployment(hre.network.name);
+}
+
+/**
+ * Resolves the signer for a task: an account index, an address, or the first signer.
+ */
+async function resolveSigner(hre, from) {
+  const signers = await hre.ethers.getSigners();
+  if (from === undefined || from === "") return signers[0];
+
+  if (/^\d+$/.test(from)) {
+    const signer = signers[Number(from)];
+    if (!signer) throw new Error(`No signer at index ${from}`);
+    return signer;
+  }
+
+  const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+  if (!signer) throw new Error(`Address ${from} is not one of the configured accounts`);
+  return signer;
+}
+
+/**
+ * Returns a CryptoEscrow instance connected to the given signer (or the first signer).
+ */
+async function getEscrow(hre, signer) {
+  const { address, abi } = loadDeployment(hre);
+  return new hre.ethers.Contract(address, abi, signer || (await resolveSigner(hre)));
+}
+
+/**
+ * Returns { symbol, decimals } for a token, treating address(0) as the native coin.
+ */
+async function getTokenInfo(hre, tokenAddress) {
+  if (tokenAddress === hre.ethers.ZeroAddress) {
+    return { symbol: "native", decimals: 18 };
+  }
+  const token = new hre.ethers.Contract(tokenAddress, ERC20_ABI, hre.ethers.provider);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { symbol, decimals: Number(decimals) };
+}
+
+async function formatTokenAmount(hre, tokenAddress, amount) {
+  const { symbol, decimals } = await getTokenInfo(hre, tokenAddress);
+  return `${hre.ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+async function parseTokenAmount(hre, tokenAddress, amount) {
+  const { decimals } = await getTokenInfo(hre, tokenAddress);
+  return hre.ethers.parseUnits(amount, decimals);
+}
+
+/**
+ * Sends a transaction, waits for it and prints the hash and gas used.
+ */
+async function sendAndWait(txPromise) {
+  const tx = await txPromise;
+  console.log(`⏳ Sent ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ Mined in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+/**
+ * Returns the parsed logs of a receipt that belong to the escrow contract.
+ */
+function parseEscrowLogs(escrow, receipt) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return escrow.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  ESCROW_STATUS,
+  ASSET_TYPE,
+  ERC20_ABI,
+  loadDeployment,
+  resolveSigner,
+  getEscrow,
+  getTokenInfo,
+  formatTokenAmount,
+  parseTokenAmount,
+  sendAndWait,
+  parseEscrowLogs,
+};
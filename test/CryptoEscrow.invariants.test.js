@@ -0,0 +1,309 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fc = require("fast-check");
+const { BUYER_FUNDS, DISPUTE_FEE, deployEscrowFixture } = require("./fixtures");
+
+// Raise for a deeper search, e.g. INVARIANT_RUNS=200 npx hardhat test
+const RUNS = Number(process.env.INVARIANT_RUNS || 15);
+
+const FUNDED = 1n;
+const DISPUTED = 4n;
+
+// Random sequences of escrow operations. Escrows and accounts are picked by
+// index, so an action may target an escrow in the wrong state and revert;
+// the invariants have to hold whatever happens.
+const amountArb = fc.bigInt({ min: ethers.parseEther("0.001"), max: ethers.parseEther("5") });
+const actionArb = fc.oneof(
+  fc.record({
+    type: fc.constant("create"),
+    buyer: fc.nat(1),
+    native: fc.boolean(),
+    amount: amountArb,
+  }),
+  fc.record({
+    type: fc.constant("createMilestones"),
+    buyer: fc.nat(1),
+    native: fc.boolean(),
+    amounts: fc.array(amountArb, { minLength: 1, maxLength: 3 }),
+  }),
+  fc.record({ type: fc.constant("release"), escrow: fc.nat() }),
+  fc.record({ type: fc.constant("releaseMilestone"), escrow: fc.nat() }),
+  fc.record({ type: fc.constant("cancel"), escrow: fc.nat() }),
+  fc.record({ type: fc.constant("dispute"), escrow: fc.nat(), bySeller: fc.boolean() }),
+  fc.record({
+    type: fc.constant("resolve"),
+    escrow: fc.nat(),
+    buyerShare: fc.integer({ min: 0, max: 10000 }),
+    sellerShare: fc.integer({ min: 0, max: 10000 }),
+  }),
+  fc.record({ type: fc.constant("settleExpired"), escrow: fc.nat() }),
+  fc.record({ type: fc.constant("wait"), days: fc.integer({ min: 1, max: 10 }) }),
+  fc.record({ type: fc.constant("withdraw"), account: fc.nat(3) }),
+  fc.record({ type: fc.constant("wrap"), buyer: fc.nat(1), amount: amountArb }),
+  fc.record({
+    type: fc.constant("unwrap"),
+    buyer: fc.nat(1),
+    share: fc.integer({ min: 1, max: 100 }),
+  })
+);
+
+describe("CryptoEscrow invariants", function () {
+  async function invariantFixture() {
+    const fixture = await deployEscrowFixture();
+    const { escrow, usdt, buyer, other } = fixture;
+    await usdt.mint(other.address, BUYER_FUNDS);
+    for (const account of [buyer, other]) {
+      await usdt.connect(account).approve(escrow.target, ethers.MaxUint256);
+    }
+    return {
+      ...fixture,
+      buyers: [buyer, other],
+      accounts: [fixture.owner, buyer, other, fixture.seller],
+    };
+  }
+
+  async function pickEscrow(escrow, index) {
+    const count = await escrow.escrowCount();
+    return count === 0n ? null : (BigInt(index) % count) + 1n;
+  }
+
+  async function wrapperOf(fixture) {
+    const address = await fixture.escrow.getWrappedToken(fixture.usdt.target);
+    return address === ethers.ZeroAddress ? null : ethers.getContractAt("WrappedToken", address);
+  }
+
+  // Sends the transaction and swallows reverts, which random sequences hit all the time
+  async function attempt(send) {
+    try {
+      await (await send()).wait();
+    } catch (error) {
+      if (!/revert/i.test(error.message)) throw error;
+    }
+  }
+
+  async function apply(fixture, action) {
+    const { escrow, usdt, owner, seller, buyers, accounts } = fixture;
+    const token = (native) => (native ? ethers.ZeroAddress : usdt.target);
+
+    switch (action.type) {
+      case "create": {
+        const buyer = buyers[action.buyer];
+        const value = action.native ? action.amount : 0n;
+        await attempt(() =>
+          escrow
+            .connect(buyer)
+            .createEscrow(seller.address, token(action.native), action.amount, "", 0, { value })
+        );
+        if (!action.native)
+          await attempt(async () => escrow.connect(buyer).fundEscrow(await escrow.escrowCount()));
+        return;
+      }
+      case "createMilestones": {
+        const buyer = buyers[action.buyer];
+        const total = action.amounts.reduce((sum, amount) => sum + amount, 0n);
+        const value = action.native ? total : 0n;
+        const descriptions = action.amounts.map(() => "");
+        await attempt(() =>
+          escrow
+            .connect(buyer)
+            .createMilestoneEscrow(
+              seller.address,
+              token(action.native),
+              action.amounts,
+              descriptions,
+              "",
+              0,
+              {
+                value,
+              }
+            )
+        );
+        if (!action.native)
+          await attempt(async () => escrow.connect(buyer).fundEscrow(await escrow.escrowCount()));
+        return;
+      }
+      case "release":
+      case "releaseMilestone":
+      case "cancel": {
+        const id = await pickEscrow(escrow, action.escrow);
+        if (id === null) return;
+        const e = await escrow.getEscrowDetails(id);
+        const method = {
+          release: "releaseFunds",
+          releaseMilestone: "releaseMilestone",
+          cancel: "cancelEscrow",
+        };
+        await attempt(() =>
+          escrow.connect(buyers.find((b) => b.address === e.buyer))[method[action.type]](id)
+        );
+        return;
+      }
+      case "dispute": {
+        const id = await pickEscrow(escrow, action.escrow);
+        if (id === null) return;
+        const e = await escrow.getEscrowDetails(id);
+        const raiser = action.bySeller ? seller : buyers.find((b) => b.address === e.buyer);
+        await attempt(() => escrow.connect(raiser).raiseDispute(id, "", { value: DISPUTE_FEE }));
+        return;
+      }
+      case "resolve": {
+        const id = await pickEscrow(escrow, action.escrow);
+        if (id === null) return;
+        const e = await escrow.getEscrowDetails(id);
+        const unreleased = e.amount - e.releasedAmount;
+        const remaining = unreleased - (await escrow.calculatePlatformFee(unreleased));
+        const buyerAmount = (remaining * BigInt(action.buyerShare)) / 10000n;
+        const sellerAmount = ((remaining - buyerAmount) * BigInt(action.sellerShare)) / 10000n;
+        await attempt(() => escrow.connect(owner).resolveDispute(id, buyerAmount, sellerAmount));
+        return;
+      }
+      case "settleExpired": {
+        const id = await pickEscrow(escrow, action.escrow);
+        if (id === null) return;
+        await attempt(() => escrow.settleExpiredDispute(id));
+        return;
+      }
+      case "wait":
+        await time.increase(action.days * 24 * 60 * 60);
+        return;
+      case "withdraw":
+        await attempt(() => escrow.connect(accounts[action.account]).withdrawAll());
+        return;
+      case "wrap":
+        await attempt(() =>
+          escrow.connect(buyers[action.buyer]).wrapToken(usdt.target, action.amount)
+        );
+        return;
+      case "unwrap": {
+        const wrapped = await wrapperOf(fixture);
+        if (wrapped === null) return;
+        const buyer = buyers[action.buyer];
+        const amount = ((await wrapped.balanceOf(buyer.address)) * BigInt(action.share)) / 100n;
+        await attempt(() => escrow.connect(buyer).unwrapToken(wrapped.target, amount));
+        return;
+      }
+      default:
+        throw new Error(`Unknown action ${action.type}`);
+    }
+  }
+
+  // What the contract owes, per token, recomputed from scratch
+  async function owedBalances(fixture) {
+    const { escrow, usdt, accounts } = fixture;
+    const owed = { [ethers.ZeroAddress]: 0n, [usdt.target]: 0n };
+
+    const count = await escrow.escrowCount();
+    for (let id = 1n; id <= count; id++) {
+      const e = await escrow.getEscrowDetails(id);
+      if (e.status === FUNDED || e.status === DISPUTED) {
+        owed[e.tokenAddress] += e.amount - e.releasedAmount;
+      }
+      if (e.status === DISPUTED) {
+        owed[e.disputeFeeInToken ? e.tokenAddress : ethers.ZeroAddress] += e.disputeFee;
+      }
+    }
+    for (const token of Object.keys(owed)) {
+      for (const account of accounts) {
+        owed[token] += await escrow.pendingWithdrawals(account.address, token);
+      }
+    }
+    const wrapped = await wrapperOf(fixture);
+    if (wrapped !== null) owed[usdt.target] += await wrapped.totalSupply();
+
+    return owed;
+  }
+
+  async function expectSolvent(fixture) {
+    const { escrow, usdt } = fixture;
+    const owed = await owedBalances(fixture);
+
+    expect(await escrow.lockedBalances(ethers.ZeroAddress)).to.equal(owed[ethers.ZeroAddress]);
+    expect(await escrow.lockedBalances(usdt.target)).to.equal(owed[usdt.target]);
+    expect(await ethers.provider.getBalance(escrow.target)).to.be.gte(owed[ethers.ZeroAddress]);
+    expect(await usdt.balanceOf(escrow.target)).to.be.gte(owed[usdt.target]);
+  }
+
+  // Each buyer's exposure is what their open escrows hold; wrapped escrows count as USDT
+  async function expectExposure(fixture) {
+    const { escrow, usdt, buyers } = fixture;
+    const wrapped = await wrapperOf(fixture);
+    const expected = {};
+    for (const buyer of buyers) {
+      expected[buyer.address] = { [ethers.ZeroAddress]: 0n, [usdt.target]: 0n };
+    }
+
+    const count = await escrow.escrowCount();
+    for (let id = 1n; id <= count; id++) {
+      const e = await escrow.getEscrowDetails(id);
+      if (e.status === FUNDED || e.status === DISPUTED) {
+        const token =
+          wrapped !== null && e.tokenAddress === wrapped.target ? usdt.target : e.tokenAddress;
+        expected[e.buyer][token] += e.amount - e.releasedAmount;
+      }
+    }
+    for (const buyer of buyers) {
+      for (const [token, amount] of Object.entries(expected[buyer.address])) {
+        expect(await escrow.openExposure(buyer.address, token)).to.equal(amount);
+      }
+    }
+  }
+
+  // Closes every open escrow and pays everyone out
+  async function drain(fixture) {
+    const { escrow, owner, buyers, accounts } = fixture;
+
+    const count = await escrow.escrowCount();
+    for (let id = 1n; id <= count; id++) {
+      const e = await escrow.getEscrowDetails(id);
+      if (e.status === FUNDED) {
+        await escrow.connect(buyers.find((b) => b.address === e.buyer)).cancelEscrow(id);
+      } else if (e.status === DISPUTED) {
+        if (BigInt(await time.latest()) >= e.disputeExpiry) {
+          await escrow.settleExpiredDispute(id);
+        } else {
+          await escrow.connect(owner).resolveDispute(id, 0, 0);
+        }
+      }
+    }
+    for (const account of accounts) {
+      await escrow.connect(account).withdrawAll();
+    }
+    const wrapped = await wrapperOf(fixture);
+    for (const buyer of wrapped === null ? [] : buyers) {
+      const balance = await wrapped.balanceOf(buyer.address);
+      if (balance > 0n) await escrow.connect(buyer).unwrapToken(wrapped.target, balance);
+    }
+  }
+
+  it("Should always hold at least what it owes", async function () {
+    await fc.assert(
+      fc.asyncProperty(fc.array(actionArb, { minLength: 1, maxLength: 12 }), async (actions) => {
+        const fixture = await loadFixture(invariantFixture);
+        for (const action of actions) {
+          await apply(fixture, action);
+          await expectSolvent(fixture);
+          await expectExposure(fixture);
+        }
+      }),
+      { numRuns: RUNS }
+    );
+  });
+
+  it("Should let every escrow be closed and every credit withdrawn", async function () {
+    await fc.assert(
+      fc.asyncProperty(fc.array(actionArb, { minLength: 1, maxLength: 12 }), async (actions) => {
+        const fixture = await loadFixture(invariantFixture);
+        for (const action of actions) {
+          await apply(fixture, action);
+        }
+
+        await drain(fixture);
+        expect(await fixture.escrow.lockedBalances(ethers.ZeroAddress)).to.equal(0);
+        expect(await fixture.escrow.lockedBalances(fixture.usdt.target)).to.equal(0);
+        await expectExposure(fixture);
+      }),
+      { numRuns: RUNS }
+    );
+  });
+});
@@ -1,306 +1,3947 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  signCancellationConsent,
+  recoverCancellationConsent,
+  signOffer,
+  recoverOffer,
+  signPermit,
+} = require("../sdk/signing");
+const {
+  PLATFORM_FEE,
+  DISPUTE_FEE,
+  deployEscrow,
+  deployEscrowFixture,
+  fundedEscrowsFixture,
+  executeTimelocked,
+  expectCredited,
+} = require("./fixtures");
 
 describe("CryptoEscrow", function () {
-  let CryptoEscrow;
-  let escrow;
-  let owner, buyer, seller, arbitrator, other;
-  
-  before(async function () {
-    [owner, buyer, seller, arbitrator, other] = await ethers.getSigners();
-    
-    // Deploy mock tokens for testing
-    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
-    this.chx = await ERC20Mock.deploy("CHX Token", "CHX");
-    this.usdt = await ERC20Mock.deploy("Tether USD", "USDT");
-    await this.chx.mint(buyer.address, ethers.parseEther("1000"));
-    await this.usdt.mint(buyer.address, ethers.parseEther("1000"));
-    
-    // Deploy CryptoEscrow
-    CryptoEscrow = await ethers.getContractFactory("CryptoEscrow");
-    escrow = await CryptoEscrow.deploy(100, ethers.parseEther("0.1")); // 1% fee, 0.1 ETH dispute fee
-    
-    // Add supported tokens
-    await escrow.addSupportedToken(await this.chx.getAddress());
-    await escrow.addSupportedToken(await this.usdt.getAddress());
-  });
+  const nativeAmount = ethers.parseEther("1");
+  const tokenAmount = ethers.parseEther("100");
 
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await escrow.owner()).to.equal(owner.address);
-    });
-    
-    it("Should set correct initial fees", async function () {
-      expect(await escrow.platformFeePercentage()).to.equal(100);
-      expect(await escrow.disputeFeeFixed()).to.equal(ethers.parseEther("0.1"));
+    it("Should make the deployer admin with every role", async function () {
+      const { escrow, owner } = await loadFixture(deployEscrowFixture);
+
+      expect(await escrow.admin()).to.equal(owner.address);
+      expect(await escrow.feeCollector()).to.equal(owner.address);
+      const roles = [
+        "FEE_MANAGER_ROLE",
+        "TOKEN_MANAGER_ROLE",
+        "ARBITRATOR_MANAGER_ROLE",
+        "PAUSER_ROLE",
+      ];
+      for (const role of roles) {
+        expect(await escrow.hasRole(await escrow[role](), owner.address)).to.be.true;
+      }
     });
-    
-    it("Should have supported tokens", async function () {
-      expect(await escrow.allowedTokens(ethers.ZeroAddress)).to.be.true; // Native token
-      expect(await escrow.allowedTokens(await this.chx.getAddress())).to.be.true;
-      expect(await escrow.allowedTokens(await this.usdt.getAddress())).to.be.true;
+
+    it("Should set the initial fees", async function () {
+      const { escrow } = await loadFixture(deployEscrowFixture);
+
+      expect(await escrow.platformFeePercentage()).to.equal(PLATFORM_FEE);
+      expect(await escrow.disputeFeeFixed()).to.equal(DISPUTE_FEE);
+      expect(await escrow.calculatePlatformFee(nativeAmount)).to.equal(nativeAmount / 100n);
     });
-  });
 
-  describe("Native Token Escrow", function () {
-    let escrowId;
-    const amount = ethers.parseEther("1.0");
-    
-    it("Should create escrow with native token", async function () {
-      const tx = await escrow.connect(buyer).createEscrow(
-        seller.address,
+    it("Should support native coin, the initial tokens and CHX", async function () {
+      const { escrow, usdt, chx } = await loadFixture(deployEscrowFixture);
+
+      expect(await escrow.getSupportedTokens()).to.deep.equal([
         ethers.ZeroAddress,
-        amount,
-        "Test payment",
-        { value: amount }
+        usdt.target,
+        chx.target,
+      ]);
+      expect(await escrow.isTokenSupported(ethers.ZeroAddress)).to.be.true;
+      expect(await escrow.isTokenSupported(usdt.target)).to.be.true;
+      expect(await escrow.isTokenSupported(escrow.target)).to.be.false;
+    });
+
+    it("Should validate the initializer arguments", async function () {
+      const { usdt, chx, owner } = await loadFixture(deployEscrowFixture);
+      const deploy = (fee, disputeFee, collector, tokens) =>
+        deployEscrow([fee, disputeFee, collector, tokens, chx.target]);
+
+      await expect(deploy(501, DISPUTE_FEE, owner.address, [])).to.be.revertedWith("Fee too high");
+      await expect(deploy(PLATFORM_FEE, 0, owner.address, [])).to.be.revertedWith(
+        "Dispute fee too low"
+      );
+      await expect(deploy(PLATFORM_FEE, DISPUTE_FEE, ethers.ZeroAddress, [])).to.be.revertedWith(
+        "Invalid fee collector"
       );
-      
-      const receipt = await tx.wait();
-      escrowId = await escrow.escrowCount();
-      
+      await expect(
+        deploy(PLATFORM_FEE, DISPUTE_FEE, owner.address, [owner.address])
+      ).to.be.revertedWith("Address is not a contract");
+      await expect(deploy(PLATFORM_FEE, DISPUTE_FEE, owner.address, [usdt.target])).not.to.be
+        .reverted;
+    });
+  });
+
+  describe("Native token escrow", function () {
+    it("Should create a funded escrow", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+      const tx = escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, nativeAmount, "Test payment", 0, {
+          value: nativeAmount,
+        });
       await expect(tx)
         .to.emit(escrow, "EscrowCreated")
-        .withArgs(escrowId, buyer.address, seller.address, ethers.ZeroAddress, amount, "Test payment");
-      
-      await expect(tx)
-        .to.emit(escrow, "FundsDeposited")
-        .withArgs(escrowId, buyer.address, amount);
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(1); // Funded
-      expect(escrowData.amount).to.equal(amount);
-    });
-    
-    it("Should release funds to seller", async function () {
-      const initialSellerBalance = await ethers.provider.getBalance(seller.address);
-      const initialOwnerBalance = await ethers.provider.getBalance(owner.address);
-      
-      const sellerAmount = amount * 99n / 100n; // 1% fee
-      const feeAmount = amount / 100n;
-      
-      const tx = await escrow.connect(buyer).releaseFunds(escrowId);
-      await tx.wait();
-      
+        .withArgs(
+          1,
+          buyer.address,
+          seller.address,
+          ethers.ZeroAddress,
+          nativeAmount,
+          "Test payment"
+        );
+      await expect(tx).to.emit(escrow, "FundsDeposited").withArgs(1, buyer.address, nativeAmount);
+      await expect(tx).to.changeEtherBalances([buyer, escrow], [-nativeAmount, nativeAmount]);
+
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.status).to.equal(1); // Funded
+      expect(e.assetType).to.equal(0); // Native
+      expect(e.amount).to.equal(nativeAmount);
+      expect(await escrow.lockedBalances(ethers.ZeroAddress)).to.equal(nativeAmount);
+      expect(await escrow.getUserEscrows(buyer.address)).to.deep.equal([1n]);
+      expect(await escrow.getUserEscrows(seller.address)).to.deep.equal([1n]);
+    });
+
+    it("Should credit the seller and the fee collector on release", async function () {
+      const { escrow, owner, buyer, seller } = await loadFixture(fundedEscrowsFixture);
+      const fee = nativeAmount / 100n;
+
+      const tx = escrow.connect(buyer).releaseFunds(1);
       await expect(tx)
         .to.emit(escrow, "FundsReleased")
-        .withArgs(escrowId, seller.address, sellerAmount);
-      
-      const finalSellerBalance = await ethers.provider.getBalance(seller.address);
-      const finalOwnerBalance = await ethers.provider.getBalance(owner.address);
-      
-      expect(finalSellerBalance).to.be.closeTo(
-        initialSellerBalance + sellerAmount,
-        ethers.parseEther("0.01")
-      );
-      
-      expect(finalOwnerBalance).to.be.closeTo(
-        initialOwnerBalance + feeAmount,
-        ethers.parseEther("0.01")
-      );
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(2); // Released
-    });
-  });
-
-  describe("ERC20 Token Escrow", function () {
-    let escrowId;
-    const amount = ethers.parseEther("100");
-    
-    it("Should create escrow with ERC20 token", async function () {
-      // Approve escrow to spend tokens
-      await this.chx.connect(buyer).approve(await escrow.getAddress(), amount);
-      
-      const tx = await escrow.connect(buyer).createEscrow(
-        seller.address,
-        await this.chx.getAddress(),
-        amount,
-        "Test ERC20 payment"
+        .withArgs(1, seller.address, nativeAmount - fee);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [seller, owner],
+        [nativeAmount - fee, fee]
       );
-      
-      const receipt = await tx.wait();
-      escrowId = await escrow.escrowCount();
-      
-      await expect(tx)
+      expect((await escrow.getEscrowDetails(1)).status).to.equal(2); // Released
+
+      await expect(escrow.connect(seller).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+        seller,
+        nativeAmount - fee
+      );
+    });
+
+    it("Should refund the buyer on cancellation", async function () {
+      const { escrow, buyer } = await loadFixture(fundedEscrowsFixture);
+
+      const tx = escrow.connect(buyer).cancelEscrow(1);
+      await expect(tx).to.emit(escrow, "EscrowCancelled").withArgs(1, buyer.address, nativeAmount);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [nativeAmount]);
+      expect((await escrow.getEscrowDetails(1)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should only let the buyer release or cancel, once", async function () {
+      const { escrow, buyer, seller, other } = await loadFixture(fundedEscrowsFixture);
+
+      for (const signer of [seller, other]) {
+        await expect(escrow.connect(signer).releaseFunds(1)).to.be.revertedWithCustomError(
+          escrow,
+          "UnauthorizedAccess"
+        );
+        await expect(escrow.connect(signer).cancelEscrow(1)).to.be.revertedWithCustomError(
+          escrow,
+          "UnauthorizedAccess"
+        );
+      }
+
+      await escrow.connect(buyer).releaseFunds(1);
+      await expect(escrow.connect(buyer).releaseFunds(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotFunded"
+      );
+      await expect(escrow.connect(buyer).cancelEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotFunded"
+      );
+    });
+  });
+
+  describe("ERC20 token escrow", function () {
+    it("Should create a pending escrow and fund it", async function () {
+      const { escrow, usdt, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+      const create = escrow
+        .connect(buyer)
+        .createEscrow(seller.address, usdt.target, tokenAmount, "Test ERC20 payment", 0);
+      await expect(create)
         .to.emit(escrow, "EscrowCreated")
-        .withArgs(escrowId, buyer.address, seller.address, await this.chx.getAddress(), amount, "Test ERC20 payment");
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(0); // Pending
-    });
-    
-    it("Should fund the escrow", async function () {
-      const tx = await escrow.connect(buyer).fundEscrow(escrowId);
-      await tx.wait();
-      
-      await expect(tx)
-        .to.emit(escrow, "FundsDeposited")
-        .withArgs(escrowId, buyer.address, amount);
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(1); // Funded
-      
-      expect(await this.chx.balanceOf(await escrow.getAddress())).to.equal(amount);
-    });
-    
-    it("Should release ERC20 funds to seller", async function () {
-      const initialSellerBalance = await this.chx.balanceOf(seller.address);
-      const initialOwnerBalance = await this.chx.balanceOf(owner.address);
-      
-      const sellerAmount = amount * 99n / 100n; // 1% fee
-      const feeAmount = amount / 100n;
-      
-      const tx = await escrow.connect(buyer).releaseFunds(escrowId);
-      await tx.wait();
-      
-      await expect(tx)
-        .to.emit(escrow, "FundsReleased")
-        .withArgs(escrowId, seller.address, sellerAmount);
-      
-      expect(await this.chx.balanceOf(seller.address)).to.equal(
-        initialSellerBalance + sellerAmount
-      );
-      
-      expect(await this.chx.balanceOf(owner.address)).to.equal(
-        initialOwnerBalance + feeAmount
-      );
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(2); // Released
-    });
-  });
-
-  describe("Dispute Resolution", function () {
-    let escrowId;
-    const amount = ethers.parseEther("5.0");
-    
-    beforeEach(async function () {
-      // Create and fund escrow
-      await this.usdt.connect(buyer).approve(await escrow.getAddress(), amount);
-      
-      await escrow.connect(buyer).createEscrow(
-        seller.address,
-        await this.usdt.getAddress(),
-        amount,
-        "Dispute test"
+        .withArgs(1, buyer.address, seller.address, usdt.target, tokenAmount, "Test ERC20 payment");
+      await expect(create).not.to.emit(escrow, "FundsDeposited");
+      expect((await escrow.getEscrowDetails(1)).status).to.equal(0); // Pending
+
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+      const fund = escrow.connect(buyer).fundEscrow(1);
+      await expect(fund).to.emit(escrow, "FundsDeposited").withArgs(1, buyer.address, tokenAmount);
+      await expect(fund).to.changeTokenBalances(usdt, [buyer, escrow], [-tokenAmount, tokenAmount]);
+
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.status).to.equal(1); // Funded
+      expect(e.assetType).to.equal(1); // ERC20
+      expect(await escrow.lockedBalances(usdt.target)).to.equal(tokenAmount);
+    });
+
+    it("Should only be funded once, by the buyer", async function () {
+      const { escrow, usdt, buyer, seller } = await loadFixture(deployEscrowFixture);
+      await escrow.connect(buyer).createEscrow(seller.address, usdt.target, tokenAmount, "", 0);
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+
+      await expect(escrow.connect(seller).fundEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await escrow.connect(buyer).fundEscrow(1);
+      await expect(escrow.connect(buyer).fundEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotFunded"
       );
-      
-      escrowId = await escrow.escrowCount();
-      await escrow.connect(buyer).fundEscrow(escrowId);
     });
-    
-    it("Should raise a dispute", async function () {
-      const tx = await escrow.connect(buyer).raiseDispute(
-        escrowId,
-        "Product not delivered",
-        { value: ethers.parseEther("0.1") }
+
+    it("Should credit ERC20 releases in the escrowed token", async function () {
+      const { escrow, usdt, owner, buyer, seller } = await loadFixture(fundedEscrowsFixture);
+      const fee = tokenAmount / 100n;
+
+      await expectCredited(
+        escrow,
+        escrow.connect(buyer).releaseFunds(2),
+        usdt,
+        [seller, owner],
+        [tokenAmount - fee, fee]
+      );
+      await expect(escrow.connect(seller).withdraw(usdt.target)).to.changeTokenBalances(
+        usdt,
+        [escrow, seller],
+        [-(tokenAmount - fee), tokenAmount - fee]
       );
-      
+    });
+  });
+
+  describe("Creation checks", function () {
+    it("Should reject invalid sellers, amounts and tokens", async function () {
+      const { escrow, usdt, buyer, seller } = await loadFixture(deployEscrowFixture);
+      const create = (sellerAddress, token, amount, value) =>
+        escrow.connect(buyer).createEscrow(sellerAddress, token, amount, "", 0, { value });
+
+      await expect(
+        create(buyer.address, ethers.ZeroAddress, nativeAmount, nativeAmount)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSellerAddress");
+      await expect(
+        create(ethers.ZeroAddress, ethers.ZeroAddress, nativeAmount, nativeAmount)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSellerAddress");
+      const tooSmall = (await escrow.MIN_ESCROW_AMOUNT()) - 1n;
+      await expect(
+        create(seller.address, ethers.ZeroAddress, tooSmall, tooSmall)
+      ).to.be.revertedWithCustomError(escrow, "AmountTooSmall");
+      await expect(
+        create(seller.address, escrow.target, tokenAmount, 0)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(
+        create(seller.address, ethers.ZeroAddress, nativeAmount, nativeAmount - 1n)
+      ).to.be.revertedWithCustomError(escrow, "IncorrectNativeTokenAmount");
+      await expect(
+        create(seller.address, usdt.target, tokenAmount, 1n)
+      ).to.be.revertedWithCustomError(escrow, "NativeTokensNotRequiredForERC20");
+    });
+
+    it("Should reject delivery deadlines in the past", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+      await expect(
+        escrow
+          .connect(buyer)
+          .createEscrow(seller.address, ethers.ZeroAddress, nativeAmount, "", await time.latest(), {
+            value: nativeAmount,
+          })
+      ).to.be.revertedWithCustomError(escrow, "InvalidDeliveryDeadline");
+    });
+
+    it("Should return an empty struct for unknown escrows", async function () {
+      const { escrow, other } = await loadFixture(deployEscrowFixture);
+
+      expect((await escrow.getEscrowDetails(42)).buyer).to.equal(ethers.ZeroAddress);
+      expect(await escrow.getUserEscrows(other.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Dispute resolution", function () {
+    it("Should raise a dispute and assign the admin without arbitrators", async function () {
+      const { escrow, owner, buyer } = await loadFixture(fundedEscrowsFixture);
+
+      const tx = escrow
+        .connect(buyer)
+        .raiseDispute(2, "Product not delivered", { value: DISPUTE_FEE });
       await expect(tx)
         .to.emit(escrow, "DisputeRaised")
-        .withArgs(escrowId, buyer.address, "Product not delivered");
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(4); // Disputed
-      expect(escrowData.disputeRaisedBy).to.equal(buyer.address);
-      expect(escrowData.disputeFee).to.equal(ethers.parseEther("0.1"));
-    });
-    
-    it("Should resolve dispute (buyer wins)", async function () {
-      // Raise dispute first
-      await escrow.connect(buyer).raiseDispute(
-        escrowId,
-        "Product not delivered",
-        { value: ethers.parseEther("0.1") }
-      );
-      
-      const initialBuyerBalance = await this.usdt.balanceOf(buyer.address);
-      const initialSellerBalance = await this.usdt.balanceOf(seller.address);
-      const initialOwnerBalance = await this.usdt.balanceOf(owner.address);
-      
-      const buyerAmount = amount * 99n / 100n; // 1% fee
-      
-      const tx = await escrow.connect(owner).resolveDispute(
-        escrowId,
-        true, // buyer wins
-        buyerAmount,
-        0 // nothing to seller
-      );
-      
+        .withArgs(2, buyer.address, "Product not delivered");
+      await expect(tx).to.emit(escrow, "DisputeArbitratorAssigned").withArgs(2, owner.address);
+
+      const e = await escrow.getEscrowDetails(2);
+      expect(e.status).to.equal(4); // Disputed
+      expect(e.disputeRaisedBy).to.equal(buyer.address);
+      expect(e.disputeFee).to.equal(DISPUTE_FEE);
+      expect(e.arbitrator).to.equal(owner.address);
+    });
+
+    it("Should only let the parties of a funded escrow raise a dispute", async function () {
+      const { escrow, buyer, other } = await loadFixture(fundedEscrowsFixture);
+
+      await expect(
+        escrow.connect(other).raiseDispute(2, "Spam", { value: DISPUTE_FEE })
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await escrow.connect(buyer).releaseFunds(2);
+      await expect(
+        escrow.connect(buyer).raiseDispute(2, "Too late", { value: DISPUTE_FEE })
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotFunded");
+    });
+
+    it("Should resolve a dispute in the buyer's favour", async function () {
+      const { escrow, usdt, owner, buyer, seller } = await loadFixture(fundedEscrowsFixture);
+      await escrow.connect(buyer).raiseDispute(2, "Product not delivered", { value: DISPUTE_FEE });
+      const buyerAmount = (tokenAmount * 99n) / 100n;
+
+      const tx = escrow.connect(owner).resolveDispute(2, buyerAmount, 0);
       await expect(tx)
         .to.emit(escrow, "DisputeResolved")
-        .withArgs(escrowId, owner.address, true, buyerAmount, 0);
-      
-      expect(await this.usdt.balanceOf(buyer.address)).to.equal(
-        initialBuyerBalance + buyerAmount
+        .withArgs(2, owner.address, true, buyerAmount, 0);
+      await expectCredited(
+        escrow,
+        tx,
+        usdt,
+        [buyer, seller, owner],
+        [buyerAmount, 0, tokenAmount / 100n]
       );
-      
-      expect(await this.usdt.balanceOf(seller.address)).to.equal(
-        initialSellerBalance
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [owner], [DISPUTE_FEE]);
+      expect((await escrow.getEscrowDetails(2)).status).to.equal(5); // Resolved
+    });
+
+    it("Should check the resolver and the split", async function () {
+      const { escrow, owner, buyer, other } = await loadFixture(fundedEscrowsFixture);
+
+      await expect(escrow.connect(owner).resolveDispute(2, 0, 0)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotInDisputedState"
       );
-      
-      expect(await this.usdt.balanceOf(owner.address)).to.equal(
-        initialOwnerBalance + (amount / 100n)
+      await escrow.connect(buyer).raiseDispute(2, "Late", { value: DISPUTE_FEE });
+      await expect(escrow.connect(other).resolveDispute(2, 0, 0)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
       );
-      
-      const escrowData = await escrow.getEscrowDetails(escrowId);
-      expect(escrowData.status).to.equal(5); // Resolved
+      await expect(
+        escrow.connect(owner).resolveDispute(2, tokenAmount, 0)
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
     });
   });
 
-  describe("Edge Cases", function () {
-    let escrowId;
-    const amount = ethers.parseEther("1.0");
-    
-    beforeEach(async function () {
-      // Create and fund a new escrow for each test
-      await escrow.connect(buyer).createEscrow(
-        seller.address,
-        ethers.ZeroAddress,
-        amount,
-        "Edge case test",
-        { value: amount }
+  describe("Dispute evidence", function () {
+    it("Should record evidence from either party", async function () {
+      const { escrow, buyer, seller } = await loadFixture(fundedEscrowsFixture);
+      await escrow.connect(buyer).raiseDispute(1, "Damaged", { value: DISPUTE_FEE });
+
+      await expect(escrow.connect(buyer).submitDisputeEvidence(1, "ipfs://photo"))
+        .to.emit(escrow, "DisputeEvidenceSubmitted")
+        .withArgs(1, buyer.address, "ipfs://photo");
+      await expect(escrow.connect(seller).submitDisputeEvidence(1, "ipfs://tracking"))
+        .to.emit(escrow, "DisputeEvidenceSubmitted")
+        .withArgs(1, seller.address, "ipfs://tracking");
+    });
+
+    it("Should reject evidence outside a dispute or from outsiders", async function () {
+      const { escrow, buyer, other } = await loadFixture(fundedEscrowsFixture);
+
+      await expect(
+        escrow.connect(buyer).submitDisputeEvidence(1, "ipfs://early")
+      ).to.be.revertedWith("Not in dispute");
+      await escrow.connect(buyer).raiseDispute(1, "Damaged", { value: DISPUTE_FEE });
+      await expect(
+        escrow.connect(other).submitDisputeEvidence(1, "ipfs://noise")
+      ).to.be.revertedWith("Not party to escrow");
+    });
+  });
+
+  describe("Token wrapping", function () {
+    async function wrappedFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, usdt, buyer } = fixture;
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+      await escrow.connect(buyer).wrapToken(usdt.target, tokenAmount);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdt.target)
+      );
+      return { ...fixture, wrapped };
+    }
+
+    it("Should deploy a wrapper named after the token on first wrap", async function () {
+      const { escrow, usdt, buyer } = await loadFixture(deployEscrowFixture);
+      expect(await escrow.getWrappedToken(usdt.target)).to.equal(ethers.ZeroAddress);
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+
+      const tx = escrow.connect(buyer).wrapToken(usdt.target, tokenAmount);
+      await expect(tx).to.emit(escrow, "TokenWrapped");
+      await expect(tx).to.changeTokenBalances(usdt, [buyer, escrow], [-tokenAmount, tokenAmount]);
+
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdt.target)
+      );
+      expect(await wrapped.name()).to.equal("Wrapped Tether USD");
+      expect(await wrapped.symbol()).to.equal("WUSDT");
+      expect(await wrapped.minter()).to.equal(escrow.target);
+      expect(await wrapped.balanceOf(buyer.address)).to.equal(tokenAmount);
+      expect(await escrow.isWrappedToken(wrapped.target)).to.be.true;
+      expect(await escrow.lockedBalances(usdt.target)).to.equal(tokenAmount);
+    });
+
+    it("Should reuse the wrapper for later wraps", async function () {
+      const { escrow, usdt, wrapped, buyer } = await loadFixture(wrappedFixture);
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+
+      await expect(escrow.connect(buyer).wrapToken(usdt.target, tokenAmount))
+        .to.emit(escrow, "TokenWrapped")
+        .withArgs(usdt.target, wrapped.target, tokenAmount);
+      expect(await wrapped.totalSupply()).to.equal(tokenAmount * 2n);
+    });
+
+    it("Should unwrap back to the original token", async function () {
+      const { escrow, usdt, wrapped, buyer, other } = await loadFixture(wrappedFixture);
+      const half = tokenAmount / 2n;
+      await wrapped.connect(buyer).transfer(other.address, half);
+
+      const tx = escrow.connect(other).unwrapToken(wrapped.target, half);
+      await expect(tx)
+        .to.emit(escrow, "TokenUnwrapped")
+        .withArgs(wrapped.target, usdt.target, half);
+      await expect(tx).to.changeTokenBalances(usdt, [escrow, other], [-half, half]);
+      expect(await wrapped.balanceOf(other.address)).to.equal(0);
+      expect(await escrow.lockedBalances(usdt.target)).to.equal(half);
+    });
+
+    it("Should reject invalid wraps and unwraps", async function () {
+      const { escrow, usdt, chx, wrapped, buyer } = await loadFixture(wrappedFixture);
+
+      await expect(
+        escrow.connect(buyer).wrapToken(ethers.ZeroAddress, tokenAmount)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotWrappable");
+      await expect(
+        escrow.connect(buyer).wrapToken(escrow.target, tokenAmount)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(escrow.connect(buyer).wrapToken(chx.target, 0)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidTokenAmount"
+      );
+      await expect(
+        escrow.connect(buyer).unwrapToken(usdt.target, tokenAmount)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(
+        escrow.connect(buyer).unwrapToken(wrapped.target, 0)
+      ).to.be.revertedWithCustomError(escrow, "InvalidTokenAmount");
+      await expect(
+        escrow.connect(buyer).unwrapToken(wrapped.target, tokenAmount + 1n)
+      ).to.be.revertedWith("Burn amount exceeds balance");
+    });
+
+    it("Should still unwrap once the original token was removed", async function () {
+      const { escrow, usdt, wrapped, owner, buyer } = await loadFixture(wrappedFixture);
+      await escrow.connect(owner).removeSupportedToken(usdt.target);
+
+      await expect(
+        escrow.connect(buyer).unwrapToken(wrapped.target, tokenAmount)
+      ).to.changeTokenBalance(usdt, buyer, tokenAmount);
+    });
+
+    it("Should map each wrapper back to the original token", async function () {
+      const { escrow, usdt, wrapped } = await loadFixture(wrappedFixture);
+
+      expect(await escrow.wrapperToToken(wrapped.target)).to.equal(usdt.target);
+      expect(await escrow.wrapperToToken(usdt.target)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should mirror the decimals of the original token", async function () {
+      const { escrow, owner, buyer } = await loadFixture(deployEscrowFixture);
+      const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+      const usdc = await ERC20DecimalsMock.deploy("USD Coin", "USDC", 6);
+      await escrow.connect(owner).addSupportedToken(usdc.target);
+      await usdc.mint(buyer.address, 1_000_000n);
+      await usdc.connect(buyer).approve(escrow.target, 1_000_000n);
+
+      await escrow.connect(buyer).wrapToken(usdc.target, 1_000_000n);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdc.target)
+      );
+      expect(await wrapped.decimals()).to.equal(6);
+      expect(await wrapped.balanceOf(buyer.address)).to.equal(1_000_000n);
+    });
+
+    it("Should support approvals and transferFrom on wrapped tokens", async function () {
+      const { wrapped, buyer, seller, other } = await loadFixture(wrappedFixture);
+      const half = tokenAmount / 2n;
+
+      await expect(wrapped.connect(buyer).approve(other.address, half))
+        .to.emit(wrapped, "Approval")
+        .withArgs(buyer.address, other.address, half);
+      expect(await wrapped.allowance(buyer.address, other.address)).to.equal(half);
+
+      await expect(
+        wrapped.connect(other).transferFrom(buyer.address, seller.address, half)
+      ).to.changeTokenBalances(wrapped, [buyer, seller], [-half, half]);
+      expect(await wrapped.allowance(buyer.address, other.address)).to.equal(0);
+      await expect(wrapped.connect(other).transferFrom(buyer.address, seller.address, 1n)).to.be
+        .reverted;
+      await expect(wrapped.connect(buyer).transfer(ethers.ZeroAddress, 1n)).to.be.revertedWith(
+        "Transfer to zero address"
+      );
+    });
+
+    it("Should only let the escrow mint and burn wrapped tokens", async function () {
+      const { wrapped, buyer } = await loadFixture(wrappedFixture);
+
+      await expect(wrapped.connect(buyer).mint(buyer.address, 1n)).to.be.revertedWith(
+        "Only minter"
+      );
+      await expect(wrapped.connect(buyer).burn(buyer.address, 1n)).to.be.revertedWith(
+        "Only minter"
+      );
+    });
+  });
+
+  describe("Wrapped token escrows", function () {
+    async function wrappedEscrowFixture() {
+      const fixture = await deployEscrowFixture();
+      const { escrow, usdt, buyer, seller } = fixture;
+      await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+      await escrow.connect(buyer).wrapToken(usdt.target, tokenAmount);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdt.target)
       );
-      escrowId = await escrow.escrowCount();
+
+      await wrapped.connect(buyer).approve(escrow.target, tokenAmount);
+      await escrow.connect(buyer).createEscrow(seller.address, wrapped.target, tokenAmount, "", 0);
+      return { ...fixture, wrapped };
+    }
+
+    it("Should create and fund Wrapped escrows", async function () {
+      const { escrow, wrapped, buyer } = await loadFixture(wrappedEscrowFixture);
+
+      expect((await escrow.getEscrowDetails(1)).assetType).to.equal(2); // AssetType.Wrapped
+      await expect(escrow.connect(buyer).fundEscrow(1)).to.changeTokenBalances(
+        wrapped,
+        [buyer, escrow],
+        [-tokenAmount, tokenAmount]
+      );
+      expect(await escrow.lockedBalances(wrapped.target)).to.equal(tokenAmount);
+    });
+
+    it("Should pay out in the wrapper, which the seller can unwrap", async function () {
+      const { escrow, usdt, wrapped, buyer, seller } = await loadFixture(wrappedEscrowFixture);
+      await escrow.connect(buyer).fundEscrow(1);
+      await escrow.connect(buyer).releaseFunds(1);
+
+      const sellerAmount = tokenAmount - tokenAmount / 100n;
+      await expect(escrow.connect(seller).withdrawAll()).to.changeTokenBalance(
+        wrapped,
+        seller,
+        sellerAmount
+      );
+      await expect(
+        escrow.connect(seller).unwrapToken(wrapped.target, sellerAmount)
+      ).to.changeTokenBalance(usdt, seller, sellerAmount);
+    });
+
+    it("Should charge the original token's dispute fee in the wrapper", async function () {
+      const { escrow, usdt, wrapped, owner } = await loadFixture(wrappedEscrowFixture);
+      expect(await escrow.getDisputeFee(1)).to.deep.equal([ethers.ZeroAddress, DISPUTE_FEE]);
+
+      const fee = ethers.parseEther("5");
+      await executeTimelocked(escrow, owner, "setTokenDisputeFee", [usdt.target, fee]);
+      expect(await escrow.getDisputeFee(1)).to.deep.equal([wrapped.target, fee]);
+    });
+
+    it("Should only accept wrappers of supported tokens", async function () {
+      const { escrow, usdt, wrapped, owner, buyer, seller } =
+        await loadFixture(wrappedEscrowFixture);
+      await escrow.connect(owner).removeSupportedToken(usdt.target);
+
+      await expect(
+        escrow.connect(buyer).createEscrow(seller.address, wrapped.target, tokenAmount, "", 0)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+    });
+  });
+
+  describe("Token management", function () {
+    it("Should add tokens", async function () {
+      const { escrow, owner } = await loadFixture(deployEscrowFixture);
+      const token = await (await ethers.getContractFactory("ERC20Mock")).deploy("Dai", "DAI");
+
+      await expect(escrow.connect(owner).addSupportedToken(token.target))
+        .to.emit(escrow, "TokenSupported")
+        .withArgs(token.target);
+      expect(await escrow.isTokenSupported(token.target)).to.be.true;
+      expect(await escrow.getSupportedTokens()).to.include(token.target);
+    });
+
+    it("Should reject invalid or duplicate tokens", async function () {
+      const { escrow, usdt, owner } = await loadFixture(deployEscrowFixture);
+
+      await expect(
+        escrow.connect(owner).addSupportedToken(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "InvalidAddress");
+      await expect(
+        escrow.connect(owner).addSupportedToken(usdt.target)
+      ).to.be.revertedWithCustomError(escrow, "TokenAlreadySupported");
+      await expect(escrow.connect(owner).addSupportedToken(owner.address)).to.be.revertedWith(
+        "Address is not a contract"
+      );
+    });
+
+    it("Should remove tokens and stop new escrows in them", async function () {
+      const { escrow, usdt, chx, owner, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+      await expect(escrow.connect(owner).removeSupportedToken(usdt.target))
+        .to.emit(escrow, "TokenSupportRemoved")
+        .withArgs(usdt.target);
+      expect(await escrow.isTokenSupported(usdt.target)).to.be.false;
+      expect(await escrow.getSupportedTokens()).to.deep.equal([ethers.ZeroAddress, chx.target]);
+      await expect(
+        escrow.connect(buyer).createEscrow(seller.address, usdt.target, tokenAmount, "", 0)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(
+        escrow.connect(owner).removeSupportedToken(usdt.target)
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
     });
-    
-    it("Should prevent unauthorized access", async function () {
-      // Test release funds
+
+    it("Should restrict token management to token managers", async function () {
+      const { escrow, usdt, other } = await loadFixture(deployEscrowFixture);
+
       await expect(
-        escrow.connect(other).releaseFunds(escrowId)
+        escrow.connect(other).addSupportedToken(escrow.target)
       ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
-      
-      // Test cancel escrow
       await expect(
-        escrow.connect(other).cancelEscrow(escrowId)
+        escrow.connect(other).removeSupportedToken(usdt.target)
       ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
-      
-      // Test resolve dispute
+    });
+  });
+
+  describe("Fee updates", function () {
+    it("Should update the native dispute fee through the timelock", async function () {
+      const { escrow, owner } = await loadFixture(deployEscrowFixture);
+      const newFee = ethers.parseEther("0.2");
+
+      await expect(escrow.connect(owner).updateDisputeFee(newFee)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(executeTimelocked(escrow, owner, "updateDisputeFee", [newFee]))
+        .to.emit(escrow, "DisputeFeeUpdated")
+        .withArgs(newFee);
+      expect(await escrow.disputeFeeFixed()).to.equal(newFee);
+      expect(await escrow.getDisputeFee(1)).to.deep.equal([ethers.ZeroAddress, newFee]);
+
+      const tooLow = (await escrow.MIN_DISPUTE_FEE()) - 1n;
       await expect(
-        escrow.connect(other).resolveDispute(escrowId, true, 0, 0)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+        executeTimelocked(escrow, owner, "updateDisputeFee", [tooLow])
+      ).to.be.revertedWithCustomError(escrow, "InvalidFeeConfiguration");
     });
-    
-    it("Should prevent invalid operations", async function () {
+  });
+
+  describe("Emergency withdrawals", function () {
+    it("Should only run through the timelock", async function () {
+      const { escrow, usdt, owner } = await loadFixture(deployEscrowFixture);
+
       await expect(
-        escrow.connect(buyer).createEscrow(
-          buyer.address, // seller = buyer
-          ethers.ZeroAddress,
-          ethers.parseEther("1"),
-          "Invalid",
-          { value: ethers.parseEther("1") }
-        )
-      ).to.be.revertedWithCustomError(escrow, "InvalidSellerAddress");
-      
+        escrow.connect(owner).emergencyWithdrawToken(usdt.target, 0)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(escrow.connect(owner).emergencyWithdrawNative(0)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+    });
+
+    it("Should never touch funds owed to escrows", async function () {
+      const { escrow, usdt, owner, nativeAmount: owed } = await loadFixture(fundedEscrowsFixture);
+
       await expect(
-        escrow.connect(buyer).createEscrow(
-          seller.address,
-          "0x0000000000000000000000000000000000000001", // Unsupported token
-          ethers.parseEther("1"),
-          "Invalid"
-        )
-      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+        executeTimelocked(escrow, owner, "emergencyWithdrawNative", [1n])
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
+      await expect(
+        executeTimelocked(escrow, owner, "emergencyWithdrawToken", [usdt.target, 1n])
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(owed);
+    });
+  });
+});
+
+describe("CryptoEscrow delivery deadlines", function () {
+  const amount = ethers.parseEther("1");
+  const ONE_DAY = 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100, // 1% fee
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+
+    const deadline = (await time.latest()) + ONE_DAY;
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "With deadline", deadline, {
+        value: amount,
+      });
+    const escrowId = await escrow.escrowCount();
+
+    return { escrow, usdt, escrowId, deadline, owner, buyer, seller, other };
+  }
+
+  it("Should store the deadline and emit DeliveryDeadlineSet", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployFixture);
+    const deadline = (await time.latest()) + ONE_DAY;
+
+    const tx = escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", deadline, { value: amount });
+    await expect(tx).to.emit(escrow, "DeliveryDeadlineSet").withArgs(2, deadline);
+
+    const escrowData = await escrow.getEscrowDetails(2);
+    expect(escrowData.deliveryDeadline).to.equal(deadline);
+    expect(escrowData.shipped).to.be.false;
+  });
+
+  it("Should reject deadlines that are already in the past", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployFixture);
+
+    await expect(
+      escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", await time.latest(), {
+          value: amount,
+        })
+    ).to.be.revertedWithCustomError(escrow, "InvalidDeliveryDeadline");
+  });
+
+  it("Should let only the seller confirm shipment before the deadline", async function () {
+    const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+
+    await expect(escrow.connect(buyer).confirmShipment(escrowId)).to.be.revertedWithCustomError(
+      escrow,
+      "UnauthorizedAccess"
+    );
+    await expect(escrow.connect(seller).confirmShipment(escrowId))
+      .to.emit(escrow, "ShipmentConfirmed")
+      .withArgs(escrowId, seller.address);
+    await expect(escrow.connect(seller).confirmShipment(escrowId)).to.be.revertedWithCustomError(
+      escrow,
+      "ShipmentAlreadyConfirmed"
+    );
+  });
+
+  it("Should not accept a shipment confirmation after the deadline", async function () {
+    const { escrow, escrowId, seller } = await loadFixture(deployFixture);
+
+    await time.increase(ONE_DAY + 1);
+    await expect(escrow.connect(seller).confirmShipment(escrowId)).to.be.revertedWithCustomError(
+      escrow,
+      "InvalidDeliveryDeadline"
+    );
+  });
+
+  describe("Seller claim", function () {
+    it("Should pay the seller once the deadline passes after shipment", async function () {
+      const { escrow, escrowId, owner, seller } = await loadFixture(deployFixture);
+      await escrow.connect(seller).confirmShipment(escrowId);
+
+      await expect(escrow.connect(seller).claimFunds(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "DeliveryDeadlineNotPassed"
+      );
+
+      await time.increase(ONE_DAY + 1);
+      const sellerAmount = (amount * 99n) / 100n;
+      const tx = escrow.connect(seller).claimFunds(escrowId);
+
+      await expect(tx).to.emit(escrow, "FundsClaimed").withArgs(escrowId, seller.address, sellerAmount);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [seller, owner],
+        [sellerAmount, amount - sellerAmount]
+      );
+      expect((await escrow.getEscrowDetails(escrowId)).status).to.equal(6); // AutoReleased
+    });
+
+    it("Should not pay the seller without a confirmed shipment", async function () {
+      const { escrow, escrowId, seller } = await loadFixture(deployFixture);
+
+      await time.increase(ONE_DAY + 1);
+      await expect(escrow.connect(seller).claimFunds(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "ShipmentNotConfirmed"
+      );
     });
+
+    it("Should pay ERC20 escrows the same way", async function () {
+      const { escrow, usdt, owner, buyer, seller } = await loadFixture(deployFixture);
+      const tokenAmount = ethers.parseEther("100");
+      const deadline = (await time.latest()) + ONE_DAY;
+
+      await usdt.connect(buyer).approve(await escrow.getAddress(), tokenAmount);
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, await usdt.getAddress(), tokenAmount, "", deadline);
+      const escrowId = await escrow.escrowCount();
+      await escrow.connect(buyer).fundEscrow(escrowId);
+      await escrow.connect(seller).confirmShipment(escrowId);
+
+      await time.increase(ONE_DAY + 1);
+      await expectCredited(
+        escrow,
+        escrow.connect(seller).claimFunds(escrowId),
+        usdt,
+        [seller, owner],
+        [(tokenAmount * 99n) / 100n, tokenAmount / 100n]
+      );
+    });
+
+    it("Should not be possible once the buyer released, or while disputed", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+      await escrow.connect(seller).confirmShipment(escrowId);
+      await escrow.connect(buyer).raiseDispute(escrowId, "Damaged", {
+        value: ethers.parseEther("0.1"),
+      });
+
+      await time.increase(ONE_DAY + 1);
+      await expect(escrow.connect(seller).claimFunds(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotFunded"
+      );
+    });
+
+    it("Should not apply to escrows without a deadline", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployFixture);
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+      await escrow.connect(seller).confirmShipment(2);
+
+      await time.increase(365 * ONE_DAY);
+      await expect(escrow.connect(seller).claimFunds(2)).to.be.revertedWithCustomError(
+        escrow,
+        "DeliveryDeadlineNotPassed"
+      );
+    });
+  });
+
+  describe("Buyer refund claim", function () {
+    it("Should refund the buyer when the seller never confirmed shipment", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(buyer).claimRefund(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "DeliveryDeadlineNotPassed"
+      );
+
+      await time.increase(ONE_DAY + 1);
+      await expect(escrow.connect(seller).claimRefund(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+
+      const tx = escrow.connect(buyer).claimRefund(escrowId);
+      await expect(tx).to.emit(escrow, "RefundClaimed").withArgs(escrowId, buyer.address, amount);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [amount]);
+      expect((await escrow.getEscrowDetails(escrowId)).status).to.equal(7); // Refunded
+    });
+
+    it("Should not refund the buyer after a confirmed shipment", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+      await escrow.connect(seller).confirmShipment(escrowId);
+
+      await time.increase(ONE_DAY + 1);
+      await expect(escrow.connect(buyer).claimRefund(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "ShipmentAlreadyConfirmed"
+      );
+    });
+  });
+});
+
+describe("CryptoEscrow cancellation consent", function () {
+  const amount = ethers.parseEther("1");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+
+    const escrow = await deployEscrow([
+      100,
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+    const escrowId = await escrow.escrowCount();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    return { escrow, escrowId, chainId, owner, buyer, seller, other };
+  }
+
+  async function acknowledgedFixture() {
+    const fixture = await deployFixture();
+    await fixture.escrow.connect(fixture.seller).acknowledgeEscrow(fixture.escrowId);
+    return fixture;
+  }
+
+  async function consent(fixture, signer, { escrowId = fixture.escrowId, deadline } = {}) {
+    const validUntil = deadline ?? (await time.latest()) + 3600;
+    const signature = await signCancellationConsent(signer, {
+      escrowAddress: await fixture.escrow.getAddress(),
+      chainId: fixture.chainId,
+      escrowId,
+      deadline: validUntil,
+    });
+    return { deadline: validUntil, signature };
+  }
+
+  describe("Acknowledgement", function () {
+    it("Should let only the seller acknowledge, once", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(buyer).acknowledgeEscrow(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.connect(seller).acknowledgeEscrow(escrowId))
+        .to.emit(escrow, "EscrowAcknowledged")
+        .withArgs(escrowId, seller.address);
+      await expect(
+        escrow.connect(seller).acknowledgeEscrow(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "EscrowAlreadyAcknowledged");
+    });
+
+    it("Should treat a shipment confirmation as acknowledgement", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(seller).confirmShipment(escrowId))
+        .to.emit(escrow, "EscrowAcknowledged")
+        .withArgs(escrowId, seller.address);
+      await expect(escrow.connect(buyer).cancelEscrow(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "SellerConsentRequired"
+      );
+    });
+  });
+
+  describe("Buyer-only cancel", function () {
+    it("Should still work while the seller has not acknowledged", async function () {
+      const { escrow, escrowId, buyer } = await loadFixture(deployFixture);
+
+      const tx = escrow.connect(buyer).cancelEscrow(escrowId);
+      await expect(tx).to.emit(escrow, "EscrowCancelled").withArgs(escrowId, buyer.address, amount);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [amount]);
+    });
+
+    it("Should require consent once the seller acknowledged", async function () {
+      const { escrow, escrowId, buyer } = await loadFixture(acknowledgedFixture);
+
+      await expect(escrow.connect(buyer).cancelEscrow(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "SellerConsentRequired"
+      );
+    });
+  });
+
+  describe("Request and approve", function () {
+    it("Should cancel once the seller approves the buyer's request", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(acknowledgedFixture);
+
+      await expect(escrow.connect(buyer).requestCancellation(escrowId))
+        .to.emit(escrow, "CancellationRequested")
+        .withArgs(escrowId, buyer.address);
+      expect((await escrow.getEscrowDetails(escrowId)).cancellationRequested).to.be.true;
+
+      const tx = escrow.connect(seller).approveCancellation(escrowId);
+      await expect(tx).to.emit(escrow, "CancellationApproved").withArgs(escrowId, seller.address);
+      await expect(tx).to.emit(escrow, "EscrowCancelled").withArgs(escrowId, buyer.address, amount);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [amount]);
+      expect((await escrow.getEscrowDetails(escrowId)).status).to.equal(3); // Cancelled
+    });
+
+    it("Should work for unacknowledged escrows too", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(deployFixture);
+
+      await escrow.connect(buyer).requestCancellation(escrowId);
+      await expect(escrow.connect(seller).approveCancellation(escrowId)).to.emit(
+        escrow,
+        "EscrowCancelled"
+      );
+    });
+
+    it("Should not approve without a request", async function () {
+      const { escrow, escrowId, seller } = await loadFixture(acknowledgedFixture);
+
+      await expect(
+        escrow.connect(seller).approveCancellation(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "CancellationNotRequested");
+    });
+
+    it("Should restrict requests to the buyer and approvals to the seller", async function () {
+      const { escrow, escrowId, buyer, seller, other } = await loadFixture(acknowledgedFixture);
+
+      await expect(
+        escrow.connect(seller).requestCancellation(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+
+      await escrow.connect(buyer).requestCancellation(escrowId);
+      await expect(
+        escrow.connect(buyer).approveCancellation(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(
+        escrow.connect(other).approveCancellation(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should not approve once the escrow is disputed", async function () {
+      const { escrow, escrowId, buyer, seller } = await loadFixture(acknowledgedFixture);
+
+      await escrow.connect(buyer).requestCancellation(escrowId);
+      await escrow.connect(seller).raiseDispute(escrowId, "Changed my mind", {
+        value: ethers.parseEther("0.1"),
+      });
+      await expect(
+        escrow.connect(seller).approveCancellation(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotFunded");
+    });
+  });
+
+  describe("Signed seller consent", function () {
+    it("Should cancel with a valid seller signature", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { escrow, escrowId, buyer, seller } = fixture;
+      const { deadline, signature } = await consent(fixture, seller);
+
+      const tx = escrow.connect(buyer).cancelWithSellerConsent(escrowId, deadline, signature);
+      await expect(tx).to.emit(escrow, "CancellationApproved").withArgs(escrowId, seller.address);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [amount]);
+    });
+
+    it("Should accept consent for unacknowledged escrows", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { deadline, signature } = await consent(fixture, fixture.seller);
+
+      await expect(
+        fixture.escrow
+          .connect(fixture.buyer)
+          .cancelWithSellerConsent(fixture.escrowId, deadline, signature)
+      ).to.emit(fixture.escrow, "EscrowCancelled");
+    });
+
+    it("Should reject signatures from anyone but the seller", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { escrow, escrowId, buyer } = fixture;
+      const { deadline, signature } = await consent(fixture, buyer);
+
+      await expect(
+        escrow.connect(buyer).cancelWithSellerConsent(escrowId, deadline, signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject consent signed for another escrow or deadline", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { escrow, escrowId, buyer, seller } = fixture;
+      const other = await consent(fixture, seller, { escrowId: escrowId + 1n });
+
+      await expect(
+        escrow.connect(buyer).cancelWithSellerConsent(escrowId, other.deadline, other.signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const { deadline, signature } = await consent(fixture, seller);
+      await expect(
+        escrow.connect(buyer).cancelWithSellerConsent(escrowId, deadline + 1, signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject expired consent", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { escrow, escrowId, buyer, seller } = fixture;
+      const { deadline, signature } = await consent(fixture, seller);
+
+      await time.increaseTo(deadline + 1);
+      await expect(
+        escrow.connect(buyer).cancelWithSellerConsent(escrowId, deadline, signature)
+      ).to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should only be submitted by the buyer", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { escrow, escrowId, other, seller } = fixture;
+      const { deadline, signature } = await consent(fixture, seller);
+
+      await expect(
+        escrow.connect(other).cancelWithSellerConsent(escrowId, deadline, signature)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should match the JS recovery helper", async function () {
+      const fixture = await loadFixture(acknowledgedFixture);
+      const { deadline, signature } = await consent(fixture, fixture.seller);
+
+      const recovered = recoverCancellationConsent(
+        {
+          escrowAddress: await fixture.escrow.getAddress(),
+          chainId: fixture.chainId,
+          escrowId: fixture.escrowId,
+          deadline,
+        },
+        signature
+      );
+      expect(recovered).to.equal(fixture.seller.address);
+    });
+  });
+});
+
+describe("CryptoEscrow arbitrator pool", function () {
+  const amount = ethers.parseEther("1");
+  const disputeFee = ethers.parseEther("0.1");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, arb1, arb2, arb3] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+
+    for (const arbitrator of [arb1, arb2, arb3]) {
+      await escrow.addArbitrator(arbitrator.address);
+    }
+
+    return { escrow, owner, buyer, seller, arb1, arb2, arb3 };
+  }
+
+  async function openDispute(escrow, buyer, seller) {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+    const escrowId = await escrow.escrowCount();
+    await escrow.connect(buyer).raiseDispute(escrowId, "Not delivered", { value: disputeFee });
+    return escrowId;
+  }
+
+  describe("Registry", function () {
+    it("Should enumerate arbitrators", async function () {
+      const { escrow, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+
+      expect(await escrow.getArbitrators()).to.deep.equal([arb1.address, arb2.address, arb3.address]);
+    });
+
+    it("Should reject duplicates and unknown removals", async function () {
+      const { escrow, buyer, arb1 } = await loadFixture(deployFixture);
+
+      await expect(escrow.addArbitrator(arb1.address)).to.be.revertedWithCustomError(
+        escrow,
+        "ArbitratorAlreadyAdded"
+      );
+      await expect(escrow.removeArbitrator(buyer.address)).to.be.revertedWithCustomError(
+        escrow,
+        "ArbitratorNotFound"
+      );
+    });
+
+    it("Should keep the list compact after removal", async function () {
+      const { escrow, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+
+      await expect(escrow.removeArbitrator(arb1.address))
+        .to.emit(escrow, "ArbitratorRemoved")
+        .withArgs(arb1.address);
+      expect(await escrow.getArbitrators()).to.deep.equal([arb3.address, arb2.address]);
+      expect(await escrow.arbitrators(arb1.address)).to.be.false;
+
+      await escrow.addArbitrator(arb1.address);
+      expect(await escrow.getArbitrators()).to.deep.equal([arb3.address, arb2.address, arb1.address]);
+    });
+  });
+
+  describe("Assignment", function () {
+    it("Should rotate through arbitrators and track caseloads", async function () {
+      const { escrow, buyer, seller, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+
+      const assigned = [];
+      for (let i = 0; i < 4; i++) {
+        const escrowId = await openDispute(escrow, buyer, seller);
+        assigned.push((await escrow.getEscrowDetails(escrowId)).arbitrator);
+      }
+
+      expect(assigned).to.deep.equal([arb1.address, arb2.address, arb3.address, arb1.address]);
+      expect(await escrow.openCases(arb1.address)).to.equal(2);
+      expect(await escrow.openCases(arb2.address)).to.equal(1);
+      expect(await escrow.openCases(arb3.address)).to.equal(1);
+    });
+
+    it("Should prefer the least-loaded arbitrator", async function () {
+      const { escrow, buyer, seller, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+
+      const first = await openDispute(escrow, buyer, seller); // arb1
+      await openDispute(escrow, buyer, seller); // arb2
+      await openDispute(escrow, buyer, seller); // arb3
+      await escrow.connect(arb1).resolveDispute(first, amount / 2n, 0);
+
+      expect(await escrow.openCases(arb1.address)).to.equal(0);
+      const escrowId = await openDispute(escrow, buyer, seller);
+      expect((await escrow.getEscrowDetails(escrowId)).arbitrator).to.equal(arb1.address);
+    });
+
+    it("Should emit DisputeArbitratorAssigned", async function () {
+      const { escrow, buyer, seller, arb1 } = await loadFixture(deployFixture);
+
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+      await expect(escrow.connect(buyer).raiseDispute(1, "Late", { value: disputeFee }))
+        .to.emit(escrow, "DisputeArbitratorAssigned")
+        .withArgs(1, arb1.address);
+    });
+
+    it("Should never assign a party of the escrow", async function () {
+      const { escrow, seller, arb1, arb2 } = await loadFixture(deployFixture);
+
+      // arb1 is next in rotation but is the buyer here
+      const escrowId = await openDispute(escrow, arb1, seller);
+      expect((await escrow.getEscrowDetails(escrowId)).arbitrator).to.equal(arb2.address);
+    });
+
+    it("Should fall back to the admin when the pool is empty", async function () {
+      const { escrow, owner, buyer, seller, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+
+      for (const arbitrator of [arb1, arb2, arb3]) {
+        await escrow.removeArbitrator(arbitrator.address);
+      }
+      const escrowId = await openDispute(escrow, buyer, seller);
+      expect((await escrow.getEscrowDetails(escrowId)).arbitrator).to.equal(owner.address);
+    });
+  });
+
+  describe("Recusal", function () {
+    it("Should reassign the dispute to another arbitrator", async function () {
+      const { escrow, buyer, seller, arb1, arb2 } = await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await expect(escrow.connect(arb1).recuse(escrowId))
+        .to.emit(escrow, "ArbitratorRecused")
+        .withArgs(escrowId, arb1.address)
+        .and.to.emit(escrow, "DisputeArbitratorAssigned")
+        .withArgs(escrowId, arb2.address);
+
+      expect((await escrow.getEscrowDetails(escrowId)).arbitrator).to.equal(arb2.address);
+      expect(await escrow.openCases(arb1.address)).to.equal(0);
+      expect(await escrow.openCases(arb2.address)).to.equal(1);
+      await expect(escrow.connect(arb1).resolveDispute(escrowId, 0, 0)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+    });
+
+    it("Should only be callable by the assigned arbitrator of a dispute", async function () {
+      const { escrow, buyer, seller, arb2 } = await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await expect(escrow.connect(arb2).recuse(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.connect(arb2).recuse(99)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotInDisputedState"
+      );
+    });
+
+    it("Should fall back to the admin, who cannot recuse", async function () {
+      const { escrow, owner, buyer, seller, arb1, arb2, arb3 } = await loadFixture(deployFixture);
+      await escrow.removeArbitrator(arb2.address);
+      await escrow.removeArbitrator(arb3.address);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await escrow.connect(arb1).recuse(escrowId);
+      expect((await escrow.getEscrowDetails(escrowId)).arbitrator).to.equal(owner.address);
+
+      await escrow.removeArbitrator(arb1.address);
+      await expect(escrow.connect(owner).recuse(escrowId)).to.be.revertedWithCustomError(
+        escrow,
+        "NoEligibleArbitrator"
+      );
+    });
+  });
+});
+
+describe("CryptoEscrow dispute expiry", function () {
+  const amount = ethers.parseEther("1");
+  const disputeFee = ethers.parseEther("0.1");
+  const DAY = 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, buyer, seller, arbitrator, feeCollector, keeper] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, amount);
+
+    const escrow = await deployEscrow([
+      100, // 1%
+      disputeFee,
+      feeCollector.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await escrow.addArbitrator(arbitrator.address);
+
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+    await escrow.connect(buyer).raiseDispute(1, "Not delivered", { value: disputeFee });
+    const { disputeExpiry } = await escrow.getEscrowDetails(1);
+
+    return { escrow, usdt, owner, buyer, seller, arbitrator, feeCollector, keeper, disputeExpiry };
+  }
+
+  describe("Settlement", function () {
+    it("Should not settle before the deadline", async function () {
+      const { escrow, keeper } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(keeper).settleExpiredDispute(1)).to.be.revertedWithCustomError(
+        escrow,
+        "DisputeNotExpired"
+      );
+    });
+
+    it("Should split 50/50 by default once expired, callable by anyone", async function () {
+      const { escrow, buyer, seller, arbitrator, feeCollector, keeper, disputeExpiry } =
+        await loadFixture(deployFixture);
+      await time.increaseTo(disputeExpiry + 1n);
+
+      await expect(
+        escrow.connect(arbitrator).resolveDispute(1, 0, 0)
+      ).to.be.revertedWithCustomError(escrow, "DisputeTimeframeExpired");
+
+      const half = ethers.parseEther("0.495"); // (1 - 1% fee) / 2
+      const tx = escrow.connect(keeper).settleExpiredDispute(1);
+      await expect(tx)
+        .to.emit(escrow, "ExpiredDisputeSettled")
+        .withArgs(1, keeper.address, half, half);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [buyer, seller, feeCollector],
+        [half, half, ethers.parseEther("0.01") + disputeFee]
+      );
+
+      expect((await escrow.getEscrowDetails(1)).status).to.equal(5); // Resolved
+      expect(await escrow.openCases(arbitrator.address)).to.equal(0);
+      await expect(escrow.connect(keeper).settleExpiredDispute(1)).to.be.revertedWithCustomError(
+        escrow,
+        "EscrowNotInDisputedState"
+      );
+    });
+
+    it("Should use the admin-configured split", async function () {
+      const { escrow, owner, buyer, seller, keeper, disputeExpiry } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(owner).updateExpiredDisputeSplit(10000))
+        .to.emit(escrow, "ExpiredDisputeSplitUpdated")
+        .withArgs(10000);
+      await time.increaseTo(disputeExpiry + 1n);
+
+      await expectCredited(
+        escrow,
+        escrow.connect(keeper).settleExpiredDispute(1),
+        ethers.ZeroAddress,
+        [buyer, seller],
+        [ethers.parseEther("0.99"), 0]
+      );
+    });
+
+    it("Should validate the split configuration", async function () {
+      const { escrow, buyer } = await loadFixture(deployFixture);
+
+      await expect(escrow.updateExpiredDisputeSplit(10001)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidFeeConfiguration"
+      );
+      await expect(
+        escrow.connect(buyer).updateExpiredDisputeSplit(0)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should settle ERC20 escrows in the escrowed token", async function () {
+      const { escrow, usdt, buyer, seller, keeper } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+      await usdt.connect(buyer).approve(escrow.target, amount);
+      await escrow.connect(buyer).fundEscrow(2);
+      await escrow.connect(seller).raiseDispute(2, "Buyer unresponsive", { value: disputeFee });
+
+      await time.increase(8 * DAY);
+      const half = ethers.parseEther("0.495");
+      await expectCredited(
+        escrow,
+        escrow.connect(keeper).settleExpiredDispute(2),
+        usdt,
+        [buyer, seller],
+        [half, half]
+      );
+    });
+  });
+
+  describe("Deadline extension", function () {
+    it("Should let the arbitrator extend an open dispute", async function () {
+      const { escrow, arbitrator, keeper, disputeExpiry } = await loadFixture(deployFixture);
+      const newExpiry = disputeExpiry + BigInt(DAY);
+
+      await expect(escrow.connect(arbitrator).extendDisputeDeadline(1, newExpiry))
+        .to.emit(escrow, "DisputeDeadlineExtended")
+        .withArgs(1, newExpiry);
+      expect((await escrow.getEscrowDetails(1)).disputeExpiry).to.equal(newExpiry);
+
+      await time.increaseTo(disputeExpiry + 1n);
+      await expect(escrow.connect(keeper).settleExpiredDispute(1)).to.be.revertedWithCustomError(
+        escrow,
+        "DisputeNotExpired"
+      );
+      await expect(escrow.connect(arbitrator).resolveDispute(1, amount / 2n, 0)).to.emit(
+        escrow,
+        "DisputeResolved"
+      );
+    });
+
+    it("Should reject shorter or overly long deadlines", async function () {
+      const { escrow, arbitrator, disputeExpiry } = await loadFixture(deployFixture);
+
+      await expect(
+        escrow.connect(arbitrator).extendDisputeDeadline(1, disputeExpiry)
+      ).to.be.revertedWithCustomError(escrow, "InvalidDisputeDeadline");
+
+      const tooFar = disputeExpiry + BigInt(7 * DAY) + 1n;
+      await expect(
+        escrow.connect(arbitrator).extendDisputeDeadline(1, tooFar)
+      ).to.be.revertedWithCustomError(escrow, "InvalidDisputeDeadline");
+    });
+
+    it("Should restrict extensions to the arbitrator and the admin", async function () {
+      const { escrow, buyer, disputeExpiry } = await loadFixture(deployFixture);
+
+      await expect(
+        escrow.connect(buyer).extendDisputeDeadline(1, disputeExpiry + 1n)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should cap how often the arbitrator can extend", async function () {
+      const { escrow, owner, arbitrator, disputeExpiry } = await loadFixture(deployFixture);
+      let expiry = disputeExpiry;
+      for (let i = 0; i < 2; i++) {
+        expiry += BigInt(DAY);
+        await escrow.connect(arbitrator).extendDisputeDeadline(1, expiry);
+      }
+      expect(await escrow.disputeExtensions(1)).to.equal(2);
+
+      await expect(
+        escrow.connect(arbitrator).extendDisputeDeadline(1, expiry + BigInt(DAY))
+      ).to.be.revertedWithCustomError(escrow, "DisputeExtensionLimitReached");
+
+      await escrow.connect(owner).extendDisputeDeadline(1, expiry + BigInt(DAY));
+      expect(await escrow.disputeExtensions(1)).to.equal(2);
+    });
+
+    it("Should let only the admin escalate after expiry", async function () {
+      const { escrow, owner, arbitrator, disputeExpiry } = await loadFixture(deployFixture);
+      await time.increaseTo(disputeExpiry + 1n);
+      const newExpiry = BigInt(await time.latest()) + BigInt(DAY);
+
+      await expect(
+        escrow.connect(arbitrator).extendDisputeDeadline(1, newExpiry)
+      ).to.be.revertedWithCustomError(escrow, "DisputeTimeframeExpired");
+
+      await escrow.connect(owner).extendDisputeDeadline(1, newExpiry);
+      await expect(escrow.connect(arbitrator).resolveDispute(1, 0, amount / 2n)).to.emit(
+        escrow,
+        "DisputeResolved"
+      );
+    });
+  });
+});
+
+describe("CryptoEscrow dispute fees", function () {
+  const amount = ethers.parseEther("100");
+  const nativeFee = ethers.parseEther("0.1");
+  const tokenFee = ethers.parseEther("5");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, arbitrator, feeCollector] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+    await usdt.mint(seller.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      nativeFee,
+      feeCollector.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await escrow.addArbitrator(arbitrator.address);
+    await executeTimelocked(escrow, owner, "setTokenDisputeFee", [usdt.target, tokenFee]);
+
+    // Escrow 1: USDT, escrow 2: native
+    await usdt.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+    await usdt.connect(seller).approve(escrow.target, ethers.MaxUint256);
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+    await escrow.connect(buyer).fundEscrow(1);
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, ethers.parseEther("1"), "", 0, {
+        value: ethers.parseEther("1"),
+      });
+
+    return { escrow, usdt, owner, buyer, seller, arbitrator, feeCollector };
+  }
+
+  describe("Configuration", function () {
+    it("Should report the fee token and amount per escrow", async function () {
+      const { escrow, usdt } = await loadFixture(deployFixture);
+
+      expect(await escrow.getDisputeFee(1)).to.deep.equal([usdt.target, tokenFee]);
+      expect(await escrow.getDisputeFee(2)).to.deep.equal([ethers.ZeroAddress, nativeFee]);
+    });
+
+    it("Should only be set through the timelock for supported ERC20 tokens", async function () {
+      const { escrow, usdt, owner, buyer } = await loadFixture(deployFixture);
+
+      await expect(executeTimelocked(escrow, owner, "setTokenDisputeFee", [usdt.target, 1]))
+        .to.emit(escrow, "TokenDisputeFeeUpdated")
+        .withArgs(usdt.target, 1);
+      await expect(
+        executeTimelocked(escrow, owner, "setTokenDisputeFee", [ethers.ZeroAddress, 1])
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(
+        executeTimelocked(escrow, owner, "setTokenDisputeFee", [buyer.address, 1])
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+      await expect(escrow.setTokenDisputeFee(usdt.target, 1)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(
+        executeTimelocked(escrow, buyer, "setTokenDisputeFee", [usdt.target, 1])
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(
+        escrow.connect(buyer).setDisputeFeeRefund(true)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should fall back to the native fee when the token fee is cleared", async function () {
+      const { escrow, usdt, owner, buyer } = await loadFixture(deployFixture);
+      await executeTimelocked(escrow, owner, "setTokenDisputeFee", [usdt.target, 0]);
+
+      await escrow.connect(buyer).raiseDispute(1, "Late", { value: nativeFee });
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.disputeFeeInToken).to.be.false;
+      expect(e.disputeFee).to.equal(nativeFee);
+    });
+  });
+
+  describe("Paying the fee", function () {
+    it("Should take the fee in the escrow's token", async function () {
+      const { escrow, usdt, buyer } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(buyer).raiseDispute(1, "Late")).to.changeTokenBalances(
+        usdt,
+        [buyer, escrow],
+        [-tokenFee, tokenFee]
+      );
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.disputeFeeInToken).to.be.true;
+      expect(e.disputeFee).to.equal(tokenFee);
+    });
+
+    it("Should reject native coin for token-denominated fees", async function () {
+      const { escrow, buyer } = await loadFixture(deployFixture);
+
+      await expect(
+        escrow.connect(buyer).raiseDispute(1, "Late", { value: nativeFee })
+      ).to.be.revertedWithCustomError(escrow, "NativeTokensNotRequiredForERC20");
+    });
+
+    it("Should credit native coin sent above the fee", async function () {
+      const { escrow, seller } = await loadFixture(deployFixture);
+
+      await expectCredited(
+        escrow,
+        escrow.connect(seller).raiseDispute(2, "Unpaid", { value: nativeFee * 3n }),
+        ethers.ZeroAddress,
+        [seller],
+        [nativeFee * 2n]
+      );
+      expect((await escrow.getEscrowDetails(2)).disputeFee).to.equal(nativeFee);
+      expect(await escrow.availableBalance(ethers.ZeroAddress)).to.equal(0);
+
+      await expect(escrow.connect(seller).withdraw(ethers.ZeroAddress)).to.changeEtherBalances(
+        [seller, escrow],
+        [nativeFee * 2n, -nativeFee * 2n]
+      );
+    });
+
+    it("Should still reject insufficient native fees", async function () {
+      const { escrow, seller } = await loadFixture(deployFixture);
+
+      await expect(
+        escrow.connect(seller).raiseDispute(2, "Unpaid", { value: nativeFee - 1n })
+      ).to.be.revertedWithCustomError(escrow, "InvalidFeeConfiguration");
+    });
+  });
+
+  describe("Fee on resolution", function () {
+    it("Should credit the fee to the fee collector by default", async function () {
+      const { escrow, usdt, buyer, arbitrator, feeCollector } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).raiseDispute(1, "Late");
+
+      const platformFee = amount / 100n;
+      await expectCredited(
+        escrow,
+        escrow.connect(arbitrator).resolveDispute(1, amount - platformFee, 0),
+        usdt,
+        [feeCollector],
+        [platformFee + tokenFee]
+      );
+    });
+
+    it("Should refund the fee to a winning raiser when enabled", async function () {
+      const { escrow, usdt, buyer, arbitrator, feeCollector } = await loadFixture(deployFixture);
+      await expect(escrow.setDisputeFeeRefund(true))
+        .to.emit(escrow, "DisputeFeeRefundUpdated")
+        .withArgs(true);
+      await escrow.connect(buyer).raiseDispute(1, "Late");
+
+      const platformFee = amount / 100n;
+      const tx = escrow.connect(arbitrator).resolveDispute(1, amount - platformFee, 0);
+      await expect(tx).to.emit(escrow, "DisputeFeeRefunded").withArgs(1, buyer.address, tokenFee);
+      await expectCredited(
+        escrow,
+        tx,
+        usdt,
+        [buyer, feeCollector],
+        [amount - platformFee + tokenFee, platformFee]
+      );
+    });
+
+    it("Should keep the fee when the raiser loses", async function () {
+      const { escrow, seller, arbitrator, feeCollector } = await loadFixture(deployFixture);
+      await escrow.setDisputeFeeRefund(true);
+      await escrow.connect(seller).raiseDispute(2, "Unpaid", { value: nativeFee });
+
+      const tx = escrow.connect(arbitrator).resolveDispute(2, ethers.parseEther("0.99"), 0);
+      await expect(tx).not.to.emit(escrow, "DisputeFeeRefunded");
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [feeCollector],
+        [ethers.parseEther("0.01") + nativeFee]
+      );
+    });
+
+    it("Should refund native fees to a winning seller", async function () {
+      const { escrow, seller, arbitrator } = await loadFixture(deployFixture);
+      await escrow.setDisputeFeeRefund(true);
+      await escrow.connect(seller).raiseDispute(2, "Unpaid", { value: nativeFee });
+
+      await expectCredited(
+        escrow,
+        escrow.connect(arbitrator).resolveDispute(2, 0, ethers.parseEther("0.99")),
+        ethers.ZeroAddress,
+        [seller],
+        [ethers.parseEther("0.99") + nativeFee]
+      );
+    });
+
+    it("Should keep the fee on an even expired split", async function () {
+      const { escrow, usdt, buyer, feeCollector } = await loadFixture(deployFixture);
+      await escrow.setDisputeFeeRefund(true);
+      await escrow.connect(buyer).raiseDispute(1, "Late");
+
+      await time.increase(8 * 24 * 60 * 60);
+      await expectCredited(
+        escrow,
+        escrow.settleExpiredDispute(1),
+        usdt,
+        [feeCollector],
+        [amount / 100n + tokenFee]
+      );
+    });
+  });
+});
+
+describe("CryptoEscrow milestones", function () {
+  const amounts = [ethers.parseEther("1"), ethers.parseEther("2"), ethers.parseEther("3")];
+  const descriptions = ["Design", "Build", "Deploy"];
+  const total = ethers.parseEther("6");
+  const disputeFee = ethers.parseEther("0.1");
+  const fee = (amount) => amount / 100n; // 1% platform fee
+
+  async function deployFixture() {
+    const [owner, buyer, seller, feeCollector] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, total);
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      feeCollector.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+
+    await escrow
+      .connect(buyer)
+      .createMilestoneEscrow(seller.address, ethers.ZeroAddress, amounts, descriptions, "", 0, {
+        value: total,
+      });
+
+    return { escrow, usdt, owner, buyer, seller, feeCollector };
+  }
+
+  // Pays out everything credited so tests can check nothing is left behind
+  async function withdrawEach(escrow, accounts) {
+    for (const account of accounts) await escrow.connect(account).withdrawAll();
+  }
+
+  describe("Creation", function () {
+    it("Should escrow the sum of the milestones", async function () {
+      const { escrow } = await loadFixture(deployFixture);
+
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.amount).to.equal(total);
+      expect(e.status).to.equal(1); // Funded
+      expect(e.releasedAmount).to.equal(0);
+      expect(e.milestones.map((m) => [m.amount, m.description, m.released])).to.deep.equal([
+        [amounts[0], "Design", false],
+        [amounts[1], "Build", false],
+        [amounts[2], "Deploy", false],
+      ]);
+    });
+
+    it("Should emit one MilestoneAdded per milestone", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployFixture);
+
+      const tx = escrow
+        .connect(buyer)
+        .createMilestoneEscrow(seller.address, ethers.ZeroAddress, amounts, descriptions, "", 0, {
+          value: total,
+        });
+      await expect(tx).to.emit(escrow, "EscrowCreated");
+      await expect(tx).to.emit(escrow, "MilestoneAdded").withArgs(2, 2, amounts[2], "Deploy");
+    });
+
+    it("Should validate the milestone lists", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployFixture);
+      const create = (a, d, value) =>
+        escrow
+          .connect(buyer)
+          .createMilestoneEscrow(seller.address, ethers.ZeroAddress, a, d, "", 0, { value });
+
+      await expect(create([], [], 0)).to.be.revertedWithCustomError(escrow, "InvalidMilestones");
+      await expect(create(amounts, ["a", "b"], total)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidMilestones"
+      );
+      await expect(
+        create([ethers.parseEther("1"), 0], ["a", "b"], ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(escrow, "InvalidMilestones");
+      await expect(
+        create(Array(21).fill(ethers.parseEther("1")), Array(21).fill(""), ethers.parseEther("21"))
+      ).to.be.revertedWithCustomError(escrow, "InvalidMilestones");
+      await expect(create(amounts, descriptions, total - 1n)).to.be.revertedWithCustomError(
+        escrow,
+        "IncorrectNativeTokenAmount"
+      );
+    });
+
+    it("Should fund ERC20 milestone escrows with the total", async function () {
+      const { escrow, usdt, buyer, seller } = await loadFixture(deployFixture);
+
+      await escrow
+        .connect(buyer)
+        .createMilestoneEscrow(seller.address, usdt.target, amounts, descriptions, "", 0);
+      await usdt.connect(buyer).approve(escrow.target, total);
+      await expect(escrow.connect(buyer).fundEscrow(2)).to.changeTokenBalance(usdt, escrow, total);
+    });
+  });
+
+  describe("Releasing", function () {
+    it("Should release milestones in order, each net of its fee", async function () {
+      const { escrow, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+
+      const first = escrow.connect(buyer).releaseMilestone(1);
+      await expect(first)
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(1, 0, amounts[0] - fee(amounts[0]));
+      await expectCredited(
+        escrow,
+        first,
+        ethers.ZeroAddress,
+        [seller, feeCollector],
+        [amounts[0] - fee(amounts[0]), fee(amounts[0])]
+      );
+
+      let e = await escrow.getEscrowDetails(1);
+      expect(e.status).to.equal(1); // still Funded
+      expect(e.releasedAmount).to.equal(amounts[0]);
+      expect(e.milestones.map((m) => m.released)).to.deep.equal([true, false, false]);
+
+      await escrow.connect(buyer).releaseMilestone(1);
+      await expect(escrow.connect(buyer).releaseMilestone(1))
+        .to.emit(escrow, "MilestoneReleased")
+        .withArgs(1, 2, amounts[2] - fee(amounts[2]));
+
+      e = await escrow.getEscrowDetails(1);
+      expect(e.status).to.equal(2); // Released
+      expect(e.releasedAmount).to.equal(total);
+      await withdrawEach(escrow, [seller, feeCollector]);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+
+    it("Should only be released by the buyer", async function () {
+      const { escrow, seller } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(seller).releaseMilestone(1)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+    });
+
+    it("Should reject escrows without milestones", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployFixture);
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, total, "", 0, { value: total });
+
+      await expect(escrow.connect(buyer).releaseMilestone(2)).to.be.revertedWithCustomError(
+        escrow,
+        "NoPendingMilestone"
+      );
+    });
+
+    it("Should release the remaining milestones with releaseFunds", async function () {
+      const { escrow, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).releaseMilestone(1);
+
+      const rest = amounts[1] + amounts[2];
+      await expect(escrow.connect(buyer).releaseFunds(1))
+        .to.emit(escrow, "FundsReleased")
+        .withArgs(1, seller.address, rest - fee(rest));
+
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.milestones.every((m) => m.released)).to.be.true;
+      await withdrawEach(escrow, [seller, feeCollector]);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+
+    it("Should refund only the unreleased balance on cancellation", async function () {
+      const { escrow, buyer } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).releaseMilestone(1);
+
+      const rest = total - amounts[0];
+      const tx = escrow.connect(buyer).cancelEscrow(1);
+      await expect(tx).to.emit(escrow, "EscrowCancelled").withArgs(1, buyer.address, rest);
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer], [rest]);
+    });
+  });
+
+  describe("Disputes", function () {
+    it("Should only split the unreleased balance", async function () {
+      const { escrow, owner, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).releaseMilestone(1);
+      await escrow.connect(seller).raiseDispute(1, "Build not paid", { value: disputeFee });
+
+      const rest = total - amounts[0];
+      const splittable = rest - fee(rest);
+      await expect(
+        escrow.connect(owner).resolveDispute(1, 1n, splittable)
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
+
+      const tx = escrow.connect(owner).resolveDispute(1, 0, splittable);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [seller, feeCollector],
+        [splittable, fee(rest) + disputeFee]
+      );
+      await withdrawEach(escrow, [seller, feeCollector]);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+
+    it("Should apply the expired split to the unreleased balance", async function () {
+      const { escrow, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).releaseMilestone(1);
+      await escrow.connect(buyer).releaseMilestone(1);
+      await escrow.connect(buyer).raiseDispute(1, "Deploy failed", { value: disputeFee });
+
+      await time.increase(8 * 24 * 60 * 60);
+      const half = (amounts[2] - fee(amounts[2])) / 2n;
+      await expectCredited(
+        escrow,
+        escrow.settleExpiredDispute(1),
+        ethers.ZeroAddress,
+        [buyer, seller],
+        [half, half]
+      );
+      await withdrawEach(escrow, [buyer, seller, feeCollector]);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+  });
+});
+
+describe("CryptoEscrow signed offers", function () {
+  const amount = ethers.parseEther("100");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+    const usdc = await ERC20PermitMock.deploy("USD Coin", "USDC");
+    await usdc.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdc.getAddress()],
+      await usdc.getAddress(),
+    ]);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { escrowAddress: await escrow.getAddress(), chainId };
+
+    return { escrow, usdc, domain, owner, buyer, seller, other };
+  }
+
+  async function makeOffer({ domain, seller, usdc }, overrides = {}) {
+    const offer = {
+      seller: seller.address,
+      token: usdc.target,
+      amount,
+      paymentDetails: "SEPA IBAN DE89 3704 0044 0532 0130 00",
+      expiry: (await time.latest()) + 3600,
+      nonce: 1,
+      ...overrides,
+    };
+    return { offer, signature: await signOffer(seller, domain, offer) };
+  }
+
+  async function permitFor(fixture, value) {
+    return signPermit(fixture.buyer, {
+      tokenAddress: fixture.usdc.target,
+      spender: fixture.escrow.target,
+      value,
+      deadline: (await time.latest()) + 3600,
+    });
+  }
+
+  describe("acceptOffer", function () {
+    it("Should create and fund an ERC20 escrow atomically", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer, seller } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+      await usdc.connect(buyer).approve(escrow.target, amount);
+
+      const tx = escrow.connect(buyer).acceptOffer(offer, signature);
+      await expect(tx).to.emit(escrow, "OfferAccepted").withArgs(1, seller.address, 1);
+      await expect(tx).to.emit(escrow, "FundsDeposited").withArgs(1, buyer.address, amount);
+      await expect(tx).to.changeTokenBalances(usdc, [buyer, escrow], [-amount, amount]);
+
+      const e = await escrow.getEscrowDetails(1);
+      expect(e.buyer).to.equal(buyer.address);
+      expect(e.seller).to.equal(seller.address);
+      expect(e.status).to.equal(1); // Funded
+      expect(e.paymentDetails).to.equal(offer.paymentDetails);
+      expect(e.acknowledged).to.be.true;
+      expect(await escrow.usedOfferNonces(seller.address, 1)).to.be.true;
+    });
+
+    it("Should accept native offers with the amount attached", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, buyer } = fixture;
+      const { offer, signature } = await makeOffer(fixture, {
+        token: ethers.ZeroAddress,
+        amount: ethers.parseEther("1"),
+      });
+
+      await expect(
+        escrow.connect(buyer).acceptOffer(offer, signature, { value: offer.amount })
+      ).to.changeEtherBalance(escrow, offer.amount);
+      await expect(
+        escrow.connect(buyer).acceptOffer({ ...offer, nonce: 2 }, signature, { value: offer.amount })
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject tampered terms and foreign signers", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer, other } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+      await usdc.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+      await expect(
+        escrow.connect(buyer).acceptOffer({ ...offer, amount: amount / 2n }, signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+      await expect(
+        escrow.connect(buyer).acceptOffer({ ...offer, paymentDetails: "Cash" }, signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const forged = await signOffer(other, fixture.domain, offer);
+      await expect(escrow.connect(buyer).acceptOffer(offer, forged)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidSignature"
+      );
+    });
+
+    it("Should not be replayable", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+      await usdc.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+      await escrow.connect(buyer).acceptOffer(offer, signature);
+      await expect(
+        escrow.connect(buyer).acceptOffer(offer, signature)
+      ).to.be.revertedWithCustomError(escrow, "OfferNonceUsed");
+    });
+
+    it("Should reject expired offers", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, buyer } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+
+      await time.increaseTo(offer.expiry + 1);
+      await expect(
+        escrow.connect(buyer).acceptOffer(offer, signature)
+      ).to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should reject offers the seller cancelled", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, buyer, seller } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+
+      await expect(escrow.connect(seller).cancelOffer(1))
+        .to.emit(escrow, "OfferCancelled")
+        .withArgs(seller.address, 1);
+      await expect(
+        escrow.connect(buyer).acceptOffer(offer, signature)
+      ).to.be.revertedWithCustomError(escrow, "OfferNonceUsed");
+      await expect(escrow.connect(seller).cancelOffer(1)).to.be.revertedWithCustomError(
+        escrow,
+        "OfferNonceUsed"
+      );
+    });
+
+    it("Should not let sellers accept their own offers", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, seller } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+
+      await expect(
+        escrow.connect(seller).acceptOffer(offer, signature)
+      ).to.be.revertedWithCustomError(escrow, "InvalidSellerAddress");
+    });
+
+    it("Should match the JS recovery helper", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { offer, signature } = await makeOffer(fixture);
+
+      expect(recoverOffer(fixture.domain, offer, signature)).to.equal(fixture.seller.address);
+    });
+  });
+
+  describe("EIP-2612 permits", function () {
+    it("Should accept an offer without a prior approve", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer } = fixture;
+      const { offer, signature } = await makeOffer(fixture);
+      const permit = await permitFor(fixture, amount);
+
+      await expect(
+        escrow.connect(buyer).acceptOfferWithPermit(offer, signature, permit)
+      ).to.changeTokenBalance(usdc, escrow, amount);
+      expect((await escrow.getEscrowDetails(1)).status).to.equal(1);
+    });
+
+    it("Should fund a pending escrow with a permit", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer, seller } = fixture;
+      await escrow.connect(buyer).createEscrow(seller.address, usdc.target, amount, "", 0);
+      const permit = await permitFor(fixture, amount);
+
+      await expect(escrow.connect(buyer).fundEscrowWithPermit(1, permit))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(1, buyer.address, amount);
+    });
+
+    it("Should still succeed when the permit was front-run", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdc, buyer, seller, other } = fixture;
+      await escrow.connect(buyer).createEscrow(seller.address, usdc.target, amount, "", 0);
+      const permit = await permitFor(fixture, amount);
+
+      await usdc
+        .connect(other)
+        .permit(buyer.address, escrow.target, amount, permit.deadline, permit.v, permit.r, permit.s);
+      await expect(escrow.connect(buyer).fundEscrowWithPermit(1, permit)).to.emit(
+        escrow,
+        "FundsDeposited"
+      );
+    });
+
+    it("Should reject permits for native escrows and offers", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, buyer, seller } = fixture;
+      const permit = await permitFor(fixture, amount);
+      const { offer, signature } = await makeOffer(fixture, { token: ethers.ZeroAddress });
+
+      await expect(
+        escrow.connect(buyer).acceptOfferWithPermit(offer, signature, permit)
+      ).to.be.revertedWithCustomError(escrow, "InvalidTokenOperation");
+
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+      await expect(
+        escrow.connect(buyer).fundEscrowWithPermit(1, permit)
+      ).to.be.revertedWithCustomError(escrow, "InvalidTokenOperation");
+    });
+
+    it("Should fail to fund with an invalid permit and no allowance", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, buyer, seller, usdc } = fixture;
+      await escrow.connect(buyer).createEscrow(seller.address, usdc.target, amount, "", 0);
+      const permit = await permitFor(fixture, amount - 1n);
+
+      await expect(escrow.connect(buyer).fundEscrowWithPermit(1, permit)).to.be.revertedWith(
+        "Insufficient allowance"
+      );
+    });
+  });
+});
+
+describe("CryptoEscrow access control", function () {
+  const amount = ethers.parseEther("100");
+  const disputeFee = ethers.parseEther("0.1");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, manager, feeCollector] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    const dai = await ERC20Mock.deploy("Dai", "DAI");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      feeCollector.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await usdt.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+    return { escrow, usdt, dai, owner, buyer, seller, manager, feeCollector };
+  }
+
+  describe("Roles", function () {
+    it("Should grant every role to the deployer", async function () {
+      const { escrow, owner } = await loadFixture(deployFixture);
+
+      for (const role of [
+        "FEE_MANAGER_ROLE",
+        "TOKEN_MANAGER_ROLE",
+        "ARBITRATOR_MANAGER_ROLE",
+        "PAUSER_ROLE",
+      ]) {
+        expect(await escrow.hasRole(await escrow[role](), owner.address)).to.be.true;
+      }
+    });
+
+    it("Should let the admin delegate and revoke roles", async function () {
+      const { escrow, dai, manager } = await loadFixture(deployFixture);
+      const role = await escrow.TOKEN_MANAGER_ROLE();
+
+      await expect(
+        escrow.connect(manager).addSupportedToken(dai.target)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(escrow.grantRole(role, manager.address))
+        .to.emit(escrow, "RoleGranted")
+        .withArgs(role, manager.address);
+      await expect(escrow.connect(manager).addSupportedToken(dai.target)).to.emit(
+        escrow,
+        "TokenSupported"
+      );
+
+      await expect(escrow.revokeRole(role, manager.address))
+        .to.emit(escrow, "RoleRevoked")
+        .withArgs(role, manager.address);
+      await expect(
+        escrow.connect(manager).removeSupportedToken(dai.target)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+
+    it("Should keep roles separate", async function () {
+      const { escrow, manager } = await loadFixture(deployFixture);
+      await escrow.grantRole(await escrow.FEE_MANAGER_ROLE(), manager.address);
+
+      await expect(escrow.connect(manager).setDisputeFeeRefund(true)).to.emit(
+        escrow,
+        "DisputeFeeRefundUpdated"
+      );
+      await expect(
+        escrow.connect(manager).addArbitrator(manager.address)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(
+        escrow.connect(manager).grantRole(await escrow.PAUSER_ROLE(), manager.address)
+      ).to.be.revertedWith("Only admin");
+    });
+  });
+
+  describe("Admin transfer", function () {
+    it("Should only hand over once the new admin accepts", async function () {
+      const { escrow, owner, manager, buyer } = await loadFixture(deployFixture);
+
+      await expect(escrow.transferAdmin(manager.address))
+        .to.emit(escrow, "AdminTransferStarted")
+        .withArgs(manager.address);
+      expect(await escrow.admin()).to.equal(owner.address);
+      expect(await escrow.pendingAdmin()).to.equal(manager.address);
+
+      await expect(escrow.connect(buyer).acceptAdmin()).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.connect(manager).acceptAdmin())
+        .to.emit(escrow, "AdminUpdated")
+        .withArgs(manager.address);
+      expect(await escrow.admin()).to.equal(manager.address);
+      expect(await escrow.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should let the admin replace a pending transfer", async function () {
+      const { escrow, manager, buyer } = await loadFixture(deployFixture);
+      await escrow.transferAdmin(buyer.address);
+      await escrow.transferAdmin(manager.address);
+
+      await expect(escrow.connect(buyer).acceptAdmin()).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.transferAdmin(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidAddress"
+      );
+    });
+  });
+
+  describe("Timelock", function () {
+    it("Should execute a queued fee change after the delay", async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      const data = escrow.interface.encodeFunctionData("updatePlatformFee", [250]);
+      const id = ethers.keccak256(data);
+
+      const tx = await escrow.queueOperation(data);
+      const executableAt = (await time.latest()) + Number(await escrow.TIMELOCK_DELAY());
+      await expect(tx).to.emit(escrow, "OperationQueued").withArgs(id, data, executableAt);
+      expect(await escrow.queuedOperations(id)).to.equal(executableAt);
+
+      await expect(escrow.executeOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "OperationNotReady"
+      );
+      await time.increaseTo(executableAt);
+      await expect(escrow.executeOperation(data))
+        .to.emit(escrow, "OperationExecuted")
+        .withArgs(id)
+        .and.to.emit(escrow, "PlatformFeeUpdated")
+        .withArgs(250);
+      expect(await escrow.platformFeePercentage()).to.equal(250);
+
+      await expect(escrow.executeOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "OperationNotQueued"
+      );
+    });
+
+    it("Should cancel pending operations", async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      const data = escrow.interface.encodeFunctionData("updateDisputeFee", [disputeFee * 2n]);
+
+      await escrow.queueOperation(data);
+      await expect(escrow.queueOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "OperationAlreadyQueued"
+      );
+      await expect(escrow.cancelOperation(data))
+        .to.emit(escrow, "OperationCancelled")
+        .withArgs(ethers.keccak256(data));
+
+      await time.increase(await escrow.TIMELOCK_DELAY());
+      await expect(escrow.executeOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "OperationNotQueued"
+      );
+      expect(await escrow.disputeFeeFixed()).to.equal(disputeFee);
+    });
+
+    it("Should reject direct calls and unlisted operations", async function () {
+      const { escrow, manager } = await loadFixture(deployFixture);
+
+      await expect(escrow.updatePlatformFee(250)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.updateFeeCollector(manager.address)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.emergencyWithdrawNative(0)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      const adminTransfer = escrow.interface.encodeFunctionData("transferAdmin", [
+        manager.address,
+      ]);
+      await expect(escrow.queueOperation(adminTransfer)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidOperation"
+      );
+    });
+
+    it("Should require the fee manager for fee changes and the admin for withdrawals", async function () {
+      const { escrow, usdt, manager } = await loadFixture(deployFixture);
+      const feeChange = escrow.interface.encodeFunctionData("updatePlatformFee", [50]);
+      const withdrawal = escrow.interface.encodeFunctionData("emergencyWithdrawToken", [
+        usdt.target,
+        1,
+      ]);
+
+      await expect(escrow.connect(manager).queueOperation(feeChange)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await escrow.grantRole(await escrow.FEE_MANAGER_ROLE(), manager.address);
+      await expect(escrow.connect(manager).queueOperation(feeChange)).to.emit(
+        escrow,
+        "OperationQueued"
+      );
+      await expect(
+        escrow.connect(manager).queueOperation(withdrawal)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+  });
+
+  describe("Emergency withdrawals", function () {
+    it("Should only release tokens that are not owed to escrows", async function () {
+      const { escrow, usdt, owner, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+      await escrow.connect(buyer).fundEscrow(1);
+      await escrow.connect(buyer).wrapToken(usdt.target, amount);
+      // Sent to the contract by mistake
+      await usdt.mint(escrow.target, 5n);
+
+      expect(await escrow.lockedBalances(usdt.target)).to.equal(amount * 2n);
+      expect(await escrow.availableBalance(usdt.target)).to.equal(5n);
+      await expect(
+        executeTimelocked(escrow, owner, "emergencyWithdrawToken", [usdt.target, 6n])
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
+      await expect(
+        executeTimelocked(escrow, owner, "emergencyWithdrawToken", [usdt.target, 5n])
+      ).to.changeTokenBalances(usdt, [escrow, feeCollector], [-5n, 5n]);
+    });
+
+    it("Should free native funds left over by a dispute resolution", async function () {
+      const { escrow, owner, buyer, seller, feeCollector } = await loadFixture(deployFixture);
+      const one = ethers.parseEther("1");
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, one, "", 0, { value: one });
+      await escrow.connect(buyer).raiseDispute(1, "Late", { value: disputeFee });
+      expect(await escrow.lockedBalances(ethers.ZeroAddress)).to.equal(one + disputeFee);
+      expect(await escrow.availableBalance(ethers.ZeroAddress)).to.equal(0);
+
+      // 1% platform fee, 0.09 not awarded to either party
+      const buyerAmount = ethers.parseEther("0.5");
+      const sellerAmount = ethers.parseEther("0.4");
+      await escrow.resolveDispute(1, buyerAmount, sellerAmount);
+      const leftover = ethers.parseEther("0.09");
+      // Credited payouts stay locked until they are withdrawn
+      expect(await escrow.lockedBalances(ethers.ZeroAddress)).to.equal(
+        one - leftover + disputeFee
+      );
+      expect(await escrow.availableBalance(ethers.ZeroAddress)).to.equal(leftover);
+
+      await expectCredited(
+        escrow,
+        executeTimelocked(escrow, owner, "emergencyWithdrawNative", [leftover]),
+        ethers.ZeroAddress,
+        [feeCollector],
+        [leftover]
+      );
+      expect(await escrow.availableBalance(ethers.ZeroAddress)).to.equal(0);
+    });
+  });
+});
+
+describe("CryptoEscrow pausing", function () {
+  const amount = ethers.parseEther("100");
+  const one = ethers.parseEther("1");
+  const disputeFee = ethers.parseEther("0.1");
+  const PAUSE_CREATE = 1n;
+  const PAUSE_FUNDING = 2n;
+  const PAUSE_WRAPPING = 4n;
+  const PAUSE_DISPUTES = 8n;
+
+  async function deployFixture() {
+    const [owner, buyer, seller, pauser] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await escrow.grantRole(await escrow.PAUSER_ROLE(), pauser.address);
+    await usdt.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+    // Escrow 1: funded native, escrow 2: pending USDT
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, one, "", 0, { value: one });
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+
+    return { escrow, usdt, owner, buyer, seller, pauser };
+  }
+
+  describe("Function flags", function () {
+    it("Should only let pausers pause and unpause", async function () {
+      const { escrow, buyer, pauser } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(buyer).pause(PAUSE_CREATE)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.connect(pauser).pause(PAUSE_CREATE | PAUSE_DISPUTES))
+        .to.emit(escrow, "Paused")
+        .withArgs(pauser.address, PAUSE_CREATE | PAUSE_DISPUTES);
+      expect(await escrow.pausedFunctions()).to.equal(PAUSE_CREATE | PAUSE_DISPUTES);
+
+      await expect(escrow.connect(pauser).unpause(PAUSE_CREATE))
+        .to.emit(escrow, "Unpaused")
+        .withArgs(pauser.address, PAUSE_CREATE);
+      expect(await escrow.pausedFunctions()).to.equal(PAUSE_DISPUTES);
+    });
+
+    it("Should halt escrow creation independently of funding", async function () {
+      const { escrow, usdt, buyer, seller, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(pauser).pause(PAUSE_CREATE);
+
+      await expect(
+        escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0)
+      ).to.be.revertedWithCustomError(escrow, "FunctionPaused");
+      await expect(
+        escrow
+          .connect(buyer)
+          .createMilestoneEscrow(seller.address, usdt.target, [amount], ["All"], "", 0)
+      ).to.be.revertedWithCustomError(escrow, "FunctionPaused");
+      await expect(escrow.connect(buyer).fundEscrow(2)).to.emit(escrow, "FundsDeposited");
+    });
+
+    it("Should halt funding", async function () {
+      const { escrow, buyer, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(pauser).pause(PAUSE_FUNDING);
+
+      await expect(escrow.connect(buyer).fundEscrow(2)).to.be.revertedWithCustomError(
+        escrow,
+        "FunctionPaused"
+      );
+    });
+
+    it("Should halt wrapping and unwrapping", async function () {
+      const { escrow, usdt, buyer, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).wrapToken(usdt.target, one);
+      const wrapped = await escrow.getWrappedToken(usdt.target);
+      await escrow.connect(pauser).pause(PAUSE_WRAPPING);
+
+      await expect(escrow.connect(buyer).wrapToken(usdt.target, one)).to.be.revertedWithCustomError(
+        escrow,
+        "FunctionPaused"
+      );
+      await expect(escrow.connect(buyer).unwrapToken(wrapped, one)).to.be.revertedWithCustomError(
+        escrow,
+        "FunctionPaused"
+      );
+    });
+
+    it("Should halt disputes but keep every exit open", async function () {
+      const { escrow, buyer, seller, owner, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).raiseDispute(1, "Late", { value: disputeFee });
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, one, "", 0, { value: one });
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, one, "", 0, { value: one });
+      await escrow
+        .connect(pauser)
+        .pause(PAUSE_CREATE | PAUSE_FUNDING | PAUSE_WRAPPING | PAUSE_DISPUTES);
+
+      await expect(
+        escrow.connect(buyer).raiseDispute(3, "Late", { value: disputeFee })
+      ).to.be.revertedWithCustomError(escrow, "FunctionPaused");
+      await expect(escrow.connect(owner).resolveDispute(1, one / 2n, 0)).to.emit(
+        escrow,
+        "DisputeResolved"
+      );
+      await expect(escrow.connect(buyer).releaseFunds(3)).to.emit(escrow, "FundsReleased");
+      await expect(escrow.connect(buyer).cancelEscrow(4)).to.emit(escrow, "EscrowCancelled");
+    });
+  });
+
+  describe("Token freeze", function () {
+    it("Should freeze new escrows, funding and wrapping in a single token", async function () {
+      const { escrow, usdt, buyer, seller, pauser } = await loadFixture(deployFixture);
+
+      await expect(escrow.connect(pauser).setTokenPaused(usdt.target, true))
+        .to.emit(escrow, "TokenPauseUpdated")
+        .withArgs(usdt.target, true);
+      await expect(
+        escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0)
+      ).to.be.revertedWithCustomError(escrow, "TokenIsPaused");
+      await expect(escrow.connect(buyer).fundEscrow(2)).to.be.revertedWithCustomError(
+        escrow,
+        "TokenIsPaused"
+      );
+      await expect(escrow.connect(buyer).wrapToken(usdt.target, one)).to.be.revertedWithCustomError(
+        escrow,
+        "TokenIsPaused"
+      );
+
+      // Other tokens are unaffected
+      await expect(
+        escrow
+          .connect(buyer)
+          .createEscrow(seller.address, ethers.ZeroAddress, one, "", 0, { value: one })
+      ).to.emit(escrow, "EscrowCreated");
+
+      await escrow.connect(pauser).setTokenPaused(usdt.target, false);
+      await expect(escrow.connect(buyer).fundEscrow(2)).to.emit(escrow, "FundsDeposited");
+    });
+
+    it("Should freeze escrows in the token's wrapper too", async function () {
+      const { escrow, usdt, buyer, seller, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).wrapToken(usdt.target, amount);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdt.target)
+      );
+      await wrapped.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+      await escrow.connect(buyer).createEscrow(seller.address, wrapped.target, one, "", 0);
+      await escrow.connect(pauser).setTokenPaused(usdt.target, true);
+
+      await expect(
+        escrow.connect(buyer).createEscrow(seller.address, wrapped.target, one, "", 0)
+      ).to.be.revertedWithCustomError(escrow, "TokenIsPaused");
+      await expect(escrow.connect(buyer).fundEscrow(3)).to.be.revertedWithCustomError(
+        escrow,
+        "TokenIsPaused"
+      );
+      await expect(escrow.connect(buyer).unwrapToken(wrapped.target, one)).to.emit(
+        escrow,
+        "TokenUnwrapped"
+      );
+    });
+
+    it("Should still let funded escrows in a frozen token settle", async function () {
+      const { escrow, usdt, buyer, pauser } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).fundEscrow(2);
+      await escrow.connect(pauser).setTokenPaused(usdt.target, true);
+
+      const tx = escrow.connect(buyer).cancelEscrow(2);
+      await expectCredited(escrow, tx, usdt, [buyer], [amount]);
+      await expect(escrow.connect(buyer).withdraw(usdt.target)).to.changeTokenBalances(
+        usdt,
+        [escrow, buyer],
+        [-amount, amount]
+      );
+    });
+
+    it("Should only let pausers freeze tokens", async function () {
+      const { escrow, usdt, buyer } = await loadFixture(deployFixture);
+
+      await expect(
+        escrow.connect(buyer).setTokenPaused(usdt.target, true)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+  });
+});
+
+describe("CryptoEscrow token accounting", function () {
+  const amount = ethers.parseEther("100");
+  const received = ethers.parseEther("99"); // 1% transfer fee
+
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const FeeToken = await ethers.getContractFactory("ERC20FeeOnTransferMock");
+    const feeToken = await FeeToken.deploy("Fee Token", "FEE", 100);
+    const RebasingToken = await ethers.getContractFactory("ERC20RebasingMock");
+    const rebasing = await RebasingToken.deploy("Rebasing Token", "REB");
+    for (const token of [feeToken, rebasing]) {
+      await token.mint(buyer.address, ethers.parseEther("1000"));
+      await token.mint(other.address, ethers.parseEther("1000"));
+    }
+
+    const escrow = await deployEscrow([
+      0,
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await feeToken.getAddress(), await rebasing.getAddress()],
+      await feeToken.getAddress(),
+    ]);
+    for (const token of [feeToken, rebasing]) {
+      await token.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+      await token.connect(other).approve(escrow.target, ethers.MaxUint256);
+    }
+
+    return { escrow, feeToken, rebasing, owner, buyer, seller, other };
+  }
+
+  async function fundedEscrow(escrow, token, buyer, seller) {
+    await escrow.connect(buyer).createEscrow(seller.address, token.target, amount, "", 0);
+    const escrowId = await escrow.escrowCount();
+    await escrow.connect(buyer).fundEscrow(escrowId);
+    return escrowId;
+  }
+
+  describe("Fee-on-transfer tokens", function () {
+    it("Should record the amount that actually arrived", async function () {
+      const { escrow, feeToken, buyer, seller } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).createEscrow(seller.address, feeToken.target, amount, "", 0);
+
+      await expect(escrow.connect(buyer).fundEscrow(1))
+        .to.emit(escrow, "FundsDeposited")
+        .withArgs(1, buyer.address, received);
+      expect((await escrow.getEscrowDetails(1)).amount).to.equal(received);
+      expect(await escrow.lockedBalances(feeToken.target)).to.equal(received);
+    });
+
+    it("Should never pay one escrow out of another's funds", async function () {
+      const { escrow, feeToken, buyer, seller, other } = await loadFixture(deployFixture);
+      const first = await fundedEscrow(escrow, feeToken, buyer, seller);
+      const second = await fundedEscrow(escrow, feeToken, other, seller);
+
+      await escrow.connect(buyer).releaseFunds(first);
+      await escrow.connect(seller).withdraw(feeToken.target);
+      expect(await feeToken.balanceOf(escrow.target)).to.equal(received);
+
+      await escrow.connect(other).cancelEscrow(second);
+      await escrow.connect(other).withdraw(feeToken.target);
+      expect(await feeToken.balanceOf(escrow.target)).to.equal(0);
+      expect(await escrow.lockedBalances(feeToken.target)).to.equal(0);
+    });
+
+    it("Should reject funding milestone escrows short", async function () {
+      const { escrow, feeToken, buyer, seller } = await loadFixture(deployFixture);
+      await escrow
+        .connect(buyer)
+        .createMilestoneEscrow(seller.address, feeToken.target, [amount], ["All"], "", 0);
+
+      await expect(escrow.connect(buyer).fundEscrow(1)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidTokenAmount"
+      );
+    });
+
+    it("Should record the dispute fee that actually arrived", async function () {
+      const { escrow, feeToken, owner, buyer, seller } = await loadFixture(deployFixture);
+      await executeTimelocked(escrow, owner, "setTokenDisputeFee", [feeToken.target, amount]);
+      await fundedEscrow(escrow, feeToken, buyer, seller);
+
+      await escrow.connect(buyer).raiseDispute(1, "Late");
+      expect((await escrow.getEscrowDetails(1)).disputeFee).to.equal(received);
+      expect(await escrow.lockedBalances(feeToken.target)).to.equal(received * 2n);
+
+      await escrow.resolveDispute(1, received, 0);
+      await escrow.connect(buyer).withdraw(feeToken.target);
+      await escrow.connect(owner).withdraw(feeToken.target);
+      expect(await feeToken.balanceOf(escrow.target)).to.equal(0);
+    });
+
+    it("Should mint wrapped tokens for the amount that arrived", async function () {
+      const { escrow, feeToken, buyer } = await loadFixture(deployFixture);
+      await escrow.connect(buyer).wrapToken(feeToken.target, amount);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(feeToken.target)
+      );
+
+      expect(await wrapped.balanceOf(buyer.address)).to.equal(received);
+      await escrow.connect(buyer).unwrapToken(wrapped.target, received);
+      expect(await feeToken.balanceOf(escrow.target)).to.equal(0);
+    });
+  });
+
+  describe("Rebasing tokens", function () {
+    it("Should share a negative rebase pro rata between escrows", async function () {
+      const { escrow, rebasing, buyer, seller, other } = await loadFixture(deployFixture);
+      const first = await fundedEscrow(escrow, rebasing, buyer, seller);
+      const second = await fundedEscrow(escrow, rebasing, other, seller);
+      await rebasing.rebase(ethers.parseEther("0.5"));
+
+      await escrow.connect(buyer).cancelEscrow(first);
+      await escrow.connect(other).cancelEscrow(second);
+      await expect(escrow.connect(buyer).withdraw(rebasing.target))
+        .to.emit(escrow, "Withdrawn")
+        .withArgs(buyer.address, rebasing.target, amount / 2n);
+      await expect(escrow.connect(other).withdraw(rebasing.target)).to.changeTokenBalances(
+        rebasing,
+        [other, escrow],
+        [amount / 2n, -amount / 2n]
+      );
+    });
+
+    it("Should scale dispute payouts on withdrawal after a negative rebase", async function () {
+      const { escrow, rebasing, buyer, seller, other } = await loadFixture(deployFixture);
+      await fundedEscrow(escrow, rebasing, buyer, seller);
+      await fundedEscrow(escrow, rebasing, other, seller);
+      await escrow.connect(buyer).raiseDispute(1, "Late", { value: ethers.parseEther("0.1") });
+      await rebasing.rebase(ethers.parseEther("0.5"));
+
+      await escrow.resolveDispute(1, amount / 2n, amount / 2n);
+      await expect(escrow.connect(buyer).withdraw(rebasing.target)).to.changeTokenBalance(
+        rebasing,
+        buyer,
+        amount / 4n
+      );
+      await expect(escrow.connect(seller).withdraw(rebasing.target)).to.changeTokenBalance(
+        rebasing,
+        seller,
+        amount / 4n
+      );
+      expect(await rebasing.balanceOf(escrow.target)).to.equal(amount / 2n);
+    });
+
+    it("Should leave a positive rebase to the platform", async function () {
+      const { escrow, rebasing, buyer, seller } = await loadFixture(deployFixture);
+      await fundedEscrow(escrow, rebasing, buyer, seller);
+      await rebasing.rebase(ethers.parseEther("2"));
+
+      expect(await escrow.availableBalance(rebasing.target)).to.equal(amount);
+      await escrow.connect(buyer).cancelEscrow(1);
+      await expect(escrow.connect(buyer).withdraw(rebasing.target)).to.changeTokenBalance(
+        rebasing,
+        buyer,
+        amount
+      );
+    });
+  });
+
+  describe("Re-entering tokens", function () {
+    it("Should not let a transfer hook fund the escrow a second time", async function () {
+      const [owner, seller] = await ethers.getSigners();
+      const HookToken = await ethers.getContractFactory("ERC20ReentrantMock");
+      const token = await HookToken.deploy("Hook Token", "HOOK");
+      const wallet = await (await ethers.getContractFactory("ContractWalletMock")).deploy();
+      const escrow = await deployEscrow([
+        0,
+        ethers.parseEther("0.1"),
+        owner.address,
+        [await token.getAddress()],
+        await token.getAddress(),
+      ]);
+      await token.mint(wallet.target, amount * 4n);
+      const approve = token.interface.encodeFunctionData("approve", [
+        escrow.target,
+        ethers.MaxUint256,
+      ]);
+      await wallet.execute(token.target, approve);
+      const create = escrow.interface.encodeFunctionData("createEscrow", [
+        seller.address,
+        token.target,
+        amount,
+        "",
+        0,
+      ]);
+      await wallet.execute(escrow.target, create);
+      await wallet.execute(escrow.target, create);
+
+      // The buyer wallet funds the same escrow again from inside the transfer
+      const permit = { deadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+      const funding = [
+        escrow.interface.encodeFunctionData("fundEscrow", [1]),
+        escrow.interface.encodeFunctionData("fundEscrowWithPermit", [2, permit]),
+      ];
+      for (const [i, data] of funding.entries()) {
+        await token.setHook(wallet.interface.encodeFunctionData("execute", [escrow.target, data]));
+        await wallet.execute(escrow.target, data);
+        expect(await token.hookSucceeded()).to.be.false;
+        expect((await escrow.getEscrowDetails(i + 1)).amount).to.equal(amount);
+      }
+      expect(await escrow.lockedBalances(token.target)).to.equal(amount * 2n);
+      expect(await token.balanceOf(escrow.target)).to.equal(amount * 2n);
+    });
+  });
+});
+
+describe("CryptoEscrow withdrawals", function () {
+  const amount = ethers.parseEther("1");
+  const sellerAmount = ethers.parseEther("0.99"); // 1% platform fee
+  const disputeFee = ethers.parseEther("0.1");
+
+  async function deployFixture() {
+    const [owner, buyer, seller] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const wallet = await (await ethers.getContractFactory("ContractWalletMock")).deploy();
+    const rejecting = await (await ethers.getContractFactory("RevertingReceiverMock")).deploy();
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await usdt.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+    return { escrow, usdt, wallet, rejecting, owner, buyer, seller };
+  }
+
+  async function nativeEscrow(escrow, buyer, seller) {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller, ethers.ZeroAddress, amount, "", 0, { value: amount });
+    return escrow.escrowCount();
+  }
+
+  it("Should credit payouts instead of sending them", async function () {
+    const { escrow, owner, buyer, seller } = await loadFixture(deployFixture);
+    const escrowId = await nativeEscrow(escrow, buyer, seller.address);
+
+    const release = escrow.connect(buyer).releaseFunds(escrowId);
+    await expect(release)
+      .to.emit(escrow, "Withdrawable")
+      .withArgs(seller.address, ethers.ZeroAddress, sellerAmount);
+    await expect(release)
+      .to.emit(escrow, "Withdrawable")
+      .withArgs(owner.address, ethers.ZeroAddress, amount - sellerAmount);
+    await expect(release).to.changeEtherBalances([escrow, seller], [0, 0]);
+    expect(await escrow.availableBalance(ethers.ZeroAddress)).to.equal(0);
+
+    const withdrawal = escrow.connect(seller).withdraw(ethers.ZeroAddress);
+    await expect(withdrawal)
+      .to.emit(escrow, "Withdrawn")
+      .withArgs(seller.address, ethers.ZeroAddress, sellerAmount);
+    await expect(withdrawal).to.changeEtherBalances(
+      [escrow, seller],
+      [-sellerAmount, sellerAmount]
+    );
+    expect(await escrow.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(0);
+    await expect(
+      escrow.connect(seller).withdraw(ethers.ZeroAddress)
+    ).to.be.revertedWithCustomError(escrow, "NothingToWithdraw");
+  });
+
+  it("Should withdraw every credited token at once", async function () {
+    const { escrow, usdt, buyer, seller } = await loadFixture(deployFixture);
+    const tokenAmount = ethers.parseEther("100");
+    await nativeEscrow(escrow, buyer, seller.address);
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, tokenAmount, "", 0);
+    await escrow.connect(buyer).fundEscrow(2);
+    await escrow.connect(buyer).cancelEscrow(1);
+    await escrow.connect(buyer).cancelEscrow(2);
+
+    const tx = escrow.connect(buyer).withdrawAll();
+    await expect(tx).to.changeEtherBalance(buyer, amount);
+    await expect(tx).to.changeTokenBalance(usdt, buyer, tokenAmount);
+    await expect(escrow.connect(buyer).withdrawAll()).not.to.emit(escrow, "Withdrawn");
+  });
+
+  it("Should pay a multisig-like wallet that needs more than 2300 gas", async function () {
+    const { escrow, wallet, buyer } = await loadFixture(deployFixture);
+    const escrowId = await nativeEscrow(escrow, buyer, wallet.target);
+    await escrow.connect(buyer).releaseFunds(escrowId);
+
+    const data = escrow.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress]);
+    await expect(wallet.execute(escrow.target, data))
+      .to.emit(wallet, "Received")
+      .withArgs(escrow.target, sellerAmount);
+    expect(await wallet.deposits()).to.equal(sellerAmount);
+  });
+
+  it("Should not let a reverting recipient block a dispute resolution", async function () {
+    const { escrow, rejecting, owner, seller } = await loadFixture(deployFixture);
+    const create = escrow.interface.encodeFunctionData("createEscrow", [
+      seller.address,
+      ethers.ZeroAddress,
+      amount,
+      "",
+      0,
+    ]);
+    await rejecting.execute(escrow.target, create, { value: amount });
+    await escrow.connect(seller).raiseDispute(1, "Unpaid", { value: disputeFee });
+
+    const half = sellerAmount / 2n;
+    await expect(escrow.connect(owner).resolveDispute(1, half, half)).to.emit(
+      escrow,
+      "DisputeResolved"
+    );
+    await expect(escrow.connect(seller).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+      seller,
+      half
+    );
+
+    const withdraw = escrow.interface.encodeFunctionData("withdraw", [ethers.ZeroAddress]);
+    await expect(rejecting.execute(escrow.target, withdraw)).to.be.revertedWithCustomError(
+      escrow,
+      "WithdrawalFailed"
+    );
+    expect(await escrow.pendingWithdrawals(rejecting.target, ethers.ZeroAddress)).to.equal(half);
+  });
+
+  it("Should release even when the fee collector rejects payments", async function () {
+    const { escrow, rejecting, owner, buyer, seller } = await loadFixture(deployFixture);
+    await executeTimelocked(escrow, owner, "updateFeeCollector", [rejecting.target]);
+    const escrowId = await nativeEscrow(escrow, buyer, seller.address);
+
+    await expect(escrow.connect(buyer).releaseFunds(escrowId))
+      .to.emit(escrow, "Withdrawable")
+      .withArgs(rejecting.target, ethers.ZeroAddress, amount - sellerAmount);
+    await expect(escrow.connect(seller).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+      seller,
+      sellerAmount
+    );
+  });
+});
+
+describe("CryptoEscrow fee discounts", function () {
+  const amount = ethers.parseEther("100");
+  const chxThreshold = ethers.parseEther("1000");
+
+  async function deployFixture() {
+    const fixture = await deployEscrowFixture();
+    const { escrow, usdt, chx, buyer, seller } = fixture;
+    await chx.mint(seller.address, chxThreshold * 10n);
+    await usdt.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+    return fixture;
+  }
+
+  // Stakes `value` of the seller's CHX
+  async function stakeChx({ escrow, chx, seller }, value) {
+    await chx.connect(seller).approve(escrow.target, value);
+    return escrow.connect(seller).stakeChx(value);
+  }
+
+  // Creates, funds and releases a USDT escrow; returns what the seller was credited
+  async function releasedEscrow({ escrow, usdt, buyer, seller }) {
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+    const escrowId = await escrow.escrowCount();
+    await escrow.connect(buyer).fundEscrow(escrowId);
+
+    const before = await escrow.pendingWithdrawals(seller.address, usdt.target);
+    await escrow.connect(buyer).releaseFunds(escrowId);
+    return (await escrow.pendingWithdrawals(seller.address, usdt.target)) - before;
+  }
+
+  describe("CHX", function () {
+    it("Should support CHX once, whatever the initial tokens", async function () {
+      const { escrow: deployed, usdt, chx, owner } = await loadFixture(deployFixture);
+      const dai = await (await ethers.getContractFactory("ERC20Mock")).deploy("Dai", "DAI");
+
+      for (const tokens of [[], [usdt.target, dai.target], [chx.target, usdt.target]]) {
+        const escrow = await deployEscrow([
+          PLATFORM_FEE,
+          DISPUTE_FEE,
+          owner.address,
+          tokens,
+          chx.target,
+        ]);
+        const supported = await escrow.getSupportedTokens();
+        expect(supported.filter((token) => token === chx.target)).to.have.lengthOf(1);
+        expect(supported).to.have.lengthOf(new Set(supported).size);
+        expect(await escrow.chxToken()).to.equal(chx.target);
+      }
+
+      const duplicates = [usdt.target, usdt.target];
+      await expect(
+        deployEscrow([PLATFORM_FEE, DISPUTE_FEE, owner.address, duplicates, chx.target])
+      ).to.be.revertedWithCustomError(deployed, "TokenAlreadySupported");
+    });
+  });
+
+  describe("Tiers", function () {
+    it("Should discount by staked CHX only", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdt, chx, owner, buyer, seller } = fixture;
+      await executeTimelocked(escrow, owner, "setChxFeeTiers", [
+        [
+          [chxThreshold, 2500],
+          [chxThreshold * 20n, 5000],
+        ],
+      ]);
+      expect(await escrow.getChxFeeTiers()).to.deep.equal([
+        [chxThreshold, 2500n],
+        [chxThreshold * 20n, 5000n],
+      ]);
+
+      // CHX that is only held does not count
+      expect(await escrow.getEffectiveFee(seller.address, usdt.target, amount)).to.deep.equal([
+        amount / 100n,
+        0n,
+      ]);
+
+      // Staking 10x the first threshold: 25% off the 1% fee
+      await expect(stakeChx(fixture, chxThreshold * 10n)).to.emit(escrow, "ChxStaked");
+      const fee = (amount * 75n) / 10000n;
+      expect(await escrow.getEffectiveFee(seller.address, usdt.target, amount)).to.deep.equal([
+        fee,
+        0n,
+      ]);
+      expect(await escrow.getEffectiveFee(buyer.address, usdt.target, amount)).to.deep.equal([
+        amount / 100n,
+        0n,
+      ]);
+      expect(await releasedEscrow(fixture)).to.equal(amount - fee);
+
+      // It stays locked for CHX_STAKE_LOCK after the last stake
+      await chx.mint(seller.address, chxThreshold * 10n);
+      await stakeChx(fixture, chxThreshold * 10n);
+      expect(await escrow.stakedChx(seller.address)).to.equal(chxThreshold * 20n);
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 200n);
+
+      await expect(
+        escrow.connect(seller).unstakeChx(chxThreshold)
+      ).to.be.revertedWithCustomError(escrow, "StakeLocked");
+      await time.increase(await escrow.CHX_STAKE_LOCK());
+      await expect(
+        escrow.connect(seller).unstakeChx(chxThreshold * 21n)
+      ).to.be.revertedWithCustomError(escrow, "InvalidTokenAmount");
+      await expect(escrow.connect(seller).unstakeChx(chxThreshold * 20n)).to.changeTokenBalance(
+        chx,
+        seller,
+        chxThreshold * 20n
+      );
+      expect(await escrow.lockedBalances(chx.target)).to.equal(0);
+    });
+
+    it("Should discount by released volume in each token", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdt, owner, seller } = fixture;
+      await executeTimelocked(escrow, owner, "setVolumeFeeTiers", [
+        usdt.target,
+        [[amount * 2n, 5000]],
+      ]);
+
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 100n);
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 100n);
+      expect(await escrow.userVolume(seller.address, usdt.target)).to.equal(amount * 2n);
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 200n);
+
+      // Volume in USDT does not count towards native escrows
+      const [nativeFee] = await escrow.getEffectiveFee(seller.address, ethers.ZeroAddress, amount);
+      expect(nativeFee).to.equal(amount / 100n);
+    });
+
+    it("Should combine CHX and volume discounts", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdt, owner, seller } = fixture;
+      await stakeChx(fixture, chxThreshold);
+      await executeTimelocked(escrow, owner, "setChxFeeTiers", [[[chxThreshold, 5000]]]);
+      await executeTimelocked(escrow, owner, "setVolumeFeeTiers", [usdt.target, [[0, 5000]]]);
+
+      const [fee] = await escrow.getEffectiveFee(seller.address, usdt.target, amount);
+      expect(fee).to.equal(amount / 400n);
+    });
+
+    it("Should apply discounts to dispute settlements", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { escrow, usdt, owner, buyer, seller } = fixture;
+      await stakeChx(fixture, chxThreshold);
+      await executeTimelocked(escrow, owner, "setChxFeeTiers", [[[chxThreshold, 10000]]]);
+      await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+      await escrow.connect(buyer).fundEscrow(1);
+      await escrow.connect(buyer).raiseDispute(1, "Late", { value: DISPUTE_FEE });
+
+      // No platform fee is left to take, so the whole amount can be awarded
+      await expect(escrow.resolveDispute(1, amount / 2n, amount / 2n)).to.emit(
+        escrow,
+        "DisputeResolved"
+      );
+      expect(await escrow.pendingWithdrawals(owner.address, usdt.target)).to.equal(0);
+    });
+
+    it("Should only accept valid tiers from fee managers", async function () {
+      const { escrow, owner, other } = await loadFixture(deployFixture);
+      const invalid = [
+        [[[chxThreshold, 10001]]],
+        [
+          [
+            [chxThreshold, 1000],
+            [chxThreshold, 2000],
+          ],
+        ],
+        [Array.from({ length: 11 }, (_, i) => [i, 100])],
+      ];
+      for (const args of invalid) {
+        await expect(
+          executeTimelocked(escrow, owner, "setChxFeeTiers", args)
+        ).to.be.revertedWithCustomError(escrow, "InvalidFeeTiers");
+      }
+
+      const data = escrow.interface.encodeFunctionData("setChxFeeTiers", [[]]);
+      await expect(escrow.connect(other).queueOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.setChxFeeTiers([])).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(
+        executeTimelocked(escrow, owner, "setVolumeFeeTiers", [other.address, []])
+      ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+    });
+  });
+
+  describe("Paying in CHX", function () {
+    async function chxRateFixture() {
+      const fixture = await deployFixture();
+      const { escrow, usdt, owner, seller } = fixture;
+      // 2 CHX per USDT
+      const rate = ethers.parseEther("2");
+      await executeTimelocked(escrow, owner, "setChxFeeRate", [usdt.target, rate]);
+      await expect(escrow.connect(seller).setPayFeesInChx(true))
+        .to.emit(escrow, "FeePaymentInChxUpdated")
+        .withArgs(seller.address, true);
+      return fixture;
+    }
+
+    it("Should take the fee in CHX and pay out the whole amount", async function () {
+      const fixture = await loadFixture(chxRateFixture);
+      const { escrow, usdt, chx, owner, seller } = fixture;
+      const fee = amount / 100n;
+      expect(await escrow.getEffectiveFee(seller.address, usdt.target, amount)).to.deep.equal([
+        fee,
+        fee * 2n,
+      ]);
+      await chx.connect(seller).approve(escrow.target, fee * 2n);
+
+      const feeCollectorChx = await chx.balanceOf(owner.address);
+      expect(await releasedEscrow(fixture)).to.equal(amount);
+      expect(await chx.balanceOf(owner.address)).to.equal(feeCollectorChx + fee * 2n);
+      expect(await escrow.pendingWithdrawals(owner.address, usdt.target)).to.equal(0);
+    });
+
+    it("Should fall back to the escrowed token without a CHX allowance", async function () {
+      const fixture = await loadFixture(chxRateFixture);
+      const { escrow, usdt, owner } = fixture;
+
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 100n);
+      expect(await escrow.pendingWithdrawals(owner.address, usdt.target)).to.equal(amount / 100n);
+    });
+
+    it("Should not take CHX from sellers who did not opt in", async function () {
+      const fixture = await loadFixture(chxRateFixture);
+      const { escrow, chx, seller } = fixture;
+      await escrow.connect(seller).setPayFeesInChx(false);
+      await chx.connect(seller).approve(escrow.target, ethers.MaxUint256);
+
+      const balance = await chx.balanceOf(seller.address);
+      expect(await releasedEscrow(fixture)).to.equal(amount - amount / 100n);
+      expect(await chx.balanceOf(seller.address)).to.equal(balance);
+    });
+  });
+});
+
+describe("CryptoEscrow token limits", function () {
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+  async function deployFixture() {
+    const fixture = await deployEscrowFixture();
+    const { escrow, owner, buyer, other } = fixture;
+    const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+    const token = await ERC20DecimalsMock.deploy("USD Coin", "USDC", 6);
+    await escrow.connect(owner).addSupportedToken(token.target);
+    for (const account of [buyer, other]) {
+      await token.mint(account.address, usdc("1000"));
+      await token.connect(account).approve(escrow.target, ethers.MaxUint256);
+    }
+    return { ...fixture, token };
+  }
+
+  // Sets limits in whole USDC: [min, max, maxExposure, dailyCap]
+  function setLimits({ escrow, owner, token }, limits) {
+    return escrow.connect(owner).setTokenLimits(token.target, limits.map(usdc));
+  }
+
+  async function createAndFund(escrow, buyer, seller, token, amount) {
+    await escrow.connect(buyer).createEscrow(seller.address, token.target, amount, "", 0);
+    const escrowId = await escrow.escrowCount();
+    await escrow.connect(buyer).fundEscrow(escrowId);
+    return escrowId;
+  }
+
+  it("Should default the minimum to 0.001 of a token in its decimals", async function () {
+    const { escrow, owner, buyer, seller, token } = await loadFixture(deployFixture);
+    const ERC20DecimalsMock = await ethers.getContractFactory("ERC20DecimalsMock");
+
+    expect(await escrow.getTokenLimits(token.target)).to.deep.equal([usdc("0.001"), 0n, 0n, 0n]);
+    for (const [decimals, minAmount] of [
+      [2n, 1n],
+      [18n, ethers.parseEther("0.001")],
+      [24n, ethers.parseUnits("0.001", 24)],
+    ]) {
+      const other = await ERC20DecimalsMock.deploy("Token", "TKN", decimals);
+      await expect(escrow.connect(owner).addSupportedToken(other.target))
+        .to.emit(escrow, "TokenLimitsUpdated")
+        .withArgs(other.target, [minAmount, 0n, 0n, 0n]);
+    }
+    expect((await escrow.getTokenLimits(ethers.ZeroAddress)).minAmount).to.equal(
+      await escrow.MIN_ESCROW_AMOUNT()
+    );
+
+    await expect(
+      escrow.connect(buyer).createEscrow(seller.address, token.target, usdc("0.000999"), "", 0)
+    ).to.be.revertedWithCustomError(escrow, "AmountTooSmall");
+    await createAndFund(escrow, buyer, seller, token, usdc("0.001"));
+  });
+
+  it("Should only accept consistent limits from token managers", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, owner, other, token } = fixture;
+
+    for (const limits of [
+      ["0", "0", "0", "0"],
+      ["10", "5", "0", "0"],
+      ["10", "0", "5", "0"],
+      ["10", "0", "0", "5"],
+    ]) {
+      await expect(setLimits(fixture, limits)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidTokenLimits"
+      );
+    }
+    await expect(setLimits(fixture, ["1", "100", "500", "1000"]))
+      .to.emit(escrow, "TokenLimitsUpdated")
+      .withArgs(token.target, [usdc("1"), usdc("100"), usdc("500"), usdc("1000")]);
+
+    await expect(
+      escrow.connect(other).setTokenLimits(token.target, [1, 0, 0, 0])
+    ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    await expect(
+      escrow.connect(owner).setTokenLimits(other.address, [1, 0, 0, 0])
+    ).to.be.revertedWithCustomError(escrow, "TokenNotSupported");
+    await escrow.connect(owner).setTokenLimits(ethers.ZeroAddress, [1, 0, 0, 0]);
+    expect((await escrow.getTokenLimits(ethers.ZeroAddress)).minAmount).to.equal(1);
+  });
+
+  it("Should cap the escrow size, including milestone totals", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, buyer, seller, token } = fixture;
+    await setLimits(fixture, ["1", "100", "0", "0"]);
+
+    await expect(
+      escrow.connect(buyer).createEscrow(seller.address, token.target, usdc("100.000001"), "", 0)
+    ).to.be.revertedWithCustomError(escrow, "AmountTooLarge");
+    const milestones = [usdc("60"), usdc("60")];
+    await expect(
+      escrow
+        .connect(buyer)
+        .createMilestoneEscrow(seller.address, token.target, milestones, ["a", "b"], "", 0)
+    ).to.be.revertedWithCustomError(escrow, "AmountTooLarge");
+    await createAndFund(escrow, buyer, seller, token, usdc("100"));
+  });
+
+  it("Should cap each buyer's open exposure until escrows close", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, buyer, seller, other, token } = fixture;
+    await setLimits(fixture, ["1", "0", "100", "0"]);
+
+    const first = await createAndFund(escrow, buyer, seller, token, usdc("60"));
+    await escrow.connect(buyer).createEscrow(seller.address, token.target, usdc("50"), "", 0);
+    const pending = await escrow.escrowCount();
+    // The cap applies when funds arrive, and only to the buyer's own escrows
+    await expect(escrow.connect(buyer).fundEscrow(pending)).to.be.revertedWithCustomError(
+      escrow,
+      "ExposureLimitExceeded"
+    );
+    await createAndFund(escrow, other, seller, token, usdc("100"));
+    expect(await escrow.openExposure(buyer.address, token.target)).to.equal(usdc("60"));
+
+    await escrow.connect(buyer).cancelEscrow(first);
+    expect(await escrow.openExposure(buyer.address, token.target)).to.equal(0);
+    await escrow.connect(buyer).fundEscrow(pending);
+    await escrow.connect(buyer).releaseFunds(pending);
+    expect(await escrow.openExposure(buyer.address, token.target)).to.equal(0);
+  });
+
+  it("Should cap the volume funded per day", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, buyer, seller, other, token } = fixture;
+    await setLimits(fixture, ["1", "0", "0", "100"]);
+    // Start at the beginning of a day so the escrows below fall on the same one
+    await time.increaseTo((BigInt(await time.latest()) / 86400n + 1n) * 86400n);
+
+    await createAndFund(escrow, buyer, seller, token, usdc("70"));
+    await escrow.connect(other).createEscrow(seller.address, token.target, usdc("40"), "", 0);
+    const pending = await escrow.escrowCount();
+    await expect(escrow.connect(other).fundEscrow(pending)).to.be.revertedWithCustomError(
+      escrow,
+      "DailyLimitExceeded"
+    );
+    const day = BigInt(await time.latest()) / 86400n;
+    expect(await escrow.dailyVolume(token.target, day)).to.equal(usdc("70"));
+
+    await time.increase(86400);
+    await escrow.connect(other).fundEscrow(pending);
+    expect(await escrow.dailyVolume(token.target, day + 1n)).to.equal(usdc("40"));
+  });
+
+  it("Should apply the wrapped token's limits to escrows in its wrapper", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, buyer, seller, token } = fixture;
+    await setLimits(fixture, ["1", "50", "80", "0"]);
+    await escrow.connect(buyer).wrapToken(token.target, usdc("200"));
+    const wrapped = await ethers.getContractAt(
+      "WrappedToken",
+      await escrow.getWrappedToken(token.target)
+    );
+    await wrapped.connect(buyer).approve(escrow.target, ethers.MaxUint256);
+
+    expect(await escrow.getTokenLimits(wrapped.target)).to.deep.equal(
+      await escrow.getTokenLimits(token.target)
+    );
+    await expect(
+      escrow.connect(buyer).createEscrow(seller.address, wrapped.target, usdc("51"), "", 0)
+    ).to.be.revertedWithCustomError(escrow, "AmountTooLarge");
+
+    await createAndFund(escrow, buyer, seller, wrapped, usdc("50"));
+    await escrow.connect(buyer).createEscrow(seller.address, token.target, usdc("50"), "", 0);
+    await expect(
+      escrow.connect(buyer).fundEscrow(await escrow.escrowCount())
+    ).to.be.revertedWithCustomError(escrow, "ExposureLimitExceeded");
+  });
+});
+
+describe("CryptoEscrow encryption keys", function () {
+  const amount = ethers.parseEther("1");
+  const publicKey = ethers.hexlify(ethers.randomBytes(32));
+  const wrappedKey = ethers.hexlify(ethers.randomBytes(124));
+
+  async function disputedFixture() {
+    const fixture = await fundedEscrowsFixture();
+    const { escrow, owner, buyer, arbitrator } = fixture;
+    await escrow.connect(owner).addArbitrator(arbitrator.address);
+    await escrow.connect(buyer).raiseDispute(1, "Not delivered", { value: DISPUTE_FEE });
+    return fixture;
+  }
+
+  it("Should register, replace and clear an account's key", async function () {
+    const { escrow, buyer } = await loadFixture(deployEscrowFixture);
+
+    await expect(escrow.connect(buyer).setEncryptionKey(publicKey))
+      .to.emit(escrow, "EncryptionKeyRegistered")
+      .withArgs(buyer.address, publicKey);
+    expect(await escrow.encryptionKeys(buyer.address)).to.equal(publicKey);
+
+    await escrow.connect(buyer).setEncryptionKey(ethers.ZeroHash);
+    expect(await escrow.encryptionKeys(buyer.address)).to.equal(ethers.ZeroHash);
+  });
+
+  it("Should relay keys from the parties to the assigned arbitrator", async function () {
+    const { escrow, buyer, seller, arbitrator } = await loadFixture(disputedFixture);
+    expect((await escrow.getEscrowDetails(1)).arbitrator).to.equal(arbitrator.address);
+
+    await expect(
+      escrow.connect(seller).shareEscrowKey(1, wrappedKey)
+    ).to.be.revertedWithCustomError(escrow, "EncryptionKeyNotRegistered");
+    await escrow.connect(arbitrator).setEncryptionKey(publicKey);
+
+    for (const party of [buyer, seller]) {
+      await expect(escrow.connect(party).shareEscrowKey(1, wrappedKey))
+        .to.emit(escrow, "EscrowKeyShared")
+        .withArgs(1, party.address, arbitrator.address, wrappedKey);
+    }
+  });
+
+  it("Should only relay keys for disputes, from their parties", async function () {
+    const { escrow, buyer, other, arbitrator } = await loadFixture(disputedFixture);
+    await escrow.connect(arbitrator).setEncryptionKey(publicKey);
+
+    for (const sender of [other, arbitrator]) {
+      await expect(
+        escrow.connect(sender).shareEscrowKey(1, wrappedKey)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    }
+    // Escrow 2 is funded but not disputed
+    await expect(
+      escrow.connect(buyer).shareEscrowKey(2, wrappedKey)
+    ).to.be.revertedWithCustomError(escrow, "EscrowNotInDisputedState");
+  });
+});
+
+describe("CryptoEscrow dispute panels", function () {
+  const amount = ethers.parseEther("10");
+  const remaining = ethers.parseEther("9.9"); // after the 1% platform fee
+  const platformFee = ethers.parseEther("0.1");
+  const disputeFee = ethers.parseEther("0.1");
+
+  async function deployFixture() {
+    const [owner, buyer, seller, arb1, arb2, arb3, arb4, feeCollector, other] =
+      await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      feeCollector.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    for (const arbitrator of [arb1, arb2, arb3, arb4]) {
+      await escrow.addArbitrator(arbitrator.address);
+    }
+    await escrow.setPanelConfig(3, 2);
+    await escrow.setPanelThreshold(ethers.ZeroAddress, ethers.parseEther("5"));
+
+    return { escrow, usdt, owner, buyer, seller, arb1, arb2, arb3, arb4, feeCollector, other };
+  }
+
+  async function openDispute(escrow, buyer, seller, value = amount) {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, value, "", 0, { value });
+    const escrowId = await escrow.escrowCount();
+    await escrow.connect(buyer).raiseDispute(escrowId, "Not delivered", { value: disputeFee });
+    return escrowId;
+  }
+
+  describe("Configuration", function () {
+    it("Should set the panel size, quorum and per-token thresholds", async function () {
+      const { escrow, usdt } = await loadFixture(deployFixture);
+
+      await expect(escrow.setPanelConfig(5, 3))
+        .to.emit(escrow, "PanelConfigUpdated")
+        .withArgs(5, 3);
+      expect(await escrow.panelSize()).to.equal(5);
+      expect(await escrow.panelQuorum()).to.equal(3);
+
+      await expect(escrow.setPanelThreshold(usdt.target, ethers.parseEther("1000")))
+        .to.emit(escrow, "PanelThresholdUpdated")
+        .withArgs(usdt.target, ethers.parseEther("1000"));
+      expect(await escrow.panelThresholds(usdt.target)).to.equal(ethers.parseEther("1000"));
+
+      await escrow.setPanelConfig(0, 0);
+      expect(await escrow.panelSize()).to.equal(0);
+    });
+
+    it("Should require a majority quorum and a supported token", async function () {
+      const { escrow, other } = await loadFixture(deployFixture);
+
+      for (const [size, quorum] of [
+        [1, 1],
+        [10, 6],
+        [4, 2],
+        [3, 4],
+        [0, 1],
+      ]) {
+        await expect(escrow.setPanelConfig(size, quorum)).to.be.revertedWithCustomError(
+          escrow,
+          "InvalidPanelConfiguration"
+        );
+      }
+      await expect(escrow.setPanelThreshold(other.address, 1)).to.be.revertedWithCustomError(
+        escrow,
+        "TokenNotSupported"
+      );
+      await expect(escrow.connect(other).setPanelConfig(3, 2)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+    });
+  });
+
+  describe("Assignment", function () {
+    it("Should give panels to escrows from the threshold only", async function () {
+      const { escrow, buyer, seller, arb1, arb2, arb3, arb4 } = await loadFixture(deployFixture);
+
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+      await expect(escrow.connect(buyer).raiseDispute(1, "Not delivered", { value: disputeFee }))
+        .to.emit(escrow, "DisputePanelAssigned")
+        .withArgs(1, [arb1.address, arb2.address, arb3.address], 2);
+
+      const panel = await escrow.getDisputePanel(1);
+      expect(panel.members).to.deep.equal([arb1.address, arb2.address, arb3.address]);
+      expect(panel.quorum).to.equal(2);
+      expect(panel.votes).to.be.empty;
+      expect((await escrow.getEscrowDetails(1)).arbitrator).to.equal(ethers.ZeroAddress);
+      for (const member of [arb1, arb2, arb3]) {
+        expect(await escrow.openCases(member.address)).to.equal(1);
+      }
+
+      // Below the threshold, the least-loaded arbitrator decides alone
+      const small = await openDispute(escrow, buyer, seller, ethers.parseEther("4.99"));
+      expect((await escrow.getEscrowDetails(small)).arbitrator).to.equal(arb4.address);
+      expect((await escrow.getDisputePanel(small)).members).to.be.empty;
+    });
+
+    it("Should compare only the unreleased amount with the threshold", async function () {
+      const { escrow, buyer, seller, arb1 } = await loadFixture(deployFixture);
+      const milestones = [ethers.parseEther("6"), ethers.parseEther("4")];
+      await escrow
+        .connect(buyer)
+        .createMilestoneEscrow(seller.address, ethers.ZeroAddress, milestones, ["A", "B"], "", 0, {
+          value: amount,
+        });
+      await escrow.connect(buyer).releaseMilestone(1);
+
+      // 4 of the 10 are still disputed, below the threshold of 5
+      await escrow.connect(buyer).raiseDispute(1, "Not delivered", { value: disputeFee });
+      expect((await escrow.getEscrowDetails(1)).arbitrator).to.equal(arb1.address);
+      expect((await escrow.getDisputePanel(1)).members).to.be.empty;
+    });
+
+    it("Should shrink the panel to the eligible arbitrators", async function () {
+      const { escrow, seller, arb1, arb2, arb3, arb4 } = await loadFixture(deployFixture);
+      await escrow.removeArbitrator(arb4.address);
+
+      // arb1 is the buyer, so only arb2 and arb3 can sit, and both have to vote
+      const escrowId = await openDispute(escrow, arb1, seller);
+      const panel = await escrow.getDisputePanel(escrowId);
+      expect(panel.members).to.deep.equal([arb2.address, arb3.address]);
+      expect(panel.quorum).to.equal(2);
+
+      // With a single eligible arbitrator it is an ordinary dispute
+      await escrow.removeArbitrator(arb3.address);
+      const single = await openDispute(escrow, arb1, seller);
+      expect((await escrow.getDisputePanel(single)).members).to.be.empty;
+      expect((await escrow.getEscrowDetails(single)).arbitrator).to.equal(arb2.address);
+    });
+
+    it("Should only assign panels from raiseDispute", async function () {
+      const { escrow, buyer, seller } = await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await expect(
+        escrow.connect(buyer).assignDisputeArbitrators(escrowId)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+    });
+  });
+
+  describe("Voting", function () {
+    it("Should resolve with the median once the quorum voted", async function () {
+      const { escrow, owner, buyer, seller, arb1, arb2, arb3, feeCollector } =
+        await loadFixture(deployFixture);
+      await escrow.setPanelConfig(3, 3);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await expect(escrow.connect(arb1).voteOnDispute(escrowId, remaining, 0))
+        .to.emit(escrow, "DisputeVoteCast")
+        .withArgs(escrowId, arb1.address, remaining, 0);
+      await escrow.connect(arb2).voteOnDispute(escrowId, 0, remaining);
+
+      // The outlying votes cancel out: the middle one decides
+      const buyerAmount = ethers.parseEther("4");
+      const sellerAmount = ethers.parseEther("5.9");
+      const tx = escrow.connect(arb3).voteOnDispute(escrowId, buyerAmount, sellerAmount);
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(escrowId, ethers.ZeroAddress, true, buyerAmount, sellerAmount);
+
+      const share = disputeFee / 3n;
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [buyer, seller, arb1, arb2, arb3, feeCollector, owner],
+        [buyerAmount, sellerAmount, share, share, share, platformFee + disputeFee - 3n * share, 0]
+      );
+      expect((await escrow.getEscrowDetails(escrowId)).status).to.equal(5); // Resolved
+      expect((await escrow.getDisputePanel(escrowId)).votes).to.have.lengthOf(3);
+      for (const member of [arb1, arb2, arb3]) {
+        expect(await escrow.openCases(member.address)).to.equal(0);
+      }
+      // The seller was awarded more
+      expect((await escrow.getReputation(seller.address)).disputesWon).to.equal(1);
+      expect((await escrow.getReputation(buyer.address)).disputesLost).to.equal(1);
+    });
+
+    it("Should keep the platform fee fixed when it was raised", async function () {
+      const { escrow, usdt, owner, buyer, seller, arb1, arb2, feeCollector } =
+        await loadFixture(deployFixture);
+      // USDT is the CHX token here: staking 100 halves the seller's platform fee
+      const chx = ethers.parseEther("100");
+      await executeTimelocked(escrow, owner, "setChxFeeTiers", [[[chx, 5000]]]);
+      await usdt.mint(seller.address, chx);
+      await usdt.connect(seller).approve(escrow.target, chx);
+      await escrow.connect(seller).stakeChx(chx);
+      await time.increase(await escrow.CHX_STAKE_LOCK());
+      const escrowId = await openDispute(escrow, buyer, seller);
+      const fee = platformFee / 2n;
+      expect((await escrow.getEscrowDetails(escrowId)).platformFee).to.equal(fee);
+
+      await escrow.connect(arb1).voteOnDispute(escrowId, amount - fee, 0);
+      // Raises the seller's live fee, which no longer applies to this dispute
+      await escrow.connect(seller).unstakeChx(chx);
+      const tx = escrow.connect(arb2).voteOnDispute(escrowId, amount - fee, 0);
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(escrowId, ethers.ZeroAddress, true, amount - fee, 0);
+      const credited = [amount - fee, fee];
+      await expectCredited(escrow, tx, ethers.ZeroAddress, [buyer, feeCollector], credited);
+    });
+
+    it("Should split the difference when the panel is tied", async function () {
+      const { escrow, buyer, seller, arb1, arb2, arb3, arb4 } = await loadFixture(deployFixture);
+      await escrow.setPanelConfig(4, 4);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await escrow.connect(arb1).voteOnDispute(escrowId, remaining, 0);
+      await escrow.connect(arb2).voteOnDispute(escrowId, 0, remaining);
+      await escrow.connect(arb3).voteOnDispute(escrowId, remaining, 0);
+      const tx = escrow.connect(arb4).voteOnDispute(escrowId, 0, remaining);
+
+      const half = remaining / 2n;
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(escrowId, ethers.ZeroAddress, true, half, half);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [buyer, seller, arb1, arb4],
+        [half, half, disputeFee / 4n, disputeFee / 4n]
+      );
+    });
+
+    it("Should resolve without absent members, who get no fee", async function () {
+      const { escrow, buyer, seller, arb1, arb2, arb3, feeCollector } =
+        await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await escrow.connect(arb2).voteOnDispute(escrowId, ethers.parseEther("6"), 0);
+      // Two votes make an even count: the average of both, within the balance
+      const tx = escrow
+        .connect(arb1)
+        .voteOnDispute(escrowId, ethers.parseEther("2"), ethers.parseEther("7.9"));
+      await expect(tx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(
+          escrowId,
+          ethers.ZeroAddress,
+          true,
+          ethers.parseEther("4"),
+          ethers.parseEther("3.95")
+        );
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [arb1, arb2, arb3, feeCollector],
+        [disputeFee / 2n, disputeFee / 2n, 0, platformFee]
+      );
+      expect(await escrow.openCases(arb3.address)).to.equal(0);
+      await expect(
+        escrow.connect(arb3).voteOnDispute(escrowId, 0, 0)
+      ).to.be.revertedWithCustomError(escrow, "EscrowNotInDisputedState");
+    });
+
+    it("Should only take one valid vote from each member", async function () {
+      const { escrow, owner, buyer, seller, arb1, arb4 } = await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+
+      await expect(
+        escrow.connect(arb4).voteOnDispute(escrowId, 0, 0)
+      ).to.be.revertedWithCustomError(escrow, "NotPanelMember");
+      await expect(
+        escrow.connect(arb1).voteOnDispute(escrowId, remaining, 1)
+      ).to.be.revertedWithCustomError(escrow, "AmountsExceedEscrowBalance");
+
+      await escrow.connect(arb1).voteOnDispute(escrowId, remaining, 0);
+      await expect(
+        escrow.connect(arb1).voteOnDispute(escrowId, 0, remaining)
+      ).to.be.revertedWithCustomError(escrow, "AlreadyVoted");
+
+      // Neither a member nor the admin decides a panel dispute alone
+      for (const signer of [arb1, owner]) {
+        await expect(
+          escrow.connect(signer).resolveDispute(escrowId, remaining, 0)
+        ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      }
+    });
+  });
+
+  describe("Expiry", function () {
+    it("Should settle with the default split when the quorum is not reached", async function () {
+      const { escrow, buyer, seller, arb1, arb2, feeCollector, other } =
+        await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+      await escrow.connect(arb1).voteOnDispute(escrowId, remaining, 0);
+
+      const { disputeExpiry } = await escrow.getEscrowDetails(escrowId);
+      await time.increaseTo(disputeExpiry + 1n);
+      await expect(
+        escrow.connect(arb2).voteOnDispute(escrowId, remaining, 0)
+      ).to.be.revertedWithCustomError(escrow, "DisputeTimeframeExpired");
+
+      // The one member who voted gets the whole dispute fee
+      const half = remaining / 2n;
+      const tx = escrow.connect(other).settleExpiredDispute(escrowId);
+      await expect(tx)
+        .to.emit(escrow, "ExpiredDisputeSettled")
+        .withArgs(escrowId, other.address, half, half);
+      await expectCredited(
+        escrow,
+        tx,
+        ethers.ZeroAddress,
+        [buyer, seller, arb1, arb2, feeCollector],
+        [half, half, disputeFee, 0, platformFee]
+      );
+      expect(await escrow.openCases(arb1.address)).to.equal(0);
+    });
+
+    it("Should let panel members extend the deadline", async function () {
+      const { escrow, buyer, seller, arb2, arb4, feeCollector, other } =
+        await loadFixture(deployFixture);
+      const escrowId = await openDispute(escrow, buyer, seller);
+      const { disputeExpiry } = await escrow.getEscrowDetails(escrowId);
+
+      await expect(
+        escrow.connect(arb4).extendDisputeDeadline(escrowId, disputeExpiry + 1n)
+      ).to.be.revertedWithCustomError(escrow, "UnauthorizedAccess");
+      await expect(escrow.connect(arb2).extendDisputeDeadline(escrowId, disputeExpiry + 1n))
+        .to.emit(escrow, "DisputeDeadlineExtended")
+        .withArgs(escrowId, disputeExpiry + 1n);
+
+      // Nobody voted: the dispute fee goes to the fee collector as usual
+      await time.increaseTo(disputeExpiry + 2n);
+      await expectCredited(
+        escrow,
+        escrow.connect(other).settleExpiredDispute(escrowId),
+        ethers.ZeroAddress,
+        [feeCollector],
+        [platformFee + disputeFee]
+      );
+    });
+  });
+
+  it("Should relay escrow keys to panel members only", async function () {
+    const { escrow, buyer, seller, arb2, arb4 } = await loadFixture(deployFixture);
+    const escrowId = await openDispute(escrow, buyer, seller);
+    const wrappedKey = ethers.hexlify(ethers.randomBytes(124));
+    for (const arbitrator of [arb2, arb4]) {
+      await escrow.connect(arbitrator).setEncryptionKey(ethers.hexlify(ethers.randomBytes(32)));
+    }
+
+    await expect(escrow.connect(seller).shareEscrowKeyWithPanel(escrowId, arb2.address, wrappedKey))
+      .to.emit(escrow, "EscrowKeyShared")
+      .withArgs(escrowId, seller.address, arb2.address, wrappedKey);
+    await expect(
+      escrow.connect(seller).shareEscrowKeyWithPanel(escrowId, arb4.address, wrappedKey)
+    ).to.be.revertedWithCustomError(escrow, "NotPanelMember");
+  });
+});
+
+describe("CryptoEscrow reputation", function () {
+  const amount = ethers.parseEther("1");
+  const remaining = ethers.parseEther("0.99"); // after the 1% platform fee
+
+  async function createEscrow(escrow, buyer, seller, deliveryDeadline = 0) {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", deliveryDeadline, {
+        value: amount,
+      });
+    return escrow.escrowCount();
+  }
+
+  async function reputation(escrow, account) {
+    return (await escrow.getReputation(account.address)).toObject();
+  }
+
+  function record(completedTrades, cancelledTrades, disputesRaised, disputesWon, disputesLost) {
+    return { completedTrades, cancelledTrades, disputesRaised, disputesWon, disputesLost };
+  }
+
+  // Record of a user who was the buyer in all of their completed trades
+  function buyerRecord(completedTrades, ...rest) {
+    return { ...record(completedTrades, ...rest), completedPurchases: completedTrades };
+  }
+
+  // Record of a user who was the seller in all of their trades
+  function sellerRecord(...args) {
+    return { ...record(...args), completedPurchases: 0n };
+  }
+
+  it("Should count completed and cancelled trades for both parties", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+    await escrow.connect(buyer).releaseFunds(await createEscrow(escrow, buyer, seller));
+    await escrow.connect(buyer).cancelEscrow(await createEscrow(escrow, buyer, seller));
+
+    const deadline = (await time.latest()) + 3600;
+    const shipped = await createEscrow(escrow, buyer, seller, deadline);
+    await escrow.connect(seller).confirmShipment(shipped);
+    const unshipped = await createEscrow(escrow, buyer, seller, deadline);
+    await time.increaseTo(deadline + 1);
+    await escrow.connect(seller).claimFunds(shipped);
+    await escrow.connect(buyer).claimRefund(unshipped);
+
+    // Milestone escrows count once, when the last milestone is released
+    const half = amount / 2n;
+    await escrow
+      .connect(buyer)
+      .createMilestoneEscrow(seller.address, ethers.ZeroAddress, [half, half], ["A", "B"], "", 0, {
+        value: amount,
+      });
+    const milestones = await escrow.escrowCount();
+    await escrow.connect(buyer).releaseMilestone(milestones);
+    expect(await reputation(escrow, buyer)).to.deep.equal(buyerRecord(2n, 2n, 0n, 0n, 0n));
+    await escrow.connect(buyer).releaseMilestone(milestones);
+
+    expect(await reputation(escrow, buyer)).to.deep.equal(buyerRecord(3n, 2n, 0n, 0n, 0n));
+    expect(await reputation(escrow, seller)).to.deep.equal(sellerRecord(3n, 2n, 0n, 0n, 0n));
+    expect(await escrow.userVolume(buyer.address, ethers.ZeroAddress)).to.equal(3n * amount);
+  });
+
+  it("Should count disputes raised, won and lost, but not expired settlements", async function () {
+    const { escrow, buyer, seller } = await loadFixture(deployEscrowFixture);
+
+    const won = await createEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).raiseDispute(won, "Not delivered", { value: DISPUTE_FEE });
+    await escrow.resolveDispute(won, remaining, 0);
+
+    const tied = await createEscrow(escrow, buyer, seller);
+    await escrow.connect(seller).raiseDispute(tied, "Not paid", { value: DISPUTE_FEE });
+    await escrow.resolveDispute(tied, remaining / 2n, remaining / 2n);
+
+    const expired = await createEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).raiseDispute(expired, "Not delivered", { value: DISPUTE_FEE });
+    await time.increase(7 * 24 * 3600 + 1);
+    await escrow.settleExpiredDispute(expired);
+
+    expect(await reputation(escrow, buyer)).to.deep.equal(buyerRecord(0n, 0n, 2n, 1n, 0n));
+    expect(await reputation(escrow, seller)).to.deep.equal(sellerRecord(0n, 0n, 1n, 0n, 1n));
+  });
+
+  it("Should let sellers require buyers with completed purchases", async function () {
+    const { escrow, buyer, seller, other } = await loadFixture(deployEscrowFixture);
+    await escrow.connect(other).releaseFunds(await createEscrow(escrow, other, buyer));
+
+    await expect(escrow.connect(seller).setMinBuyerTrades(1))
+      .to.emit(escrow, "MinBuyerTradesUpdated")
+      .withArgs(seller.address, 1);
+    expect(await escrow.minBuyerTrades(seller.address)).to.equal(1);
+
+    // Both completed the escrow above, but only other did as the buyer
+    await expect(createEscrow(escrow, other, seller)).to.not.be.reverted;
+    await expect(createEscrow(escrow, buyer, seller)).to.be.revertedWithCustomError(
+      escrow,
+      "BuyerReputationTooLow"
+    );
+
+    await escrow.connect(seller).setMinBuyerTrades(2);
+    await expect(createEscrow(escrow, other, seller)).to.be.revertedWithCustomError(
+      escrow,
+      "BuyerReputationTooLow"
+    );
+
+    // Offers the seller signed are held to the same minimum
+    const { chainId } = await ethers.provider.getNetwork();
+    const offer = {
+      seller: seller.address,
+      token: ethers.ZeroAddress,
+      amount,
+      paymentDetails: "",
+      expiry: (await time.latest()) + 3600,
+      nonce: 1,
+    };
+    const signature = await signOffer(seller, { escrowAddress: escrow.target, chainId }, offer);
+    await expect(
+      escrow.connect(buyer).acceptOffer(offer, signature, { value: amount })
+    ).to.be.revertedWithCustomError(escrow, "BuyerReputationTooLow");
+  });
+
+  it("Should page through a user's escrows by status", async function () {
+    const { escrow, buyer, seller, other } = await loadFixture(deployEscrowFixture);
+    for (let i = 0; i < 5; i++) await createEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).releaseFunds(2);
+    await escrow.connect(buyer).cancelEscrow(4);
+
+    const page = (offset, limit, statusMask = 0) =>
+      escrow.getUserEscrowsPage(buyer.address, offset, limit, statusMask);
+    const FUNDED = 1n << 1n;
+    const RELEASED = 1n << 2n;
+    const CANCELLED = 1n << 3n;
+
+    expect(await escrow.getUserEscrowCount(buyer.address)).to.equal(5);
+    expect(await page(0, 2)).to.deep.equal([1n, 2n]);
+    expect(await page(4, 10)).to.deep.equal([5n]);
+    expect(await page(10, 5)).to.deep.equal([]);
+    expect(await page(1, ethers.MaxUint256)).to.deep.equal([2n, 3n, 4n, 5n]);
+
+    expect(await page(0, 5, FUNDED)).to.deep.equal([1n, 3n, 5n]);
+    expect(await page(0, 5, RELEASED | CANCELLED)).to.deep.equal([2n, 4n]);
+    expect(await page(1, 2, FUNDED)).to.deep.equal([3n]); // entries 1 and 2 only
+    expect(await escrow.getUserEscrowCount(other.address)).to.equal(0);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,305 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadDeployConfig } = require("../deploy/config");
+const { runDeployment, runUpgrade, deploymentFiles } = require("../deploy/pipeline");
+const { compareStorageLayouts, readStorageLayout } = require("../deploy/storageLayout");
+const { PLATFORM_FEE, DISPUTE_FEE, deployEscrow, executeTimelocked } = require("./fixtures");
+
+// ERC-1967 implementation slot: keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+describe("CryptoEscrow upgrades", function () {
+  let deploymentsDir;
+  let files;
+
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-upgrades-"));
+    files = deploymentFiles(deploymentsDir, hre.network.name);
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function queueUpgrade(contractName = "CryptoEscrowV2Mock") {
+    return runUpgrade(hre, { contractName, deploymentsDir, log: () => {} });
+  }
+
+  // Queues the upgrade, waits out the timelock and runs it
+  async function upgrade(contractName = "CryptoEscrowV2Mock") {
+    const { pending } = await queueUpgrade(contractName);
+    await time.increaseTo(pending.executableAt);
+    return queueUpgrade(contractName);
+  }
+
+  async function implementationOf(address) {
+    const slot = await ethers.provider.getStorage(address, IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+  }
+
+  // Deploys through the pipeline and leaves escrows in every state that holds funds
+  async function deployWithLiveEscrows() {
+    const [owner, buyer, seller, arbitrator] = await ethers.getSigners();
+    const { record } = await runDeployment(hre, {
+      config: { ...loadDeployConfig("hardhat"), arbitrators: [arbitrator.address] },
+      deploymentsDir,
+      log: () => {},
+    });
+    const escrow = new ethers.Contract(record.contract.address, record.contract.abi, owner);
+    const usdt = await ethers.getContractAt("ERC20Mock", record.tokens.USDT);
+    const amount = ethers.parseEther("1");
+
+    // 1: released, 2: funded, 3: disputed
+    for (let i = 0; i < 3; i++) {
+      await escrow
+        .connect(buyer)
+        .createEscrow(seller.address, ethers.ZeroAddress, amount, "", 0, { value: amount });
+    }
+    await escrow.connect(buyer).releaseFunds(1);
+    const [, disputeFee] = await escrow.getDisputeFee(3);
+    await escrow.connect(buyer).raiseDispute(3, "Not delivered", { value: disputeFee });
+
+    // 4: milestones, the first one released
+    const milestones = [amount, amount];
+    await escrow
+      .connect(buyer)
+      .createMilestoneEscrow(seller.address, ethers.ZeroAddress, milestones, ["a", "b"], "", 0, {
+        value: amount * 2n,
+      });
+    await escrow.connect(buyer).releaseMilestone(4);
+
+    await usdt.approve(escrow.target, amount);
+    await escrow.wrapToken(usdt.target, amount);
+
+    return { escrow, record, usdt, amount, owner, buyer, seller, arbitrator };
+  }
+
+  describe("Proxy", function () {
+    async function deployProxy() {
+      const [owner] = await ethers.getSigners();
+      const chx = await (await ethers.getContractFactory("ERC20Mock")).deploy("CHX Token", "CHX");
+      const initArgs = [PLATFORM_FEE, DISPUTE_FEE, owner.address, [], chx.target];
+      return { escrow: await deployEscrow(initArgs), initArgs, owner };
+    }
+
+    it("Should only initialize once", async function () {
+      const { escrow, initArgs } = await deployProxy();
+
+      await expect(escrow.initialize(...initArgs)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidInitialization"
+      );
+    });
+
+    it("Should lock the implementation", async function () {
+      const { escrow, initArgs } = await deployProxy();
+      const implementation = escrow.attach(await implementationOf(escrow.target));
+
+      await expect(implementation.initialize(...initArgs)).to.be.revertedWithCustomError(
+        escrow,
+        "InvalidInitialization"
+      );
+      expect(await implementation.admin()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the admin upgrade through the timelock", async function () {
+      const [, other] = await ethers.getSigners();
+      const { escrow, owner } = await deployProxy();
+      const V2 = await ethers.getContractFactory("CryptoEscrowV2Mock");
+      const v2 = await V2.deploy(await escrow.adminModule());
+      const data = escrow.interface.encodeFunctionData("upgradeToAndCall", [v2.target, "0x"]);
+
+      await expect(escrow.upgradeToAndCall(v2.target, "0x")).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await expect(escrow.connect(other).queueOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "UnauthorizedAccess"
+      );
+      await escrow.queueOperation(data);
+      await expect(escrow.executeOperation(data)).to.be.revertedWithCustomError(
+        escrow,
+        "OperationNotReady"
+      );
+      await expect(executeTimelocked(escrow, owner, "upgradeToAndCall", [owner.address, "0x"])).to
+        .be.reverted;
+
+      await time.increase(await escrow.TIMELOCK_DELAY());
+      await escrow.executeOperation(data);
+      expect(await implementationOf(escrow.target)).to.equal(v2.target);
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("Should preserve live escrows", async function () {
+      const { escrow, record, usdt, amount, buyer, seller, arbitrator } =
+        await deployWithLiveEscrows();
+      const before = await Promise.all(
+        [1, 2, 3, 4].map(async (id) => (await escrow.getEscrowDetails(id)).toArray(true))
+      );
+      const credited = await escrow.pendingWithdrawals(seller.address, ethers.ZeroAddress);
+      const wrapped = await ethers.getContractAt(
+        "WrappedToken",
+        await escrow.getWrappedToken(usdt.target)
+      );
+
+      const { record: upgraded } = await upgrade();
+      expect(upgraded.contract.address).to.equal(record.contract.address);
+      expect(await implementationOf(escrow.target)).to.equal(upgraded.contract.implementation);
+
+      const v2 = new ethers.Contract(escrow.target, upgraded.contract.abi, seller);
+      expect(await v2.version()).to.equal("2");
+      const after = await Promise.all(
+        [1, 2, 3, 4].map(async (id) => (await v2.getEscrowDetails(id)).toArray(true))
+      );
+      expect(after).to.deep.equal(before);
+      expect(await v2.admin()).to.equal(record.deployer);
+      expect(await v2.arbitrators(arbitrator.address)).to.be.true;
+      expect(await v2.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(credited);
+
+      // The escrows keep working on the new implementation
+      await v2.connect(buyer).releaseFunds(2);
+      await v2.connect(buyer).releaseMilestone(4);
+      const half = (amount - (await v2.calculatePlatformFee(amount))) / 2n;
+      await v2.connect(arbitrator).resolveDispute(3, half, half);
+      expect(await v2.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.be.gt(credited);
+      await expect(v2.withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+        seller,
+        await v2.pendingWithdrawals(seller.address, ethers.ZeroAddress)
+      );
+      await v2.connect(buyer).incrementUpgradeCounter();
+      expect(await v2.upgradeCounter()).to.equal(1);
+
+      await expect(escrow.unwrapToken(wrapped.target, amount)).to.changeTokenBalance(
+        usdt,
+        record.deployer,
+        amount
+      );
+    });
+
+    it("Should queue the upgrade and run it once the timelock passed", async function () {
+      const { escrow, record } = await deployWithLiveEscrows();
+
+      const queued = await queueUpgrade();
+      expect(queued.pending.contractName).to.equal("CryptoEscrowV2Mock");
+      expect(await escrow.queuedOperations(queued.pending.operationId)).to.equal(
+        queued.pending.executableAt
+      );
+      expect(await implementationOf(escrow.target)).to.equal(record.contract.implementation);
+      expect(readJson(files.record).pendingUpgrade.implementation).to.equal(
+        queued.pending.implementation
+      );
+
+      // Too early: nothing changes and nothing new is deployed
+      const early = await queueUpgrade();
+      expect(early.pending.operationId).to.equal(queued.pending.operationId);
+      await expect(queueUpgrade("CryptoEscrow")).to.be.rejectedWith(
+        /An upgrade to CryptoEscrowV2Mock is queued/
+      );
+
+      await time.increaseTo(queued.pending.executableAt);
+      const { record: upgraded, pending } = await queueUpgrade();
+      expect(pending).to.be.null;
+      expect(upgraded.pendingUpgrade).to.be.undefined;
+      expect(upgraded.contract.implementation).to.equal(queued.pending.implementation);
+      expect(await implementationOf(escrow.target)).to.equal(queued.pending.implementation);
+      expect(readJson(files.history).map((entry) => entry.action)).to.deep.equal([
+        "deploy",
+        "upgrade",
+      ]);
+    });
+
+    it("Should queue a new upgrade when the queued one was cancelled", async function () {
+      const { escrow } = await deployWithLiveEscrows();
+      const { pending } = await queueUpgrade();
+      await escrow.cancelOperation(pending.data);
+
+      const requeued = await queueUpgrade();
+      expect(requeued.pending.implementation).to.not.equal(pending.implementation);
+      expect(await escrow.queuedOperations(requeued.pending.operationId)).to.not.equal(0);
+    });
+
+    it("Should record every implementation", async function () {
+      const { record } = await deployWithLiveEscrows();
+      await upgrade();
+      await upgrade();
+
+      const saved = readJson(files.record);
+      expect(saved.contract.address).to.equal(record.contract.address);
+      expect(saved.contract.name).to.equal("CryptoEscrowV2Mock");
+      expect(saved.implementations.map((entry) => entry.contractName)).to.deep.equal([
+        "CryptoEscrow",
+        "CryptoEscrowV2Mock",
+        "CryptoEscrowV2Mock",
+      ]);
+      expect(saved.contract.implementation).to.equal(saved.implementations[2].address);
+      expect(await implementationOf(record.contract.address)).to.equal(
+        saved.contract.implementation
+      );
+
+      const history = readJson(files.history);
+      expect(history.map((entry) => entry.action)).to.deep.equal(["deploy", "upgrade", "upgrade"]);
+      expect(history[1].implementation).to.equal(saved.implementations[1].address);
+
+      // Going back to CryptoEscrow would drop the variable V2 appended
+      await expect(upgrade("CryptoEscrow")).to.be.rejectedWith(
+        /upgradeCounter was moved, renamed or removed/
+      );
+    });
+
+    it("Should refuse an upgrade that reorders Escrow fields", async function () {
+      const { record } = await deployWithLiveEscrows();
+
+      // As if the running implementation stored `seller` before `buyer`
+      const saved = readJson(files.record);
+      const escrowType = Object.values(saved.contract.storageLayout.types).find(
+        (type) => type.label === "struct Escrow"
+      );
+      const [buyer, seller] = escrowType.members;
+      [buyer.label, seller.label] = [seller.label, buyer.label];
+      fs.writeFileSync(files.record, JSON.stringify(saved));
+
+      await expect(upgrade()).to.be.rejectedWith(
+        /not storage compatible[\s\S]*escrows\[\]\.seller was moved, renamed or removed/
+      );
+      expect(await implementationOf(record.contract.address)).to.equal(
+        record.contract.implementation
+      );
+      expect(readJson(files.record).implementations).to.have.lengthOf(1);
+    });
+
+    it("Should require a deployment to upgrade", async function () {
+      await expect(upgrade()).to.be.rejectedWith(/No upgradeable deployment/);
+    });
+  });
+
+  describe("Storage layout", function () {
+    it("Should accept appended state variables", async function () {
+      const current = await readStorageLayout(hre, "CryptoEscrow");
+      expect(compareStorageLayouts(current, await readStorageLayout(hre, "CryptoEscrowV2Mock"))).to
+        .be.empty;
+    });
+
+    it("Should report removed and retyped variables", async function () {
+      const current = await readStorageLayout(hre, "CryptoEscrow");
+      const next = JSON.parse(JSON.stringify(current));
+      next.storage = next.storage.filter((item) => item.label !== "feeCollector");
+      next.storage.find((item) => item.label === "disputeFeeFixed").type = "t_uint128";
+      next.types.t_uint128 = { label: "uint128", encoding: "inplace", numberOfBytes: "16" };
+
+      const problems = compareStorageLayouts(current, next);
+      expect(problems).to.include("feeCollector was moved, renamed or removed");
+      expect(problems).to.include("disputeFeeFixed changed type from uint256 to uint128");
+    });
+  });
+});
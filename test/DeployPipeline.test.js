@@ -0,0 +1,293 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDeployConfig, validateDeployConfig, NETWORKS_DIR } = require("../deploy/config");
+const { runDeployment, deploymentFiles } = require("../deploy/pipeline");
+const { escrowAbi } = require("../deploy/escrow");
+const { parseDeployment } = require("../sdk/deployments");
+
+describe("Deploy pipeline", function () {
+  let deploymentsDir;
+  let files;
+
+  function localConfig(overrides = {}) {
+    return { ...loadDeployConfig("hardhat"), ...overrides };
+  }
+
+  function deploy(config, options = {}) {
+    return runDeployment(hre, { config, deploymentsDir, log: () => {}, ...options });
+  }
+
+  async function escrowAt(address) {
+    return new ethers.Contract(address, await escrowAbi(hre), (await ethers.getSigners())[0]);
+  }
+
+  function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  beforeEach(function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-deployments-"));
+    files = deploymentFiles(deploymentsDir, hre.network.name);
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Config", function () {
+    it("Should accept every committed network config", function () {
+      const env = { TOKEN_ADDRESS: ethers.Wallet.createRandom().address };
+      env.FEE_COLLECTOR = env.TOKEN_ADDRESS;
+      env.ESCROW_ADMIN = env.TOKEN_ADDRESS;
+      for (const file of fs.readdirSync(NETWORKS_DIR)) {
+        const network = path.basename(file, ".json");
+        expect(() => loadDeployConfig(network, { env })).to.not.throw();
+      }
+    });
+
+    it("Should report missing environment variables", function () {
+      expect(() => loadDeployConfig("bscmain", { env: {} }))
+        .to.throw(/TOKEN_ADDRESS is not set/)
+        .and.to.match(/FEE_COLLECTOR is not set/);
+    });
+
+    it("Should list every problem at once", function () {
+      const config = {
+        platformFeePercentage: 600,
+        disputeFee: "0.001",
+        feeCollector: "0x1234",
+        admin: "deployer",
+        chxToken: { symbol: "CHX", mock: true },
+        tokens: [
+          { symbol: "USDT", address: "not an address", decimals: 6, limits: { min: 1 } },
+          { symbol: "CHX", mock: true, panelThreshold: 5000 },
+        ],
+        nativeLimits: { minimum: "1" },
+        arbitrators: [ethers.ZeroAddress, ethers.ZeroAddress],
+        disputePanel: { size: 4, quorum: 2 },
+        refundDisputeFeeToWinner: "yes",
+        feeColector: "deployer",
+      };
+
+      let message;
+      try {
+        validateDeployConfig(config, { network: "sepolia" });
+      } catch (error) {
+        message = error.message;
+      }
+      for (const problem of [
+        /unknown key "feeColector"/,
+        /platformFeePercentage must be an integer between 0 and 500/,
+        /disputeFee must be at least 0.01/,
+        /feeCollector must be an address/,
+        /chxToken: mock tokens can only be deployed on local networks/,
+        /tokens\[0\].address must be an address/,
+        /tokens\[0\].decimals can only be set for mock tokens/,
+        /tokens\[0\].limits.min must be a decimal string/,
+        /nativeLimits: unknown key "minimum"/,
+        /Token symbol CHX is listed more than once/,
+        /Arbitrator 0x0{40} is listed more than once/,
+        /disputePanel.quorum must be a majority of the 4 members/,
+        /tokens\[1\].panelThreshold must be a decimal string/,
+        /refundDisputeFeeToWinner must be true or false/,
+      ]) {
+        expect(message).to.match(problem);
+      }
+    });
+  });
+
+  describe("Deployment", function () {
+    it("Should deploy mock tokens and run every setup step", async function () {
+      const [deployer, arbitrator] = await ethers.getSigners();
+      const { action, record } = await deploy(localConfig({ arbitrators: [arbitrator.address] }));
+
+      expect(action).to.equal("deploy");
+      expect(record.version).to.equal(1);
+      expect(Object.keys(record.tokens)).to.deep.equal(["CHX", "USDT", "WBNB"]);
+
+      const escrow = await escrowAt(record.contract.address);
+      for (const address of Object.values(record.tokens)) {
+        expect(await escrow.isTokenSupported(address)).to.be.true;
+      }
+      const usdt = await ethers.getContractAt("ERC20Mock", record.tokens.USDT);
+      expect(await usdt.balanceOf(deployer.address)).to.equal(ethers.parseEther("1000000"));
+      expect(await escrow.arbitrators(arbitrator.address)).to.be.true;
+      expect(await escrow.refundDisputeFeeToWinner()).to.be.true;
+
+      const data = escrow.interface.encodeFunctionData("setTokenDisputeFee", [
+        record.tokens.USDT,
+        ethers.parseEther("10"),
+      ]);
+      expect(await escrow.queuedOperations(ethers.keccak256(data))).to.be.gt(0);
+
+      const saved = readJson(files.record);
+      expect(parseDeployment(saved).address).to.equal(record.contract.address);
+      expect(saved.implementations.map((entry) => entry.address)).to.deep.equal([
+        record.contract.implementation,
+      ]);
+      expect(Object.keys(saved.steps)).to.include.members(["arbitrators", "tokenDisputeFees"]);
+      expect(readJson(files.history)).to.have.lengthOf(1);
+    });
+
+    it("Should set token limits in each token's decimals", async function () {
+      const config = localConfig({
+        tokens: [
+          {
+            symbol: "USDC",
+            mock: true,
+            decimals: 6,
+            limits: { min: "0.5", max: "10000", dailyCap: "1000000" },
+          },
+        ],
+        nativeLimits: { maxExposure: "50" },
+      });
+      const { record } = await deploy(config);
+      const escrow = await escrowAt(record.contract.address);
+
+      const usdc = await ethers.getContractAt("ERC20DecimalsMock", record.tokens.USDC);
+      expect(await usdc.balanceOf(record.deployer)).to.equal(ethers.parseUnits("1000000", 6));
+      expect(await escrow.getTokenLimits(usdc.target)).to.deep.equal([
+        ethers.parseUnits("0.5", 6),
+        ethers.parseUnits("10000", 6),
+        0n,
+        ethers.parseUnits("1000000", 6),
+      ]);
+      expect(await escrow.getTokenLimits(ethers.ZeroAddress)).to.deep.equal([
+        ethers.parseEther("0.001"),
+        0n,
+        ethers.parseEther("50"),
+        0n,
+      ]);
+      expect(record.steps.tokenLimits.txHashes).to.have.lengthOf(2);
+
+      const rerun = await deploy(config);
+      expect(rerun.action).to.equal("reuse");
+      expect(rerun.record.steps.tokenLimits.txHashes).to.have.lengthOf(2); // config unchanged
+    });
+
+    it("Should configure dispute panels and their thresholds", async function () {
+      const config = localConfig({
+        tokens: [{ symbol: "USDC", mock: true, decimals: 6, panelThreshold: "25000.5" }],
+        nativePanelThreshold: "10",
+        disputePanel: { size: 3, quorum: 2 },
+      });
+      const { record } = await deploy(config);
+      const escrow = await escrowAt(record.contract.address);
+
+      expect(await escrow.panelSize()).to.equal(3);
+      expect(await escrow.panelQuorum()).to.equal(2);
+      expect(await escrow.panelThresholds(record.tokens.USDC)).to.equal(
+        ethers.parseUnits("25000.5", 6)
+      );
+      expect(await escrow.panelThresholds(ethers.ZeroAddress)).to.equal(ethers.parseEther("10"));
+      expect(record.steps.disputePanel.txHashes).to.have.lengthOf(3);
+
+      // Applied settings are not sent again
+      const saved = readJson(files.record);
+      delete saved.steps.disputePanel;
+      fs.writeFileSync(files.record, JSON.stringify(saved));
+      const rerun = await deploy(config);
+      expect(rerun.record.steps.disputePanel.txHashes).to.be.empty;
+
+      expect(() =>
+        validateDeployConfig({ ...config, disputePanel: undefined }, { network: "hardhat" })
+      ).to.throw(/nativePanelThreshold, USDC.panelThreshold need disputePanel to be set/);
+    });
+
+    it("Should reject limits that do not fit the token's decimals", async function () {
+      const config = localConfig({
+        tokens: [
+          { symbol: "USDC", mock: true, decimals: 6, limits: { min: "0", max: "0.0000001" } },
+          { symbol: "DUST", mock: true, decimals: 2, limits: { min: "1", dailyCap: "0.5" } },
+        ],
+      });
+
+      const error = await deploy(config).catch((rejected) => rejected);
+      expect(error.message)
+        .to.match(/USDC.limits.max 0.0000001 has more than the token's 6 decimals/)
+        .and.to.match(/USDC.limits.min must be at least 0.000001/)
+        .and.to.match(/DUST.limits.dailyCap is below the minimum escrow amount/);
+      expect(fs.existsSync(files.record)).to.be.false;
+    });
+
+    it("Should reuse an existing deployment unless forced", async function () {
+      const config = localConfig();
+      const first = await deploy(config);
+
+      const second = await deploy(config);
+      expect(second.action).to.equal("reuse");
+      expect(second.record.contract.address).to.equal(first.record.contract.address);
+
+      const forced = await deploy(config, { force: true });
+      expect(forced.action).to.equal("deploy");
+      expect(forced.record.contract.address).to.not.equal(first.record.contract.address);
+
+      const history = readJson(files.history);
+      expect(history.map((entry) => [entry.version, entry.action])).to.deep.equal([
+        [1, "deploy"],
+        [1, "reuse"],
+        [2, "deploy"],
+      ]);
+      expect(history[1].steps).to.be.empty;
+    });
+
+    it("Should replace a record in the old layout", async function () {
+      fs.writeFileSync(
+        files.record,
+        JSON.stringify({
+          network: "hardhat",
+          contracts: { CryptoEscrow: { address: ethers.ZeroAddress } },
+        })
+      );
+
+      const { action } = await deploy(localConfig());
+      expect(action).to.equal("deploy");
+      expect(readJson(files.record).contract.address).to.not.equal(ethers.ZeroAddress);
+    });
+
+    it("Should resume setup steps that did not finish", async function () {
+      const [, arbitrator, other] = await ethers.getSigners();
+      const { record } = await deploy(localConfig({ arbitrators: [arbitrator.address] }));
+
+      // As if the run had stopped before recording the step
+      const saved = readJson(files.record);
+      delete saved.steps.arbitrators;
+      fs.writeFileSync(files.record, JSON.stringify(saved));
+
+      const resumed = await deploy(localConfig({ arbitrators: [arbitrator.address] }));
+      expect(resumed.record.steps.arbitrators.txHashes).to.be.empty;
+
+      // A config change reruns the steps and only applies what is new
+      const updated = await deploy(
+        localConfig({ arbitrators: [arbitrator.address, other.address] })
+      );
+      expect(updated.record.steps.arbitrators.txHashes).to.have.lengthOf(1);
+      const escrow = await escrowAt(record.contract.address);
+      expect(await escrow.arbitrators(other.address)).to.be.true;
+    });
+
+    it("Should hand every role over to the configured admin", async function () {
+      const [deployer, , , newAdmin] = await ethers.getSigners();
+      const { record } = await deploy(localConfig({ admin: newAdmin.address }));
+      const escrow = await escrowAt(record.contract.address);
+
+      const roles = await Promise.all(
+        ["FEE_MANAGER_ROLE", "TOKEN_MANAGER_ROLE", "ARBITRATOR_MANAGER_ROLE", "PAUSER_ROLE"].map(
+          (name) => escrow[name]()
+        )
+      );
+      for (const role of roles) {
+        expect(await escrow.hasRole(role, newAdmin.address)).to.be.true;
+        expect(await escrow.hasRole(role, deployer.address)).to.be.false;
+      }
+      expect(await escrow.pendingAdmin()).to.equal(newAdmin.address);
+
+      await escrow.connect(newAdmin).acceptAdmin();
+      expect(await escrow.admin()).to.equal(newAdmin.address);
+    });
+  });
+});
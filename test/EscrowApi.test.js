@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+const { createApiServer } = require("../api/server");
+const { deployEscrow } = require("./fixtures");
+
+describe("Escrow API", function () {
+  let server;
+  let baseUrl;
+
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    const startBlock = await ethers.provider.getBlockNumber(); // the proxy deployment
+
+    // 1: native, released
+    const one = ethers.parseEther("1");
+    await escrow.connect(buyer).createEscrow(seller.address, ethers.ZeroAddress, one, "Cash", 0, {
+      value: one,
+    });
+    await escrow.connect(buyer).releaseFunds(1);
+
+    // 2: USDT, disputed and resolved with evidence
+    const hundred = ethers.parseEther("100");
+    await usdt.connect(buyer).approve(escrow.target, hundred);
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, hundred, "Bank", 0);
+    await escrow.connect(buyer).fundEscrow(2);
+    await escrow.connect(buyer).raiseDispute(2, "Wrong item", { value: ethers.parseEther("0.1") });
+    await escrow.connect(buyer).submitDisputeEvidence(2, "ipfs://photo");
+    await escrow.connect(seller).submitDisputeEvidence(2, "ipfs://tracking");
+    await escrow
+      .connect(owner)
+      .resolveDispute(2, ethers.parseEther("60"), ethers.parseEther("39"));
+
+    // 3: native to another seller, still funded
+    await escrow.connect(buyer).createEscrow(other.address, ethers.ZeroAddress, one, "", 0, {
+      value: one,
+    });
+
+    // A wrapped token for GET /tokens
+    await usdt.connect(buyer).approve(escrow.target, one);
+    await escrow.connect(buyer).wrapToken(usdt.target, one);
+
+    const store = new JsonStore();
+    const indexer = new EscrowIndexer(
+      { address: escrow.target, abi: escrow.interface.fragments, provider: ethers.provider, store },
+      { startBlock }
+    );
+    await indexer.sync();
+
+    return { escrow, usdt, store, owner, buyer, seller, other };
+  }
+
+  async function startServer() {
+    const fixture = await loadFixture(deployFixture);
+    server = createApiServer({ store: fixture.store, escrow: fixture.escrow });
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return fixture;
+  }
+
+  async function get(path) {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  describe("GET /escrows", function () {
+    it("Should list all escrows without timelines", async function () {
+      await startServer();
+      const { status, body } = await get("/escrows");
+
+      expect(status).to.equal(200);
+      expect(body.map((e) => e.id)).to.deep.equal(["1", "2", "3"]);
+      expect(body[0]).to.not.have.property("timeline");
+    });
+
+    it("Should filter by buyer, seller, status and token", async function () {
+      const { usdt, buyer, other } = await startServer();
+
+      expect((await get(`/escrows?buyer=${buyer.address}`)).body).to.have.length(3);
+      expect((await get(`/escrows?seller=${other.address}`)).body.map((e) => e.id)).to.deep.equal([
+        "3",
+      ]);
+      expect((await get("/escrows?status=Funded")).body.map((e) => e.id)).to.deep.equal(["3"]);
+      expect((await get(`/escrows?token=${usdt.target}`)).body.map((e) => e.id)).to.deep.equal([
+        "2",
+      ]);
+    });
+
+    it("Should reject malformed filters", async function () {
+      await startServer();
+
+      expect((await get("/escrows?buyer=0x123")).status).to.equal(400);
+      expect((await get("/escrows?status=Lost")).status).to.equal(400);
+      expect((await get("/escrows?from=yesterday")).status).to.equal(400);
+    });
+  });
+
+  describe("GET /escrows/:id", function () {
+    it("Should return the on-chain struct with timeline and evidence", async function () {
+      const { owner, seller } = await startServer();
+      const { status, body } = await get("/escrows/2");
+
+      expect(status).to.equal(200);
+      expect(body.escrow.status).to.equal("Resolved");
+      expect(body.escrow.assetType).to.equal("ERC20");
+      expect(body.escrow.arbitrator).to.equal(owner.address);
+      expect(body.escrow.seller).to.equal(seller.address);
+      expect(body.escrow.disputeReason).to.equal("Wrong item");
+      expect(body.evidenceURLs).to.deep.equal(["ipfs://photo", "ipfs://tracking"]);
+      expect(body.timeline.map((e) => e.event)).to.deep.equal([
+        "EscrowCreated",
+        "FundsDeposited",
+        "DisputeRaised",
+        "DisputeArbitratorAssigned",
+        "DisputeEvidenceSubmitted",
+        "DisputeEvidenceSubmitted",
+        "DisputeResolved",
+      ]);
+    });
+
+    it("Should return 404 for unknown escrows and routes", async function () {
+      await startServer();
+
+      expect((await get("/escrows/99")).status).to.equal(404);
+      expect((await get("/nothing")).status).to.equal(404);
+    });
+  });
+
+  describe("GET /tokens", function () {
+    it("Should mirror supported tokens and their wrappers", async function () {
+      const { escrow, usdt } = await startServer();
+      const { body } = await get("/tokens");
+
+      const supported = new Set(await escrow.getSupportedTokens());
+      expect(body.map((t) => t.address)).to.have.members([...supported]);
+      const usdtEntry = body.find((t) => t.address === usdt.target);
+      expect(usdtEntry.wrappedToken).to.equal(await escrow.getWrappedToken(usdt.target));
+      expect(usdtEntry.limits).to.deep.equal({
+        minAmount: ethers.parseEther("0.001").toString(),
+        maxAmount: "0",
+        maxExposure: "0",
+        dailyCap: "0",
+      });
+      const native = body.find((t) => t.native);
+      expect(native.wrappedToken).to.equal(ethers.ZeroAddress);
+      expect(native.limits).to.equal(null); // never set, so the contract default applies
+      expect(native.panelThreshold).to.equal(null);
+    });
+  });
+
+  describe("GET /stats", function () {
+    it("Should aggregate volume and fees per token", async function () {
+      const { usdt } = await startServer();
+      const { body } = await get("/stats");
+
+      expect(body.escrows).to.equal(3);
+
+      const native = body.tokens[ethers.ZeroAddress];
+      expect(native.escrows).to.equal(2);
+      expect(native.fundedVolume).to.equal(ethers.parseEther("2").toString());
+      expect(native.releasedVolume).to.equal(ethers.parseEther("0.99").toString());
+      expect(native.platformFeesCollected).to.equal(ethers.parseEther("0.01").toString());
+
+      const token = body.tokens[usdt.target];
+      expect(token.byStatus).to.deep.equal({ Resolved: 1 });
+      expect(token.releasedVolume).to.equal(ethers.parseEther("39").toString());
+      expect(token.refundedVolume).to.equal(ethers.parseEther("60").toString());
+      expect(token.platformFeesCollected).to.equal(ethers.parseEther("1").toString());
+    });
+  });
+});
@@ -0,0 +1,618 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  EscrowClient,
+  EscrowError,
+  AmountTooSmall,
+  BuyerReputationTooLow,
+  ExposureLimitExceeded,
+  InvalidSellerAddress,
+  TokenNotSupported,
+  UnauthorizedAccess,
+  deriveEncryptionKeyPair,
+  generateEncryptionKeyPair,
+  isEncrypted,
+} = require("../sdk");
+const { deployEscrow, executeTimelocked } = require("./fixtures");
+
+describe("EscrowClient", function () {
+  async function deployFixture() {
+    const [owner, buyer, seller, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100, // 1% fee
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+
+    // Same shape as the record written by scripts/deploy.js
+    const deployment = {
+      contract: {
+        name: "CryptoEscrow",
+        address: await escrow.getAddress(),
+        abi: JSON.parse(escrow.interface.formatJson()),
+      },
+    };
+
+    const client = EscrowClient.fromDeployment(deployment, buyer);
+    return { escrow, usdt, client, deployment, owner, buyer, seller, other };
+  }
+
+  describe("Escrow lifecycle", function () {
+    it("Should create a funded native escrow", async function () {
+      const { client, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("1");
+
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        amount,
+        paymentDetails: "Native trade",
+      });
+
+      const details = await client.getEscrow(escrowId);
+      expect(details.status).to.equal("Funded");
+      expect(details.assetType).to.equal("Native");
+      expect(details.amount).to.equal(amount);
+      expect(details.paymentDetails).to.equal("Native trade");
+      expect(details.createdAt).to.be.instanceOf(Date);
+    });
+
+    it("Should approve and fund an ERC20 escrow in one call", async function () {
+      const { client, escrow, usdt, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("100");
+
+      const { escrowId, receipts } = await client.createEscrow({
+        seller: seller.address,
+        token: await usdt.getAddress(),
+        amount,
+      });
+
+      expect(receipts).to.have.length(3); // create, approve, fund
+      expect((await client.getEscrow(escrowId)).status).to.equal("Funded");
+      expect(await usdt.balanceOf(await escrow.getAddress())).to.equal(amount);
+    });
+
+    it("Should leave an ERC20 escrow pending when funding is deferred", async function () {
+      const { client, usdt, seller } = await loadFixture(deployFixture);
+
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        token: await usdt.getAddress(),
+        amount: ethers.parseEther("10"),
+        fund: false,
+      });
+      expect((await client.getEscrow(escrowId)).status).to.equal("Pending");
+
+      await client.fundEscrow(escrowId);
+      expect((await client.getEscrow(escrowId)).status).to.equal("Funded");
+    });
+
+    it("Should release and cancel escrows", async function () {
+      const { client, buyer, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("1");
+
+      const first = await client.createEscrow({ seller: seller.address, amount });
+      await client.release(first.escrowId);
+      expect((await client.getEscrow(first.escrowId)).status).to.equal("Released");
+
+      const second = await client.createEscrow({ seller: seller.address, amount });
+      await client.cancel(second.escrowId);
+      expect((await client.getEscrow(second.escrowId)).status).to.equal("Cancelled");
+      expect(await client.getWithdrawable(buyer.address)).to.deep.equal([
+        { token: ethers.ZeroAddress, amount },
+      ]);
+    });
+
+    it("Should withdraw credited payouts", async function () {
+      const { client, usdt, seller } = await loadFixture(deployFixture);
+      const nativeAmount = ethers.parseEther("1");
+      const tokenAmount = ethers.parseEther("100");
+
+      const native = await client.createEscrow({ seller: seller.address, amount: nativeAmount });
+      const token = await client.createEscrow({
+        seller: seller.address,
+        token: usdt.target,
+        amount: tokenAmount,
+      });
+      await client.release(native.escrowId);
+      await client.release(token.escrowId);
+
+      const sellerClient = client.connect(seller);
+      expect(await sellerClient.getWithdrawable(seller.address)).to.deep.equal([
+        { token: ethers.ZeroAddress, amount: (nativeAmount * 99n) / 100n },
+        { token: usdt.target, amount: (tokenAmount * 99n) / 100n },
+      ]);
+
+      const nativeBalance = await ethers.provider.getBalance(seller.address);
+      const receipt = await sellerClient.withdraw();
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(
+        nativeBalance + (nativeAmount * 99n) / 100n - receipt.fee
+      );
+
+      await sellerClient.withdrawAll();
+      expect(await usdt.balanceOf(seller.address)).to.equal((tokenAmount * 99n) / 100n);
+      expect(await sellerClient.getWithdrawable(seller.address)).to.deep.equal([]);
+    });
+
+    it("Should create and release milestone escrows", async function () {
+      const { client, usdt, seller } = await loadFixture(deployFixture);
+      const milestones = [
+        { amount: ethers.parseEther("10"), description: "Sample" },
+        { amount: ethers.parseEther("90"), description: "Full batch" },
+      ];
+      const { escrowId } = await client.createMilestoneEscrow({
+        seller: seller.address,
+        token: usdt.target,
+        milestones,
+      });
+
+      await client.releaseMilestone(escrowId);
+      const escrow = await client.getEscrow(escrowId);
+      expect(escrow.status).to.equal("Funded");
+      expect(escrow.amount).to.equal(ethers.parseEther("100"));
+      expect(escrow.releasedAmount).to.equal(ethers.parseEther("10"));
+      expect(escrow.milestones).to.deep.equal([
+        { ...milestones[0], released: true },
+        { ...milestones[1], released: false },
+      ]);
+    });
+
+    it("Should return null for unknown escrows", async function () {
+      const { client } = await loadFixture(deployFixture);
+      expect(await client.getEscrow(42)).to.equal(null);
+    });
+  });
+
+  describe("Signed offers", function () {
+    it("Should sign an offer as the seller and accept it with a permit", async function () {
+      const { escrow, client, owner, buyer, seller } = await loadFixture(deployFixture);
+      const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+      const usdc = await ERC20PermitMock.deploy("USD Coin", "USDC");
+      await usdc.mint(buyer.address, ethers.parseEther("100"));
+      await escrow.connect(owner).addSupportedToken(usdc.target);
+
+      const latest = await ethers.provider.getBlock("latest");
+      const { offer, signature } = await client.connect(seller).signOffer({
+        token: usdc.target,
+        amount: ethers.parseEther("100"),
+        paymentDetails: "Wire",
+        expiry: latest.timestamp + 600,
+        nonce: 7,
+      });
+      expect(offer.seller).to.equal(seller.address);
+
+      const { escrowId } = await client.acceptOffer(offer, signature, { permit: true });
+      const accepted = await client.getEscrow(escrowId);
+      expect(accepted.status).to.equal("Funded");
+      expect(accepted.seller).to.equal(seller.address);
+      expect(await usdc.allowance(buyer.address, escrow.target)).to.equal(0);
+      expect(await client.isOfferNonceUsed(seller.address, 7)).to.be.true;
+    });
+  });
+
+  describe("Disputes", function () {
+    it("Should pay the dispute fee automatically and resolve", async function () {
+      const { client, escrow, owner, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("1");
+      const { escrowId } = await client.createEscrow({ seller: seller.address, amount });
+
+      await client.raiseDispute(escrowId, "Item not received");
+      await client.submitEvidence(escrowId, "ipfs://evidence");
+
+      const disputed = await client.getEscrow(escrowId);
+      expect(disputed.status).to.equal("Disputed");
+      expect(disputed.disputeFee).to.equal(await escrow.disputeFeeFixed());
+      expect(disputed.disputeExpiry).to.be.instanceOf(Date);
+
+      const arbitrator = client.connect(owner);
+      const buyerAmount = (amount * 99n) / 100n;
+      await arbitrator.resolveDispute(escrowId, buyerAmount, 0);
+      expect((await client.getEscrow(escrowId)).status).to.equal("Resolved");
+    });
+
+    it("Should approve and pay token-denominated dispute fees", async function () {
+      const { client, escrow, usdt, owner, seller } = await loadFixture(deployFixture);
+      const fee = ethers.parseEther("5");
+      const setFee = escrow.interface.encodeFunctionData("setTokenDisputeFee", [usdt.target, fee]);
+      await escrow.connect(owner).queueOperation(setFee);
+      await time.increase(await escrow.TIMELOCK_DELAY());
+      await escrow.connect(owner).executeOperation(setFee);
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        amount: ethers.parseEther("100"),
+        token: usdt.target,
+      });
+
+      await client.raiseDispute(escrowId, "Item not received");
+      const disputed = await client.getEscrow(escrowId);
+      expect(disputed.disputeFeeInToken).to.be.true;
+      expect(disputed.disputeFee).to.equal(fee);
+    });
+
+    it("Should list arbitrator caseloads and recuse", async function () {
+      const { client, escrow, owner, seller, other } = await loadFixture(deployFixture);
+      await escrow.connect(owner).addArbitrator(other.address);
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        amount: ethers.parseEther("1"),
+      });
+      await client.raiseDispute(escrowId, "Item not received");
+
+      expect(await client.getArbitrators()).to.deep.equal([
+        { address: other.address, openCases: 1n },
+      ]);
+
+      await client.connect(other).recuse(escrowId);
+      expect((await client.getEscrow(escrowId)).arbitrator).to.equal(owner.address);
+      expect((await client.getArbitrators())[0].openCases).to.equal(0n);
+    });
+    it("Should vote on panel disputes and read the panel", async function () {
+      const { client, escrow, owner, seller, other } = await loadFixture(deployFixture);
+      const [, , , , arb2, arb3] = await ethers.getSigners();
+      for (const arbitrator of [other, arb2, arb3]) {
+        await escrow.connect(owner).addArbitrator(arbitrator.address);
+      }
+      await escrow.connect(owner).setPanelConfig(3, 2);
+      await escrow.connect(owner).setPanelThreshold(ethers.ZeroAddress, ethers.parseEther("1"));
+      const amount = ethers.parseEther("1");
+      const { escrowId } = await client.createEscrow({ seller: seller.address, amount });
+      await client.raiseDispute(escrowId, "Item not received");
+
+      expect(await client.getDisputePanel(escrowId)).to.deep.equal({
+        members: [other.address, arb2.address, arb3.address],
+        quorum: 2,
+        votes: [],
+      });
+      const remaining = (amount * 99n) / 100n;
+      await client.connect(other).voteOnDispute(escrowId, remaining, 0);
+      expect((await client.getDisputePanel(escrowId)).votes).to.deep.equal([
+        { arbitrator: other.address, buyerAmount: remaining, sellerAmount: 0n },
+      ]);
+      const error = await client
+        .connect(other)
+        .voteOnDispute(escrowId, 0, remaining)
+        .catch((rejected) => rejected);
+      expect(error.name).to.equal("AlreadyVoted");
+
+      await client.connect(arb3).voteOnDispute(escrowId, remaining, 0);
+      expect((await client.getEscrow(escrowId)).status).to.equal("Resolved");
+      expect(await client.getDisputePanel(1_000)).to.be.null;
+    });
+  });
+
+  describe("Token wrapping", function () {
+    it("Should wrap and unwrap a supported token", async function () {
+      const { client, usdt, buyer } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("5");
+
+      const { wrappedToken } = await client.wrap(await usdt.getAddress(), amount);
+      const wrapped = await ethers.getContractAt("WrappedToken", wrappedToken);
+      expect(await wrapped.balanceOf(buyer.address)).to.equal(amount);
+
+      await client.unwrap(wrappedToken, amount);
+      expect(await wrapped.balanceOf(buyer.address)).to.equal(0);
+      expect(await usdt.balanceOf(buyer.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should escrow wrapped tokens and list credits in the wrapper", async function () {
+      const { client, deployment, usdt, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("5");
+      const { wrappedToken } = await client.wrap(await usdt.getAddress(), amount);
+
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        token: wrappedToken,
+        amount,
+      });
+      expect((await client.getEscrow(escrowId)).assetType).to.equal("Wrapped");
+
+      await client.release(escrowId);
+      const sellerClient = EscrowClient.fromDeployment(deployment, seller);
+      expect(await sellerClient.getWithdrawable(seller.address)).to.deep.equal([
+        { token: wrappedToken, amount: (amount * 99n) / 100n },
+      ]);
+    });
+  });
+
+  describe("Token limits", function () {
+    it("Should read limits and the account's open exposure", async function () {
+      const { escrow, client, usdt, owner, buyer, seller } = await loadFixture(deployFixture);
+      const token = await usdt.getAddress();
+      const limits = [1n, ethers.parseEther("50"), ethers.parseEther("80"), 0n];
+      await escrow.connect(owner).setTokenLimits(token, limits);
+
+      await client.createEscrow({ seller: seller.address, token, amount: ethers.parseEther("50") });
+      expect(await client.getTokenLimits(token, buyer.address)).to.deep.equal({
+        minAmount: 1n,
+        maxAmount: ethers.parseEther("50"),
+        maxExposure: ethers.parseEther("80"),
+        dailyCap: 0n,
+        exposure: ethers.parseEther("50"),
+      });
+      await expect(
+        client.createEscrow({ seller: seller.address, token, amount: ethers.parseEther("40") })
+      ).to.be.rejectedWith(ExposureLimitExceeded);
+    });
+  });
+
+  describe("Fee discounts", function () {
+    it("Should stake CHX, report tiers and effective fees and pay fees in CHX", async function () {
+      const { escrow, client, usdt, owner, buyer, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("100");
+      const token = await usdt.getAddress();
+      await executeTimelocked(escrow, owner, "setChxFeeTiers", [[[amount, 5000]]]);
+      // The fixture's CHX token is USDT, at par
+      await executeTimelocked(escrow, owner, "setChxFeeRate", [token, ethers.parseEther("1")]);
+
+      expect(await client.getFeeTiers(token)).to.deep.equal({
+        chx: [{ threshold: amount, discount: 5000 }],
+        volume: [],
+      });
+      await client.stakeChx(amount);
+      expect(await escrow.stakedChx(buyer.address)).to.equal(amount);
+      expect(await client.getEffectiveFee(buyer.address, token, amount)).to.deep.equal({
+        fee: amount / 200n,
+        chxFee: amount / 200n,
+      });
+
+      // The seller holds CHX but has none staked, so pays the full fee in it
+      await usdt.mint(seller.address, amount);
+      const sellerClient = client.connect(seller);
+      await sellerClient.setPayFeesInChx(true, { allowance: amount / 100n });
+      const { escrowId } = await client.createEscrow({ seller: seller.address, token, amount });
+      await client.release(escrowId);
+      expect(await escrow.pendingWithdrawals(seller.address, token)).to.equal(amount);
+      expect(await usdt.balanceOf(seller.address)).to.equal(amount - amount / 100n);
+    });
+  });
+
+  describe("Reputation", function () {
+    it("Should report reputation and apply the seller's minimum", async function () {
+      const { client, buyer, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("1");
+
+      const first = await client.createEscrow({ seller: seller.address, amount });
+      await client.release(first.escrowId);
+      const second = await client.createEscrow({ seller: seller.address, amount });
+      await client.cancel(second.escrowId);
+      expect(await client.getReputation(buyer.address)).to.deep.equal({
+        completedTrades: 1,
+        cancelledTrades: 1,
+        disputesRaised: 0,
+        disputesWon: 0,
+        disputesLost: 0,
+        completedPurchases: 1,
+        volume: [{ token: ethers.ZeroAddress, amount }],
+      });
+
+      await client.connect(seller).setMinBuyerTrades(2);
+      expect(await client.getMinBuyerTrades(seller.address)).to.equal(2);
+      await expect(client.createEscrow({ seller: seller.address, amount })).to.be.rejectedWith(
+        BuyerReputationTooLow
+      );
+    });
+
+    it("Should page through a user's escrows by status", async function () {
+      const { client, buyer, seller } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("1");
+      for (let i = 0; i < 3; i++) await client.createEscrow({ seller: seller.address, amount });
+      await client.release(1);
+
+      expect(await client.getUserEscrowsPage(buyer.address, { limit: 2 })).to.deep.equal({
+        escrowIds: [1n, 2n],
+        nextOffset: 2,
+      });
+      expect(await client.getUserEscrowsPage(buyer.address, { offset: 2, limit: 2 })).to.deep.equal(
+        { escrowIds: [3n], nextOffset: null }
+      );
+      const funded = await client.getUserEscrowsPage(buyer.address, { statuses: ["Funded"] });
+      expect(funded.escrowIds).to.deep.equal([2n, 3n]);
+
+      const error = await client
+        .getUserEscrowsPage(buyer.address, { statuses: ["Done"] })
+        .catch((e) => e);
+      expect(error.message).to.equal('Unknown escrow status "Done"');
+    });
+  });
+
+  describe("Encryption", function () {
+    const details = "IBAN DE89 3704 0044 0532 0130 00, ref. order 1042";
+
+    async function encryptedFixture() {
+      const fixture = await deployFixture();
+      const { client, buyer, seller } = fixture;
+      const keys = {
+        buyer: await deriveEncryptionKeyPair(buyer),
+        seller: await deriveEncryptionKeyPair(seller),
+      };
+      await client.registerEncryptionKey(keys.buyer);
+      await client.connect(seller).registerEncryptionKey(keys.seller);
+      return { ...fixture, keys };
+    }
+
+    it("Should derive the same key pair from the same account", async function () {
+      const [, buyer, seller] = await ethers.getSigners();
+      const keyPair = await deriveEncryptionKeyPair(buyer);
+
+      expect(await deriveEncryptionKeyPair(buyer)).to.deep.equal(keyPair);
+      expect((await deriveEncryptionKeyPair(seller)).publicKey).to.not.equal(keyPair.publicKey);
+    });
+
+    it("Should only let the buyer and seller read encrypted payment details", async function () {
+      const { client, escrow, seller, other, keys } = await loadFixture(encryptedFixture);
+      const amount = ethers.parseEther("1");
+      const params = { amount, paymentDetails: details, encrypt: true };
+
+      await expect(client.createEscrow({ ...params, seller: other.address })).to.be.rejectedWith(
+        `No encryption key registered for ${other.address}`
+      );
+      const { escrowId, escrowKey } = await client.createEscrow({
+        ...params,
+        seller: seller.address,
+      });
+
+      const stored = (await escrow.getEscrowDetails(escrowId)).paymentDetails;
+      expect(isEncrypted(stored)).to.be.true;
+      expect(stored).to.not.include("DE89");
+      expect(await client.getEscrowKey(escrowId, keys.buyer)).to.equal(escrowKey);
+      expect(await client.readPaymentDetails(escrowId, keys.buyer)).to.equal(details);
+      expect(await client.connect(seller).readPaymentDetails(escrowId, keys.seller)).to.equal(
+        details
+      );
+
+      const outsider = client.connect(other);
+      expect(await outsider.getEscrowKey(escrowId, generateEncryptionKeyPair())).to.be.null;
+      await expect(outsider.readPaymentDetails(escrowId, generateEncryptionKeyPair())).to.be
+        .rejectedWith(`Escrow ${escrowId} is not encrypted for this key`);
+
+      // Plain details are returned as they are
+      const plain = await client.createMilestoneEscrow({
+        seller: seller.address,
+        milestones: [{ amount, description: "All" }],
+        paymentDetails: "cash",
+      });
+      expect(await client.readPaymentDetails(plain.escrowId)).to.equal("cash");
+    });
+
+    it("Should share the escrow key with each newly assigned arbitrator", async function () {
+      const { client, escrow, owner, buyer, seller, other, keys } =
+        await loadFixture(encryptedFixture);
+      const [, , , , backup] = await ethers.getSigners();
+      await escrow.connect(owner).addArbitrator(other.address);
+      await escrow.connect(owner).addArbitrator(backup.address);
+      const arbitratorKeys = [generateEncryptionKeyPair(), generateEncryptionKeyPair()];
+      await client.connect(other).registerEncryptionKey(arbitratorKeys[0]);
+
+      const { escrowId } = await client.createMilestoneEscrow({
+        seller: seller.address,
+        milestones: [{ amount: ethers.parseEther("1"), description: "Delivery" }],
+        paymentDetails: details,
+        encrypt: true,
+      });
+      await client.raiseDispute(escrowId, "Item not received");
+      await client.submitEvidence(escrowId, "ipfs://photos", { keyPair: keys.buyer });
+      const sellerClient = client.connect(seller);
+      await sellerClient.submitEvidence(escrowId, "ipfs://tracking");
+
+      const arbitrator = client.connect(other);
+      await expect(arbitrator.readEvidence(escrowId, arbitratorKeys[0])).to.be.rejectedWith(
+        `Escrow ${escrowId} is not encrypted for this key`
+      );
+      await client.shareKeyWithArbitrator(escrowId, keys.buyer);
+      expect(await arbitrator.readPaymentDetails(escrowId, arbitratorKeys[0])).to.equal(details);
+      const evidence = await arbitrator.readEvidence(escrowId, arbitratorKeys[0]);
+      expect(evidence.map((item) => [item.submittedBy, item.evidence])).to.deep.equal([
+        [buyer.address, "ipfs://photos"],
+        [seller.address, "ipfs://tracking"],
+      ]);
+
+      // The replacement has to register a key before it can be shared
+      await arbitrator.recuse(escrowId);
+      expect((await client.getEscrow(escrowId)).arbitrator).to.equal(backup.address);
+      await expect(sellerClient.shareKeyWithArbitrator(escrowId, keys.seller)).to.be.rejectedWith(
+        `Arbitrator ${backup.address} has no encryption key`
+      );
+      const replacement = client.connect(backup);
+      await replacement.registerEncryptionKey(arbitratorKeys[1]);
+      expect(await replacement.getEscrowKey(escrowId, arbitratorKeys[1])).to.be.null;
+
+      await sellerClient.shareKeyWithArbitrator(escrowId, keys.seller);
+      await sellerClient.submitEvidence(escrowId, "ipfs://receipt", { keyPair: keys.seller });
+      expect(
+        (await replacement.readEvidence(escrowId, arbitratorKeys[1])).map((item) => item.evidence)
+      ).to.deep.equal(["ipfs://photos", "ipfs://tracking", "ipfs://receipt"]);
+      const stored = await escrow.queryFilter(escrow.filters.DisputeEvidenceSubmitted(escrowId));
+      expect(stored.map((event) => isEncrypted(event.args.evidenceURL))).to.deep.equal([
+        true,
+        false,
+        true,
+      ]);
+    });
+    it("Should share the escrow key with every panel member who has a key", async function () {
+      const { client, escrow, owner, seller, other, keys } = await loadFixture(encryptedFixture);
+      const [, , , , arb2, arb3] = await ethers.getSigners();
+      for (const arbitrator of [other, arb2, arb3]) {
+        await escrow.connect(owner).addArbitrator(arbitrator.address);
+      }
+      await escrow.connect(owner).setPanelConfig(3, 2);
+      await escrow.connect(owner).setPanelThreshold(ethers.ZeroAddress, ethers.parseEther("1"));
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        amount: ethers.parseEther("1"),
+        paymentDetails: details,
+        encrypt: true,
+      });
+      await client.raiseDispute(escrowId, "Item not received");
+
+      await expect(client.shareKeyWithArbitrator(escrowId, keys.buyer)).to.be.rejectedWith(
+        "No panel member has an encryption key"
+      );
+      const memberKeys = [generateEncryptionKeyPair(), generateEncryptionKeyPair()];
+      await client.connect(other).registerEncryptionKey(memberKeys[0]);
+      await client.connect(arb3).registerEncryptionKey(memberKeys[1]);
+
+      const receipts = await client.shareKeyWithArbitrator(escrowId, keys.buyer);
+      expect(receipts).to.have.lengthOf(2);
+      expect(await client.connect(other).readPaymentDetails(escrowId, memberKeys[0])).to.equal(
+        details
+      );
+      expect(await client.connect(arb3).readPaymentDetails(escrowId, memberKeys[1])).to.equal(
+        details
+      );
+    });
+  });
+
+  describe("Error decoding", function () {
+    it("Should map custom errors to typed errors", async function () {
+      const { client, buyer, seller } = await loadFixture(deployFixture);
+
+      await expect(
+        client.createEscrow({ seller: seller.address, amount: 1n })
+      ).to.be.rejectedWith(AmountTooSmall);
+
+      await expect(
+        client.createEscrow({ seller: buyer.address, amount: ethers.parseEther("1") })
+      ).to.be.rejectedWith(InvalidSellerAddress);
+
+      await expect(
+        client.createEscrow({
+          seller: seller.address,
+          token: "0x0000000000000000000000000000000000000001",
+          amount: ethers.parseEther("1"),
+        })
+      ).to.be.rejectedWith(TokenNotSupported);
+    });
+
+    it("Should expose the error name and keep the original error", async function () {
+      const { client, seller, other } = await loadFixture(deployFixture);
+      const { escrowId } = await client.createEscrow({
+        seller: seller.address,
+        amount: ethers.parseEther("1"),
+      });
+
+      const error = await client.connect(other).release(escrowId).catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedAccess);
+      expect(error).to.be.instanceOf(EscrowError);
+      expect(error.reason).to.equal("UnauthorizedAccess");
+      expect(error.cause).to.exist;
+    });
+
+    it("Should wrap require() messages in EscrowError", async function () {
+      const { deployment, other } = await loadFixture(deployFixture);
+      const outsider = EscrowClient.fromDeployment(deployment, other);
+
+      const error = await outsider
+        ._send(() => outsider.contract.transferAdmin(other.address))
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(EscrowError);
+      expect(error.reason).to.equal("Only admin");
+    });
+  });
+});
@@ -0,0 +1,414 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+const { computeStats } = require("../api/server");
+const { deployEscrow } = require("./fixtures");
+
+describe("EscrowIndexer", function () {
+  async function deployFixture() {
+    const [owner, buyer, seller, arbitrator, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      ethers.parseEther("0.1"),
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    const startBlock = await ethers.provider.getBlockNumber(); // the proxy deployment
+
+    return { escrow, usdt, startBlock, owner, buyer, seller, arbitrator, other };
+  }
+
+  function createIndexer(escrow, startBlock, store = new JsonStore(), options = {}) {
+    return new EscrowIndexer(
+      {
+        address: escrow.target,
+        abi: escrow.interface.fragments,
+        provider: ethers.provider,
+        store,
+      },
+      { startBlock, ...options }
+    );
+  }
+
+  async function createNativeEscrow(escrow, buyer, seller, amount, details = "") {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, details, 0, { value: amount });
+    return escrow.escrowCount();
+  }
+
+  it("Should project escrows through their whole lifecycle", async function () {
+    const { escrow, usdt, startBlock, owner, buyer, seller } = await loadFixture(deployFixture);
+    const amount = ethers.parseEther("10");
+
+    await usdt.connect(buyer).approve(escrow.target, amount);
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "Bank transfer", 0);
+    await escrow.connect(buyer).fundEscrow(1);
+    await escrow.connect(seller).raiseDispute(1, "Buyer never paid", {
+      value: ethers.parseEther("0.1"),
+    });
+    await escrow.connect(buyer).submitDisputeEvidence(1, "ipfs://receipt");
+    await escrow.connect(owner).resolveDispute(1, ethers.parseEther("4"), ethers.parseEther("5"));
+
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+    await escrow.connect(buyer).releaseFunds(2);
+
+    const indexer = createIndexer(escrow, startBlock);
+    const result = await indexer.sync();
+    expect(result.events).to.be.greaterThan(0);
+
+    const disputed = indexer.store.getEscrow(1);
+    expect(disputed.status).to.equal("Resolved");
+    expect(disputed.tokenAddress).to.equal(usdt.target);
+    expect(disputed.amount).to.equal(amount.toString());
+    expect(disputed.paymentDetails).to.equal("Bank transfer");
+    expect(disputed.dispute.raisedBy).to.equal(seller.address);
+    expect(disputed.dispute.sellerAmount).to.equal(ethers.parseEther("5").toString());
+    expect(disputed.arbitrator).to.equal(owner.address);
+    expect(disputed.evidence.map((e) => e.evidenceURL)).to.deep.equal(["ipfs://receipt"]);
+    expect(disputed.timeline.map((e) => e.event)).to.deep.equal([
+      "EscrowCreated",
+      "FundsDeposited",
+      "DisputeRaised",
+      "DisputeArbitratorAssigned",
+      "DisputeEvidenceSubmitted",
+      "DisputeResolved",
+    ]);
+
+    expect(indexer.store.getEscrow(2).status).to.equal("Released");
+    expect(indexer.store.getPlatform().supportedTokens).to.include(usdt.target);
+  });
+
+  it("Should project milestone releases and partial refunds", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const amounts = [ethers.parseEther("1"), ethers.parseEther("3")];
+
+    await escrow
+      .connect(buyer)
+      .createMilestoneEscrow(seller.address, ethers.ZeroAddress, amounts, ["Half", "Rest"], "", 0, {
+        value: ethers.parseEther("4"),
+      });
+    await escrow.connect(buyer).releaseMilestone(1);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    let projected = indexer.store.getEscrow(1);
+    expect(projected.status).to.equal("Funded");
+    expect(projected.releasedAmount).to.equal(ethers.parseEther("0.99").toString());
+    expect(projected.milestones).to.deep.equal([
+      { amount: amounts[0].toString(), description: "Half", released: true },
+      { amount: amounts[1].toString(), description: "Rest", released: false },
+    ]);
+
+    await escrow.connect(buyer).cancelEscrow(1);
+    await indexer.sync();
+    projected = indexer.store.getEscrow(1);
+    expect(projected.status).to.equal("Cancelled");
+    expect(projected.refundedAmount).to.equal(amounts[1].toString());
+
+    const stats = computeStats([projected]).tokens[ethers.ZeroAddress];
+    expect(stats.releasedVolume).to.equal(ethers.parseEther("0.99"));
+    expect(stats.refundedVolume).to.equal(amounts[1]);
+    expect(stats.platformFeesCollected).to.equal(ethers.parseEther("0.01"));
+  });
+
+  it("Should project roles, admin transfers, pauses and pending operations", async function () {
+    const { escrow, usdt, startBlock, owner, other } = await loadFixture(deployFixture);
+    const feeManager = await escrow.FEE_MANAGER_ROLE();
+    const feeChange = escrow.interface.encodeFunctionData("updatePlatformFee", [200]);
+    const collectorChange = escrow.interface.encodeFunctionData("updateFeeCollector", [
+      other.address,
+    ]);
+
+    await escrow.grantRole(feeManager, other.address);
+    await escrow.revokeRole(feeManager, owner.address);
+    await escrow.connect(other).queueOperation(feeChange);
+    await escrow.connect(other).queueOperation(collectorChange);
+    await escrow.connect(other).cancelOperation(collectorChange);
+    await escrow.transferAdmin(other.address);
+    await escrow.pause(1 | 8);
+    await escrow.unpause(1);
+    await escrow.setTokenPaused(usdt.target, true);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    let platform = indexer.store.getPlatform();
+    expect(platform.roles[feeManager]).to.deep.equal([other.address]);
+    expect(platform.roles[await escrow.PAUSER_ROLE()]).to.deep.equal([owner.address]);
+    expect(platform.pendingAdmin).to.equal(other.address);
+    expect(Object.keys(platform.pendingOperations)).to.deep.equal([ethers.keccak256(feeChange)]);
+    expect(platform.pausedFunctions).to.equal(8);
+    expect(platform.pausedTokens).to.deep.equal([usdt.target]);
+
+    await time.increase(await escrow.TIMELOCK_DELAY());
+    await escrow.connect(other).executeOperation(feeChange);
+    await escrow.connect(other).acceptAdmin();
+    await indexer.sync();
+    platform = indexer.store.getPlatform();
+    expect(platform.pendingOperations).to.deep.equal({});
+    expect(platform.platformFeePercentage).to.equal("200");
+    expect(platform.admin).to.equal(other.address);
+    expect(platform.pendingAdmin).to.equal(null);
+  });
+
+  it("Should track credited balances until they are withdrawn", async function () {
+    const { escrow, startBlock, owner, buyer, seller } = await loadFixture(deployFixture);
+    const amount = ethers.parseEther("1");
+
+    await createNativeEscrow(escrow, buyer, seller, amount);
+    await escrow.connect(buyer).releaseFunds(1);
+    await createNativeEscrow(escrow, buyer, seller, amount);
+    await escrow.connect(buyer).releaseFunds(2);
+    await escrow.connect(owner).withdraw(ethers.ZeroAddress);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    const { withdrawable } = indexer.store.getPlatform();
+    expect(withdrawable[seller.address]).to.deep.equal({
+      [ethers.ZeroAddress]: ((amount * 99n) / 50n).toString(),
+    });
+    expect(withdrawable[owner.address]).to.deep.equal({});
+  });
+
+  it("Should project fee tiers, CHX stakes and fee payment choices", async function () {
+    const { escrow, usdt, startBlock, owner, buyer } = await loadFixture(deployFixture);
+    const threshold = ethers.parseEther("10");
+    const tiers = [
+      [threshold, 1000],
+      [threshold * 10n, 2500],
+    ];
+    for (const [fn, args] of [
+      ["setChxFeeTiers", [tiers]],
+      ["setVolumeFeeTiers", [usdt.target, tiers.slice(1)]],
+      ["setChxFeeRate", [usdt.target, ethers.parseEther("2")]],
+    ]) {
+      await escrow.queueOperation(escrow.interface.encodeFunctionData(fn, args));
+    }
+    await time.increase(await escrow.TIMELOCK_DELAY());
+    for (const { data } of Object.values((await buildPlatform()).pendingOperations)) {
+      await escrow.executeOperation(data);
+    }
+
+    // The fixture's CHX token is USDT
+    await usdt.connect(buyer).approve(escrow.target, threshold * 2n);
+    await escrow.connect(buyer).stakeChx(threshold);
+    await escrow.connect(buyer).stakeChx(threshold);
+    await escrow.connect(buyer).setPayFeesInChx(true);
+    await escrow.connect(owner).setPayFeesInChx(true);
+    await escrow.connect(owner).setPayFeesInChx(false);
+
+    const platform = await buildPlatform();
+    expect(platform.chxFeeTiers).to.deep.equal([
+      { threshold: threshold.toString(), discount: 1000 },
+      { threshold: (threshold * 10n).toString(), discount: 2500 },
+    ]);
+    expect(platform.volumeFeeTiers[usdt.target]).to.deep.equal(platform.chxFeeTiers.slice(1));
+    expect(platform.chxFeeRates[usdt.target]).to.equal(ethers.parseEther("2").toString());
+    expect(platform.stakedChx[buyer.address]).to.deep.equal({
+      amount: (threshold * 2n).toString(),
+      unlockTime: Number(await escrow.chxStakeUnlockTime(buyer.address)),
+    });
+    expect(platform.payFeesInChx).to.deep.equal([buyer.address]);
+
+    await time.increase(await escrow.CHX_STAKE_LOCK());
+    await escrow.connect(buyer).unstakeChx(threshold * 2n);
+    expect((await buildPlatform()).stakedChx).to.deep.equal({});
+
+    async function buildPlatform() {
+      const indexer = createIndexer(escrow, startBlock);
+      await indexer.sync();
+      return indexer.store.getPlatform();
+    }
+  });
+
+  it("Should skip unstakes of stakes made before the start block", async function () {
+    const { escrow, usdt, buyer } = await loadFixture(deployFixture);
+    const stake = ethers.parseEther("10");
+    await usdt.connect(buyer).approve(escrow.target, stake * 2n);
+    await escrow.connect(buyer).stakeChx(stake);
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    await time.increase(await escrow.CHX_STAKE_LOCK());
+    await escrow.connect(buyer).unstakeChx(stake / 2n);
+    let indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    expect(indexer.store.getPlatform().stakedChx).to.deep.equal({});
+
+    // Only the stake made after the start block is known, and unstaking more clears it
+    await escrow.connect(buyer).stakeChx(stake);
+    await time.increase(await escrow.CHX_STAKE_LOCK());
+    await escrow.connect(buyer).unstakeChx(stake + stake / 2n);
+    indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    expect(indexer.store.getPlatform().stakedChx).to.deep.equal({});
+  });
+
+  it("Should project encryption keys and keys shared with arbitrators", async function () {
+    const { escrow, startBlock, owner, buyer, seller } = await loadFixture(deployFixture);
+    const publicKey = ethers.hexlify(ethers.randomBytes(32));
+    const wrappedKey = ethers.hexlify(ethers.randomBytes(124));
+    const id = await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"), "enc1:AQ==");
+    await escrow.connect(buyer).raiseDispute(id, "Late", { value: ethers.parseEther("0.1") });
+
+    // No arbitrator pool, so the dispute goes to the admin
+    await escrow.connect(owner).setEncryptionKey(publicKey);
+    await escrow.connect(seller).setEncryptionKey(publicKey);
+    await escrow.connect(seller).setEncryptionKey(ethers.ZeroHash);
+    await escrow.connect(buyer).shareEscrowKey(id, wrappedKey);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    expect(indexer.store.getPlatform().encryptionKeys).to.deep.equal({
+      [owner.address]: publicKey,
+    });
+    expect(indexer.store.getEscrow(id).keyShares).to.deep.equal([
+      { from: buyer.address, to: owner.address, wrappedKey },
+    ]);
+  });
+
+  it("Should project dispute panels and their votes", async function () {
+    const { escrow, startBlock, owner, buyer, seller, arbitrator, other } =
+      await loadFixture(deployFixture);
+    await escrow.connect(owner).addArbitrator(arbitrator.address);
+    await escrow.connect(owner).addArbitrator(other.address);
+    await escrow.connect(owner).setPanelConfig(2, 2);
+    await escrow.connect(owner).setPanelThreshold(ethers.ZeroAddress, ethers.parseEther("1"));
+    const id = await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+    await escrow.connect(buyer).raiseDispute(id, "Late", { value: ethers.parseEther("0.1") });
+    const buyerAmount = ethers.parseEther("0.99");
+    await escrow.connect(arbitrator).voteOnDispute(id, buyerAmount, 0);
+    await escrow.connect(other).voteOnDispute(id, buyerAmount, 0);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    const platform = indexer.store.getPlatform();
+    expect(platform).to.include({ panelSize: 2, panelQuorum: 2 });
+    expect(platform.panelThresholds).to.deep.equal({
+      [ethers.ZeroAddress]: ethers.parseEther("1").toString(),
+    });
+
+    const escrowView = indexer.store.getEscrow(id);
+    expect(escrowView.status).to.equal("Resolved");
+    expect(escrowView.arbitrator).to.be.null;
+    expect(escrowView.panel.members).to.deep.equal([arbitrator.address, other.address]);
+    expect(escrowView.panel.quorum).to.equal(2);
+    const votes = escrowView.panel.votes.map((vote) => [vote.arbitrator, vote.buyerAmount]);
+    expect(votes).to.deep.equal([
+      [arbitrator.address, buyerAmount.toString()],
+      [other.address, buyerAmount.toString()],
+    ]);
+    expect(escrowView.dispute.buyerAmount).to.equal(buyerAmount.toString());
+  });
+
+  it("Should project the buyer trades sellers require", async function () {
+    const { escrow, startBlock, seller, other } = await loadFixture(deployFixture);
+    await escrow.connect(seller).setMinBuyerTrades(3);
+    await escrow.connect(other).setMinBuyerTrades(1);
+    await escrow.connect(other).setMinBuyerTrades(0);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    expect(indexer.store.getPlatform().minBuyerTrades).to.deep.equal({ [seller.address]: 3 });
+  });
+
+  it("Should filter by party, status, token and date range", async function () {
+    const { escrow, startBlock, buyer, seller, other } = await loadFixture(deployFixture);
+
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+    await time.increase(3600);
+    const cutoff = await time.latest();
+    await createNativeEscrow(escrow, buyer, other, ethers.parseEther("2"));
+    await escrow.connect(buyer).cancelEscrow(2);
+
+    const indexer = createIndexer(escrow, startBlock);
+    await indexer.sync();
+    const { store } = indexer;
+
+    expect(store.findEscrows({ buyer: buyer.address })).to.have.length(2);
+    expect(store.findEscrows({ seller: other.address.toLowerCase() })).to.have.length(1);
+    expect(store.findEscrows({ party: seller.address })).to.have.length(1);
+    expect(store.findEscrows({ status: "cancelled" }).map((e) => e.id)).to.deep.equal(["2"]);
+    expect(store.findEscrows({ token: ethers.ZeroAddress })).to.have.length(2);
+    expect(store.findEscrows({ from: cutoff }).map((e) => e.id)).to.deep.equal(["2"]);
+    expect(store.findEscrows({ to: cutoff - 1 }).map((e) => e.id)).to.deep.equal(["1"]);
+  });
+
+  it("Should resume from the persisted checkpoint", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-indexer-")), "db.json");
+
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+    await createIndexer(escrow, startBlock, new JsonStore(file)).sync();
+
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("2"));
+    const resumed = createIndexer(escrow, startBlock, new JsonStore(file));
+    expect(resumed.store.checkpoint.blockNumber).to.be.at.least(startBlock);
+
+    await resumed.sync();
+    await resumed.sync();
+
+    const created = resumed.store.events.filter((e) => e.name === "EscrowCreated");
+    expect(created).to.have.length(2);
+    expect(Object.keys(new JsonStore(file).state.escrows)).to.deep.equal(["1", "2"]);
+  });
+
+  it("Should replace events from re-organised blocks", async function () {
+    const { escrow, startBlock, buyer, seller, other } = await loadFixture(deployFixture);
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("2"));
+    await escrow.connect(buyer).releaseFunds(1);
+
+    const indexer = createIndexer(escrow, startBlock, new JsonStore(), { reorgDepth: 10 });
+    await indexer.sync();
+    expect(indexer.store.getEscrow(1).status).to.equal("Released");
+
+    // Roll the chain back and build a different fork on top of it
+    await network.provider.send("evm_revert", [snapshot]);
+    await escrow.connect(buyer).cancelEscrow(1);
+    await createNativeEscrow(escrow, buyer, other, ethers.parseEther("3"));
+
+    await indexer.sync();
+    expect(indexer.store.getEscrow(1).status).to.equal("Cancelled");
+    expect(indexer.store.getEscrow(2).seller).to.equal(other.address);
+    expect(indexer.store.getEscrow(2).amount).to.equal(ethers.parseEther("3").toString());
+    expect(indexer.store.events.filter((e) => e.name === "FundsReleased")).to.have.length(0);
+  });
+
+  it("Should rewind past the re-scan window after a deeper reorg", async function () {
+    const { escrow, startBlock, buyer, seller, other } = await loadFixture(deployFixture);
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("1"));
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await createNativeEscrow(escrow, buyer, seller, ethers.parseEther("2"));
+    await escrow.connect(buyer).releaseFunds(1);
+    await network.provider.send("hardhat_mine", ["0x5"]);
+
+    const indexer = createIndexer(escrow, startBlock, new JsonStore(), { reorgDepth: 2 });
+    await indexer.sync();
+    expect(indexer.store.getEscrow(1).status).to.equal("Released");
+
+    // The new fork diverges well below the last two blocks and ends up longer
+    await network.provider.send("evm_revert", [snapshot]);
+    await escrow.connect(buyer).cancelEscrow(1);
+    await createNativeEscrow(escrow, buyer, other, ethers.parseEther("3"));
+    await network.provider.send("hardhat_mine", ["0xa"]);
+
+    const { fromBlock } = await indexer.sync();
+    expect(fromBlock).to.be.below(indexer.store.checkpoint.blockNumber - 10);
+    expect(indexer.store.getEscrow(1).status).to.equal("Cancelled");
+    expect(indexer.store.getEscrow(2).seller).to.equal(other.address);
+    expect(indexer.store.events.filter((e) => e.name === "FundsReleased")).to.have.length(0);
+  });
+});
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowIndexer, JsonStore } = require("../indexer");
+const { EscrowKeeper, KeeperState, loadKeeperConfig, validateKeeperConfig } = require("../keeper");
+const { statusName } = require("../sdk/constants");
+const { deployEscrow } = require("./fixtures");
+
+describe("EscrowKeeper", function () {
+  const HOUR = 3600;
+  const amount = ethers.parseEther("1");
+  const disputeFee = ethers.parseEther("0.1");
+  let server;
+  let url;
+  let received;
+  let failNext; // requests to answer with 500 before accepting again
+  let dataDir;
+
+  before(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        if (failNext > 0) {
+          failNext--;
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ headers: req.headers, body, notification: JSON.parse(body) });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    received = [];
+    failNext = 0;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-keeper-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [owner, buyer, seller, arbitrator, keeperAccount] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+    await usdt.mint(buyer.address, ethers.parseEther("1000"));
+
+    const escrow = await deployEscrow([
+      100,
+      disputeFee,
+      owner.address,
+      [await usdt.getAddress()],
+      await usdt.getAddress(),
+    ]);
+    await escrow.addArbitrator(arbitrator.address);
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    return { escrow, usdt, startBlock, owner, buyer, seller, arbitrator, keeperAccount };
+  }
+
+  // A keeper persisting to dataDir, so a second call acts like a restart
+  function createKeeper(escrow, startBlock, config = {}, signer) {
+    const indexer = new EscrowIndexer(
+      {
+        address: escrow.target,
+        abi: escrow.interface.fragments,
+        provider: ethers.provider,
+        store: new JsonStore(path.join(dataDir, "events.json")),
+      },
+      { startBlock }
+    );
+    const state = new KeeperState(path.join(dataDir, "keeper.json"));
+    const webhooks = [{ url }];
+    return new EscrowKeeper(
+      { indexer, state, signer },
+      { webhooks, confirmations: 0, retryDelaySeconds: 0, ...config }
+    );
+  }
+
+  async function createNativeEscrow(escrow, buyer, seller, deliveryDeadline = 0) {
+    await escrow
+      .connect(buyer)
+      .createEscrow(seller.address, ethers.ZeroAddress, amount, "", deliveryDeadline, {
+        value: amount,
+      });
+    return escrow.escrowCount();
+  }
+
+  const types = () => received.map(({ notification }) => notification.type);
+
+  it("Should post every escrow event once, in order", async function () {
+    const { escrow, startBlock, buyer, seller, arbitrator } = await loadFixture(deployFixture);
+    const keeper = createKeeper(escrow, startBlock);
+    const id = await createNativeEscrow(escrow, buyer, seller);
+    // Platform events are not escrow lifecycle transitions
+    await escrow.connect(buyer).setPayFeesInChx(true);
+
+    const result = await keeper.tick();
+    expect(result).to.include({ notifications: 2, delivered: 2 });
+    expect(types()).to.deep.equal(["EscrowCreated", "FundsDeposited"]);
+    const [created] = received;
+    expect(created.notification).to.include({
+      type: "EscrowCreated",
+      contract: escrow.target,
+      escrowId: id.toString(),
+      buyer: buyer.address,
+      seller: seller.address,
+    });
+    expect(created.notification.args.amount).to.equal(amount.toString());
+    expect(created.headers["x-escrow-event"]).to.equal("EscrowCreated");
+    expect(created.headers["x-escrow-delivery"]).to.equal(`${created.notification.id}@${url}`);
+
+    await escrow.connect(buyer).raiseDispute(id, "Not delivered", { value: disputeFee });
+    await escrow.connect(seller).submitDisputeEvidence(id, "ipfs://tracking");
+    await keeper.tick();
+    expect(types().slice(2)).to.deep.equal([
+      "DisputeRaised",
+      "DisputeArbitratorAssigned",
+      "DisputeEvidenceSubmitted",
+    ]);
+    expect(received[3].notification.args.arbitrator).to.equal(arbitrator.address);
+    expect(received[4].notification.args.evidenceURL).to.equal("ipfs://tracking");
+
+    await keeper.tick();
+    expect(received).to.have.lengthOf(5);
+  });
+
+  it("Should filter and sign deliveries per webhook", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const secret = "webhook secret";
+    const keeper = createKeeper(escrow, startBlock, {
+      webhooks: [{ url, events: ["DisputeRaised", "DisputeExpiring"], secret }],
+    });
+    const id = await createNativeEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).raiseDispute(id, "Not delivered", { value: disputeFee });
+
+    await keeper.tick();
+    expect(types()).to.deep.equal(["DisputeRaised"]);
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac("sha256", secret).update(body).digest("hex");
+    expect(headers["x-escrow-signature"]).to.equal(`sha256=${expected}`);
+
+    expect(() =>
+      createKeeper(escrow, startBlock, { webhooks: [{ url, events: ["DisputeRaisd"] }] })
+    ).to.throw(`Webhook ${url} subscribes to unknown events: DisputeRaisd`);
+  });
+
+  it("Should hold events back until they have enough confirmations", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const keeper = createKeeper(escrow, startBlock, { confirmations: 2 });
+    await createNativeEscrow(escrow, buyer, seller);
+
+    await keeper.tick();
+    expect(received).to.be.empty;
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+    await keeper.tick();
+    expect(types()).to.deep.equal(["EscrowCreated", "FundsDeposited"]);
+  });
+
+  it("Should alert once about unfunded escrows and delivery deadlines", async function () {
+    const { escrow, usdt, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const keeper = createKeeper(escrow, startBlock, {
+      webhooks: [
+        {
+          url,
+          events: ["UnfundedEscrow", "DeliveryDeadlineApproaching", "DeliveryDeadlinePassed"],
+        },
+      ],
+      unfundedAfterHours: 12,
+      deliveryDeadlineWarningHours: 6,
+    });
+    await escrow.connect(buyer).createEscrow(seller.address, usdt.target, amount, "", 0);
+    const unfunded = await escrow.escrowCount();
+    const deadline = (await time.latest()) + 24 * HOUR;
+    const shipping = await createNativeEscrow(escrow, buyer, seller, deadline);
+
+    await keeper.tick();
+    expect(received).to.be.empty;
+
+    await time.increase(12 * HOUR);
+    await keeper.tick();
+    await keeper.tick();
+    expect(types()).to.deep.equal(["UnfundedEscrow"]);
+    expect(received[0].notification.escrowId).to.equal(unfunded.toString());
+
+    await time.increaseTo(deadline - 6 * HOUR);
+    await keeper.tick();
+    await escrow.connect(seller).confirmShipment(shipping);
+    await time.increaseTo(deadline + 1);
+    await keeper.tick();
+    expect(types()).to.deep.equal([
+      "UnfundedEscrow",
+      "DeliveryDeadlineApproaching",
+      "DeliveryDeadlinePassed",
+    ]);
+    expect(received[1].notification).to.include({
+      escrowId: shipping.toString(),
+      deadline,
+      claimableBy: "buyer",
+    });
+    expect(received[2].notification).to.include({ deadline, claimableBy: "seller" });
+  });
+
+  it("Should warn before disputes expire and settle them with the keeper key", async function () {
+    const { escrow, startBlock, buyer, seller, arbitrator, keeperAccount } = await loadFixture(
+      deployFixture
+    );
+    const id = await createNativeEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).raiseDispute(id, "Not delivered", { value: disputeFee });
+    const expiry = Number((await escrow.getEscrowDetails(id)).disputeExpiry);
+    const keeper = createKeeper(
+      escrow,
+      startBlock,
+      {
+        webhooks: [{ url, events: ["DisputeExpiring", "DisputeExpired", "ExpiredDisputeSettled"] }],
+        disputeExpiryWarningHours: 24,
+        settleExpiredDisputes: true,
+      },
+      keeperAccount
+    );
+
+    await time.increaseTo(expiry - 12 * HOUR);
+    expect((await keeper.tick()).settled).to.be.empty;
+    expect(received[0].notification).to.include({
+      type: "DisputeExpiring",
+      escrowId: id.toString(),
+      arbitrator: arbitrator.address,
+      expiresAt: expiry,
+    });
+
+    await time.increaseTo(expiry + 1);
+    const { settled } = await keeper.tick();
+    expect(settled).to.have.lengthOf(1);
+    expect((await ethers.provider.getTransaction(settled[0].hash)).from).to.equal(
+      keeperAccount.address
+    );
+    expect(statusName((await escrow.getEscrowDetails(id)).status)).to.equal("Resolved");
+
+    await keeper.tick();
+    expect(types()).to.deep.equal(["DisputeExpiring", "DisputeExpired", "ExpiredDisputeSettled"]);
+  });
+
+  it("Should only notify about expired disputes without a keeper key", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const id = await createNativeEscrow(escrow, buyer, seller);
+    await escrow.connect(buyer).raiseDispute(id, "Not delivered", { value: disputeFee });
+    const keeper = createKeeper(escrow, startBlock, { settleExpiredDisputes: true });
+
+    await time.increase(31 * 24 * HOUR);
+    expect((await keeper.tick()).settled).to.be.empty;
+    expect(types()).to.include("DisputeExpired");
+    expect(statusName((await escrow.getEscrowDetails(id)).status)).to.equal("Disputed");
+  });
+
+  it("Should retry failed deliveries and resume them after a restart", async function () {
+    const { escrow, startBlock, buyer, seller } = await loadFixture(deployFixture);
+    const id = await createNativeEscrow(escrow, buyer, seller);
+    failNext = 1;
+
+    let result = await createKeeper(escrow, startBlock, { maxAttempts: 3 }).tick();
+    expect(result).to.include({ notifications: 2, delivered: 1 });
+    expect(types()).to.deep.equal(["FundsDeposited"]);
+
+    // A restarted keeper delivers what is left and does not resend the rest
+    await escrow.connect(buyer).releaseFunds(id);
+    result = await createKeeper(escrow, startBlock, { maxAttempts: 3 }).tick();
+    expect(result).to.include({ notifications: 1, delivered: 2 });
+    expect(types()).to.deep.equal(["FundsDeposited", "EscrowCreated", "FundsReleased"]);
+    const state = JSON.parse(fs.readFileSync(path.join(dataDir, "keeper.json"), "utf8"));
+    expect(state.outbox).to.be.empty;
+
+    // Deliveries are dropped after maxAttempts
+    await createNativeEscrow(escrow, buyer, seller);
+    failNext = 6;
+    const keeper = createKeeper(escrow, startBlock, { maxAttempts: 3 });
+    await keeper.tick();
+    await keeper.tick();
+    result = await keeper.tick();
+    expect(result.failed.map((failure) => failure.error)).to.deep.equal(["HTTP 500", "HTTP 500"]);
+    expect(keeper.state.outbox).to.be.empty;
+    expect(received).to.have.lengthOf(3);
+  });
+
+  describe("Config", function () {
+    it("Should fill in defaults and report every problem", function () {
+      expect(validateKeeperConfig({ webhooks: [{ url }] })).to.include({
+        confirmations: 2,
+        settleExpiredDisputes: false,
+      });
+
+      expect(() =>
+        validateKeeperConfig({
+          webhooks: [{ url: "ftp://example.com", events: [], token: "x" }],
+          confirmations: -1,
+          maxAttempts: 0,
+          retryDelaySeconds: "30",
+          settleExpiredDisputes: "yes",
+          pollInterval: 5,
+        })
+      ).to.throw(
+        [
+          "Invalid keeper config:",
+          '  - unknown key "pollInterval"',
+          '  - webhooks[0]: unknown key "token"',
+          '  - webhooks[0].url must be an http(s) URL, got "ftp://example.com"',
+          "  - webhooks[0].events must be a non-empty array of event or alert names",
+          "  - confirmations must be a non-negative integer",
+          "  - retryDelaySeconds must be a non-negative number",
+          "  - maxAttempts must be a positive integer",
+          "  - settleExpiredDisputes must be true or false",
+        ].join("\n")
+      );
+    });
+
+    it("Should load network configs with secrets from the environment", function () {
+      const file = path.join(dataDir, "keeper.config.json");
+      fs.writeFileSync(file, JSON.stringify({ webhooks: [{ url, secret: "$HOOK_SECRET" }] }));
+
+      expect(
+        loadKeeperConfig("localhost", { file, env: { HOOK_SECRET: "s3cret" } }).webhooks
+      ).to.deep.equal([{ url, secret: "s3cret" }]);
+      expect(() => loadKeeperConfig("localhost", { file, env: {} })).to.throw(
+        "Environment variable HOOK_SECRET is not set"
+      );
+      // The local config works on a fresh node, without any environment
+      expect(loadKeeperConfig("localhost", { env: {} }).settleExpiredDisputes).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEscrowProxy } = require("../deploy/escrow");
+
+const { ethers } = hre;
+
+const PLATFORM_FEE = 100n; // 1%
+const DISPUTE_FEE = ethers.parseEther("0.1");
+const BUYER_FUNDS = ethers.parseEther("1000");
+
+/**
+ * Deploys CryptoEscrow behind a proxy, initialized with `initArgs`, and
+ * returns it with the full (escrow plus admin module) ABI.
+ */
+async function deployEscrow(initArgs, signer) {
+  const { escrow } = await deployEscrowProxy(hre, {
+    signer: signer || (await ethers.getSigners())[0],
+    initArgs,
+  });
+  return escrow;
+}
+
+/**
+ * Deploys CryptoEscrow with USDT and CHX mocks as supported tokens. The owner
+ * deploys, holds every role and collects fees; the buyer holds 1000 of each
+ * token. Pass it to loadFixture so every test starts from the same snapshot.
+ */
+async function deployEscrowFixture() {
+  const [owner, buyer, seller, arbitrator, other] = await ethers.getSigners();
+
+  const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+  const usdt = await ERC20Mock.deploy("Tether USD", "USDT");
+  const chx = await ERC20Mock.deploy("CHX Token", "CHX");
+  await usdt.mint(buyer.address, BUYER_FUNDS);
+  await chx.mint(buyer.address, BUYER_FUNDS);
+
+  const escrow = await deployEscrow([
+    PLATFORM_FEE,
+    DISPUTE_FEE,
+    owner.address,
+    [await usdt.getAddress()],
+    await chx.getAddress(),
+  ]);
+
+  return { escrow, usdt, chx, owner, buyer, seller, arbitrator, other };
+}
+
+/**
+ * deployEscrowFixture plus a funded 1 ETH native escrow (ID 1) and a funded
+ * 100 USDT escrow (ID 2), both from the buyer to the seller.
+ */
+async function fundedEscrowsFixture() {
+  const fixture = await deployEscrowFixture();
+  const { escrow, usdt, buyer, seller } = fixture;
+  const nativeAmount = ethers.parseEther("1");
+  const tokenAmount = ethers.parseEther("100");
+
+  await escrow
+    .connect(buyer)
+    .createEscrow(seller.address, ethers.ZeroAddress, nativeAmount, "Native", 0, {
+      value: nativeAmount,
+    });
+  await usdt.connect(buyer).approve(escrow.target, tokenAmount);
+  await escrow.connect(buyer).createEscrow(seller.address, usdt.target, tokenAmount, "USDT", 0);
+  await escrow.connect(buyer).fundEscrow(2);
+
+  return { ...fixture, nativeAmount, tokenAmount };
+}
+
+// Queues a timelocked admin call, waits out the delay and executes it
+async function executeTimelocked(escrow, signer, method, args) {
+  const data = escrow.interface.encodeFunctionData(method, args);
+  await escrow.connect(signer).queueOperation(data);
+  await time.increase(await escrow.TIMELOCK_DELAY());
+  return escrow.connect(signer).executeOperation(data);
+}
+
+// Payouts are credited rather than sent; checks what each account was credited by tx
+async function expectCredited(escrow, tx, token, accounts, amounts) {
+  const { blockNumber } = await (await tx).wait();
+  const tokenAddress = await ethers.resolveAddress(token);
+  for (let i = 0; i < accounts.length; i++) {
+    const account = await ethers.resolveAddress(accounts[i]);
+    const before = await escrow.pendingWithdrawals(account, tokenAddress, {
+      blockTag: blockNumber - 1,
+    });
+    const after = await escrow.pendingWithdrawals(account, tokenAddress, { blockTag: blockNumber });
+    expect(after - before).to.equal(amounts[i], `credited to ${account}`);
+  }
+}
+
+module.exports = {
+  PLATFORM_FEE,
+  DISPUTE_FEE,
+  BUYER_FUNDS,
+  deployEscrow,
+  deployEscrowFixture,
+  fundedEscrowsFixture,
+  executeTimelocked,
+  expectCredited,
+};